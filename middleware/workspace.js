@@ -0,0 +1,55 @@
+// middleware/workspace.js
+const mongoose = require('mongoose');
+const Workspace = require('../models/Workspace');
+const { findUserByIdOrName } = require('../utils/userHelper');
+const { isGlobalAdmin, workspaceRole, listUserWorkspaces } = require('../services/workspaces');
+
+// Active workspace (use after protect): the X-Workspace-Id header (or ?workspaceId= for plain links such as
+// downloads), else the user's first workspace. Sets req.workspace, req.workspaceId and req.workspaceRole.
+const workspaceScope = async (req, res, next) => {
+  try {
+    const user = await findUserByIdOrName(req.user.userId);
+    const globalAdmin = isGlobalAdmin(req.user);
+    const requested = req.get('X-Workspace-Id') || req.query.workspaceId;
+
+    let workspace;
+    if (requested) {
+      if (!mongoose.Types.ObjectId.isValid(requested)) {
+        return res.status(400).json({ status: 'error', message: 'Invalid workspace id' });
+      }
+      workspace = await Workspace.findById(requested);
+      if (!workspace) {
+        return res.status(404).json({ status: 'error', message: 'Workspace not found' });
+      }
+    } else {
+      [workspace] = await listUserWorkspaces(user, globalAdmin);
+      if (!workspace) {
+        return res.status(403).json({ status: 'error', message: 'You are not a member of any workspace' });
+      }
+    }
+
+    const role = workspaceRole(workspace, user, globalAdmin);
+    if (!role) {
+      return res.status(403).json({ status: 'error', message: 'Access denied: not a member of this workspace' });
+    }
+    req.workspace = workspace;
+    req.workspaceId = workspace._id;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+};
+
+// Workspace admin (or global admin) only; use after workspaceScope
+const workspaceAdmin = (req, res, next) => {
+  if (req.workspaceRole !== 'ADMIN') {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Access denied: Workspace admin privileges required'
+    });
+  }
+  next();
+};
+
+module.exports = { workspaceScope, workspaceAdmin };
@@ -2,6 +2,12 @@
 const mongoose = require('mongoose');
 
 const articleSchema = new mongoose.Schema({
+  // Owning workspace (models/Workspace.js); older documents are moved into the default workspace at startup
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    index: true
+  },
   title: {
     type: String,
     required: true,
@@ -1,12 +1,16 @@
-// models/Category.js - Global categories managed by ADMIN
+// models/Category.js - Categories of a workspace, managed by its admins
 const mongoose = require('mongoose');
 
 const categorySchema = new mongoose.Schema({
+  // Owning workspace (models/Workspace.js); older documents are moved into the default workspace at startup
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
   name: {
     type: String,
     required: [true, 'Category name is required'],
     trim: true,
-    unique: true,
     lowercase: true
   },
   displayName: {
@@ -30,7 +34,8 @@ const categorySchema = new mongoose.Schema({
   timestamps: true
 });
 
-categorySchema.index({ isActive: 1, sortOrder: 1 });
+categorySchema.index({ workspace: 1, name: 1 }, { unique: true });
+categorySchema.index({ workspace: 1, isActive: 1, sortOrder: 1 });
 
 const Category = mongoose.models.Category || mongoose.model('Category', categorySchema);
 module.exports = Category;
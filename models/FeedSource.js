@@ -2,6 +2,12 @@
 const mongoose = require('mongoose');
 
 const feedSourceSchema = new mongoose.Schema({
+  // Owning workspace (models/Workspace.js); older documents are moved into the default workspace at startup
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    index: true
+  },
   name: {
     type: String,
     required: true,
@@ -9,7 +15,7 @@ const feedSourceSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['rss', 'api', 'scraper', 'website'],
+    enum: ['rss', 'api', 'scraper', 'website', 'sitemap'],
     required: true
   },
   url: {
@@ -24,7 +30,99 @@ const feedSourceSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
-  lastFetched: Date
+  // RSS / sitemap: follow each new item's link and store the main article text (feeds often carry only a teaser;
+  // news sitemaps carry only titles)
+  extractFullText: {
+    type: Boolean,
+    default: false
+  },
+  // Cap on stored article text for this source (characters); unset = ARTICLE_EXTRACTION_MAX_LENGTH
+  maxContentLength: {
+    type: Number,
+    min: 0
+  },
+  // website: CSS-selector recipe turning a section page into one item per listed article
+  // (selectors inside an entry are relative to listSelector; dateFormat uses date-fns tokens, e.g. "yyyy-MM-dd HH:mm")
+  scrapeRecipe: {
+    listSelector: String,
+    titleSelector: String,
+    linkSelector: String,
+    dateSelector: String,
+    dateAttribute: String,
+    dateFormat: String,
+    summarySelector: String,
+    imageSelector: String,
+    nextPageSelector: String,
+    maxPages: { type: Number, min: 1, max: 10 }
+  },
+  // api: JSON endpoint mapping (see services/apiFeedFetcher.js). Paths are JSONPath ("$.data.items[*]");
+  // field paths are relative to one item. Header values may reference env vars: "Bearer ${GOV_API_TOKEN}"
+  apiConfig: {
+    method: { type: String, enum: ['GET', 'POST'] },
+    headers: { type: Map, of: String },
+    body: mongoose.Schema.Types.Mixed,
+    itemsPath: String,
+    fieldMap: {
+      title: String,
+      url: String,
+      publishedAt: String,
+      description: String,
+      image: String
+    },
+    dateFormat: String,
+    pagination: {
+      type: { type: String, enum: ['none', 'page', 'cursor'] },
+      pageParam: String,
+      startPage: Number,
+      cursorParam: String,
+      cursorPath: String,
+      maxPages: { type: Number, min: 1, max: 10 }
+    }
+  },
+  lastFetched: Date,
+  // Own fetch schedule (services/fetchScheduler.js): 5-field cron in an IANA timezone (default SCHEDULER_TIMEZONE).
+  // Without a cron the source follows the global news fetch hours (NewsFetchSchedule). nextFetchAt / scheduleKey are kept by the scheduler
+  schedule: {
+    cron: { type: String, trim: true },
+    timezone: { type: String, trim: true }
+  },
+  nextFetchAt: { type: Date, default: null },
+  // "cron|timezone" nextFetchAt was computed from; a different value means the schedule changed
+  scheduleKey: { type: String, default: null },
+  // Fetch health (see services/sourceHealth.js): backoff after failures, auto-pause after SOURCE_AUTO_PAUSE_FAILURES
+  health: {
+    status: { type: String, enum: ['healthy', 'backoff', 'paused'], default: 'healthy' },
+    consecutiveFailures: { type: Number, default: 0 },
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+    lastError: String,
+    nextAttemptAt: Date,
+    pausedAt: Date
+  },
+  // Conditional-fetch validators from the last successful download, plus the latest check's outcome
+  fetchState: {
+    etag: String,
+    lastModified: String,
+    lastItemGuid: String,
+    contentHash: String,
+    lastCheckedAt: Date,
+    lastHttpStatus: Number,
+    lastError: String
+  },
+  // Recent fetch metrics, newest last (capped at FEED_FETCH_HISTORY_LIMIT)
+  fetchHistory: {
+    type: [{
+      _id: false,
+      fetchedAt: { type: Date, required: true },
+      httpStatus: Number,
+      durationMs: Number,
+      itemCount: { type: Number, default: 0 },
+      newItemCount: { type: Number, default: 0 },
+      notModified: { type: Boolean, default: false },
+      error: String
+    }],
+    select: false
+  }
 }, {
   timestamps: true
 });
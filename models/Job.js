@@ -0,0 +1,63 @@
+// models/Job.js
+const mongoose = require('mongoose');
+
+// Background job (services/jobQueue.js). A worker claims a queued job by taking a lease (leaseOwner, leaseExpiresAt)
+// and renews it with heartbeats; a job whose lease expires belonged to a worker that died and is queued again.
+const JOB_TYPES = ['news-fetch', 'user-news-fetch', 'social-fetch', 'topic-process', 'topic-maintenance', 'article-generate'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// Finished jobs are deleted this many days after finishedAt (TTL index)
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS, 10) || 14;
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: JOB_TYPES,
+    required: true
+  },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  // Set by whoever enqueued it: 'schedule', 'admin', 'user'
+  trigger: { type: String, default: 'user' },
+  // Unique while set: a second enqueue with the same key returns the existing job (one scheduled run per slot)
+  dedupeKey: { type: String },
+  attempts: { type: Number, default: 0 },
+  maxAttempts: { type: Number, default: 3 },
+  // Not claimed before this time (retry backoff)
+  runAt: { type: Date, default: Date.now },
+  // Set when a job of an exclusive type is claimed; unique among running jobs, so it is the exclusivity lock
+  lockKey: { type: String, default: null },
+  leaseOwner: { type: String, default: null },
+  leaseExpiresAt: { type: Date, default: null },
+  heartbeatAt: { type: Date, default: null },
+  cancelRequested: { type: Boolean, default: false },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+  // Small summary returned by the handler (counts, ids); never whole documents
+  result: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Claim: oldest due queued job
+jobSchema.index({ status: 1, runAt: 1 });
+// Recovery: running jobs whose lease has expired
+jobSchema.index({ status: 1, leaseExpiresAt: 1 });
+jobSchema.index({ type: 1, createdAt: -1 });
+jobSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } });
+// At most one running job per lock key: a second claim with a taken key fails with a duplicate key error
+jobSchema.index({ lockKey: 1 }, { unique: true, partialFilterExpression: { status: 'running', lockKey: { $type: 'string' } } });
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: JOB_RETENTION_DAYS * 24 * 60 * 60 });
+
+const Job = mongoose.models.Job || mongoose.model('Job', jobSchema);
+module.exports = Job;
@@ -1,10 +1,17 @@
 // models/NewsFetchSchedule.js
 const mongoose = require('mongoose');
 
-// Single document: scheduleHours[0..23] = whether to run auto news fetch at that hour (local time).
+// One document per workspace: scheduleHours[0..23] = whether to run auto news fetch at that hour (SCHEDULER_TIMEZONE).
+// This is the default schedule; feed sources with their own cron (FeedSource.schedule) ignore it.
 const defaultSchedule = Array(24).fill(false);
 
 const newsFetchScheduleSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    unique: true,
+    sparse: true
+  },
   scheduleHours: {
     type: [Boolean],
     default: defaultSchedule,
@@ -15,17 +22,27 @@ const newsFetchScheduleSchema = new mongoose.Schema({
   },
   lastRunAt: {
     type: Date
+  },
+  // After each scheduled fetch, run the processing pipeline (services/newsPipeline.js): embed → cluster → categorize → rank
+  autoProcess: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
 });
 
-newsFetchScheduleSchema.statics.getSchedule = async function () {
-  let doc = await this.findOne();
-  if (!doc) {
-    doc = await this.create({ scheduleHours: [...defaultSchedule] });
-  }
-  return doc;
+/**
+ * The workspace's schedule, created (nothing ticked) on first use.
+ * @param {ObjectId|string} workspaceId
+ * @returns {Promise<Object>}
+ */
+newsFetchScheduleSchema.statics.getSchedule = async function (workspaceId) {
+  return this.findOneAndUpdate(
+    { workspace: workspaceId },
+    { $setOnInsert: { scheduleHours: [...defaultSchedule] } },
+    { upsert: true, returnDocument: 'after', setDefaultsOnInsert: true }
+  );
 };
 
 const NewsFetchSchedule = mongoose.models.NewsFetchSchedule || mongoose.model('NewsFetchSchedule', newsFetchScheduleSchema);
@@ -2,6 +2,11 @@
 const mongoose = require('mongoose');
 
 const newsItemSchema = new mongoose.Schema({
+  // Owning workspace (models/Workspace.js); older documents are moved into the default workspace at startup
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
   title: {
     type: String,
     required: true,
@@ -17,11 +22,12 @@ const newsItemSchema = new mongoose.Schema({
   },
   url: {
     type: String,
-    required: true,
-    unique: true
+    required: true
   },
+  // utils/canonicalUrl.js urlDedupeKey(url): tracking / AMP / mobile variants of the article share it
+  urlKey: String,
   source: {
-    type: { type: String, enum: ['rss', 'instagram', 'x', 'web'], required: true },
+    type: { type: String, enum: ['rss', 'instagram', 'x', 'web', 'api', 'sitemap'], required: true },
     name: String,
     url: String,
     priority: { type: Number, default: 5 }
@@ -45,20 +51,55 @@ const newsItemSchema = new mongoose.Schema({
     ref: 'Topic'
   },
   embedding: [Number],
+  // Detected language of title/description (ISO 639-1: zh, en, ja, ko; 'und' if undetermined)
+  language: {
+    type: String,
+    index: true
+  },
+  // Near-duplicate detection: set on syndicated copies (wire rewrites), points at the first-seen original
+  canonicalItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NewsItem',
+    index: true
+  },
+  // MinHash signature of title + lead and its LSH band keys (see services/duplicateDetector.js)
+  minhash: {
+    type: [Number],
+    select: false
+  },
+  minhashBands: {
+    type: [String],
+    select: false
+  },
   metadata: {
     author: String,
     imageUrl: String,
-    tags: [String]
+    tags: [String],
+    // Published time found on the article page (full-text extraction)
+    publishedTime: Date
+  },
+  // Full-text extraction result for RSS and sitemap items from sources with extractFullText enabled;
+  // on failure content keeps the feed snippet
+  extraction: {
+    status: { type: String, enum: ['extracted', 'failed'] },
+    extractedAt: Date,
+    length: Number,
+    error: String
   }
 }, {
   timestamps: true
 });
 
 // Indexes for performance
+newsItemSchema.index({ workspace: 1, url: 1 }, { unique: true });
+// One copy of an article per workspace (items saved before urlKey get it from npm run merge-duplicate-urls)
+newsItemSchema.index({ workspace: 1, urlKey: 1 }, { unique: true, partialFilterExpression: { urlKey: { $type: 'string' } } });
+newsItemSchema.index({ workspace: 1, publishedAt: -1 });
 newsItemSchema.index({ publishedAt: -1 });
 newsItemSchema.index({ topicId: 1 });
 newsItemSchema.index({ topicId: 1, publishedAt: -1 }); // For filtering items by topic + time
 newsItemSchema.index({ 'embedding': 1 }, { sparse: true }); // Sparse index for items with embeddings
+newsItemSchema.index({ minhashBands: 1, publishedAt: -1 }); // Near-duplicate candidate lookup
 
 // NOTE: For MongoDB Atlas Vector Search, you must also create a vector search index
 // named "news_embedding_index" in Atlas UI or via the createSearchIndexes command.
@@ -0,0 +1,51 @@
+// models/PipelineRun.js
+const mongoose = require('mongoose');
+
+// One run of the post-fetch processing pipeline (services/newsPipeline.js): a scheduled fetch followed by
+// embed → cluster → categorize → rank over the recent news items. Each stage records its own status, timing and counts.
+const PIPELINE_STAGES = ['fetch', 'embed', 'cluster', 'categorize', 'rank'];
+const PIPELINE_STATUSES = ['running', 'completed', 'failed', 'cancelled'];
+const STAGE_STATUSES = ['pending', 'running', 'completed', 'failed', 'skipped'];
+
+const stageSchema = new mongoose.Schema({
+  name: { type: String, enum: PIPELINE_STAGES, required: true },
+  status: { type: String, enum: STAGE_STATUSES, default: 'pending' },
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  durationMs: { type: Number, default: null },
+  // Stage-specific counts, e.g. { sources, items } for fetch, { clusters, createdTopics } for categorize
+  counts: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Failure, or why the stage was skipped
+  error: { type: String, default: null }
+}, { _id: false });
+
+const pipelineRunSchema = new mongoose.Schema({
+  workspace: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null, index: true },
+  status: {
+    type: String,
+    enum: PIPELINE_STATUSES,
+    default: 'running'
+  },
+  trigger: { type: String, default: 'schedule' },
+  // The news-fetch job that started the run, and the topic-process job that runs the later stages
+  fetchJobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+  processJobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+  // News items published within this window are processed
+  timeframe: { type: String, default: '24h' },
+  stages: {
+    type: [stageSchema],
+    default: () => PIPELINE_STAGES.map(name => ({ name }))
+  },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date, default: null },
+  durationMs: { type: Number, default: null },
+  error: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+pipelineRunSchema.index({ createdAt: -1 });
+pipelineRunSchema.index({ fetchJobId: 1 });
+
+const PipelineRun = mongoose.models.PipelineRun || mongoose.model('PipelineRun', pipelineRunSchema);
+module.exports = PipelineRun;
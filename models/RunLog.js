@@ -0,0 +1,61 @@
+// models/RunLog.js
+const mongoose = require('mongoose');
+
+// Audit record of one news fetch, social fetch or topic processing run (services/runLog.js): when it ran, who or what
+// started it, the outcome for every source / handle it touched, and errors. One document per job attempt.
+const RUN_KINDS = ['news-fetch', 'social-fetch', 'topic-process'];
+const RUN_TRIGGERS = ['schedule', 'admin', 'user', 'pipeline'];
+const RUN_STATUSES = ['running', 'completed', 'failed', 'cancelled'];
+
+// Runs are deleted this many days after they start (TTL index)
+const RUN_LOG_RETENTION_DAYS = parseInt(process.env.RUN_LOG_RETENTION_DAYS, 10) || 90;
+
+const outcomeSchema = new mongoose.Schema({
+  targetType: { type: String, enum: ['FeedSource', 'SocialHandle', 'UserSource'], required: true },
+  // FeedSource / SocialHandle id; null for a user's own (preferences) source
+  targetId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  name: { type: String },
+  url: { type: String },
+  // skipped = in backoff or auto-paused; unchanged = feed not modified since the last fetch
+  status: { type: String, enum: ['success', 'unchanged', 'failed', 'skipped'], required: true },
+  httpStatus: { type: Number, default: null },
+  durationMs: { type: Number, default: null },
+  itemCount: { type: Number, default: 0 },
+  newItemCount: { type: Number, default: null },
+  error: { type: String, default: null }
+}, { _id: false });
+
+const runLogSchema = new mongoose.Schema({
+  workspace: { type: mongoose.Schema.Types.ObjectId, ref: 'Workspace', default: null },
+  kind: { type: String, enum: RUN_KINDS, required: true },
+  trigger: { type: String, enum: RUN_TRIGGERS, default: 'user' },
+  status: { type: String, enum: RUN_STATUSES, default: 'running' },
+  // Background job that ran it (null for a single-source admin fetch) and which attempt of that job
+  jobId: { type: mongoose.Schema.Types.ObjectId, ref: 'Job', default: null },
+  attempt: { type: Number, default: 1 },
+  // req.user.userId of whoever started a manual run ('admin' for the built-in admin)
+  userId: { type: String, default: null },
+  // What the run was asked to do, e.g. { sourceIds } for a scheduled fetch or { timeframe, mode } for processing
+  params: { type: mongoose.Schema.Types.Mixed, default: {} },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date, default: null },
+  durationMs: { type: Number, default: null },
+  // Totals returned by the run (items saved, topics created, ...)
+  summary: { type: mongoose.Schema.Types.Mixed, default: null },
+  outcomes: { type: [outcomeSchema], default: [] },
+  // Sources / handles that failed in this run
+  failedCount: { type: Number, default: 0 },
+  error: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+runLogSchema.index({ workspace: 1, startedAt: -1 });
+runLogSchema.index({ workspace: 1, kind: 1, startedAt: -1 });
+// "Which runs touched source X": outcomes of one source, newest first
+runLogSchema.index({ 'outcomes.targetId': 1, startedAt: -1 });
+runLogSchema.index({ jobId: 1 });
+runLogSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_LOG_RETENTION_DAYS * 24 * 60 * 60 });
+
+const RunLog = mongoose.models.RunLog || mongoose.model('RunLog', runLogSchema);
+module.exports = RunLog;
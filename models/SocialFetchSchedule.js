@@ -1,10 +1,17 @@
 // models/SocialFetchSchedule.js
 const mongoose = require('mongoose');
 
-// Single document: scheduleHours[0..23] = whether to run auto-fetch at that hour (local time).
+// One document per workspace: scheduleHours[0..23] = whether to run auto-fetch at that hour (SCHEDULER_TIMEZONE).
+// This is the default schedule; social handles with their own cron (SocialHandle.schedule) ignore it.
 const defaultSchedule = Array(24).fill(false);
 
 const socialFetchScheduleSchema = new mongoose.Schema({
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    unique: true,
+    sparse: true
+  },
   scheduleHours: {
     type: [Boolean],
     default: defaultSchedule,
@@ -20,13 +27,17 @@ const socialFetchScheduleSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Ensure only one schedule document exists (singleton)
-socialFetchScheduleSchema.statics.getSchedule = async function () {
-  let doc = await this.findOne();
-  if (!doc) {
-    doc = await this.create({ scheduleHours: [...defaultSchedule] });
-  }
-  return doc;
+/**
+ * The workspace's schedule, created (nothing ticked) on first use.
+ * @param {ObjectId|string} workspaceId
+ * @returns {Promise<Object>}
+ */
+socialFetchScheduleSchema.statics.getSchedule = async function (workspaceId) {
+  return this.findOneAndUpdate(
+    { workspace: workspaceId },
+    { $setOnInsert: { scheduleHours: [...defaultSchedule] } },
+    { upsert: true, returnDocument: 'after', setDefaultsOnInsert: true }
+  );
 };
 
 const SocialFetchSchedule = mongoose.models.SocialFetchSchedule || mongoose.model('SocialFetchSchedule', socialFetchScheduleSchema);
@@ -2,6 +2,12 @@
 const mongoose = require('mongoose');
 
 const socialHandleSchema = new mongoose.Schema({
+  // Owning workspace (models/Workspace.js); older documents are moved into the default workspace at startup
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    index: true
+  },
   platform: {
     type: String,
     enum: ['youtube', 'x', 'instagram', 'threads', 'facebook'],
@@ -32,6 +38,25 @@ const socialHandleSchema = new mongoose.Schema({
   lastFetchedAt: {
     type: Date
   },
+  // Own fetch schedule (services/fetchScheduler.js): 5-field cron in an IANA timezone (default SCHEDULER_TIMEZONE).
+  // Without a cron the source follows the global social fetch hours (SocialFetchSchedule). nextFetchAt / scheduleKey are kept by the scheduler
+  schedule: {
+    cron: { type: String, trim: true },
+    timezone: { type: String, trim: true }
+  },
+  nextFetchAt: { type: Date, default: null },
+  // "cron|timezone" nextFetchAt was computed from; a different value means the schedule changed
+  scheduleKey: { type: String, default: null },
+  // Fetch health (see services/sourceHealth.js): backoff after failures, auto-pause after SOURCE_AUTO_PAUSE_FAILURES
+  health: {
+    status: { type: String, enum: ['healthy', 'backoff', 'paused'], default: 'healthy' },
+    consecutiveFailures: { type: Number, default: 0 },
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+    lastError: String,
+    nextAttemptAt: Date,
+    pausedAt: Date
+  },
   remark: {
     type: String,
     trim: true
@@ -2,6 +2,11 @@
 const mongoose = require('mongoose');
 
 const socialPostSchema = new mongoose.Schema({
+  // Owning workspace (models/Workspace.js); older documents are moved into the default workspace at startup
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace'
+  },
   platform: {
     type: String,
     enum: ['youtube', 'x', 'instagram', 'threads', 'facebook'],
@@ -65,7 +70,7 @@ const socialPostSchema = new mongoose.Schema({
 // Indexes for performance
 socialPostSchema.index({ handleId: 1, publishedAt: -1 });
 socialPostSchema.index({ handleId: 1, 'engagement.score': -1 });
-socialPostSchema.index({ platform: 1, externalId: 1 }, { unique: true }); // Prevent duplicates
+socialPostSchema.index({ workspace: 1, platform: 1, externalId: 1 }, { unique: true }); // Prevent duplicates
 
 const SocialPost = mongoose.models.SocialPost || mongoose.model('SocialPost', socialPostSchema);
 module.exports = SocialPost;
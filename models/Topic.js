@@ -2,6 +2,12 @@
 const mongoose = require('mongoose');
 
 const topicSchema = new mongoose.Schema({
+  // Owning workspace (models/Workspace.js); older documents are moved into the default workspace at startup
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    index: true
+  },
   title: {
     type: String,
     required: true,
@@ -38,12 +44,32 @@ const topicSchema = new mongoose.Schema({
     type: Number,
     default: 0,
     index: true
-  }
+  },
+  // Mean embedding of member NewsItems (used for incremental assignment); excluded from queries by default
+  centroid: {
+    type: [Number],
+    select: false
+  },
+  // Language of the generated title/summary (TOPIC_PUBLICATION_LANGUAGE) and languages of member items
+  language: String,
+  languages: [String],
+  // Story evolution: earliest and latest member publish times
+  firstSeenAt: Date,
+  lastUpdatedAt: Date,
+  // Member NewsItems ordered by publish time (oldest first)
+  timeline: [{
+    newsItem: { type: mongoose.Schema.Types.ObjectId, ref: 'NewsItem' },
+    title: String,
+    url: String,
+    sourceName: String,
+    publishedAt: Date
+  }]
 }, {
   timestamps: true
 });
 
-topicSchema.index({ category: 1, finalScore: -1 });
+topicSchema.index({ workspace: 1, category: 1, finalScore: -1 });
+topicSchema.index({ lastUpdatedAt: -1 });
 
 const Topic = mongoose.models.Topic || mongoose.model('Topic', topicSchema);
 module.exports = Topic;
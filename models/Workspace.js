@@ -0,0 +1,39 @@
+// models/Workspace.js
+const mongoose = require('mongoose');
+
+// A newsroom desk (e.g. finance, local, international). Feed sources, categories, social handles, news items, topics,
+// fetch schedules and articles belong to one workspace; users see the workspaces they are members of.
+// Member roles: ADMIN manages the workspace (sources, categories, handles, schedules, members), USER reads and writes.
+// Global ADMIN users (User.role) can open and manage every workspace.
+const memberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ['ADMIN', 'USER'], default: 'USER' }
+}, { _id: false });
+
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  members: {
+    type: [memberSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.user': 1 });
+
+const Workspace = mongoose.models.Workspace || mongoose.model('Workspace', workspaceSchema);
+module.exports = Workspace;
@@ -1,24 +1,51 @@
 // routes/admin.js
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { protect, adminOnly } = require('../middleware/auth');
+const { workspaceScope, workspaceAdmin } = require('../middleware/workspace');
 const FeedSource = require('../models/FeedSource');
 const User = require('../models/User');
 const Category = require('../models/Category');
 const SocialFetchSchedule = require('../models/SocialFetchSchedule');
 const NewsFetchSchedule = require('../models/NewsFetchSchedule');
-const { fetchNewsFromAllActiveSources, fetchNewsFromSource } = require('../services/newsFetcher');
+const { fetchNewsFromSource, FEED_FETCH_HISTORY_LIMIT } = require('../services/newsFetcher');
+const { scrapeWithRecipe, normalizeRecipe, validateRecipe } = require('../services/webScraper');
+const { fetchApiFeed, normalizeApiConfig, validateApiConfig } = require('../services/apiFeedFetcher');
+const { importFeedSourcesFromOpml, exportFeedSourcesToOpml } = require('../services/opmlService');
+const { discoverFeeds } = require('../services/feedDiscovery');
+const { getQueueStatus } = require('../services/fetchQueue');
+const { enqueue, waitForJob, findActiveJob, listJobs, cancelJob, retryJob } = require('../services/jobQueue');
+const { normalizeSchedule, validateSchedule, SCHEDULER_TIMEZONE } = require('../services/fetchScheduler');
+const { upcomingCronTimes } = require('../utils/cron');
+const { sendUnfinishedJob } = require('../utils/jobResponse');
+const { recordRun } = require('../services/runLog');
+const Job = require('../models/Job');
+const PipelineRun = require('../models/PipelineRun');
+const RunLog = require('../models/RunLog');
+
+// OPML uploads: raw XML body, or JSON { opml: "<opml ...>" }
+const opmlBody = express.text({ type: ['text/xml', 'application/xml', 'text/x-opml', 'application/octet-stream'], limit: '2mb' });
 
 router.use(protect);
-router.use(adminOnly); // All admin routes require admin role
+router.use(workspaceScope, workspaceAdmin); // All admin routes manage the active workspace and require its admin role
 
-// Get all feed sources (global sources managed by admin)
+// Get the workspace's feed sources
+// Query: health=healthy|backoff|paused filters by fetch health; pausedCount / backoffCount flag failing sources
 router.get('/sources', async (req, res) => {
   try {
-    const sources = await FeedSource.find({});
+    const filter = { workspace: req.workspaceId };
+    if (req.query.health === 'healthy') {
+      filter['health.status'] = { $nin: ['backoff', 'paused'] };
+    } else if (['backoff', 'paused'].includes(req.query.health)) {
+      filter['health.status'] = req.query.health;
+    }
+    const sources = await FeedSource.find(filter);
     res.json({
       status: 'success',
       count: sources.length,
+      pausedCount: sources.filter(source => source.health?.status === 'paused').length,
+      backoffCount: sources.filter(source => source.health?.status === 'backoff').length,
       data: sources
     });
   } catch (error) {
@@ -29,7 +56,8 @@ router.get('/sources', async (req, res) => {
 // Create feed source
 router.post('/sources', async (req, res) => {
   try {
-    const { name, type, url, remark } = req.body;
+    const { name, type, url, remark, extractFullText, maxContentLength, scrapeRecipe, apiConfig } = req.body;
+    const schedule = normalizeSchedule(req.body.schedule);
     
     if (!name || !type || !url) {
       return res.status(400).json({
@@ -37,8 +65,37 @@ router.post('/sources', async (req, res) => {
         message: 'Name, type, and url are required'
       });
     }
+
+    // An api source created without a mapping stays inactive until apiConfig is set
+    let normalizedApiConfig;
+    if (type === 'api' && apiConfig) {
+      normalizedApiConfig = normalizeApiConfig(apiConfig);
+      const apiConfigError = validateApiConfig(normalizedApiConfig);
+      if (apiConfigError) {
+        return res.status(400).json({ status: 'error', message: `Invalid apiConfig: ${apiConfigError}` });
+      }
+    }
+
+    const recipe = normalizeRecipe(scrapeRecipe);
+    const recipeError = Object.keys(recipe).length > 0 ? validateRecipe(recipe) : null;
+    if (recipeError) {
+      return res.status(400).json({ status: 'error', message: `Invalid scrape recipe: ${recipeError}` });
+    }
+    const scheduleError = schedule ? validateSchedule(schedule) : null;
+    if (scheduleError) {
+      return res.status(400).json({ status: 'error', message: `Invalid schedule: ${scheduleError}` });
+    }
     
-    const source = await FeedSource.create({ name, type, url, remark });
+    const source = await FeedSource.create({
+      workspace: req.workspaceId,
+      name, type, url, remark,
+      extractFullText: !!extractFullText,
+      maxContentLength,
+      ...(schedule ? { schedule } : {}),
+      ...(recipe.listSelector ? { scrapeRecipe: recipe } : {}),
+      ...(normalizedApiConfig ? { apiConfig: normalizedApiConfig } : {}),
+      ...(type === 'api' && !normalizedApiConfig ? { isActive: false } : {})
+    });
     res.json({
       status: 'success',
       message: 'Source created',
@@ -52,7 +109,7 @@ router.post('/sources', async (req, res) => {
 // Update feed source
 router.put('/sources/:sourceId', async (req, res) => {
   try {
-    const { name, type, url, remark, isActive } = req.body;
+    const { name, type, url, remark, isActive, extractFullText, maxContentLength, scrapeRecipe, apiConfig } = req.body;
     const updateData = {};
     
     if (name) updateData.name = name;
@@ -60,9 +117,56 @@ router.put('/sources/:sourceId', async (req, res) => {
     if (url) updateData.url = url;
     if (remark) updateData.remark = remark;
     if (isActive !== undefined) updateData.isActive = isActive;
+    if (extractFullText !== undefined) updateData.extractFullText = !!extractFullText;
+    if (maxContentLength !== undefined) {
+      // Empty / 0 clears the per-source cap (back to ARTICLE_EXTRACTION_MAX_LENGTH)
+      if (maxContentLength) updateData.maxContentLength = maxContentLength;
+      else updateData.$unset = { maxContentLength: 1 };
+    }
+    if (scrapeRecipe !== undefined) {
+      // null / no listSelector removes the recipe (back to one item per page)
+      const recipe = normalizeRecipe(scrapeRecipe);
+      if (recipe.listSelector) {
+        const recipeError = validateRecipe(recipe);
+        if (recipeError) {
+          return res.status(400).json({ status: 'error', message: `Invalid scrape recipe: ${recipeError}` });
+        }
+        updateData.scrapeRecipe = recipe;
+      } else {
+        updateData.$unset = { ...updateData.$unset, scrapeRecipe: 1 };
+      }
+    }
+    if (apiConfig !== undefined) {
+      const normalizedApiConfig = normalizeApiConfig(apiConfig);
+      const apiConfigError = validateApiConfig(normalizedApiConfig);
+      if (apiConfigError) {
+        return res.status(400).json({ status: 'error', message: `Invalid apiConfig: ${apiConfigError}` });
+      }
+      updateData.apiConfig = normalizedApiConfig;
+    }
+    if (req.body.schedule !== undefined) {
+      // null / empty cron removes the own schedule (back to the workspace's news fetch hours)
+      const schedule = normalizeSchedule(req.body.schedule);
+      if (schedule) {
+        const scheduleError = validateSchedule(schedule);
+        if (scheduleError) {
+          return res.status(400).json({ status: 'error', message: `Invalid schedule: ${scheduleError}` });
+        }
+        updateData.schedule = schedule;
+      } else {
+        updateData.$unset = { ...updateData.$unset, schedule: 1 };
+      }
+      // The scheduler computes the next fetch time for the new schedule within a minute
+      updateData.nextFetchAt = null;
+      updateData.scheduleKey = null;
+    }
+    // Re-enabling or reconfiguring a source gives it a fresh start (clears backoff / auto-pause)
+    if (url || type || scrapeRecipe !== undefined || apiConfig !== undefined || isActive === true) {
+      updateData.$unset = { ...updateData.$unset, health: 1 };
+    }
     
-    const source = await FeedSource.findByIdAndUpdate(
-      req.params.sourceId,
+    const source = await FeedSource.findOneAndUpdate(
+      { _id: req.params.sourceId, workspace: req.workspaceId },
       updateData,
       { new: true }
     );
@@ -84,7 +188,7 @@ router.put('/sources/:sourceId', async (req, res) => {
 // Delete feed source
 router.delete('/sources/:sourceId', async (req, res) => {
   try {
-    const source = await FeedSource.findByIdAndDelete(req.params.sourceId);
+    const source = await FeedSource.findOneAndDelete({ _id: req.params.sourceId, workspace: req.workspaceId });
     
     if (!source) {
       return res.status(404).json({ status: 'error', message: 'Source not found' });
@@ -99,14 +203,240 @@ router.delete('/sources/:sourceId', async (req, res) => {
   }
 });
 
-// Fetch news from a single feed source (admin)
+// Import RSS feed sources from an OPML file into the workspace (admin). Body: raw OPML, or JSON { opml, dryRun }; ?dryRun=true also works.
+// Reports created / duplicate (URL already a source, or repeated in the file) / invalid outlines
+router.post('/sources/import', opmlBody, async (req, res) => {
+  try {
+    const opml = typeof req.body === 'string' ? req.body : req.body?.opml;
+    if (!opml) {
+      return res.status(400).json({ status: 'error', message: 'OPML document is required' });
+    }
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+    let report;
+    try {
+      report = await importFeedSourcesFromOpml(opml, { workspaceId: req.workspaceId, dryRun });
+    } catch (error) {
+      if (/OPML/.test(error.message)) {
+        return res.status(400).json({ status: 'error', message: error.message });
+      }
+      throw error;
+    }
+    const { counts } = report;
+    res.json({
+      status: 'success',
+      message: `${dryRun ? 'Would create' : 'Created'} ${counts.created} sources (${counts.duplicates} duplicates, ${counts.invalid} invalid)`,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Export the workspace's RSS feed sources as OPML (admin). Query: includeInactive=true to include inactive sources
+router.get('/sources/export.opml', async (req, res) => {
+  try {
+    const opml = await exportFeedSourcesToOpml({
+      workspaceId: req.workspaceId,
+      includeInactive: req.query.includeInactive === 'true'
+    });
+    res.set('Content-Type', 'text/x-opml; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="litenews-sources.opml"');
+    res.send(opml);
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Discover feeds for a site: <link rel="alternate"> tags, common feed paths and sitemaps.
+// Body: { url, sampleSize }. Each candidate carries its latest entries; existingSourceId marks URLs already added to the workspace.
+// The probes fetch any URL from the server (including internal hosts), so like the dry runs below this needs a global admin
+router.post('/sources/discover', adminOnly, async (req, res) => {
+  try {
+    const { url, sampleSize } = req.body;
+    if (!url || typeof url !== 'string') {
+      return res.status(400).json({ status: 'error', message: 'url is required' });
+    }
+    try {
+      new URL(/^https?:\/\//i.test(url.trim()) ? url.trim() : `https://${url.trim()}`);
+    } catch (_) {
+      return res.status(400).json({ status: 'error', message: 'Invalid url' });
+    }
+    const result = await discoverFeeds(url, { sampleSize: Math.min(Math.max(parseInt(sampleSize, 10) || 3, 1), 10) });
+    const existing = await FeedSource.find({
+      workspace: req.workspaceId,
+      url: { $in: result.candidates.map(c => c.url) }
+    }).select('url').lean();
+    const existingByUrl = new Map(existing.map(s => [s.url, s._id]));
+    result.candidates.forEach(candidate => {
+      candidate.existingSourceId = existingByUrl.get(candidate.url) || null;
+    });
+    res.json({
+      status: 'success',
+      message: `Found ${result.candidates.length} candidates`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: `Discovery failed: ${error.message}` });
+  }
+});
+
+// Dry-run a scrape recipe against a page without saving anything.
+// Body: { url, recipe } or { sourceId } (the saved source's url/recipe; url/recipe in the body override them)
+router.post('/sources/scrape-test', adminOnly, async (req, res) => {
+  try {
+    let { url, recipe, sourceId } = req.body;
+    if (sourceId) {
+      const source = await FeedSource.findOne({ _id: sourceId, workspace: req.workspaceId });
+      if (!source) {
+        return res.status(404).json({ status: 'error', message: 'Source not found' });
+      }
+      url = url || source.url;
+      recipe = recipe || source.toObject().scrapeRecipe;
+    }
+    if (!url || !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({ status: 'error', message: 'A http(s) url is required' });
+    }
+    const normalized = normalizeRecipe(recipe);
+    const recipeError = validateRecipe(normalized);
+    if (recipeError) {
+      return res.status(400).json({ status: 'error', message: `Invalid scrape recipe: ${recipeError}` });
+    }
+
+    const { items, pagesFetched, warnings } = await scrapeWithRecipe(url, normalized, { sourceName: 'dry-run' });
+    res.json({
+      status: 'success',
+      message: `Recipe matched ${items.length} articles on ${pagesFetched} page(s)`,
+      data: {
+        count: items.length,
+        pagesFetched,
+        warnings: warnings.slice(0, 50),
+        items: items.slice(0, 50).map(item => ({
+          title: item.title,
+          url: item.url,
+          publishedAt: item.publishedAt,
+          description: item.description,
+          imageUrl: item.metadata.imageUrl
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: `Scrape failed: ${error.message}` });
+  }
+});
+
+// Dry-run an API source mapping without saving anything.
+// Body: { url, apiConfig } or { sourceId } (the saved source's url/apiConfig; url/apiConfig in the body override them)
+router.post('/sources/api-test', adminOnly, async (req, res) => {
+  try {
+    let { url, apiConfig, sourceId } = req.body;
+    if (sourceId) {
+      const source = await FeedSource.findOne({ _id: sourceId, workspace: req.workspaceId });
+      if (!source) {
+        return res.status(404).json({ status: 'error', message: 'Source not found' });
+      }
+      url = url || source.url;
+      apiConfig = apiConfig || source.toObject().apiConfig;
+    }
+    if (!url || !/^https?:\/\//i.test(url)) {
+      return res.status(400).json({ status: 'error', message: 'A http(s) url is required' });
+    }
+    const normalized = normalizeApiConfig(apiConfig);
+    const apiConfigError = validateApiConfig(normalized);
+    if (apiConfigError) {
+      return res.status(400).json({ status: 'error', message: `Invalid apiConfig: ${apiConfigError}` });
+    }
+
+    const { items, pagesFetched, warnings } = await fetchApiFeed(url, normalized, { sourceName: 'dry-run' });
+    res.json({
+      status: 'success',
+      message: `Mapping produced ${items.length} items from ${pagesFetched} page(s)`,
+      data: {
+        count: items.length,
+        pagesFetched,
+        warnings: warnings.slice(0, 50),
+        items: items.slice(0, 50).map(item => ({
+          title: item.title,
+          url: item.url,
+          publishedAt: item.publishedAt,
+          description: item.description,
+          imageUrl: item.metadata.imageUrl
+        }))
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: `API fetch failed: ${error.message}` });
+  }
+});
+
+// Fetch history for the workspace's feed sources (admin): latest state, summary of recent fetches and the last few entries.
+// Query: sourceId (one source), limit (entries per source, default 10; the stored history is capped at FEED_FETCH_HISTORY_LIMIT)
+router.get('/sources/fetch-history', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), FEED_FETCH_HISTORY_LIMIT);
+    const { sourceId } = req.query;
+    if (sourceId && !mongoose.Types.ObjectId.isValid(sourceId)) {
+      return res.status(400).json({ status: 'error', message: 'sourceId must be a valid id' });
+    }
+    const filter = { workspace: req.workspaceId };
+    if (sourceId) filter._id = sourceId;
+    const sources = await FeedSource.find(filter)
+      .select('name type url isActive lastFetched fetchState +fetchHistory')
+      .lean();
+    const data = sources.map((source) => {
+      const history = source.fetchHistory || [];
+      const failures = history.filter(entry => entry.error);
+      const withNewItems = history.filter(entry => entry.newItemCount > 0);
+      const totalDuration = history.reduce((sum, entry) => sum + (entry.durationMs || 0), 0);
+      // Trailing failures (no success since), the usual sign of a dead feed
+      let consecutiveFailures = 0;
+      for (let i = history.length - 1; i >= 0 && history[i].error; i--) consecutiveFailures++;
+      return {
+        _id: source._id,
+        name: source.name,
+        type: source.type,
+        url: source.url,
+        isActive: source.isActive,
+        lastFetched: source.lastFetched,
+        fetchState: source.fetchState || {},
+        summary: {
+          fetches: history.length,
+          failures: failures.length,
+          consecutiveFailures,
+          notModified: history.filter(entry => entry.notModified).length,
+          newItems: history.reduce((sum, entry) => sum + (entry.newItemCount || 0), 0),
+          lastNewItemsAt: withNewItems.length > 0 ? withNewItems[withNewItems.length - 1].fetchedAt : null,
+          avgDurationMs: history.length > 0 ? Math.round(totalDuration / history.length) : null
+        },
+        history: history.slice(-limit).reverse()
+      };
+    });
+    // Most failing first
+    data.sort((a, b) => b.summary.consecutiveFailures - a.summary.consecutiveFailures || b.summary.failures - a.summary.failures);
+    res.json({
+      status: 'success',
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Fetch news from a single feed source (admin). Body: { force } to re-download and parse an unchanged feed
 router.post('/sources/:sourceId/fetch', async (req, res) => {
   try {
-    const result = await fetchNewsFromSource(req.params.sourceId);
+    const force = !!req.body?.force;
+    const result = await recordRun({
+      kind: 'news-fetch',
+      trigger: 'admin',
+      workspaceId: req.workspaceId,
+      userId: req.user.userId,
+      params: { sourceIds: [req.params.sourceId], force }
+    }, outcomes => fetchNewsFromSource(req.params.sourceId, { workspaceId: req.workspaceId, force, outcomes }));
     res.json({
       status: 'success',
-      message: `Fetched ${result.count} news items`,
-      data: { count: result.count }
+      message: result.unchanged ? 'Feed unchanged since last fetch' : `Fetched ${result.count} news items`,
+      data: { count: result.count, unchanged: result.unchanged }
     });
   } catch (error) {
     if (error.message === 'Source not found') {
@@ -121,11 +451,12 @@ router.post('/sources/:sourceId/fetch', async (req, res) => {
 // Get news fetch schedule (24 hours, admin)
 router.get('/news-fetch-schedule', async (req, res) => {
   try {
-    const schedule = await NewsFetchSchedule.getSchedule();
+    const schedule = await NewsFetchSchedule.getSchedule(req.workspaceId);
     res.json({
       status: 'success',
       data: {
         scheduleHours: schedule.scheduleHours,
+        autoProcess: !!schedule.autoProcess,
         lastRunAt: schedule.lastRunAt
       }
     });
@@ -134,33 +465,44 @@ router.get('/news-fetch-schedule', async (req, res) => {
   }
 });
 
-// Update news fetch schedule (admin)
+// Update news fetch schedule (admin). Body: scheduleHours and / or autoProcess (run the processing pipeline after scheduled fetches)
 router.put('/news-fetch-schedule', async (req, res) => {
   try {
-    const { scheduleHours } = req.body;
-    if (!Array.isArray(scheduleHours) || scheduleHours.length !== 24) {
+    const { scheduleHours, autoProcess } = req.body;
+    if (scheduleHours === undefined && autoProcess === undefined) {
+      return res.status(400).json({ status: 'error', message: 'scheduleHours or autoProcess is required' });
+    }
+    if (scheduleHours !== undefined && (!Array.isArray(scheduleHours) || scheduleHours.length !== 24)) {
       return res.status(400).json({
         status: 'error',
         message: 'scheduleHours must be an array of 24 booleans (hours 0-23)'
       });
     }
-    const schedule = await NewsFetchSchedule.getSchedule();
-    schedule.scheduleHours = scheduleHours.map(Boolean);
+    const schedule = await NewsFetchSchedule.getSchedule(req.workspaceId);
+    if (scheduleHours !== undefined) schedule.scheduleHours = scheduleHours.map(Boolean);
+    if (autoProcess !== undefined) schedule.autoProcess = !!autoProcess;
     await schedule.save();
     res.json({
       status: 'success',
       message: 'Schedule updated',
-      data: { scheduleHours: schedule.scheduleHours }
+      data: { scheduleHours: schedule.scheduleHours, autoProcess: schedule.autoProcess }
     });
   } catch (error) {
     res.status(500).json({ status: 'error', message: error.message });
   }
 });
 
-// Trigger news fetch for all active sources (admin)
+// Trigger news fetch for all of the workspace's active sources (admin). Joins a news-fetch job for all sources already queued or running
+// instead of adding one (scheduled jobs only cover the sources that were due)
 router.post('/news-fetch-schedule/run', async (req, res) => {
   try {
-    const result = await fetchNewsFromAllActiveSources();
+    const queued = (await findActiveJob('news-fetch', {
+      'payload.workspaceId': req.workspaceId,
+      'payload.sourceIds': { $exists: false }
+    })) || await enqueue('news-fetch', { workspaceId: req.workspaceId }, { trigger: 'admin' });
+    const job = await waitForJob(queued._id);
+    if (sendUnfinishedJob(res, job)) return;
+    const result = job.result;
     res.json({
       status: 'success',
       message: `Fetched ${result.count} news items from ${result.sourcesProcessed} sources`,
@@ -171,12 +513,267 @@ router.post('/news-fetch-schedule/run', async (req, res) => {
   }
 });
 
+// Next run times of a cron schedule, for the source / handle forms. Query: cron, timezone (default SCHEDULER_TIMEZONE), count (max 20)
+router.get('/schedule-preview', async (req, res) => {
+  try {
+    const schedule = normalizeSchedule({ cron: req.query.cron, timezone: req.query.timezone });
+    if (!schedule) {
+      return res.status(400).json({ status: 'error', message: 'cron is required' });
+    }
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      return res.status(400).json({ status: 'error', message: scheduleError });
+    }
+    const timezone = schedule.timezone || SCHEDULER_TIMEZONE;
+    const count = Math.min(Math.max(parseInt(req.query.count, 10) || 5, 1), 20);
+    res.json({
+      status: 'success',
+      data: { cron: schedule.cron, timezone, nextRuns: upcomingCronTimes(schedule.cron, timezone, count) }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Shared fetch queue: limits, running / waiting jobs, busy hosts and the progress of batches in flight.
+// The queue serves every workspace, so this needs a global admin
+router.get('/fetch-queue', adminOnly, async (req, res) => {
+  try {
+    res.json({ status: 'success', data: getQueueStatus() });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// ==================== BACKGROUND JOBS ====================
+
+async function isWorkspaceJob(jobId, workspaceId) {
+  return mongoose.Types.ObjectId.isValid(jobId) && !!await Job.exists({ _id: jobId, 'payload.workspaceId': workspaceId });
+}
+
+// The workspace's recent background jobs (fetches, topic processing, article generation), newest first, with counts per status.
+// Query: status, type, limit (default 50, max 200)
+router.get('/jobs', async (req, res) => {
+  try {
+    const { status, type, limit } = req.query;
+    if (status && !Job.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ status: 'error', message: `status must be one of: ${Job.schema.path('status').enumValues.join(', ')}` });
+    }
+    if (type && !Job.schema.path('type').enumValues.includes(type)) {
+      return res.status(400).json({ status: 'error', message: `type must be one of: ${Job.schema.path('type').enumValues.join(', ')}` });
+    }
+    res.json({ status: 'success', data: await listJobs({ workspaceId: req.workspaceId, status, type, limit }) });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Cancel a queued job, or ask a running one to stop (admin)
+router.post('/jobs/:jobId/cancel', async (req, res) => {
+  try {
+    if (!await isWorkspaceJob(req.params.jobId, req.workspaceId)) {
+      return res.status(404).json({ status: 'error', message: 'Job not found' });
+    }
+    const job = await cancelJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ status: 'error', message: 'Job not found' });
+    }
+    if (!['cancelled', 'running'].includes(job.status)) {
+      return res.status(409).json({ status: 'error', message: `Job already ${job.status}` });
+    }
+    res.json({
+      status: 'success',
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested; the job stops at its next heartbeat',
+      data: job
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Queue a failed or cancelled job again (admin)
+router.post('/jobs/:jobId/retry', async (req, res) => {
+  try {
+    if (!await isWorkspaceJob(req.params.jobId, req.workspaceId)) {
+      return res.status(404).json({ status: 'error', message: 'Job not found' });
+    }
+    const job = await retryJob(req.params.jobId);
+    if (!job) {
+      const existing = await Job.findById(req.params.jobId).select('status');
+      return existing
+        ? res.status(409).json({ status: 'error', message: `Only failed or cancelled jobs can be retried (job is ${existing.status})` })
+        : res.status(404).json({ status: 'error', message: 'Job not found' });
+    }
+    res.json({ status: 'success', message: 'Job queued again', data: job });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// ==================== PIPELINE RUNS ====================
+
+// The workspace's recent post-fetch pipeline runs, newest first, with each stage's status, timing and counts (admin)
+router.get('/pipeline-runs', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const statuses = PipelineRun.schema.path('status').enumValues;
+    if (status && !statuses.includes(status)) {
+      return res.status(400).json({ status: 'error', message: `status must be one of: ${statuses.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = { workspace: req.workspaceId };
+    if (status) filter.status = status;
+    const runs = await PipelineRun.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    res.json({ status: 'success', count: runs.length, data: runs });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// One pipeline run with its fetch and process jobs (admin)
+router.get('/pipeline-runs/:runId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.runId)) {
+      return res.status(404).json({ status: 'error', message: 'Pipeline run not found' });
+    }
+    const run = await PipelineRun.findOne({ _id: req.params.runId, workspace: req.workspaceId })
+      .populate('fetchJobId', 'status attempts lastError startedAt finishedAt')
+      .populate('processJobId', 'status attempts lastError startedAt finishedAt')
+      .lean();
+    if (!run) {
+      return res.status(404).json({ status: 'error', message: 'Pipeline run not found' });
+    }
+    res.json({ status: 'success', data: run });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// ==================== RUN HISTORY ====================
+
+// The workspace's fetch and processing runs (RunLog), newest first (admin)
+// Query: kind, trigger, status, sourceId (a FeedSource / SocialHandle id), outcome (that source's outcome status,
+// or any source's without sourceId), hasErrors=true, since / until (ISO dates, on startedAt), page, limit (max 100).
+// Per-source outcomes are left out of the list; with sourceId each run carries that source's `outcome`.
+router.get('/runs', async (req, res) => {
+  try {
+    const { kind, trigger, status, sourceId, outcome, hasErrors, since, until } = req.query;
+    const filter = { workspace: req.workspaceId };
+    for (const [field, value] of Object.entries({ kind, trigger, status })) {
+      if (!value) continue;
+      const allowed = RunLog.schema.path(field).enumValues;
+      if (!allowed.includes(value)) {
+        return res.status(400).json({ status: 'error', message: `${field} must be one of: ${allowed.join(', ')}` });
+      }
+      filter[field] = value;
+    }
+    const outcomeStatuses = RunLog.schema.path('outcomes').schema.path('status').enumValues;
+    if (outcome && !outcomeStatuses.includes(outcome)) {
+      return res.status(400).json({ status: 'error', message: `outcome must be one of: ${outcomeStatuses.join(', ')}` });
+    }
+    if (sourceId && !mongoose.Types.ObjectId.isValid(sourceId)) {
+      return res.status(400).json({ status: 'error', message: 'sourceId must be a valid id' });
+    }
+    if (sourceId || outcome) {
+      const match = {};
+      if (sourceId) match.targetId = new mongoose.Types.ObjectId(sourceId);
+      if (outcome) match.status = outcome;
+      filter.outcomes = { $elemMatch: match };
+    }
+    if (hasErrors === 'true') {
+      filter.$or = [{ status: 'failed' }, { failedCount: { $gt: 0 } }];
+    }
+    for (const [op, value] of [['$gte', since], ['$lte', until]]) {
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) {
+        return res.status(400).json({ status: 'error', message: 'since and until must be dates' });
+      }
+      filter.startedAt = { ...filter.startedAt, [op]: date };
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const [runs, total] = await Promise.all([
+      RunLog.find(filter)
+        .select(sourceId ? {} : { outcomes: 0 })
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      RunLog.countDocuments(filter)
+    ]);
+    const data = runs.map((run) => {
+      if (!sourceId) return run;
+      const { outcomes, ...rest } = run;
+      return { ...rest, outcome: outcomes.find(o => String(o.targetId) === sourceId) || null };
+    });
+    res.json({
+      status: 'success',
+      count: data.length,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) },
+      data
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// One run with every source / handle outcome and its job (admin)
+router.get('/runs/:runId', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.runId)) {
+      return res.status(404).json({ status: 'error', message: 'Run not found' });
+    }
+    const run = await RunLog.findOne({ _id: req.params.runId, workspace: req.workspaceId })
+      .populate('jobId', 'type status attempts maxAttempts lastError')
+      .lean();
+    if (!run) {
+      return res.status(404).json({ status: 'error', message: 'Run not found' });
+    }
+    res.json({ status: 'success', data: run });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// ==================== TOPIC MAINTENANCE ====================
+
+// Merge near-duplicate topics and split incoherent ones in the workspace (admin). Body: { dryRun, mergeThreshold, cohesionFloor, lookbackHours }
+router.post('/topics/maintenance', async (req, res) => {
+  try {
+    if (await findActiveJob('topic-maintenance', { 'payload.workspaceId': req.workspaceId })) {
+      return res.status(409).json({ status: 'error', message: 'Topic maintenance is already running' });
+    }
+    const { dryRun = false, mergeThreshold, cohesionFloor, lookbackHours } = req.body || {};
+    const opts = { dryRun: !!dryRun };
+    if (mergeThreshold !== undefined) opts.mergeThreshold = parseFloat(mergeThreshold);
+    if (cohesionFloor !== undefined) opts.cohesionFloor = parseFloat(cohesionFloor);
+    if (lookbackHours !== undefined) opts.lookbackHours = parseInt(lookbackHours, 10);
+    if ([opts.mergeThreshold, opts.cohesionFloor, opts.lookbackHours].some(v => v !== undefined && Number.isNaN(v))) {
+      return res.status(400).json({ status: 'error', message: 'mergeThreshold, cohesionFloor and lookbackHours must be numbers' });
+    }
+
+    const queued = await enqueue('topic-maintenance', { workspaceId: req.workspaceId, options: opts }, { trigger: 'admin', maxAttempts: 1 });
+    const job = await waitForJob(queued._id);
+    if (sendUnfinishedJob(res, job)) return;
+    const report = job.result;
+    res.json({
+      status: 'success',
+      message: `${report.merged.length} merged, ${report.split.length} split${report.dryRun ? ' (dry run)' : ''}`,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
 // ==================== CATEGORY CRUD ====================
 
-// Get all categories (admin)
+// Get the workspace's categories (admin)
 router.get('/categories', async (req, res) => {
   try {
-    const categories = await Category.find({}).sort({ sortOrder: 1, name: 1 });
+    const categories = await Category.find({ workspace: req.workspaceId }).sort({ sortOrder: 1, name: 1 });
     res.json({
       status: 'success',
       count: categories.length,
@@ -200,6 +797,7 @@ router.post('/categories', async (req, res) => {
     }
     
     const category = await Category.create({
+      workspace: req.workspaceId,
       name: name.toLowerCase().trim(),
       displayName: displayName || name,
       description,
@@ -230,8 +828,8 @@ router.put('/categories/:categoryId', async (req, res) => {
     if (isActive !== undefined) updateData.isActive = isActive;
     if (sortOrder !== undefined) updateData.sortOrder = sortOrder;
     
-    const category = await Category.findByIdAndUpdate(
-      req.params.categoryId,
+    const category = await Category.findOneAndUpdate(
+      { _id: req.params.categoryId, workspace: req.workspaceId },
       updateData,
       { new: true }
     );
@@ -253,7 +851,7 @@ router.put('/categories/:categoryId', async (req, res) => {
 // Delete category (admin)
 router.delete('/categories/:categoryId', async (req, res) => {
   try {
-    const category = await Category.findByIdAndDelete(req.params.categoryId);
+    const category = await Category.findOneAndDelete({ _id: req.params.categoryId, workspace: req.workspaceId });
     
     if (!category) {
       return res.status(404).json({ status: 'error', message: 'Category not found' });
@@ -273,7 +871,7 @@ router.delete('/categories/:categoryId', async (req, res) => {
 // Get auto social fetch schedule (24 hours, admin)
 router.get('/social-fetch-schedule', async (req, res) => {
   try {
-    const schedule = await SocialFetchSchedule.getSchedule();
+    const schedule = await SocialFetchSchedule.getSchedule(req.workspaceId);
     res.json({
       status: 'success',
       data: {
@@ -296,7 +894,7 @@ router.put('/social-fetch-schedule', async (req, res) => {
         message: 'scheduleHours must be an array of 24 booleans (hours 0-23)'
       });
     }
-    const schedule = await SocialFetchSchedule.getSchedule();
+    const schedule = await SocialFetchSchedule.getSchedule(req.workspaceId);
     schedule.scheduleHours = scheduleHours.map(Boolean);
     await schedule.save();
     res.json({
@@ -3,16 +3,18 @@ const express = require('express');
 const mongoose = require('mongoose');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { workspaceScope } = require('../middleware/workspace');
 const User = require('../models/User');
 const Topic = require('../models/Topic');
 const SocialPost = require('../models/SocialPost');
 const SavedUrlArticle = require('../models/SavedUrlArticle');
 const { findUserByIdOrName } = require('../utils/userHelper');
 const { extractUrlMeta, normalizeUrl } = require('../utils/extractUrlMeta');
+const { canonicalizeUrl } = require('../utils/canonicalUrl');
 
-router.use(protect);
+router.use(protect, workspaceScope);
 
-// GET /api/materials - current user's saved topics, social posts, and URL articles (populated)
+// GET /api/materials - current user's saved topics and social posts (of the active workspace), and URL articles (populated)
 router.get('/', async (req, res) => {
   try {
     const userDoc = await findUserByIdOrName(req.user.userId);
@@ -21,8 +23,12 @@ router.get('/', async (req, res) => {
     }
 
     const user = await User.findById(userDoc._id)
-      .populate('savedTopics')
-      .populate({ path: 'savedSocialPosts', populate: { path: 'handleId', select: 'displayName handle' } })
+      .populate({ path: 'savedTopics', match: { workspace: req.workspaceId } })
+      .populate({
+        path: 'savedSocialPosts',
+        match: { workspace: req.workspaceId },
+        populate: { path: 'handleId', select: 'displayName handle' }
+      })
       .populate({ path: 'savedUrlArticles', match: { archived: { $ne: true } } })
       .lean();
 
@@ -50,7 +56,7 @@ router.post('/topics', async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Invalid topicId' });
     }
 
-    const topic = await Topic.findById(topicId);
+    const topic = await Topic.findOne({ _id: topicId, workspace: req.workspaceId });
     if (!topic) {
       return res.status(404).json({ status: 'error', message: 'Topic not found' });
     }
@@ -111,7 +117,7 @@ router.post('/social-posts', async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Invalid socialPostId' });
     }
 
-    const post = await SocialPost.findById(socialPostId);
+    const post = await SocialPost.findOne({ _id: socialPostId, workspace: req.workspaceId });
     if (!post) {
       return res.status(404).json({ status: 'error', message: 'Social post not found' });
     }
@@ -176,13 +182,13 @@ router.post('/url-articles', async (req, res) => {
 
     const normalizedUrl = normalizeUrl(url);
 
-    // Check if already saved (by URL)
+    // Check if already saved (by canonical URL, before and after the page names its own canonical)
     user.savedUrlArticles = user.savedUrlArticles || [];
-    const existing = await SavedUrlArticle.findOne({
+    const findSaved = (candidateUrl) => SavedUrlArticle.findOne({
       _id: { $in: user.savedUrlArticles },
-      url: normalizedUrl
+      url: candidateUrl
     });
-    if (existing) {
+    if (await findSaved(canonicalizeUrl(normalizedUrl))) {
       return res.json({ status: 'success', message: 'Already in 素材夾' });
     }
 
@@ -196,10 +202,14 @@ router.post('/url-articles', async (req, res) => {
       });
     }
 
+    if (meta.canonicalUrl !== canonicalizeUrl(normalizedUrl) && await findSaved(meta.canonicalUrl)) {
+      return res.json({ status: 'success', message: 'Already in 素材夾' });
+    }
+
     const doc = await SavedUrlArticle.create({
       userId: user._id,
-      url: normalizedUrl,
-      title: meta.title || normalizedUrl,
+      url: meta.canonicalUrl,
+      title: meta.title || meta.canonicalUrl,
       description: meta.description || '',
       image: meta.image,
       siteName: meta.siteName
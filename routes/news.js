@@ -2,16 +2,19 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
-const { fetchNewsForUser, parseTimeframe } = require('../services/newsFetcher');
-const { categorizeAndGroup } = require('../services/topicGrouper');
+const { workspaceScope } = require('../middleware/workspace');
+const { parseTimeframe } = require('../services/newsFetcher');
+const { TOPIC_PROCESS_MODE } = require('../services/topicGrouper');
+const { enqueue, waitForJob } = require('../services/jobQueue');
+const { sendUnfinishedJob } = require('../utils/jobResponse');
 const { initializeModel: ensureEmbeddingReady } = require('../services/embedding');
 const { rankTopicsByCategory } = require('../services/rankingService');
+const { collapseDuplicates: collapseDuplicateItems } = require('../services/duplicateDetector');
 const NewsItem = require('../models/NewsItem');
 const Topic = require('../models/Topic');
-const Category = require('../models/Category');
 const { findUserByIdOrName } = require('../utils/userHelper');
 
-router.use(protect);
+router.use(protect, workspaceScope);
 
 // Fetch news (embedding service must be ready first so new items get embeddings)
 router.post('/fetch', async (req, res) => {
@@ -30,12 +33,23 @@ router.post('/fetch', async (req, res) => {
       });
     }
 
-    const newsItems = await fetchNewsForUser(userId, timeframe, useAllSources);
+    // Runs as a "user-news-fetch" background job; the request waits for it (202 with the job id if it takes too long)
+    const queued = await enqueue('user-news-fetch', {
+      workspaceId: req.workspaceId,
+      userId,
+      timeframe,
+      useAllSources: !!useAllSources
+    }, { maxAttempts: 1 });
+    const job = await waitForJob(queued._id);
+    if (sendUnfinishedJob(res, job)) return;
+    const newsItems = await NewsItem.find({ _id: { $in: job.result.itemIds || [] } })
+      .sort({ publishedAt: -1 })
+      .select('-embedding');
 
     res.json({
       status: 'success',
       message: `Fetched ${newsItems.length} news items`,
-      data: { count: newsItems.length, items: newsItems }
+      data: { count: newsItems.length, items: newsItems, jobId: job._id }
     });
   } catch (error) {
     res.status(500).json({ status: 'error', message: error.message });
@@ -44,12 +58,13 @@ router.post('/fetch', async (req, res) => {
 
 // Get news items
 // Note: Category filtering now works via Topic association, not direct NewsItem.category
+// collapseDuplicates=true: one entry per story, syndicated copies folded in (duplicateCount, duplicateSources)
 router.get('/items', async (req, res) => {
   try {
-    const { category, topicId, timeframe = '24h' } = req.query;
+    const { category, topicId, timeframe = '24h', collapseDuplicates } = req.query;
     const sinceDate = parseTimeframe(timeframe);
     
-    let query = { publishedAt: { $gte: sinceDate } };
+    let query = { workspace: req.workspaceId, publishedAt: { $gte: sinceDate } };
     
     // Filter by specific topic
     if (topicId) {
@@ -58,7 +73,7 @@ router.get('/items', async (req, res) => {
     // Filter by category via topic association
     else if (category) {
       // Find topics in this category, then get their news items
-      const topicsInCategory = await Topic.find({ category }).select('_id');
+      const topicsInCategory = await Topic.find({ workspace: req.workspaceId, category }).select('_id');
       const topicIds = topicsInCategory.map(t => t._id);
       query.topicId = { $in: topicIds };
     }
@@ -67,6 +82,11 @@ router.get('/items', async (req, res) => {
       .sort({ publishedAt: -1 })
       .limit(100)
       .select('-embedding'); // Exclude large embedding field from response
+
+    if (collapseDuplicates === 'true') {
+      const collapsed = collapseDuplicateItems(items.map(item => item.toObject()));
+      return res.json({ status: 'success', count: collapsed.length, data: collapsed });
+    }
     
     res.json({ status: 'success', count: items.length, data: items });
   } catch (error) {
@@ -75,33 +95,43 @@ router.get('/items', async (req, res) => {
 });
 
 // Process and group news into topics
+// mode: 'incremental' (attach new items to existing topics, default) or 'full' (re-cluster the whole window)
 router.post('/process', async (req, res) => {
   try {
     const userId = req.user.userId || 'admin';
-    const { timeframe = '24h' } = req.body;
+    const { timeframe = '24h', mode = TOPIC_PROCESS_MODE } = req.body;
+
+    if (!['incremental', 'full'].includes(mode)) {
+      return res.status(400).json({ status: 'error', message: 'mode must be "incremental" or "full"' });
+    }
     
-    // Fetch news if not already done
     const sinceDate = parseTimeframe(timeframe);
-    const newsItems = await NewsItem.find({ publishedAt: { $gte: sinceDate } });
-    
-    if (newsItems.length === 0) {
+    if (await NewsItem.countDocuments({ workspace: req.workspaceId, publishedAt: { $gte: sinceDate } }) === 0) {
       return res.status(400).json({ status: 'error', message: 'No news items found. Fetch news first.' });
     }
-    
-    // Fetch categories from Category model (global, admin-managed)
-    const categoryDocs = await Category.find({ isActive: true }).sort({ sortOrder: 1 });
-    let categories = categoryDocs.map(c => c.name);
-    if (categories.length === 0) {
-      categories = ['general']; // Fallback if no categories defined
+
+    // Runs as a "topic-process" background job (one at a time per workspace across workers); the request waits for it
+    const queued = await enqueue('topic-process', { workspaceId: req.workspaceId, userId, timeframe, mode }, { maxAttempts: 1 });
+    const job = await waitForJob(queued._id);
+    if (sendUnfinishedJob(res, job)) return;
+    const { topicIds = [], updatedTopicIds = [] } = job.result || {};
+    const [topics, updatedTopics] = await Promise.all([
+      Topic.find({ _id: { $in: topicIds } }),
+      Topic.find({ _id: { $in: updatedTopicIds } })
+    ]);
+
+    if (mode === 'incremental') {
+      return res.json({
+        status: 'success',
+        message: `Created ${topics.length} topics, updated ${updatedTopics.length} topics`,
+        data: { mode, topics, updatedTopics, jobId: job._id }
+      });
     }
-    
-    // Categorize and group
-    const topics = await categorizeAndGroup(newsItems, userId, categories);
-    
+
     res.json({
       status: 'success',
       message: `Created ${topics.length} topics`,
-      data: { topics }
+      data: { mode, topics, jobId: job._id }
     });
   } catch (error) {
     res.status(500).json({ status: 'error', message: error.message });
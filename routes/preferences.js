@@ -2,11 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const { protect, adminOnly } = require('../middleware/auth');
+const { workspaceScope } = require('../middleware/workspace');
 const User = require('../models/User');
 const Category = require('../models/Category');
 const { findUserByIdOrName } = require('../utils/userHelper');
+const { importUserSourcesFromOpml, exportUserSourcesToOpml } = require('../services/opmlService');
 
-router.use(protect);
+// OPML uploads: raw XML body, or JSON { opml: "<opml ...>" }
+const opmlBody = express.text({ type: ['text/xml', 'application/xml', 'text/x-opml', 'application/octet-stream'], limit: '2mb' });
+
+router.use(protect, workspaceScope);
 
 // Get user preferences
 router.get('/', async (req, res) => {
@@ -18,8 +23,8 @@ router.get('/', async (req, res) => {
       return res.status(404).json({ status: 'error', message: 'User not found' });
     }
     
-    // Fetch categories from Category model (global, admin-managed)
-    const categoryDocs = await Category.find({ isActive: true }).sort({ sortOrder: 1 });
+    // Fetch categories from Category model (the active workspace's, admin-managed)
+    const categoryDocs = await Category.find({ workspace: req.workspaceId, isActive: true }).sort({ sortOrder: 1 });
     // Return category objects with both name (for API queries) and displayName (for UI display)
     const categories = categoryDocs.map(c => ({
       name: c.name,
@@ -65,11 +70,58 @@ router.put('/sources', async (req, res) => {
   }
 });
 
-// Get available sources (from admin or FeedSource)
+// Import RSS feeds from an OPML file into the user's sources. Body: raw OPML, or JSON { opml, dryRun }
+router.post('/sources/import', opmlBody, async (req, res) => {
+  try {
+    const opml = typeof req.body === 'string' ? req.body : req.body?.opml;
+    if (!opml) {
+      return res.status(400).json({ status: 'error', message: 'OPML document is required' });
+    }
+    const user = await findUserByIdOrName(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    const dryRun = req.query.dryRun === 'true' || req.body?.dryRun === true;
+    let report;
+    try {
+      report = await importUserSourcesFromOpml(user, opml, { dryRun });
+    } catch (error) {
+      if (/OPML/.test(error.message)) {
+        return res.status(400).json({ status: 'error', message: error.message });
+      }
+      throw error;
+    }
+    const { counts } = report;
+    res.json({
+      status: 'success',
+      message: `${dryRun ? 'Would add' : 'Added'} ${counts.created} sources (${counts.duplicates} duplicates, ${counts.invalid} invalid)`,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Export the user's RSS sources as OPML
+router.get('/sources/export.opml', async (req, res) => {
+  try {
+    const user = await findUserByIdOrName(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    res.set('Content-Type', 'text/x-opml; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="my-sources.opml"');
+    res.send(exportUserSourcesToOpml(user));
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Get available sources (the active workspace's FeedSources)
 router.get('/sources/available', async (req, res) => {
   try {
     const FeedSource = require('../models/FeedSource');
-    const sources = await FeedSource.find({ isActive: true });
+    const sources = await FeedSource.find({ workspace: req.workspaceId, isActive: true });
     
     res.json({
       status: 'success',
@@ -85,8 +137,8 @@ router.get('/sources/available', async (req, res) => {
 // Get available categories (for all users to select from - READ ONLY)
 router.get('/categories/available', async (req, res) => {
   try {
-    // Fetch from Category model (global, admin-managed)
-    const categories = await Category.find({ isActive: true }).sort({ sortOrder: 1 });
+    // Fetch from Category model (the active workspace's, admin-managed)
+    const categories = await Category.find({ workspace: req.workspaceId, isActive: true }).sort({ sortOrder: 1 });
     
     res.json({
       status: 'success',
@@ -0,0 +1,31 @@
+// routes/search.js
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { workspaceScope } = require('../middleware/workspace');
+const { search, parseSearchParams } = require('../services/searchService');
+
+router.use(protect, workspaceScope);
+
+// Hybrid (BM25 + vector) search over the active workspace's news items and topics
+// Query: q (required), source, platform (comma lists), category, timeframe (24h | 7d | 30d), type (all | items | topics), limit
+router.get('/', async (req, res) => {
+  try {
+    const { error, params } = parseSearchParams(req.query);
+    if (error) {
+      return res.status(400).json({ status: 'error', message: error });
+    }
+
+    const result = await search({ ...params, workspaceId: req.workspaceId });
+
+    res.json({
+      status: 'success',
+      message: `Found ${result.items.length} news items and ${result.topics.length} topics`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,20 +1,25 @@
 // routes/social.js
 const express = require('express');
 const router = express.Router();
-const { protect, adminOnly } = require('../middleware/auth');
-const { fetchFeedsForAllHandles, fetchFeedForHandle } = require('../services/socialFeedFetcher');
+const { protect } = require('../middleware/auth');
+const { workspaceScope, workspaceAdmin } = require('../middleware/workspace');
+const { fetchFeedForHandle } = require('../services/socialFeedFetcher');
+const { enqueue, waitForJob, findActiveJob } = require('../services/jobQueue');
+const { normalizeSchedule, validateSchedule } = require('../services/fetchScheduler');
+const { sendUnfinishedJob } = require('../utils/jobResponse');
+const { recordRun } = require('../services/runLog');
 const SocialHandle = require('../models/SocialHandle');
 const SocialPost = require('../models/SocialPost');
 const User = require('../models/User');
 const { findUserByIdOrName } = require('../utils/userHelper');
 
-router.use(protect);
+router.use(protect, workspaceScope);
 
-// Get all active social handles (respects user's display order preference)
+// Get the active workspace's active social handles (respects user's display order preference)
 router.get('/handles', async (req, res) => {
   try {
     // Get all active handles
-    const allHandles = await SocialHandle.find({ isActive: true })
+    const allHandles = await SocialHandle.find({ workspace: req.workspaceId, isActive: true })
       .sort({ platform: 1, handle: 1 });
     
     // Get user's preferred order
@@ -76,7 +81,7 @@ router.get('/feed', async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'handleId is required' });
     }
     
-    const handle = await SocialHandle.findById(handleId);
+    const handle = await SocialHandle.findOne({ _id: handleId, workspace: req.workspaceId });
     if (!handle) {
       return res.status(404).json({ status: 'error', message: 'Handle not found' });
     }
@@ -106,15 +111,17 @@ router.get('/feed', async (req, res) => {
 
 // ==================== ADMIN ROUTES ====================
 
-// Get all social handles (admin)
-router.get('/admin/handles', adminOnly, async (req, res) => {
+// Get all of the workspace's social handles (workspace admin); pausedCount / backoffCount flag handles failing to fetch
+router.get('/admin/handles', workspaceAdmin, async (req, res) => {
   try {
-    const handles = await SocialHandle.find({})
+    const handles = await SocialHandle.find({ workspace: req.workspaceId })
       .sort({ platform: 1, handle: 1 });
     
     res.json({
       status: 'success',
       count: handles.length,
+      pausedCount: handles.filter(h => h.health?.status === 'paused').length,
+      backoffCount: handles.filter(h => h.health?.status === 'backoff').length,
       data: handles
     });
   } catch (error) {
@@ -122,8 +129,8 @@ router.get('/admin/handles', adminOnly, async (req, res) => {
   }
 });
 
-// Create social handle (admin)
-router.post('/admin/handles', adminOnly, async (req, res) => {
+// Create social handle in the active workspace (workspace admin)
+router.post('/admin/handles', workspaceAdmin, async (req, res) => {
   try {
     const { platform, handle, instanceBaseUrl, displayName, remark, isActive } = req.body;
     
@@ -147,13 +154,21 @@ router.post('/admin/handles', adminOnly, async (req, res) => {
         message: 'Platform must be "youtube", "x", "instagram", "threads", or "facebook"'
       });
     }
+
+    const schedule = normalizeSchedule(req.body.schedule);
+    const scheduleError = schedule ? validateSchedule(schedule) : null;
+    if (scheduleError) {
+      return res.status(400).json({ status: 'error', message: `Invalid schedule: ${scheduleError}` });
+    }
     
     const socialHandle = await SocialHandle.create({
+      workspace: req.workspaceId,
       platform,
       handle,
       instanceBaseUrl,
       displayName,
       remark,
+      ...(schedule ? { schedule } : {}),
       isActive: isActive !== undefined ? isActive : true
     });
     
@@ -170,8 +185,8 @@ router.post('/admin/handles', adminOnly, async (req, res) => {
   }
 });
 
-// Update social handle (admin)
-router.put('/admin/handles/:handleId', adminOnly, async (req, res) => {
+// Update social handle (workspace admin)
+router.put('/admin/handles/:handleId', workspaceAdmin, async (req, res) => {
   try {
     const { handleId } = req.params;
     const { platform, handle, instanceBaseUrl, displayName, remark, isActive, avatarUrl } = req.body;
@@ -192,9 +207,28 @@ router.put('/admin/handles/:handleId', adminOnly, async (req, res) => {
     if (remark !== undefined) updateData.remark = remark;
     if (isActive !== undefined) updateData.isActive = isActive;
     if (avatarUrl !== undefined) updateData.avatarUrl = avatarUrl;
+    if (req.body.schedule !== undefined) {
+      // null / empty cron removes the own schedule (back to the workspace's social fetch hours)
+      const schedule = normalizeSchedule(req.body.schedule);
+      if (schedule) {
+        const scheduleError = validateSchedule(schedule);
+        if (scheduleError) {
+          return res.status(400).json({ status: 'error', message: `Invalid schedule: ${scheduleError}` });
+        }
+        updateData.schedule = schedule;
+      } else {
+        updateData.$unset = { schedule: 1 };
+      }
+      updateData.nextFetchAt = null;
+      updateData.scheduleKey = null;
+    }
+    // Re-enabling or pointing at another account gives the handle a fresh start (clears backoff / auto-pause)
+    if (platform || handle || instanceBaseUrl !== undefined || isActive === true) {
+      updateData.$unset = { ...updateData.$unset, health: 1 };
+    }
     
-    const socialHandle = await SocialHandle.findByIdAndUpdate(
-      handleId,
+    const socialHandle = await SocialHandle.findOneAndUpdate(
+      { _id: handleId, workspace: req.workspaceId },
       updateData,
       { new: true }
     );
@@ -213,12 +247,12 @@ router.put('/admin/handles/:handleId', adminOnly, async (req, res) => {
   }
 });
 
-// Delete social handle (admin)
-router.delete('/admin/handles/:handleId', adminOnly, async (req, res) => {
+// Delete social handle (workspace admin)
+router.delete('/admin/handles/:handleId', workspaceAdmin, async (req, res) => {
   try {
     const { handleId } = req.params;
     
-    const socialHandle = await SocialHandle.findByIdAndDelete(handleId);
+    const socialHandle = await SocialHandle.findOneAndDelete({ _id: handleId, workspace: req.workspaceId });
     
     if (!socialHandle) {
       return res.status(404).json({ status: 'error', message: 'Handle not found' });
@@ -236,14 +270,21 @@ router.delete('/admin/handles/:handleId', adminOnly, async (req, res) => {
   }
 });
 
-// Fetch feed for specific handle (admin)
-router.post('/admin/handles/:handleId/fetch', adminOnly, async (req, res) => {
+// Fetch feed for specific handle (workspace admin)
+router.post('/admin/handles/:handleId/fetch', workspaceAdmin, async (req, res) => {
   try {
     const { handleId } = req.params;
     if (!handleId || handleId === 'undefined' || handleId === 'null') {
       return res.status(400).json({ status: 'error', message: 'handleId is required' });
     }
-    const result = await fetchFeedForHandle(handleId);
+    const result = await recordRun({
+      kind: 'social-fetch',
+      trigger: 'admin',
+      workspaceId: req.workspaceId,
+      userId: req.user.userId,
+      params: { handleIds: [handleId] },
+      summarize: ({ postsFetched }) => ({ postsFetched })
+    }, outcomes => fetchFeedForHandle(handleId, { workspaceId: req.workspaceId, outcomes }));
     
     res.json({
       status: 'success',
@@ -255,11 +296,19 @@ router.post('/admin/handles/:handleId/fetch', adminOnly, async (req, res) => {
   }
 });
 
-// Fetch/refresh feeds for all handles (must be after /admin/handles/:handleId/fetch so single-handle is matched first)
+// Fetch/refresh feeds for all of the workspace's handles (must be after /admin/handles/:handleId/fetch so single-handle is matched first)
 router.post('/fetch', async (req, res) => {
   try {
-    const results = await fetchFeedsForAllHandles();
-    
+    // Runs as a "social-fetch" background job; joins one for all handles already queued or running
+    // (scheduled jobs only cover the handles that were due)
+    const queued = (await findActiveJob('social-fetch', {
+      'payload.workspaceId': req.workspaceId,
+      'payload.handleIds': { $exists: false }
+    })) || await enqueue('social-fetch', { workspaceId: req.workspaceId }, { trigger: 'user' });
+    const job = await waitForJob(queued._id);
+    if (sendUnfinishedJob(res, job)) return;
+    const results = job.result;
+
     res.json({
       status: 'success',
       message: `Fetched feeds for ${results.success} handle(s)`,
@@ -1,13 +1,18 @@
 // routes/topics.js
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const { protect } = require('../middleware/auth');
+const { workspaceScope } = require('../middleware/workspace');
 const { rankTopicsByCategory } = require('../services/rankingService');
 const Topic = require('../models/Topic');
+const NewsItem = require('../models/NewsItem');
 const User = require('../models/User');
+const { buildTimelineEntries, summarizeTimeline } = require('../services/topicTimeline');
+const { findRelatedTopics } = require('../services/relatedTopics');
 const { findUserByIdOrName } = require('../utils/userHelper');
 
-router.use(protect);
+router.use(protect, workspaceScope);
 
 // Get topics by category
 router.get('/', async (req, res) => {
@@ -19,7 +24,7 @@ router.get('/', async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Category is required' });
     }
     
-    const topics = await rankTopicsByCategory(category, userId, parseInt(limit));
+    const topics = await rankTopicsByCategory(category, userId, parseInt(limit), req.workspaceId);
     
     res.json({
       status: 'success',
@@ -31,6 +36,88 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Story evolution: who broke the story, when others followed, and when it went quiet
+router.get('/:topicId/timeline', async (req, res) => {
+  try {
+    const { topicId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(topicId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid topicId' });
+    }
+
+    const topic = await Topic.findOne({ _id: topicId, workspace: req.workspaceId }).lean();
+    if (!topic) {
+      return res.status(404).json({ status: 'error', message: 'Topic not found' });
+    }
+
+    // Topics created before timelines were persisted: rebuild from member items
+    let entries = topic.timeline || [];
+    if (entries.length === 0 && (topic.newsItems || []).length > 0) {
+      const items = await NewsItem.find({ _id: { $in: topic.newsItems } })
+        .select('title url source publishedAt')
+        .lean();
+      entries = buildTimelineEntries(items);
+    }
+
+    const summary = summarizeTimeline(entries);
+    res.json({
+      status: 'success',
+      data: {
+        topicId: topic._id,
+        title: topic.title,
+        ...summary
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// "More like this": nearest other topics by centroid embedding
+// Query: lookbackDays (default RELATED_TOPICS_LOOKBACK_DAYS), limit (default 10, max 50), minScore
+router.get('/:topicId/related', async (req, res) => {
+  try {
+    const { topicId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(topicId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid topicId' });
+    }
+
+    const opts = {};
+    if (req.query.lookbackDays !== undefined) {
+      const lookbackDays = parseInt(req.query.lookbackDays, 10);
+      if (Number.isNaN(lookbackDays) || lookbackDays < 1 || lookbackDays > 365) {
+        return res.status(400).json({ status: 'error', message: 'lookbackDays must be between 1 and 365' });
+      }
+      opts.lookbackDays = lookbackDays;
+    }
+    if (req.query.minScore !== undefined) {
+      const minScore = parseFloat(req.query.minScore);
+      if (Number.isNaN(minScore) || minScore < -1 || minScore > 1) {
+        return res.status(400).json({ status: 'error', message: 'minScore must be between -1 and 1' });
+      }
+      opts.minScore = minScore;
+    }
+    opts.limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+    opts.workspaceId = req.workspaceId;
+
+    const result = await findRelatedTopics(topicId, opts);
+    if (!result) {
+      return res.status(404).json({ status: 'error', message: 'Topic not found' });
+    }
+
+    res.json({
+      status: 'success',
+      count: result.related.length,
+      data: {
+        topicId: result.topic._id,
+        title: result.topic.title,
+        related: result.related
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
 // Submit feedback (thumbs up/down)
 router.post('/:topicId/feedback', async (req, res) => {
   try {
@@ -42,6 +129,13 @@ router.post('/:topicId/feedback', async (req, res) => {
       return res.status(400).json({ status: 'error', message: 'Feedback must be "up" or "down"' });
     }
     
+    if (!mongoose.Types.ObjectId.isValid(topicId)) {
+      return res.status(400).json({ status: 'error', message: 'Invalid topicId' });
+    }
+    if (!(await Topic.exists({ _id: topicId, workspace: req.workspaceId }))) {
+      return res.status(404).json({ status: 'error', message: 'Topic not found' });
+    }
+
     const user = await findUserByIdOrName(userId);
     if (!user) {
       return res.status(404).json({ status: 'error', message: 'User not found' });
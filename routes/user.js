@@ -3,7 +3,9 @@ const express = require('express');
 const mongoose = require('mongoose'); 
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const Workspace = require('../models/Workspace');
 const { protect, adminOnly } = require('../middleware/auth');
+const { workspaceScope } = require('../middleware/workspace');
 const { findUserByIdOrName } = require('../utils/userHelper');
 
 const router = express.Router();
@@ -88,8 +90,8 @@ router.get('/:userId', async (req, res) => {
   }
 });
 
-// Create new user (admin only)
-router.post('/', adminOnly, async (req, res) => {
+// Create new user (admin only); the user joins the active workspace as USER
+router.post('/', adminOnly, workspaceScope, async (req, res) => {
   try {
     const { name, password, role = 'USER', email } = req.body;
     
@@ -109,6 +111,10 @@ router.post('/', adminOnly, async (req, res) => {
       role: role.toUpperCase(),
       email
     });
+    await Workspace.updateOne(
+      { _id: req.workspaceId },
+      { $push: { members: { user: newUser._id, role: 'USER' } } }
+    );
 
     // Don't send password
     const userData = newUser.toObject();
@@ -212,6 +218,7 @@ router.delete('/:userId', adminOnly, async (req, res) => {
     }
 
     await User.findByIdAndDelete(targetUser._id);
+    await Workspace.updateMany({}, { $pull: { members: { user: targetUser._id } } });
 
     res.status(200).json({
       status: "success",
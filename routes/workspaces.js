@@ -0,0 +1,179 @@
+// routes/workspaces.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { protect, adminOnly } = require('../middleware/auth');
+const Workspace = require('../models/Workspace');
+const { findUserByIdOrName } = require('../utils/userHelper');
+const { isGlobalAdmin, workspaceRole, listUserWorkspaces } = require('../services/workspaces');
+
+router.use(protect);
+
+// True when none of the given members is an ADMIN (checked before demoting or removing an admin)
+const leavesNoAdmin = (members) => !members.some(m => m.role === 'ADMIN');
+
+// Load :workspaceId and require the caller to be its admin (or a global admin); sets req.workspace
+const workspaceAdminByParam = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.workspaceId)) {
+      return res.status(404).json({ status: 'error', message: 'Workspace not found' });
+    }
+    const workspace = await Workspace.findById(req.params.workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ status: 'error', message: 'Workspace not found' });
+    }
+    const user = await findUserByIdOrName(req.user.userId);
+    if (workspaceRole(workspace, user, isGlobalAdmin(req.user)) !== 'ADMIN') {
+      return res.status(403).json({ status: 'error', message: 'Access denied: Workspace admin privileges required' });
+    }
+    req.workspace = workspace;
+    next();
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+};
+
+// Workspaces the current user can open, with their role in each (the first one is the default)
+router.get('/', async (req, res) => {
+  try {
+    const user = await findUserByIdOrName(req.user.userId);
+    const globalAdmin = isGlobalAdmin(req.user);
+    const workspaces = await listUserWorkspaces(user, globalAdmin);
+    res.json({
+      status: 'success',
+      count: workspaces.length,
+      data: workspaces.map(w => ({
+        _id: w._id,
+        name: w.name,
+        description: w.description,
+        isActive: w.isActive,
+        memberCount: w.members.length,
+        role: workspaceRole(w, user, globalAdmin)
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Create workspace (global admin). Body: { name, description }; the creator joins it as ADMIN
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ status: 'error', message: 'Workspace name is required' });
+    }
+    const creator = await findUserByIdOrName(req.user.userId);
+    const workspace = await Workspace.create({
+      name,
+      description,
+      members: creator ? [{ user: creator._id, role: 'ADMIN' }] : []
+    });
+    res.json({ status: 'success', message: 'Workspace created', data: workspace });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ status: 'error', message: 'Workspace already exists' });
+    }
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Update workspace (workspace admin). Body: { name, description, isActive }; only global admins can (de)activate
+router.put('/:workspaceId', workspaceAdminByParam, async (req, res) => {
+  try {
+    const { name, description, isActive } = req.body;
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ status: 'error', message: 'Workspace name is required' });
+    }
+    if (isActive !== undefined && !isGlobalAdmin(req.user)) {
+      return res.status(403).json({ status: 'error', message: 'Access denied: Admin privileges required' });
+    }
+    if (name !== undefined) req.workspace.name = name;
+    if (description !== undefined) req.workspace.description = description;
+    if (isActive !== undefined) req.workspace.isActive = !!isActive;
+    await req.workspace.save();
+    res.json({ status: 'success', message: 'Workspace updated', data: req.workspace });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ status: 'error', message: 'Workspace already exists' });
+    }
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Members of a workspace with their workspace role (workspace admin)
+router.get('/:workspaceId/members', workspaceAdminByParam, async (req, res) => {
+  try {
+    await req.workspace.populate('members.user', 'name email role');
+    const members = req.workspace.members
+      .filter(m => m.user)
+      .map(m => ({
+        userId: m.user._id,
+        name: m.user.name,
+        email: m.user.email,
+        globalRole: m.user.role,
+        role: m.role
+      }));
+    res.json({ status: 'success', count: members.length, data: members });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Add a user to the workspace or change their role (workspace admin). :userId is a user id or name; body: { role }
+router.put('/:workspaceId/members/:userId', workspaceAdminByParam, async (req, res) => {
+  try {
+    const role = req.body.role || 'USER';
+    const roles = Workspace.schema.path('members').schema.path('role').enumValues;
+    if (!roles.includes(role)) {
+      return res.status(400).json({ status: 'error', message: `role must be one of: ${roles.join(', ')}` });
+    }
+    const user = await findUserByIdOrName(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    const member = req.workspace.members.find(m => String(m.user) === String(user._id));
+    if (member && member.role === 'ADMIN' && role !== 'ADMIN'
+      && leavesNoAdmin(req.workspace.members.filter(m => m !== member))) {
+      return res.status(409).json({ status: 'error', message: 'Cannot demote the last workspace admin' });
+    }
+    if (member) {
+      member.role = role;
+    } else {
+      req.workspace.members.push({ user: user._id, role });
+    }
+    await req.workspace.save();
+    res.json({
+      status: 'success',
+      message: member ? 'Member role updated' : 'Member added',
+      data: { userId: user._id, name: user.name, role }
+    });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+// Remove a user from the workspace (workspace admin)
+router.delete('/:workspaceId/members/:userId', workspaceAdminByParam, async (req, res) => {
+  try {
+    const user = await findUserByIdOrName(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ status: 'error', message: 'User not found' });
+    }
+    const remaining = req.workspace.members.filter(m => String(m.user) !== String(user._id));
+    if (remaining.length === req.workspace.members.length) {
+      return res.status(404).json({ status: 'error', message: 'User is not a member of this workspace' });
+    }
+    const removed = req.workspace.members.find(m => String(m.user) === String(user._id));
+    if (removed.role === 'ADMIN' && leavesNoAdmin(remaining)) {
+      return res.status(409).json({ status: 'error', message: 'Cannot remove the last workspace admin' });
+    }
+    req.workspace.members = remaining;
+    await req.workspace.save();
+    res.json({ status: 'success', message: 'Member removed' });
+  } catch (error) {
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,17 +3,32 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const { protect } = require('../middleware/auth');
+const { workspaceScope } = require('../middleware/workspace');
 const { findUserByIdOrName } = require('../utils/userHelper');
 const WriterJob = require('../models/WriterJob');
 const Article = require('../models/Article');
 const Topic = require('../models/Topic');
 const SocialPost = require('../models/SocialPost');
 const SavedUrlArticle = require('../models/SavedUrlArticle');
-const { runArticleGraph } = require('../services/agenticWriter');
+const { enqueue } = require('../services/jobQueue');
 
-router.use(protect);
+router.use(protect, workspaceScope);
 
-// POST /api/writer/generate – create job and kick off graph (async). Accept topicId, socialPostId, or urlArticleId.
+// Generation runs as a durable "article-generate" background job (see services/jobHandlers.js)
+async function startArticleJob(writerJob, userId) {
+  try {
+    await enqueue('article-generate', { workspaceId: writerJob.workspace, writerJobId: String(writerJob._id) }, {
+      dedupeKey: `article-generate:${writerJob._id}`,
+      maxAttempts: 2,
+      createdBy: userId
+    });
+  } catch (error) {
+    await writerJob.updateOne({ status: 'failed', error: `Could not queue job: ${error.message}` }).exec();
+    throw error;
+  }
+}
+
+// POST /api/writer/generate – create job and queue the graph run (async). Accept topicId, socialPostId, or urlArticleId.
 router.post('/generate', async (req, res) => {
   try {
     const userIdRaw = req.user.userId || req.user.id;
@@ -38,6 +53,7 @@ router.post('/generate', async (req, res) => {
       const title = customTitle.trim();
       const summary = typeof customSummary === 'string' && customSummary.trim() !== '' ? customSummary.trim() : title;
       const job = await WriterJob.create({
+        workspace: req.workspaceId,
         userId,
         topicId: null,
         socialPostId: null,
@@ -55,9 +71,7 @@ router.post('/generate', async (req, res) => {
           maxResearchArticles: options.maxResearchArticles ?? 8
         }
       });
-      runArticleGraph(job._id).catch((err) => {
-        console.error('[writer] runArticleGraph error:', err.message);
-      });
+      await startArticleJob(job, userId);
       return res.status(201).json({ status: 'success', jobId: job._id });
     }
 
@@ -65,7 +79,7 @@ router.post('/generate', async (req, res) => {
       if (!mongoose.Types.ObjectId.isValid(topicId)) {
         return res.status(400).json({ status: 'error', message: 'Invalid topicId' });
       }
-      const topic = await Topic.findById(topicId).populate('newsItems').exec();
+      const topic = await Topic.findOne({ _id: topicId, workspace: req.workspaceId }).populate('newsItems').exec();
       if (!topic) {
         return res.status(400).json({ status: 'error', message: 'Topic not found' });
       }
@@ -77,7 +91,7 @@ router.post('/generate', async (req, res) => {
       if (!mongoose.Types.ObjectId.isValid(socialPostId)) {
         return res.status(400).json({ status: 'error', message: 'Invalid socialPostId' });
       }
-      const post = await SocialPost.findById(socialPostId).exec();
+      const post = await SocialPost.findOne({ _id: socialPostId, workspace: req.workspaceId }).exec();
       if (!post) {
         return res.status(400).json({ status: 'error', message: 'Social post not found' });
       }
@@ -95,6 +109,7 @@ router.post('/generate', async (req, res) => {
     }
 
     const job = await WriterJob.create({
+      workspace: req.workspaceId,
       userId,
       topicId: topicId || null,
       socialPostId: socialPostId || null,
@@ -111,9 +126,7 @@ router.post('/generate', async (req, res) => {
       }
     });
 
-    runArticleGraph(job._id).catch((err) => {
-      console.error('[writer] runArticleGraph error:', err.message);
-    });
+    await startArticleJob(job, userId);
 
     res.status(201).json({ status: 'success', jobId: job._id });
   } catch (error) {
@@ -136,7 +149,7 @@ router.get('/jobs/:id', async (req, res) => {
       return res.status(404).json({ status: 'error', message: 'Job not found' });
     }
 
-    const job = await WriterJob.findById(jobId).exec();
+    const job = await WriterJob.findOne({ _id: jobId, workspace: req.workspaceId }).exec();
     if (!job) {
       return res.status(404).json({ status: 'error', message: 'Job not found' });
     }
@@ -171,7 +184,7 @@ router.get('/articles/:id', async (req, res) => {
       return res.status(404).json({ status: 'error', message: 'Article not found' });
     }
 
-    const article = await Article.findById(articleId).exec();
+    const article = await Article.findOne({ _id: articleId, workspace: req.workspaceId }).exec();
     if (!article) {
       return res.status(404).json({ status: 'error', message: 'Article not found' });
     }
@@ -214,7 +227,7 @@ router.patch('/articles/:id', async (req, res) => {
       return res.status(404).json({ status: 'error', message: 'Article not found' });
     }
 
-    const article = await Article.findById(articleId).exec();
+    const article = await Article.findOne({ _id: articleId, workspace: req.workspaceId }).exec();
     if (!article) {
       return res.status(404).json({ status: 'error', message: 'Article not found' });
     }
@@ -256,7 +269,7 @@ router.delete('/articles/:id', async (req, res) => {
       return res.status(404).json({ status: 'error', message: 'Article not found' });
     }
 
-    const article = await Article.findById(articleId).exec();
+    const article = await Article.findOne({ _id: articleId, workspace: req.workspaceId }).exec();
     if (!article) {
       return res.status(404).json({ status: 'error', message: 'Article not found' });
     }
@@ -272,7 +285,7 @@ router.delete('/articles/:id', async (req, res) => {
   }
 });
 
-// GET /api/writer/articles – list user's articles
+// GET /api/writer/articles – list user's articles in the active workspace
 router.get('/articles', async (req, res) => {
   try {
     const userIdRaw = req.user.userId || req.user.id;
@@ -282,7 +295,7 @@ router.get('/articles', async (req, res) => {
     }
     const userId = user._id;
 
-    const articles = await Article.find({ createdBy: userId, archived: { $ne: true } })
+    const articles = await Article.find({ workspace: req.workspaceId, createdBy: userId, archived: { $ne: true } })
       .sort({ createdAt: -1 })
       .limit(50)
       .select('title status createdAt _id hasFinalVersion')
@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// scripts/build-vector-index.js
+// Rebuilds the local HNSW vector index (used when Atlas Vector Search is unavailable) from NewsItem embeddings
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+async function buildVectorIndex() {
+  const modelName = (process.env.EMBEDDING_MODEL || 'MULTILINGUAL_E5_LARGE').toUpperCase();
+  console.log('🗂️  Rebuild local vector index\n');
+  console.log(`   EMBEDDING_MODEL: ${modelName}\n`);
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('❌ MONGODB_URI environment variable not set');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const { rebuildIndex, META_PATH, VECTORS_PATH } = require('../services/vectorIndex');
+    const started = Date.now();
+    const { size } = await rebuildIndex();
+    console.log(`✅ Indexed ${size} news items in ${Date.now() - started}ms`);
+    console.log(`   Saved to ${META_PATH}`);
+    console.log(`   and ${VECTORS_PATH}`);
+
+    await mongoose.disconnect();
+    console.log('\n✅ Done.');
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    await mongoose.disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  buildVectorIndex();
+}
+
+module.exports = { buildVectorIndex };
@@ -5,10 +5,12 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const NewsItem = require('../models/NewsItem');
-const { cosineSimilarity, EMBEDDING_DIMENSIONS } = require('../services/embedding');
+const { EMBEDDING_DIMENSIONS } = require('../services/embedding');
 const {
   postProcessClusters,
-  CLUSTERING_METHODS
+  buildInMemorySimilarity,
+  CLUSTERING_METHODS,
+  GRAPH_FLOOR
 } = require('../services/topicGrouper');
 const { parseTimeframe } = require('../services/newsFetcher');
 
@@ -26,43 +28,6 @@ function parseArgs() {
   return { timeframe, limit };
 }
 
-/**
- * Build in-memory top-k similar items per item (from the same batch).
- * Returns a function getSimilarItems(item, limit) that resolves to [{ _id, score, embedding, ... }, ...].
- */
-function buildInMemorySimilarity(itemsWithEmbeddings, threshold, candidateLimit) {
-  const dims = EMBEDDING_DIMENSIONS;
-  const topKPerId = new Map();
-
-  for (let i = 0; i < itemsWithEmbeddings.length; i++) {
-    const item = itemsWithEmbeddings[i];
-    if (!item.embedding || item.embedding.length !== dims) {
-      topKPerId.set(item._id.toString(), []);
-      continue;
-    }
-    const scored = [];
-    for (let j = 0; j < itemsWithEmbeddings.length; j++) {
-      if (i === j) continue;
-      const other = itemsWithEmbeddings[j];
-      if (!other.embedding || other.embedding.length !== dims) continue;
-      const score = cosineSimilarity(item.embedding, other.embedding);
-      if (score >= threshold) {
-        scored.push({ ...other, score });
-      }
-    }
-    scored.sort((a, b) => b.score - a.score);
-    topKPerId.set(item._id.toString(), scored.slice(0, candidateLimit));
-    if ((i + 1) % 100 === 0) {
-      console.log(`   Precomputed similarity for ${i + 1}/${itemsWithEmbeddings.length} items`);
-    }
-  }
-
-  return function getSimilarItems(item, limit) {
-    const list = topKPerId.get(item._id.toString()) || [];
-    return Promise.resolve(list.slice(0, limit));
-  };
-}
-
 function sizeDistribution(clusters) {
   const counts = {};
   for (const c of clusters) {
@@ -137,7 +102,8 @@ async function main() {
   const candidateLimit = parseInt(process.env.CLUSTERING_CANDIDATE_LIMIT, 10) || 50;
 
   console.log('Building in-memory similarity (top-k per item)...');
-  const getSimilarItems = buildInMemorySimilarity(itemsWithEmbeddings, threshold, candidateLimit);
+  // Precompute down to the graph floor so hdbscan / agglomerative see weaker links; other methods still get >= threshold
+  const getSimilarItems = buildInMemorySimilarity(itemsWithEmbeddings, threshold, candidateLimit, GRAPH_FLOOR);
 
   const options = {
     threshold,
@@ -8,6 +8,7 @@ dotenv.config({ path: path.join(__dirname, '..', '.env') });
 
 const User = require('../models/User');
 const Category = require('../models/Category');
+const { ensureDefaultWorkspace } = require('../services/workspaces');
 
 const MONGODB_URI = process.env.MONGODB_URI;
 
@@ -64,8 +65,11 @@ async function createAdmin() {
       console.log('✅ Admin user created!\n');
     }
 
+    // Categories belong to a workspace: seed the default one (created on first run)
+    const workspace = await ensureDefaultWorkspace();
+
     // Seed default categories (if not already present)
-    console.log('📂 Seeding default categories...');
+    console.log(`📂 Seeding default categories in workspace "${workspace.name}"...`);
     const defaultCategories = [
       { name: 'general', displayName: 'General', sortOrder: 0 },
       { name: 'technology', displayName: 'Technology', sortOrder: 1 },
@@ -76,8 +80,8 @@ async function createAdmin() {
 
     for (const cat of defaultCategories) {
       await Category.findOneAndUpdate(
-        { name: cat.name },
-        cat,
+        { workspace: workspace._id, name: cat.name },
+        { ...cat, workspace: workspace._id },
         { upsert: true, new: true }
       );
     }
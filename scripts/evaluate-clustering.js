@@ -0,0 +1,297 @@
+#!/usr/bin/env node
+// scripts/evaluate-clustering.js
+// Score every clustering method against a labelled gold set (no MongoDB, no network).
+// Reports ARI, V-measure and purity, per-threshold curves, and (with --grid) recommended env values.
+//
+// Usage:
+//   node scripts/evaluate-clustering.js                       (bundled sample: scripts/fixtures/clustering-gold.json)
+//   node scripts/evaluate-clustering.js --fixture=path/to/gold.json
+//   node scripts/evaluate-clustering.js --fixture=gold.json --grid --limits=10,20,50 --metric=ari
+//   node scripts/evaluate-clustering.js --export=gold.json --timeframe=24h   (needs MONGODB_URI; dumps items for labelling)
+//
+// Fixture format (JSON): { "embeddingModel": "MULTILINGUAL_E5_LARGE", "items": [
+//   { "id": "...", "storyId": "...", "title": "...", "publishedAt": "...", "embedding": [ ... ] }, ... ] }
+// A bare array of items is also accepted. Items without storyId are ignored.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURE = path.join(__dirname, 'fixtures', 'clustering-gold.json');
+
+// Methods that cut by density rather than a similarity threshold: evaluated per candidate limit only
+const THRESHOLDLESS_METHODS = new Set(['hdbscan']);
+
+const METRICS = {
+  ari: 'ari',
+  v_measure: 'vMeasure',
+  purity: 'purity'
+};
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const opts = {
+    fixture: DEFAULT_FIXTURE,
+    exportPath: null,
+    timeframe: '24h',
+    limit: 500,
+    grid: false,
+    method: null,
+    metric: 'ari',
+    thresholds: '0.50:0.90:0.02',
+    limits: null
+  };
+  for (const arg of args) {
+    if (arg.startsWith('--fixture=')) opts.fixture = arg.slice('--fixture='.length);
+    else if (arg.startsWith('--export=')) opts.exportPath = arg.slice('--export='.length);
+    else if (arg.startsWith('--timeframe=')) opts.timeframe = arg.slice('--timeframe='.length);
+    else if (arg.startsWith('--limit=')) opts.limit = parseInt(arg.slice('--limit='.length), 10) || 500;
+    else if (arg === '--grid') opts.grid = true;
+    else if (arg.startsWith('--method=')) opts.method = arg.slice('--method='.length).toLowerCase();
+    else if (arg.startsWith('--metric=')) opts.metric = arg.slice('--metric='.length).toLowerCase();
+    else if (arg.startsWith('--thresholds=')) opts.thresholds = arg.slice('--thresholds='.length);
+    else if (arg.startsWith('--limits=')) opts.limits = arg.slice('--limits='.length);
+  }
+  return opts;
+}
+
+/** "0.5:0.9:0.02" -> [0.5, 0.52, ...]; "0.6,0.68,0.72" -> [0.6, 0.68, 0.72] */
+function parseThresholds(spec) {
+  if (spec.includes(':')) {
+    const [start, end, step] = spec.split(':').map(parseFloat);
+    const values = [];
+    for (let t = start; t <= end + 1e-9; t += step) values.push(Math.round(t * 1000) / 1000);
+    return values;
+  }
+  return spec.split(',').map(parseFloat).filter(v => !Number.isNaN(v));
+}
+
+function loadFixture(fixturePath) {
+  const raw = JSON.parse(fs.readFileSync(path.resolve(fixturePath), 'utf8'));
+  const items = (Array.isArray(raw) ? raw : raw.items || [])
+    .filter(item => item.storyId !== undefined && item.storyId !== null && Array.isArray(item.embedding))
+    .map(item => ({
+      ...item,
+      _id: String(item._id || item.id),
+      publishedAt: item.publishedAt ? new Date(item.publishedAt) : new Date(0)
+    }));
+  return { embeddingModel: Array.isArray(raw) ? null : raw.embeddingModel, items };
+}
+
+/** Run fn with console.log silenced (clustering methods log progress per item). */
+async function quietly(fn) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+  }
+}
+
+/**
+ * Precompute all pairwise similarities once; return a factory for getSimilarItems at any threshold/limit.
+ * Equivalent to buildInMemorySimilarity(items, threshold, limit) without recomputing per setting.
+ */
+function buildSimilarityIndex(items, cosineSimilarity) {
+  const sortedPerId = new Map();
+  for (let i = 0; i < items.length; i++) {
+    const scored = [];
+    for (let j = 0; j < items.length; j++) {
+      if (i === j) continue;
+      scored.push({ ...items[j], score: cosineSimilarity(items[i].embedding, items[j].embedding) });
+    }
+    scored.sort((a, b) => b.score - a.score);
+    sortedPerId.set(items[i]._id, scored);
+  }
+  return function forSetting(threshold, candidateLimit) {
+    return function getSimilarItems(item, limit, minScore = threshold) {
+      const list = (sortedPerId.get(item._id.toString()) || [])
+        .filter(s => s.score >= minScore)
+        .slice(0, candidateLimit);
+      return Promise.resolve(list.slice(0, limit));
+    };
+  };
+}
+
+async function runMethod(fn, items, options, postProcessClusters) {
+  const rawClusters = await quietly(() => fn(items, options));
+  const clusters = postProcessClusters(rawClusters, items, options);
+  const clusterOf = new Map();
+  clusters.forEach((c, idx) => c.itemIds.forEach(id => clusterOf.set(id.toString(), idx)));
+  // Items dropped by post-processing count as their own singleton cluster
+  return items.map((item, idx) => (clusterOf.has(item._id) ? clusterOf.get(item._id) : `dropped-${idx}`));
+}
+
+const fmt = (v) => v.toFixed(3);
+
+async function exportFixture(opts) {
+  const mongoose = require('mongoose');
+  const NewsItem = require('../models/NewsItem');
+  const { parseTimeframe } = require('../services/newsFetcher');
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI not set');
+    process.exit(1);
+  }
+  await mongoose.connect(process.env.MONGODB_URI);
+  const items = await NewsItem.find({
+    publishedAt: { $gte: parseTimeframe(opts.timeframe) },
+    embedding: { $exists: true, $ne: [] }
+  }).sort({ publishedAt: -1 }).limit(opts.limit).lean();
+  const fixture = {
+    embeddingModel: (process.env.EMBEDDING_MODEL || 'MULTILINGUAL_E5_LARGE').toUpperCase(),
+    items: items.map(item => ({
+      id: item._id.toString(),
+      // Pre-filled with the current topic; review and correct by hand to make a gold set
+      storyId: item.topicId ? item.topicId.toString() : item._id.toString(),
+      title: item.title,
+      source: item.source && item.source.name,
+      publishedAt: item.publishedAt,
+      embedding: item.embedding
+    }))
+  };
+  fs.writeFileSync(path.resolve(opts.exportPath), JSON.stringify(fixture));
+  console.log(`✅ Exported ${fixture.items.length} items to ${opts.exportPath} (storyId pre-filled from topicId; label by hand before evaluating)`);
+  await mongoose.disconnect();
+}
+
+async function main() {
+  const opts = parseArgs();
+  if (opts.exportPath) {
+    return exportFixture(opts);
+  }
+  if (!fs.existsSync(path.resolve(opts.fixture))) {
+    console.error(`❌ Fixture not found: ${opts.fixture}`);
+    console.error('Usage: node scripts/evaluate-clustering.js [--fixture=<gold.json>] [--grid] [--method=<name>] [--metric=ari|v_measure|purity] [--thresholds=0.5:0.9:0.02] [--limits=10,20,50]');
+    process.exit(1);
+  }
+  const metricKey = METRICS[opts.metric];
+  if (!metricKey) {
+    console.error(`❌ Unknown metric "${opts.metric}" (use ari, v_measure or purity)`);
+    process.exit(1);
+  }
+
+  const fixture = loadFixture(opts.fixture);
+  // Embedding dimension is fixed by the fixture, not by the local .env
+  if (fixture.embeddingModel) process.env.EMBEDDING_MODEL = fixture.embeddingModel;
+
+  const { cosineSimilarity, EMBEDDING_DIMENSIONS } = require('../services/embedding');
+  const {
+    postProcessClusters,
+    CLUSTERING_METHODS,
+    GRAPH_FLOOR,
+    HDBSCAN_MIN_CLUSTER_SIZE,
+    HDBSCAN_MIN_SAMPLES
+  } = require('../services/topicGrouper');
+  const { evaluateClustering } = require('../utils/clusteringMetrics');
+
+  const items = fixture.items.filter(item => item.embedding.length === EMBEDDING_DIMENSIONS);
+  if (items.length === 0) {
+    console.error(`❌ No labelled items with ${EMBEDDING_DIMENSIONS}-dim embeddings in ${opts.fixture} (set embeddingModel in the fixture or EMBEDDING_MODEL)`);
+    process.exit(1);
+  }
+  const gold = items.map(item => item.storyId);
+  console.log('Evaluate clustering methods against a gold set (in memory, no DB)\n');
+  console.log(`Fixture: ${opts.fixture} — ${items.length} items, ${new Set(gold.map(String)).size} stories, ${EMBEDDING_DIMENSIONS} dims`);
+
+  const methods = Object.entries(CLUSTERING_METHODS)
+    .filter(([name]) => !opts.method || name === opts.method);
+  if (methods.length === 0) {
+    console.error(`❌ Unknown method "${opts.method}" (available: ${Object.keys(CLUSTERING_METHODS).join(', ')})`);
+    process.exit(1);
+  }
+
+  const defaultThreshold = parseFloat(process.env.CLUSTERING_THRESHOLD) || 0.68;
+  const defaultLimit = parseInt(process.env.CLUSTERING_CANDIDATE_LIMIT, 10) || 50;
+  const minClusterSize = parseInt(process.env.MIN_CLUSTER_SIZE, 10) || 1;
+  const maxClusterSize = parseInt(process.env.MAX_CLUSTER_SIZE, 10) || 20;
+  const thresholds = parseThresholds(opts.thresholds);
+  const limits = opts.grid
+    ? (opts.limits || '10,20,50').split(',').map(v => parseInt(v, 10)).filter(Boolean)
+    : [defaultLimit];
+
+  // Only the parameters a method actually reads, e.g. "threshold=0.68, candidateLimit=50"
+  const describeSetting = (name, threshold, candidateLimit) => (THRESHOLDLESS_METHODS.has(name)
+    ? `candidateLimit=${candidateLimit}, graphFloor=${GRAPH_FLOOR}, minClusterSize=${HDBSCAN_MIN_CLUSTER_SIZE}, minSamples=${HDBSCAN_MIN_SAMPLES}`
+    : `threshold=${threshold}, candidateLimit=${candidateLimit}`);
+
+  console.log('Precomputing pairwise similarity...');
+  const forSetting = buildSimilarityIndex(items, cosineSimilarity);
+
+  const evaluate = async (fn, threshold, candidateLimit) => {
+    const options = {
+      threshold,
+      candidateLimit,
+      minClusterSize,
+      maxClusterSize,
+      getSimilarItems: forSetting(threshold, candidateLimit)
+    };
+    const pred = await runMethod(fn, items, options, postProcessClusters);
+    return evaluateClustering(gold, pred);
+  };
+
+  // 1. Current settings
+  console.log('\n=== Current settings ===');
+  console.log('  method                  ARI     V       hom     comp    purity  clusters  settings');
+  for (const [name, fn] of methods) {
+    const m = await evaluate(fn, defaultThreshold, defaultLimit);
+    console.log(`  ${name.padEnd(22)}  ${fmt(m.ari)}  ${fmt(m.vMeasure)}  ${fmt(m.homogeneity)}  ${fmt(m.completeness)}  ${fmt(m.purity)}  ${String(m.clusters).padEnd(8)}  ${describeSetting(name, defaultThreshold, defaultLimit)}`);
+  }
+
+  // 2. Per-threshold curves (and grid over candidate limits)
+  const results = [];
+  for (const [name, fn] of methods) {
+    if (THRESHOLDLESS_METHODS.has(name)) {
+      console.log(`\n--- ${name} (no threshold; graphFloor=${GRAPH_FLOOR}, minClusterSize=${HDBSCAN_MIN_CLUSTER_SIZE}, minSamples=${HDBSCAN_MIN_SAMPLES}) ---`);
+      console.log('  candidateLimit  ARI     V       purity  clusters');
+      for (const candidateLimit of limits) {
+        const m = await evaluate(fn, defaultThreshold, candidateLimit);
+        results.push({ method: name, threshold: null, candidateLimit, ...m });
+        console.log(`  ${String(candidateLimit).padEnd(14)}  ${fmt(m.ari)}  ${fmt(m.vMeasure)}  ${fmt(m.purity)}  ${m.clusters}`);
+      }
+      continue;
+    }
+    for (const candidateLimit of limits) {
+      console.log(`\n--- ${name} (candidateLimit=${candidateLimit}) ---`);
+      console.log('  threshold  ARI     V       purity  clusters');
+      for (const threshold of thresholds) {
+        const m = await evaluate(fn, threshold, candidateLimit);
+        results.push({ method: name, threshold, candidateLimit, ...m });
+        console.log(`  ${threshold.toFixed(3)}      ${fmt(m.ari)}  ${fmt(m.vMeasure)}  ${fmt(m.purity)}  ${m.clusters}`);
+      }
+    }
+  }
+
+  // 3. Best setting per method and overall
+  console.log(`\n=== Best by ${opts.metric} ===`);
+  const bestPerMethod = new Map();
+  for (const r of results) {
+    const best = bestPerMethod.get(r.method);
+    if (!best || r[metricKey] > best[metricKey]) bestPerMethod.set(r.method, r);
+  }
+  for (const r of bestPerMethod.values()) {
+    console.log(`  ${r.method.padEnd(22)}  ${opts.metric}=${fmt(r[metricKey])} at ${describeSetting(r.method, r.threshold, r.candidateLimit)} (ARI ${fmt(r.ari)}, V ${fmt(r.vMeasure)}, purity ${fmt(r.purity)})`);
+  }
+
+  if (opts.grid) {
+    const overall = [...bestPerMethod.values()].sort((a, b) => b[metricKey] - a[metricKey])[0];
+    const key = overall.method.toUpperCase();
+    console.log('\n=== Recommended .env ===');
+    console.log(`CLUSTERING_METHOD=${overall.method}`);
+    if (overall.threshold !== null) console.log(`CLUSTERING_THRESHOLD=${overall.threshold}`);
+    console.log(`CLUSTERING_CANDIDATE_LIMIT=${overall.candidateLimit}`);
+    console.log('\n# Per-method overrides (best setting for each method):');
+    for (const r of bestPerMethod.values()) {
+      const k = r.method.toUpperCase();
+      if (r.threshold !== null) console.log(`# CLUSTERING_${k}_THRESHOLD=${r.threshold}`);
+      console.log(`# CLUSTERING_${k}_CANDIDATE_LIMIT=${r.candidateLimit}`);
+    }
+    console.log(`\n(${overall.method} wins with ${opts.metric}=${fmt(overall[metricKey])}; CLUSTERING_${key}_* overrides are optional)`);
+  }
+  console.log('');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
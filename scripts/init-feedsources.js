@@ -14,6 +14,7 @@ if (!MONGODB_URI) {
 
 // Import FeedSource model
 const FeedSource = require('../models/FeedSource');
+const { ensureDefaultWorkspace } = require('../services/workspaces');
 
 // Default feed sources data
 const defaultFeedSources = [
@@ -71,9 +72,10 @@ async function initFeedSources() {
     });
     console.log('✅ Connected to MongoDB\n');
 
-    // Step 2: Check for existing feed sources
-    const existingCount = await FeedSource.countDocuments();
-    console.log(`📊 Existing feed sources: ${existingCount}\n`);
+    // Step 2: Check for existing feed sources in the default workspace (created on first run)
+    const workspace = await ensureDefaultWorkspace();
+    const existingCount = await FeedSource.countDocuments({ workspace: workspace._id });
+    console.log(`📊 Existing feed sources in workspace "${workspace.name}": ${existingCount}\n`);
 
     // Check for --force flag to replace existing sources
     const forceFlag = process.argv.includes('--force') || process.argv.includes('-f');
@@ -83,7 +85,7 @@ async function initFeedSources() {
       console.log('   Use --force or -f flag to replace existing sources.\n');
       
       console.log('📋 Current feed sources:');
-      const existing = await FeedSource.find().select('name type url isActive');
+      const existing = await FeedSource.find({ workspace: workspace._id }).select('name type url isActive');
       existing.forEach((source, index) => {
         const status = source.isActive ? '✓' : '✗';
         console.log(`   ${index + 1}. [${status}] ${source.name} (${source.type})`);
@@ -96,7 +98,7 @@ async function initFeedSources() {
     // Step 3: Clear existing sources if --force flag is used
     if (existingCount > 0 && forceFlag) {
       console.log('⚠️  --force flag detected: Clearing existing feed sources...');
-      await FeedSource.deleteMany({});
+      await FeedSource.deleteMany({ workspace: workspace._id });
       console.log('✅ Existing feed sources cleared\n');
     }
 
@@ -105,7 +107,7 @@ async function initFeedSources() {
     
     const insertedSources = [];
     for (const sourceData of defaultFeedSources) {
-      const source = await FeedSource.create(sourceData);
+      const source = await FeedSource.create({ ...sourceData, workspace: workspace._id });
       insertedSources.push(source);
       console.log(`   ✓ ${source.name}`);
       console.log(`     URL: ${source.url}`);
@@ -113,7 +115,7 @@ async function initFeedSources() {
     console.log('');
 
     // Step 5: Verify insertion
-    const totalCount = await FeedSource.countDocuments();
+    const totalCount = await FeedSource.countDocuments({ workspace: workspace._id });
     console.log('═══════════════════════════════════════');
     console.log('✅ FeedSource initialization completed!');
     console.log('═══════════════════════════════════════');
@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+// scripts/mark-near-duplicates.js
+// Backfill MinHash signatures and canonicalItemId for news items saved before near-duplicate detection existed.
+// Usage: node scripts/mark-near-duplicates.js [--timeframe=7d]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  let timeframe = '7d';
+  for (const arg of args) {
+    if (arg.startsWith('--timeframe=')) {
+      timeframe = arg.slice('--timeframe='.length);
+    }
+  }
+  return { timeframe };
+}
+
+async function markNearDuplicatesBackfill() {
+  const { timeframe } = parseArgs();
+  console.log('🔁 Mark near-duplicate news items\n');
+  console.log(`   Timeframe: ${timeframe}\n`);
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('❌ MONGODB_URI environment variable not set');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const NewsItem = require('../models/NewsItem');
+    const { parseTimeframe } = require('../services/newsFetcher');
+    const { markNearDuplicates } = require('../services/duplicateDetector');
+
+    // Oldest first, so the earliest report of a story becomes the original
+    const items = await NewsItem.find({
+      publishedAt: { $gte: parseTimeframe(timeframe) },
+      minhashBands: { $exists: false }
+    })
+      .select('_id title description content publishedAt')
+      .sort({ publishedAt: 1 })
+      .lean();
+    console.log(`   ${items.length} items without a signature`);
+
+    const marked = await markNearDuplicates(items);
+    console.log(`✅ ${marked} of ${items.length} items marked as near-duplicates`);
+
+    await mongoose.disconnect();
+    console.log('\n✅ Done.');
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    await mongoose.disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  markNearDuplicatesBackfill();
+}
+
+module.exports = { markNearDuplicatesBackfill };
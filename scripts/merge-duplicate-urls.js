@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+// scripts/merge-duplicate-urls.js
+// Merge news items (and saved 素材夾 URL articles) whose URLs are tracking / AMP / mobile variants of the same
+// article (see utils/canonicalUrl.js). News items are grouped by urlDedupeKey, which the survivors get as urlKey
+// (keeping their link); saved URL articles are rewritten to canonical form.
+// News items are merged only within a workspace: each workspace keeps its own copy of an article.
+// Topic membership, topic timelines, article sources and near-duplicate links are moved to the surviving item.
+// Usage: node scripts/merge-duplicate-urls.js [--dry-run]
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { canonicalizeUrl, urlDedupeKey } = require('../utils/canonicalUrl');
+
+function parseArgs() {
+  return { dryRun: process.argv.slice(2).includes('--dry-run') };
+}
+
+function groupBy(docs, keyOf) {
+  const groups = new Map();
+  for (const doc of docs) {
+    const key = keyOf(doc);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(doc);
+  }
+  return groups;
+}
+
+// The item to keep: one in a topic, else the first fetched
+function pickSurvivor(items) {
+  return [...items].sort((a, b) =>
+    (!!b.topicId) - (!!a.topicId) ||
+    new Date(a.fetchedAt || 0) - new Date(b.fetchedAt || 0)
+  )[0];
+}
+
+// Replace merged ids in an ObjectId array with the survivor, keeping order and dropping repeats
+function replaceIds(ids, replacements) {
+  const seen = new Set();
+  const result = [];
+  for (const id of ids) {
+    const next = replacements.get(id.toString()) || id;
+    if (seen.has(next.toString())) continue;
+    seen.add(next.toString());
+    result.push(next);
+  }
+  return result;
+}
+
+async function mergeNewsItems(models, dryRun) {
+  const { NewsItem, Topic, Article } = models;
+  const items = await NewsItem.find({}).select('_id workspace url urlKey topicId fetchedAt').lean();
+  const plan = [];
+  for (const group of groupBy(items, item => `${item.workspace}|${urlDedupeKey(item.url)}`).values()) {
+    const urlKey = urlDedupeKey(group[0].url);
+    if (group.length === 1 && group[0].urlKey === urlKey) continue;
+    const survivor = pickSurvivor(group);
+    plan.push({ urlKey, survivor, merged: group.filter(item => item !== survivor) });
+  }
+  const mergedCount = plan.reduce((sum, entry) => sum + entry.merged.length, 0);
+  console.log(`   News items: ${items.length} scanned, ${plan.length} dedupe keys to set, ${mergedCount} duplicates to merge`);
+  plan.filter(({ merged }) => merged.length > 0).slice(0, 10).forEach(({ survivor, merged }) => {
+    console.log(`   • ${survivor.url} ← ${merged.map(item => item.url).join(', ')}`);
+  });
+  if (dryRun || plan.length === 0) return mergedCount;
+
+  const replacements = new Map();
+  plan.forEach(({ survivor, merged }) => merged.forEach(item => replacements.set(item._id.toString(), survivor._id)));
+  const mergedIds = [...replacements.keys()].map(id => new mongoose.Types.ObjectId(id));
+
+  if (mergedIds.length > 0) {
+    const topics = await Topic.find({ $or: [{ newsItems: { $in: mergedIds } }, { 'timeline.newsItem': { $in: mergedIds } }] })
+      .select('newsItems timeline').lean();
+    for (const topic of topics) {
+      const seen = new Set();
+      const timeline = (topic.timeline || [])
+        .map(entry => (entry.newsItem && replacements.has(entry.newsItem.toString())
+          ? { ...entry, newsItem: replacements.get(entry.newsItem.toString()) }
+          : entry))
+        .filter(entry => {
+          const key = entry.newsItem ? entry.newsItem.toString() : entry.url;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+      await Topic.updateOne({ _id: topic._id }, { $set: { newsItems: replaceIds(topic.newsItems || [], replacements), timeline } });
+    }
+
+    const articles = await Article.find({ sourceNewsItemIds: { $in: mergedIds } }).select('sourceNewsItemIds').lean();
+    for (const article of articles) {
+      await Article.updateOne({ _id: article._id }, { $set: { sourceNewsItemIds: replaceIds(article.sourceNewsItemIds, replacements) } });
+    }
+
+    for (const [mergedId, survivorId] of replacements) {
+      await NewsItem.updateMany({ canonicalItemId: new mongoose.Types.ObjectId(mergedId) }, { $set: { canonicalItemId: survivorId } });
+    }
+    console.log(`   Re-pointed ${topics.length} topics and ${articles.length} articles`);
+  }
+
+  for (const { urlKey, survivor, merged } of plan) {
+    // A survivor outside any topic inherits a merged copy's topic (same workspace: groups never span workspaces)
+    const inheritedTopic = !survivor.topicId && merged.find(item => item.topicId);
+    if (merged.length > 0) await NewsItem.deleteMany({ _id: { $in: merged.map(item => item._id) } });
+    await NewsItem.updateOne({ _id: survivor._id }, {
+      $set: { urlKey, ...(inheritedTopic ? { topicId: inheritedTopic.topicId } : {}) }
+    });
+    // An item cannot be a near-duplicate of itself
+    await NewsItem.updateOne({ _id: survivor._id, canonicalItemId: survivor._id }, { $unset: { canonicalItemId: 1 } });
+  }
+  return mergedCount;
+}
+
+async function mergeSavedUrlArticles(models, dryRun) {
+  const { SavedUrlArticle, User } = models;
+  const articles = await SavedUrlArticle.find({}).select('_id userId url archived createdAt').lean();
+  const plan = [];
+  for (const group of groupBy(articles, doc => `${doc.userId}|${canonicalizeUrl(doc.url)}`).values()) {
+    const canonical = canonicalizeUrl(group[0].url);
+    if (group.length === 1 && group[0].url === canonical) continue;
+    // Keep the earliest one still shown in 素材夾
+    const survivor = [...group].sort((a, b) => (a.archived - b.archived) || (new Date(a.createdAt) - new Date(b.createdAt)))[0];
+    plan.push({ canonical, survivor, merged: group.filter(doc => doc !== survivor) });
+  }
+  const mergedCount = plan.reduce((sum, entry) => sum + entry.merged.length, 0);
+  console.log(`   素材夾 URL articles: ${articles.length} scanned, ${plan.length} canonical URLs to fix, ${mergedCount} duplicates to merge`);
+  if (dryRun) return mergedCount;
+
+  for (const { canonical, survivor, merged } of plan) {
+    if (merged.length > 0) {
+      const ids = merged.map(doc => doc._id);
+      await User.updateOne({ _id: survivor.userId }, { $pull: { savedUrlArticles: { $in: ids } } });
+      await SavedUrlArticle.deleteMany({ _id: { $in: ids } });
+    }
+    await SavedUrlArticle.updateOne({ _id: survivor._id }, { $set: { url: canonical } });
+  }
+  return mergedCount;
+}
+
+async function mergeDuplicateUrls() {
+  const { dryRun } = parseArgs();
+  console.log('🔗 Merge duplicate URLs\n');
+  if (dryRun) console.log('   Dry run: nothing will be changed\n');
+
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('❌ MONGODB_URI environment variable not set');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const models = {
+      NewsItem: require('../models/NewsItem'),
+      Topic: require('../models/Topic'),
+      Article: require('../models/Article'),
+      SavedUrlArticle: require('../models/SavedUrlArticle'),
+      User: require('../models/User')
+    };
+    const mergedItems = await mergeNewsItems(models, dryRun);
+    const mergedSaved = await mergeSavedUrlArticles(models, dryRun);
+
+    console.log(`\n✅ ${dryRun ? 'Would merge' : 'Merged'} ${mergedItems} news items and ${mergedSaved} saved URL articles`);
+    if (!dryRun && mergedItems > 0) {
+      console.log('   The local vector index drops the removed items when it next loads (or run npm run build-vector-index).');
+    }
+    await mongoose.disconnect();
+    console.log('\n✅ Done.');
+  } catch (error) {
+    console.error('\n❌ Error:', error.message);
+    await mongoose.disconnect().catch(() => {});
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  mergeDuplicateUrls();
+}
+
+module.exports = { mergeDuplicateUrls };
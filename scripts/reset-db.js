@@ -18,6 +18,8 @@ const NewsItem = require('../models/NewsItem');
 const Topic = require('../models/Topic');
 const FeedSource = require('../models/FeedSource');
 const Category = require('../models/Category');
+const Workspace = require('../models/Workspace');
+const { ensureDefaultWorkspace } = require('../services/workspaces');
 
 async function resetDatabase() {
   try {
@@ -69,7 +71,7 @@ async function resetDatabase() {
     
     // Models are already imported at the top, which registers them with mongoose
     // Now we ensure indexes are created by calling createIndexes on each model
-    const modelNames = ['User', 'NewsItem', 'Topic', 'FeedSource', 'Category'];
+    const modelNames = ['User', 'Workspace', 'NewsItem', 'Topic', 'FeedSource', 'Category'];
     
     for (const modelName of modelNames) {
       try {
@@ -190,6 +192,10 @@ async function resetDatabase() {
         console.log(`   ✓ ${source.name}`);
       }
       console.log('✅ Default feed sources created!\n');
+
+      // Default workspace with the admin as member; the categories and sources above move into it
+      const workspace = await ensureDefaultWorkspace();
+      console.log(`✅ Default workspace "${workspace.name}" created!\n`);
     }
 
     // Success message
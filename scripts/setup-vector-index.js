@@ -19,6 +19,15 @@ function getEmbeddingDimensions() {
 
 const EMBEDDING_DIMENSIONS = getEmbeddingDimensions();
 const INDEX_NAME = 'news_embedding_index';
+// Filter fields are applied inside $vectorSearch (services/topicGrouper.js), before the nearest neighbours are picked.
+// Clustering filters on workspace only (equality on an ObjectId); unclustered items are picked from the results
+const FILTER_FIELDS = ['workspace', 'publishedAt'];
+const INDEX_DEFINITION = {
+  fields: [
+    { type: 'vector', path: 'embedding', numDimensions: EMBEDDING_DIMENSIONS, similarity: 'cosine' },
+    ...FILTER_FIELDS.map(path => ({ type: 'filter', path }))
+  ]
+};
 
 async function setupVectorIndex() {
   const modelName = (process.env.EMBEDDING_MODEL || 'MULTILINGUAL_E5_LARGE').toUpperCase();
@@ -49,6 +58,14 @@ async function setupVectorIndex() {
       if (existingIndex) {
         console.log(`✅ Vector search index "${INDEX_NAME}" already exists`);
         console.log('   Status:', existingIndex.status || 'active');
+        const indexedFilters = (existingIndex.latestDefinition?.fields || [])
+          .filter(field => field.type === 'filter')
+          .map(field => field.path);
+        const missingFilters = FILTER_FIELDS.filter(path => !indexedFilters.includes(path));
+        if (missingFilters.length > 0) {
+          console.log(`   ⚠️ Missing filter field(s): ${missingFilters.join(', ')} (index created by an older version)`);
+          console.log('   Recreate it so clustering can filter by workspace: npm run drop-vector-index && npm run setup-vector-index');
+        }
         console.log(`   Configured dimension (from EMBEDDING_MODEL): ${EMBEDDING_DIMENSIONS}`);
         console.log('   To recreate with a different dimension: npm run drop-vector-index && npm run setup-vector-index');
         await mongoose.disconnect();
@@ -64,25 +81,8 @@ async function setupVectorIndex() {
 
     const indexDefinition = {
       name: INDEX_NAME,
-      definition: {
-        mappings: {
-          dynamic: false,
-          fields: {
-            embedding: {
-              type: 'knnVector',
-              dimensions: EMBEDDING_DIMENSIONS,
-              similarity: 'cosine'
-            },
-            // Include additional fields for filtering
-            topicId: {
-              type: 'objectId'
-            },
-            publishedAt: {
-              type: 'date'
-            }
-          }
-        }
-      }
+      type: 'vectorSearch',
+      definition: INDEX_DEFINITION
     };
 
     try {
@@ -117,29 +117,12 @@ in the MongoDB Atlas UI:
 2. Select your cluster
 3. Click "Search" in the left sidebar
 4. Click "Create Search Index"
-5. Select "JSON Editor"
+5. Select "Atlas Vector Search" → "JSON Editor"
 6. Select your database and the "newsitems" collection
 7. Set index name to: ${INDEX_NAME}
 8. Paste this index definition:
 
-{
-  "mappings": {
-    "dynamic": false,
-    "fields": {
-      "embedding": {
-        "type": "knnVector",
-        "dimensions": ${EMBEDDING_DIMENSIONS},
-        "similarity": "cosine"
-      },
-      "topicId": {
-        "type": "objectId"
-      },
-      "publishedAt": {
-        "type": "date"
-      }
-    }
-  }
-}
+${JSON.stringify(INDEX_DEFINITION, null, 2)}
 
 9. Click "Create Search Index"
 10. Wait for the index status to become "Active"
@@ -25,7 +25,7 @@ app.use('/api', apiLimiter);
 app.use(cors({
   origin: process.env.FRONTEND_URL || '*',
   methods: ["GET", "POST", "PUT", "DELETE"],
-  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Workspace-Id"]
 }));
 
 // Static files
@@ -51,10 +51,24 @@ mongoose
   .connect(MONGODB_URI, mongooseOptions)
   .then(() => {
     console.log('✅ Connected to MongoDB');
-    const { start: startAutoSocialFetch } = require('./services/autoSocialFetchScheduler');
-    const { start: startAutoNewsFetch } = require('./services/autoNewsFetchScheduler');
-    startAutoSocialFetch();
-    startAutoNewsFetch();
+    // Background jobs: every instance registers the handlers (needed to cancel jobs), workers also run them
+    const { startWorker } = require('./services/jobQueue');
+    const { registerJobHandlers, failOrphanedWriterJobs } = require('./services/jobHandlers');
+    registerJobHandlers();
+    failOrphanedWriterJobs().catch((err) => console.error('[Jobs] Writer job recovery failed:', err.message));
+    const { closeInterruptedRuns } = require('./services/runLog');
+    closeInterruptedRuns().catch((err) => console.error('[RunLog] Run recovery failed:', err.message));
+    const { start: startFetchScheduler } = require('./services/fetchScheduler');
+    const { start: startTopicMaintenance } = require('./services/topicMaintenanceScheduler');
+    // Jobs and schedulers work per workspace, so documents from before workspaces are moved into one first
+    const { ensureDefaultWorkspace } = require('./services/workspaces');
+    ensureDefaultWorkspace()
+      .catch((err) => console.error('[Workspaces] Default workspace migration failed:', err.message))
+      .then(() => {
+        startWorker();
+        startFetchScheduler();
+        startTopicMaintenance();
+      });
   })
   .catch((err) => {
     console.error('❌ MongoDB connection failed:', err.message);
@@ -71,6 +85,8 @@ const adminRoutes = require('./routes/admin.js');
 const socialRoutes = require('./routes/social.js');
 const writerRoutes = require('./routes/writer.js');
 const materialsRoutes = require('./routes/materials.js');
+const searchRoutes = require('./routes/search.js');
+const workspacesRoutes = require('./routes/workspaces.js');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -81,6 +97,8 @@ app.use('/api/admin', adminRoutes);
 app.use('/api/social', socialRoutes);
 app.use('/api/writer', writerRoutes);
 app.use('/api/materials', materialsRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/workspaces', workspacesRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -92,4 +110,14 @@ const PORT = process.env.PORT || 4250;
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`✅ LiteNews_AI server started on http://localhost:${PORT}`);
   console.log(`📝 Mock LLM mode: ${process.env.USE_MOCK_LLM === 'true' ? 'ENABLED' : 'AUTO'}`);
-});
\ No newline at end of file
+});
+
+// Graceful shutdown: hand running background jobs back to the queue so another worker (or this one, restarted) resumes them
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+  process.once(signal, async () => {
+    console.log(`🛑 ${signal} received, shutting down`);
+    const { stopWorker } = require('./services/jobQueue');
+    await stopWorker().catch(() => {});
+    process.exit(0);
+  });
+});
@@ -10,12 +10,14 @@ const SavedUrlArticle = require('../../models/SavedUrlArticle'); // Import Saved
 const { compiledGraph } = require('./graph');  // Import precompiled workflow graph (core logic for article generation)
 
 /**
- * Run the article-writing graph for a job (fire-and-forget).
+ * Run the article-writing graph for a job (the "article-generate" background job, see services/jobHandlers.js).
  * Loads job; for topic jobs loads topic + newsItems, for social-post jobs builds synthetic topic + single newsItem from post.
  * Invokes graph, creates Article on success or sets job.error on failure.
  * @param {string|ObjectId} jobId - WriterJob._id
+ * @param {Object} [runOptions] - { signal: AbortSignal; aborting stops the graph and marks the job failed as cancelled }
  */
-async function runArticleGraph(jobId) {
+async function runArticleGraph(jobId, runOptions = {}) {
+  const { signal } = runOptions;
   let job; // Declare variable to store the job data. This will be populated with the job details from the database.
   try {
     job = await WriterJob.findById(jobId).exec(); // Find the job by its ID in the database.
@@ -107,6 +109,7 @@ async function runArticleGraph(jobId) {
         title: item.title,
         description: item.description,
         content: item.content,
+        hasFullText: item.extraction?.status === 'extracted', // content is the extracted article body
         url: item.url
       }));
       topicPlain = {
@@ -161,13 +164,13 @@ async function runArticleGraph(jobId) {
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
         if (attempt > 1) console.log('[agenticWriter] Retry attempt', attempt);
-        result = await compiledGraph.invoke(initialState);
+        result = await compiledGraph.invoke(initialState, { signal });
         break;
       } catch (invokeErr) {
         const isConnectionErr =
           /connection error|fetch failed|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|network/i.test(invokeErr.message) ||
           (typeof (invokeErr.cause?.message || invokeErr.cause) === 'string' && /fetch failed|connection/i.test(invokeErr.cause?.message || invokeErr.cause));
-        if (isConnectionErr && attempt < maxAttempts) {
+        if (isConnectionErr && attempt < maxAttempts && !signal?.aborted) {
           console.warn('[agenticWriter] Connection error, retrying in 3s…', invokeErr.message);
           await new Promise((r) => setTimeout(r, 3000));
           continue;
@@ -180,6 +183,11 @@ async function runArticleGraph(jobId) {
       return;
     }
 
+    if (signal?.aborted) {
+      await job.updateOne({ status: 'failed', error: 'Cancelled' }).exec();
+      return;
+    }
+
     const finalArticle = result.finalArticle;
     if (!finalArticle || !finalArticle.title) {
       await job.updateOne({ status: 'failed', error: 'Graph did not produce finalArticle' }).exec();
@@ -209,6 +217,7 @@ async function runArticleGraph(jobId) {
 
     // Create a new Article in the database
     const article = await Article.create({
+      workspace: job.workspace, // Same workspace as the writer job
       title: finalArticle.title, // Title from graph output
       body: finalArticle.body || '', // Article content (fallback to empty string)
       status: 'draft', // Initial status: draft
@@ -236,6 +245,10 @@ async function runArticleGraph(jobId) {
     if (status != null) console.error('[agenticWriter] Response status:', status);
     if (responseData != null) console.error('[agenticWriter] Response data:', typeof responseData === 'object' ? JSON.stringify(responseData).slice(0, 1000) : responseData);
     if (cause) console.error('[agenticWriter] Cause:', cause);
+    if (signal?.aborted) {
+      await job.updateOne({ status: 'failed', error: 'Cancelled' }).exec();
+      return;
+    }
     const isConnectionError =
       /connection error|fetch failed|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|network/i.test(err.message) ||
       (typeof cause === 'string' && /fetch failed|connection/i.test(cause));
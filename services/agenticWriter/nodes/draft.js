@@ -21,7 +21,7 @@ async function draftNode(state) {
     .slice(0, 10)
     .map(
       (item, i) =>
-        `${i + 1}. ${item.title}\n   ${(item.description || '').slice(0, 300)}`
+        `${i + 1}. ${item.title}\n   ${item.hasFullText ? item.content.slice(0, 1500) : (item.description || '').slice(0, 300)}`
     )
     .join('\n\n');
 
@@ -20,7 +20,7 @@ async function outlineFromResearchNode(state) {
     .slice(0, 10)
     .map(
       (item, idx) =>
-        `${idx + 1}. ${item.title}\n   ${(item.description || '').slice(0, 200)}`
+        `${idx + 1}. ${item.title}\n   ${item.hasFullText ? item.content.slice(0, 800) : (item.description || '').slice(0, 200)}`
     )
     .join('\n\n');
 
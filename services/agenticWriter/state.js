@@ -5,7 +5,7 @@
 /**
  * State passed between nodes:
  * - topic: { title, summary, category, tags } (plain object from Topic)
- * - newsItems: Array<{ title, description, content?, url }> (plain objects from NewsItem)
+ * - newsItems: Array<{ title, description, content?, hasFullText?, url }> (plain objects from NewsItem; hasFullText = content is the extracted article body)
  * - options: WriterJobOptions (tone, length, language, articleType, extraInstructions, etc.)
  * - researchResults: Array<{ title, url, snippet, content }> from web search
  * - outline: { headline, sections: string[] } | null
@@ -0,0 +1,240 @@
+// services/apiFeedFetcher.js
+// "api" FeedSources: JSON endpoints (government press-release portals, data feeds) mapped to NewsItems.
+// apiConfig names a JSONPath to the item array, JSONPaths for each field, headers and optional pagination.
+
+const axios = require('axios');
+const { parsePath, query, queryFirst } = require('../utils/jsonPath');
+const { parseListedDate, MAX_PAGES_LIMIT } = require('./webScraper');
+
+const FIELD_MAP_KEYS = ['title', 'url', 'publishedAt', 'description', 'image'];
+const PAGINATION_TYPES = ['none', 'page', 'cursor'];
+
+/**
+ * Keep known apiConfig fields with defaults filled in.
+ * @param {Object} config
+ * @returns {Object}
+ */
+function normalizeApiConfig(config) {
+  const input = config && typeof config === 'object' ? config : {};
+  const str = (value) => (typeof value === 'string' ? value.trim() : '');
+
+  const fieldMap = {};
+  for (const key of FIELD_MAP_KEYS) {
+    const path = str(input.fieldMap && input.fieldMap[key]);
+    if (path) fieldMap[key] = path;
+  }
+
+  // Headers: object of strings (a JSON string is accepted from form inputs, a Map from FeedSource documents)
+  let headers = input.headers instanceof Map ? Object.fromEntries(input.headers) : input.headers;
+  if (typeof headers === 'string') {
+    try {
+      headers = headers.trim() ? JSON.parse(headers) : {};
+    } catch (_) {
+      headers = { __invalid: headers };
+    }
+  }
+  const normalizedHeaders = {};
+  if (headers && typeof headers === 'object') {
+    for (const [name, value] of Object.entries(headers)) {
+      if (name && value !== undefined && value !== null) normalizedHeaders[name] = String(value);
+    }
+  }
+
+  const pagination = input.pagination || {};
+  const maxPages = parseInt(pagination.maxPages, 10);
+  return {
+    method: str(input.method).toUpperCase() === 'POST' ? 'POST' : 'GET',
+    headers: normalizedHeaders,
+    body: input.body && typeof input.body === 'object' ? input.body : undefined,
+    itemsPath: str(input.itemsPath),
+    fieldMap,
+    dateFormat: str(input.dateFormat) || undefined,
+    pagination: {
+      type: PAGINATION_TYPES.includes(pagination.type) ? pagination.type : 'none',
+      pageParam: str(pagination.pageParam) || 'page',
+      startPage: Number.isInteger(parseInt(pagination.startPage, 10)) ? parseInt(pagination.startPage, 10) : 1,
+      cursorParam: str(pagination.cursorParam) || 'cursor',
+      cursorPath: str(pagination.cursorPath) || undefined,
+      maxPages: maxPages > 0 ? Math.min(maxPages, MAX_PAGES_LIMIT) : 1
+    }
+  };
+}
+
+/**
+ * Check that a normalized apiConfig is usable; returns an error message or null.
+ * @param {Object} config
+ * @returns {string|null}
+ */
+function validateApiConfig(config) {
+  if (!config.itemsPath) return 'itemsPath is required';
+  if (!config.fieldMap.title || !config.fieldMap.url) return 'fieldMap.title and fieldMap.url are required';
+  if (config.headers.__invalid !== undefined) return 'headers must be a JSON object';
+  const paths = [['itemsPath', config.itemsPath], ...Object.entries(config.fieldMap).map(([k, v]) => [`fieldMap.${k}`, v])];
+  if (config.pagination.type === 'cursor') {
+    if (!config.pagination.cursorPath) return 'pagination.cursorPath is required for cursor pagination';
+    paths.push(['pagination.cursorPath', config.pagination.cursorPath]);
+  }
+  for (const [name, path] of paths) {
+    try {
+      parsePath(path);
+    } catch (error) {
+      return `Invalid ${name}: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+function hasApiConfig(source) {
+  return !!(source && source.apiConfig && source.apiConfig.itemsPath);
+}
+
+// Header values may reference environment variables ("Bearer ${GOV_API_TOKEN}") so secrets stay out of the DB
+function expandEnv(value) {
+  return value.replace(/\$\{([A-Z0-9_]+)\}/g, (_, name) => process.env[name] || '');
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return '';
+  return String(value).replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/** Epoch seconds / milliseconds, ISO text, or text in dateFormat. */
+function parseApiDate(value, dateFormat) {
+  if (typeof value === 'number' || (typeof value === 'string' && /^\d{10,13}$/.test(value.trim()))) {
+    const n = Number(value);
+    const date = new Date(n < 1e12 ? n * 1000 : n);
+    return isNaN(date.getTime()) ? null : date;
+  }
+  return typeof value === 'string' ? parseListedDate(value, dateFormat) : null;
+}
+
+function resolveUrl(value, baseUrl) {
+  const href = toText(value);
+  if (!href) return null;
+  try {
+    const resolved = new URL(href, baseUrl);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Map one page of JSON to items.
+ * @returns {{ items: Array, warnings: Array<string> }}
+ */
+function mapApiItems(body, endpoint, config, sourceName, priority) {
+  const warnings = [];
+  const matches = query(body, config.itemsPath);
+  // "data.items" matches the array itself; "data.items[*]" matches its elements
+  const entries = matches.length === 1 && Array.isArray(matches[0]) ? matches[0] : matches;
+  if (entries.length === 0) warnings.push(`itemsPath "${config.itemsPath}" matched nothing`);
+
+  const items = [];
+  entries.forEach((entry, idx) => {
+    const field = (key) => (config.fieldMap[key] ? queryFirst(entry, config.fieldMap[key]) : undefined);
+    const title = toText(field('title'));
+    const url = resolveUrl(field('url'), endpoint);
+    if (!title || !url) {
+      warnings.push(`Item ${idx + 1}: missing ${!title ? 'title' : 'url'}, skipped`);
+      return;
+    }
+    const rawDate = field('publishedAt');
+    const publishedAt = parseApiDate(rawDate, config.dateFormat);
+    if (!publishedAt && rawDate !== undefined) {
+      warnings.push(`Item ${idx + 1}: could not parse date "${String(rawDate).substring(0, 40)}"`);
+    }
+    items.push({
+      title: title.substring(0, 500),
+      description: toText(field('description')).substring(0, 2000),
+      content: '',
+      url,
+      source: {
+        type: 'api',
+        name: sourceName,
+        url: endpoint,
+        priority
+      },
+      publishedAt: publishedAt || new Date(),
+      metadata: {
+        imageUrl: resolveUrl(field('image'), endpoint) || ''
+      }
+    });
+  });
+  return { items, warnings };
+}
+
+/**
+ * Fetch an API source (all configured pages) and return its items.
+ * Throws if the first request fails; later page failures end pagination with a warning.
+ * @param {string} endpoint - JSON endpoint URL
+ * @param {Object} apiConfig - See normalizeApiConfig
+ * @param {Object} [options] - { sourceName, priority }
+ * @returns {Promise<{ items: Array, pagesFetched: number, warnings: Array<string> }>}
+ */
+async function fetchApiFeed(endpoint, apiConfig, options = {}) {
+  const config = normalizeApiConfig(apiConfig);
+  const error = validateApiConfig(config);
+  if (error) throw new Error(error);
+
+  const sourceName = options.sourceName || endpoint;
+  const priority = options.priority || 5;
+  const headers = { Accept: 'application/json' };
+  for (const [name, value] of Object.entries(config.headers)) headers[name] = expandEnv(value);
+
+  const { pagination } = config;
+  const items = [];
+  const warnings = [];
+  const seenUrls = new Set();
+  let pagesFetched = 0;
+  let cursor;
+
+  while (pagesFetched < pagination.maxPages) {
+    const pageParams = {};
+    if (pagination.type === 'page') pageParams[pagination.pageParam] = pagination.startPage + pagesFetched;
+    if (pagination.type === 'cursor' && cursor !== undefined) pageParams[pagination.cursorParam] = cursor;
+
+    let body;
+    try {
+      const response = await axios.request({
+        url: endpoint,
+        method: config.method,
+        headers,
+        timeout: 15000,
+        // GET: page params in the query string; POST: merged into the JSON body
+        params: config.method === 'GET' ? pageParams : undefined,
+        data: config.method === 'POST' ? { ...(config.body || {}), ...pageParams } : undefined
+      });
+      body = typeof response.data === 'string' ? JSON.parse(response.data) : response.data;
+    } catch (fetchError) {
+      if (pagesFetched === 0) throw fetchError;
+      warnings.push(`Stopped at page ${pagesFetched + 1}: ${fetchError.message}`);
+      break;
+    }
+    pagesFetched++;
+
+    const page = mapApiItems(body, endpoint, config, sourceName, priority);
+    warnings.push(...page.warnings);
+    const fresh = page.items.filter(item => !seenUrls.has(item.url));
+    fresh.forEach(item => seenUrls.add(item.url));
+    items.push(...fresh);
+
+    if (pagination.type === 'none' || fresh.length === 0) break;
+    if (pagination.type === 'cursor') {
+      const next = queryFirst(body, pagination.cursorPath);
+      if (next === undefined || next === null || next === '' || next === cursor) break;
+      cursor = next;
+    }
+  }
+
+  return { items, pagesFetched, warnings };
+}
+
+module.exports = {
+  fetchApiFeed,
+  mapApiItems,
+  normalizeApiConfig,
+  validateApiConfig,
+  hasApiConfig
+};
@@ -0,0 +1,122 @@
+// services/duplicateDetector.js
+// Near-duplicate / syndicated article detection (wire copy republished by many outlets).
+// MinHash signatures are stored on each NewsItem; LSH band keys make the candidate lookup an indexed query.
+
+const NewsItem = require('../models/NewsItem');
+const { shingle, computeSignature, bandKeys, estimateSimilarity } = require('../utils/minhash');
+
+// Estimated Jaccard similarity of title + lead at which an item counts as a copy
+const NEAR_DUPLICATE_THRESHOLD = parseFloat(process.env.NEAR_DUPLICATE_THRESHOLD) || 0.7;
+// Only earlier items published within this many days can be the original
+const NEAR_DUPLICATE_LOOKBACK_DAYS = parseInt(process.env.NEAR_DUPLICATE_LOOKBACK_DAYS, 10) || 7;
+// Texts with fewer shingles (title-only items, short posts) are too short to call duplicates
+const MIN_SHINGLES = 12;
+
+// Title + lead paragraph; full content is left out because outlets differ in how much of it their feeds carry
+function getDuplicateText(item) {
+  return [item.title, item.description || item.content].filter(Boolean).join(' ');
+}
+
+/**
+ * Compute MinHash signatures for freshly saved items and point copies at the original via canonicalItemId.
+ * Items are processed in order, so a copy of another item in the same batch is caught too.
+ * Only items of the same workspace are compared.
+ * @param {Array} items - Saved NewsItem documents (or lean objects with _id)
+ * @returns {Promise<number>} - Number of items marked as duplicates
+ */
+async function markNearDuplicates(items) {
+  let marked = 0;
+  for (const item of items) {
+    try {
+      const shingles = shingle(getDuplicateText(item));
+      if (shingles.size < MIN_SHINGLES) continue;
+      const signature = computeSignature(shingles);
+      const bands = bandKeys(signature);
+
+      const publishedAt = item.publishedAt ? new Date(item.publishedAt) : new Date();
+      const sinceDate = new Date(publishedAt.getTime() - NEAR_DUPLICATE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+      const candidates = await NewsItem.find({
+        _id: { $ne: item._id },
+        workspace: item.workspace || null,
+        minhashBands: { $in: bands },
+        publishedAt: { $gte: sinceDate }
+      }).select('_id canonicalItemId minhash').lean();
+
+      let best = null;
+      let bestScore = NEAR_DUPLICATE_THRESHOLD;
+      for (const candidate of candidates) {
+        const score = estimateSimilarity(signature, candidate.minhash);
+        if (score >= bestScore) {
+          best = candidate;
+          bestScore = score;
+        }
+      }
+
+      const update = { minhash: signature, minhashBands: bands };
+      if (best) {
+        // Copies of a copy point at the original so each story has one canonical item
+        update.canonicalItemId = best.canonicalItemId || best._id;
+        marked++;
+      }
+      await NewsItem.updateOne({ _id: item._id }, { $set: update });
+      if (update.canonicalItemId) item.canonicalItemId = update.canonicalItemId;
+    } catch (error) {
+      console.error(`   ⚠️ Near-duplicate check failed for "${(item.title || '').substring(0, 50)}...": ${error.message}`);
+    }
+  }
+  if (marked > 0) {
+    console.log(`   🔁 Marked ${marked} near-duplicate items (syndicated copies)`);
+  }
+  return marked;
+}
+
+/** Identity of the story an item reports: its original if it is a copy, else itself. */
+function getCanonicalKey(item) {
+  if (item && item.canonicalItemId) return item.canonicalItemId.toString();
+  return (item && item._id ? item._id : item).toString();
+}
+
+/**
+ * Number of distinct reports among items (copies of the same wire story count once).
+ * Accepts populated items or bare ids (ids count individually).
+ * @param {Array} items
+ * @returns {number}
+ */
+function countDistinctReports(items) {
+  return new Set((items || []).map(getCanonicalKey)).size;
+}
+
+/**
+ * Collapse copies into one entry per story, keeping input order. The original is kept when present,
+ * else the first copy; it gets duplicateCount and duplicateSources for the copies folded into it.
+ * @param {Array} items - Plain news item objects
+ * @returns {Array}
+ */
+function collapseDuplicates(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = getCanonicalKey(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  const collapsed = [];
+  for (const [key, members] of groups) {
+    const representative = members.find(m => m._id.toString() === key) || members[0];
+    const copies = members.filter(m => m !== representative);
+    collapsed.push({
+      ...representative,
+      duplicateCount: copies.length,
+      duplicateSources: [...new Set(copies.map(c => c.source && c.source.name).filter(Boolean))]
+    });
+  }
+  return collapsed;
+}
+
+module.exports = {
+  markNearDuplicates,
+  countDistinctReports,
+  collapseDuplicates,
+  getCanonicalKey,
+  NEAR_DUPLICATE_THRESHOLD,
+  NEAR_DUPLICATE_LOOKBACK_DAYS
+};
@@ -463,6 +463,25 @@ async function generateEmbedding(text) {
   return Array.from(embedding);
 }
 
+/**
+ * Generate embedding for a search query (FastEmbed's queryEmbed applies the model's query prefix,
+ * e.g. "query: " for E5, so queries land in the same space as embedded news passages)
+ * @param {string} query - Search text
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+async function generateQueryEmbedding(query) {
+  if (!query || typeof query !== 'string') {
+    throw new Error('Query must be a non-empty string');
+  }
+
+  const model = await initializeModel();
+  const embedding = await model.queryEmbed(normalizeTextForEmbedding(query).slice(0, 2000));
+  if (!embedding) {
+    throw new Error('Failed to generate query embedding');
+  }
+  return Array.from(embedding);
+}
+
 /**
  * Generate embeddings for multiple texts (batched)
  * @param {string[]} texts - Array of texts to embed
@@ -676,6 +695,7 @@ function getDiagnostics() {
 module.exports = {
   generateEmbedding,
   generateEmbeddings,
+  generateQueryEmbedding,
   generateNewsEmbedding,
   getNewsEmbeddingText,
   cosineSimilarity,
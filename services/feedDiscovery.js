@@ -0,0 +1,207 @@
+// services/feedDiscovery.js
+// Find feeds for a site: <link rel="alternate"> tags on the page, common feed paths (/feed, /rss.xml, ...)
+// and sitemaps (robots.txt "Sitemap:" lines and common sitemap paths). Each candidate is fetched and
+// parsed so the admin sees whether it works and what its latest entries are.
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const Parser = require('rss-parser');
+const { normalizeUrl } = require('../utils/extractUrlMeta');
+const { parseSitemap, detectXmlFormat } = require('../utils/sitemap');
+const { runFetchJobs, hostOf } = require('./fetchQueue');
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; LiteNewsBot/1.0)';
+const PROBE_TIMEOUT_MS = 8000;
+const COMMON_FEED_PATHS = ['/feed', '/rss', '/rss.xml', '/feed.xml', '/atom.xml', '/index.xml', '/feeds/posts/default'];
+const COMMON_SITEMAP_PATHS = ['/sitemap.xml', '/sitemap_index.xml', '/news-sitemap.xml', '/sitemap-news.xml'];
+const FEED_LINK_TYPES = /application\/(rss|atom|rdf)\+xml|application\/xml|text\/xml/i;
+// Each probe may download up to 5 MB: only the first few advertised feeds and robots.txt sitemaps are checked
+const MAX_FEED_LINKS = 5;
+const MAX_ROBOTS_SITEMAPS = 5;
+
+const parser = new Parser({ timeout: PROBE_TIMEOUT_MS });
+
+// GET a URL as text; resolves to null on any failure (probes are expected to miss)
+async function fetchText(url) {
+  try {
+    const response = await axios.get(url, {
+      timeout: PROBE_TIMEOUT_MS,
+      maxRedirects: 5,
+      maxContentLength: 5 * 1024 * 1024,
+      responseType: 'text',
+      headers: { 'User-Agent': USER_AGENT }
+    });
+    return {
+      url: response.request?.res?.responseUrl || url,
+      body: typeof response.data === 'string' ? response.data : String(response.data)
+    };
+  } catch (_) {
+    return null;
+  }
+}
+
+function resolve(href, baseUrl) {
+  try {
+    const resolved = new URL(href, baseUrl);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/** Feed URLs advertised by a page (<link rel="alternate" type="application/rss+xml" ...>). */
+function findFeedLinks(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const links = [];
+  $('link[rel~="alternate"], link[rel~="feed"]').each((_, el) => {
+    const type = $(el).attr('type') || '';
+    const href = resolve($(el).attr('href'), pageUrl);
+    if (href && (FEED_LINK_TYPES.test(type) || ($(el).attr('rel') || '').includes('feed'))) {
+      links.push({ url: href, title: ($(el).attr('title') || '').trim() });
+    }
+  });
+  return { links, siteTitle: $('title').first().text().trim() || null };
+}
+
+function sortLatest(entries, dateOf, sampleSize) {
+  return [...entries]
+    .sort((a, b) => (dateOf(b) ? new Date(dateOf(b)).getTime() : 0) - (dateOf(a) ? new Date(dateOf(a)).getTime() : 0))
+    .slice(0, sampleSize);
+}
+
+/**
+ * Parse a fetched document as a feed or sitemap candidate; null if it is neither.
+ * @returns {Promise<Object|null>}
+ */
+async function inspectDocument(fetched, foundBy, hintTitle, sampleSize) {
+  const format = detectXmlFormat(fetched.body);
+  if (!format) return null;
+
+  if (format === 'urlset' || format === 'sitemapindex') {
+    const { type, entries } = parseSitemap(fetched.body);
+    const latest = sortLatest(entries, e => e.publishedAt || e.lastmod, sampleSize);
+    return {
+      url: fetched.url,
+      kind: 'sitemap',
+      format: type,
+      title: hintTitle || null,
+      foundBy,
+      itemCount: entries.length,
+      latestItems: latest.map(e => ({ title: e.title || e.loc, url: e.loc, publishedAt: e.publishedAt || e.lastmod }))
+    };
+  }
+
+  const feed = await parser.parseString(fetched.body);
+  const items = feed.items || [];
+  const latest = sortLatest(items, item => item.isoDate || item.pubDate, sampleSize);
+  return {
+    url: fetched.url,
+    kind: 'feed',
+    format,
+    title: (feed.title || hintTitle || '').trim() || null,
+    foundBy,
+    itemCount: items.length,
+    latestItems: latest.map(item => ({
+      title: item.title || 'Untitled',
+      url: item.link || '',
+      publishedAt: item.isoDate || item.pubDate || null
+    }))
+  };
+}
+
+/** Sitemap URLs listed in robots.txt (the first `limit`, without repeats). */
+function findRobotsSitemaps(robotsTxt, origin, limit = MAX_ROBOTS_SITEMAPS) {
+  const urls = [];
+  const pattern = /^\s*sitemap:\s*(\S+)/gim;
+  let match;
+  while (urls.length < limit && (match = pattern.exec(robotsTxt)) !== null) {
+    const url = resolve(match[1], origin);
+    if (url && !urls.includes(url)) urls.push(url);
+  }
+  return urls;
+}
+
+/**
+ * Discover feeds and sitemaps for a site.
+ * @param {string} siteUrl - Homepage (or any page / feed URL) of the site
+ * @param {Object} [options] - { sampleSize: latest entries per candidate (default 3) }
+ * @returns {Promise<{ siteUrl: string, siteTitle: string|null, candidates: Array, warnings: Array<string> }>}
+ *   candidates: { url, kind: 'feed'|'sitemap', format, title, foundBy: 'url'|'link'|'path'|'robots', itemCount, latestItems }
+ */
+async function discoverFeeds(siteUrl, options = {}) {
+  const sampleSize = options.sampleSize || 3;
+  const pageUrl = normalizeUrl(siteUrl);
+  const origin = new URL(pageUrl).origin;
+  const warnings = [];
+  const candidates = [];
+  const seen = new Set();
+
+  const addCandidate = async (fetched, foundBy, hintTitle) => {
+    if (!fetched || seen.has(fetched.url)) return;
+    seen.add(fetched.url);
+    try {
+      const candidate = await inspectDocument(fetched, foundBy, hintTitle, sampleSize);
+      if (candidate) candidates.push(candidate);
+      else if (foundBy === 'link') warnings.push(`${fetched.url}: advertised feed is not RSS/Atom`);
+    } catch (error) {
+      if (foundBy === 'link' || foundBy === 'url') warnings.push(`${fetched.url}: ${error.message}`);
+    }
+  };
+
+  // 1. The page itself: a feed pasted directly, or HTML advertising its feeds
+  let siteTitle = null;
+  const page = await fetchText(pageUrl);
+  if (!page) {
+    warnings.push(`Could not fetch ${pageUrl}; trying common feed paths only`);
+  } else if (detectXmlFormat(page.body)) {
+    await addCandidate(page, 'url', null);
+  } else {
+    const found = findFeedLinks(page.body, page.url);
+    siteTitle = found.siteTitle;
+    if (found.links.length > MAX_FEED_LINKS) {
+      warnings.push(`The page advertises ${found.links.length} feeds; only the first ${MAX_FEED_LINKS} were checked`);
+    }
+    for (const link of found.links.slice(0, MAX_FEED_LINKS)) {
+      if (seen.has(link.url)) continue;
+      const fetched = await fetchText(link.url);
+      if (!fetched) {
+        warnings.push(`${link.url}: advertised feed could not be fetched`);
+        seen.add(link.url);
+        continue;
+      }
+      await addCandidate(fetched, 'link', link.title);
+    }
+  }
+
+  // 2. Common feed and sitemap paths, plus sitemaps from robots.txt (probed through the shared fetch queue,
+  //    so its per-host limits apply)
+  const robots = await fetchText(`${origin}/robots.txt`);
+  const robotsSitemaps = robots ? findRobotsSitemaps(robots.body, origin, MAX_ROBOTS_SITEMAPS + 1) : [];
+  if (robotsSitemaps.length > MAX_ROBOTS_SITEMAPS) {
+    warnings.push(`robots.txt lists more than ${MAX_ROBOTS_SITEMAPS} sitemaps; only the first ${MAX_ROBOTS_SITEMAPS} were checked`);
+  }
+  const probes = [
+    ...COMMON_FEED_PATHS.map(path => ({ url: origin + path, foundBy: 'path' })),
+    ...robotsSitemaps.slice(0, MAX_ROBOTS_SITEMAPS).map(url => ({ url, foundBy: 'robots' })),
+    ...COMMON_SITEMAP_PATHS.map(path => ({ url: origin + path, foundBy: 'path' }))
+  ].filter(probe => !seen.has(probe.url));
+  // A miss is expected (fetchText resolves to null), so probes are never retried
+  const fetchedProbes = await runFetchJobs(probes.map(probe => ({
+    label: probe.url,
+    host: hostOf(probe.url),
+    run: () => fetchText(probe.url)
+  })), { name: 'feed discovery', retries: 0 });
+  for (let i = 0; i < probes.length; i++) {
+    await addCandidate(fetchedProbes[i].value, probes[i].foundBy, null);
+  }
+
+  // Feeds before sitemaps, then feeds the site advertises, then the freshest
+  const kindRank = (c) => (c.kind === 'feed' ? 0 : 1);
+  const sourceRank = (c) => (c.foundBy === 'url' || c.foundBy === 'link' ? 0 : 1);
+  const newest = (c) => Math.max(0, ...c.latestItems.map(item => (item.publishedAt ? new Date(item.publishedAt).getTime() : 0)));
+  candidates.sort((a, b) => kindRank(a) - kindRank(b) || sourceRank(a) - sourceRank(b) || newest(b) - newest(a));
+
+  return { siteUrl: pageUrl, siteTitle, candidates, warnings };
+}
+
+module.exports = { discoverFeeds, findFeedLinks, findRobotsSitemaps };
@@ -0,0 +1,312 @@
+// services/fetchQueue.js
+// Shared in-process queue for fetch jobs (feed sources, social handles). Every batch draws from the same slots:
+// at most FETCH_CONCURRENCY jobs run at once, at most FETCH_PER_HOST_CONCURRENCY per host, and starts on one host
+// are spaced FETCH_HOST_MIN_INTERVAL_MS apart, so an RSS run and a social run in parallel cannot flood a publisher
+// or the SociaVault API. Each attempt has a timeout; transient failures are retried with exponential backoff and jitter.
+
+const FETCH_CONCURRENCY = parseInt(process.env.FETCH_CONCURRENCY, 10) || 6;
+const FETCH_PER_HOST_CONCURRENCY = parseInt(process.env.FETCH_PER_HOST_CONCURRENCY, 10) || 2;
+const FETCH_HOST_MIN_INTERVAL_MS = parseInt(process.env.FETCH_HOST_MIN_INTERVAL_MS, 10) || 500;
+const FETCH_JOB_TIMEOUT_MS = parseInt(process.env.FETCH_JOB_TIMEOUT_MS, 10) || 120000;
+const FETCH_RETRIES = process.env.FETCH_RETRIES !== undefined ? parseInt(process.env.FETCH_RETRIES, 10) || 0 : 2;
+const FETCH_RETRY_BASE_MS = parseInt(process.env.FETCH_RETRY_BASE_MS, 10) || 2000;
+// Longest wait honoured from a Retry-After header
+const MAX_RETRY_AFTER_MS = 60 * 1000;
+// Progress lines per batch are at most this often
+const PROGRESS_LOG_INTERVAL_MS = 10 * 1000;
+
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ERR_SOCKET_CONNECTION_TIMEOUT']);
+
+const waiting = []; // { host, hostLimit, minIntervalMs, grant }
+const hosts = new Map(); // host -> { running, lastStartAt }
+const batches = new Set();
+let running = 0;
+let wakeTimer = null;
+
+function hostState(host) {
+  if (!hosts.has(host)) hosts.set(host, { running: 0, lastStartAt: 0 });
+  return hosts.get(host);
+}
+
+function removeWaiting(entry) {
+  const index = waiting.indexOf(entry);
+  if (index !== -1) waiting.splice(index, 1);
+}
+
+// Start every waiting attempt that fits the global / per-host limits (FIFO, skipping blocked hosts)
+function pump() {
+  const now = Date.now();
+  let nextWakeAt = Infinity;
+  for (let i = 0; i < waiting.length && running < FETCH_CONCURRENCY; i++) {
+    const entry = waiting[i];
+    const state = hostState(entry.host);
+    if (state.running >= entry.hostLimit) continue;
+    const readyAt = state.lastStartAt + entry.minIntervalMs;
+    if (readyAt > now) {
+      nextWakeAt = Math.min(nextWakeAt, readyAt);
+      continue;
+    }
+    waiting.splice(i--, 1);
+    running++;
+    state.running++;
+    state.lastStartAt = now;
+    entry.grant();
+  }
+  if (nextWakeAt !== Infinity && !wakeTimer) {
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      pump();
+    }, nextWakeAt - now);
+  }
+}
+
+/** Wait for a slot on `host`; resolves to a release function, or to null when `signal` aborts first. */
+function acquire(host, { hostLimit, minIntervalMs }, signal) {
+  return new Promise((resolve) => {
+    if (signal && signal.aborted) {
+      resolve(null);
+      return;
+    }
+    const onAbort = () => {
+      removeWaiting(entry);
+      resolve(null);
+    };
+    const entry = {
+      host,
+      hostLimit,
+      minIntervalMs,
+      grant: () => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          running--;
+          hostState(host).running--;
+          pump();
+        });
+      }
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    waiting.push(entry);
+    pump();
+  });
+}
+
+function abortedError(label) {
+  const error = new Error(`${label} cancelled`);
+  error.aborted = true;
+  return error;
+}
+
+// Settle with `promise`, or reject when the timeout passes or `signal` aborts first
+function withTimeout(promise, timeoutMs, label, signal) {
+  let timer;
+  let onAbort;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${timeoutMs}ms`);
+      error.timedOut = true;
+      reject(error);
+    }, timeoutMs);
+    if (signal) {
+      onAbort = () => reject(abortedError(label));
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+  return Promise.race([promise, timeout]).finally(() => {
+    clearTimeout(timer);
+    if (onAbort) signal.removeEventListener('abort', onAbort);
+  });
+}
+
+/**
+ * Whether a failed attempt is worth retrying: timeouts, network errors, HTTP 429 and 5xx.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRetryable(error) {
+  if (!error) return false;
+  if (error.timedOut) return true;
+  const status = error.response?.status || error.httpStatus;
+  if (status) return status === 429 || status >= 500;
+  return RETRYABLE_CODES.has(error.code);
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): base * 2^(attempt - 1) with ±50% jitter,
+ * or the server's Retry-After when it sent one (capped).
+ * @returns {number} milliseconds
+ */
+function retryDelayMs(attempt, error, baseMs = FETCH_RETRY_BASE_MS) {
+  const retryAfter = error?.response?.headers?.['retry-after'];
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+    if (ms > 0) return Math.min(ms, MAX_RETRY_AFTER_MS);
+  }
+  return Math.round(baseMs * Math.pow(2, attempt - 1) * (0.5 + Math.random()));
+}
+
+// Wait `ms`, or less when `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    if (signal) signal.addEventListener('abort', done, { once: true });
+  });
+}
+
+/** Hostname of a URL, for per-host limits ('unknown' if it does not parse). */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (_) {
+    return 'unknown';
+  }
+}
+
+function logProgress(batch, final) {
+  const done = batch.succeeded + batch.failed + batch.cancelled;
+  const elapsed = ((Date.now() - batch.startedAt) / 1000).toFixed(1);
+  if (final) {
+    console.log(`   ⏱️ [${batch.name}] ${batch.total} jobs in ${elapsed}s: ${batch.succeeded} succeeded, ${batch.failed} failed` +
+      `${batch.retries > 0 ? `, ${batch.retries} retries` : ''}${batch.timedOut > 0 ? `, ${batch.timedOut} timeouts` : ''}` +
+      `${batch.cancelled > 0 ? `, ${batch.cancelled} cancelled` : ''}`);
+    return;
+  }
+  console.log(`   ⏱️ [${batch.name}] ${done}/${batch.total} done (${batch.failed} failed), ${batch.running} running, ${elapsed}s elapsed`);
+}
+
+/**
+ * Run fetch jobs through the shared queue and wait for all of them.
+ * A job's `run` should do only the network part, since it may be called more than once.
+ * Its results (saving items, recording health) belong to the caller, once per job.
+ * A timed-out attempt is given up (and may be retried), but its request is not cancelled: it keeps its slot until the
+ * fetcher's own request timeout ends it. Once `signal` aborts, waiting jobs are dropped and running ones stop being
+ * waited for (the same way), all ending with an error marked `aborted`.
+ * @param {Array<{ label: string, host: string, run: Function, hostLimit?: number, minIntervalMs?: number, retries?: number }>} jobs
+ * @param {Object} [options] - { name: batch name for logs, retries, timeoutMs, signal: AbortSignal of the caller's job }
+ * @returns {Promise<Array<{ value: *, error: Error|null, attempts: number, durationMs: number }>>} In job order
+ */
+async function runFetchJobs(jobs, options = {}) {
+  const batch = {
+    name: options.name || 'fetch',
+    total: jobs.length,
+    succeeded: 0,
+    failed: 0,
+    running: 0,
+    retries: 0,
+    timedOut: 0,
+    cancelled: 0,
+    startedAt: Date.now(),
+    lastLogAt: Date.now()
+  };
+  if (jobs.length === 0) return [];
+  batches.add(batch);
+  const timeoutMs = options.timeoutMs || FETCH_JOB_TIMEOUT_MS;
+  const { signal } = options;
+
+  const runJob = async (job) => {
+    const retries = job.retries !== undefined ? job.retries : (options.retries !== undefined ? options.retries : FETCH_RETRIES);
+    const limits = {
+      hostLimit: job.hostLimit || FETCH_PER_HOST_CONCURRENCY,
+      minIntervalMs: job.minIntervalMs !== undefined ? job.minIntervalMs : FETCH_HOST_MIN_INTERVAL_MS
+    };
+    let attempts = 0;
+    let activeMs = 0;
+    for (;;) {
+      const release = await acquire(job.host, limits, signal);
+      if (!release) {
+        batch.cancelled++;
+        return { value: undefined, error: abortedError(job.label), attempts, durationMs: activeMs };
+      }
+      attempts++;
+      const attemptStartedAt = Date.now();
+      batch.running++;
+      // The slot is held until the attempt really settles, even after it timed out, so limits stay strict
+      const attempt = Promise.resolve().then(job.run);
+      attempt.catch(() => {}).finally(release);
+      let outcome;
+      try {
+        outcome = { value: await withTimeout(attempt, timeoutMs, job.label, signal), error: null };
+      } catch (error) {
+        outcome = { value: undefined, error };
+      } finally {
+        batch.running--;
+        activeMs += Date.now() - attemptStartedAt;
+      }
+      if (!outcome.error || attempts > retries || !isRetryable(outcome.error)) {
+        if (outcome.error && outcome.error.aborted) {
+          batch.cancelled++;
+        } else if (outcome.error) {
+          batch.failed++;
+          if (outcome.error.timedOut) batch.timedOut++;
+        } else {
+          batch.succeeded++;
+        }
+        if (Date.now() - batch.lastLogAt >= PROGRESS_LOG_INTERVAL_MS) {
+          batch.lastLogAt = Date.now();
+          logProgress(batch, false);
+        }
+        return { ...outcome, attempts, durationMs: activeMs };
+      }
+      batch.retries++;
+      const delay = retryDelayMs(attempts, outcome.error);
+      console.log(`   🔁 ${job.label}: ${outcome.error.message} (retry ${attempts}/${retries} in ${delay}ms)`);
+      await sleep(delay, signal);
+    }
+  };
+
+  try {
+    return await Promise.all(jobs.map(runJob));
+  } finally {
+    batches.delete(batch);
+    logProgress(batch, true);
+  }
+}
+
+/**
+ * Snapshot of the shared queue and the batches in progress (for the admin panel).
+ * @returns {Object}
+ */
+function getQueueStatus() {
+  return {
+    limits: {
+      concurrency: FETCH_CONCURRENCY,
+      perHostConcurrency: FETCH_PER_HOST_CONCURRENCY,
+      hostMinIntervalMs: FETCH_HOST_MIN_INTERVAL_MS,
+      jobTimeoutMs: FETCH_JOB_TIMEOUT_MS,
+      retries: FETCH_RETRIES
+    },
+    running,
+    waiting: waiting.length,
+    busyHosts: [...hosts.entries()]
+      .filter(([, state]) => state.running > 0)
+      .map(([host, state]) => ({ host, running: state.running })),
+    batches: [...batches].map(batch => ({
+      name: batch.name,
+      total: batch.total,
+      done: batch.succeeded + batch.failed + batch.cancelled,
+      succeeded: batch.succeeded,
+      failed: batch.failed,
+      cancelled: batch.cancelled,
+      running: batch.running,
+      retries: batch.retries,
+      startedAt: new Date(batch.startedAt)
+    }))
+  };
+}
+
+module.exports = {
+  runFetchJobs,
+  getQueueStatus,
+  hostOf,
+  isRetryable,
+  retryDelayMs
+};
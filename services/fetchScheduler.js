@@ -0,0 +1,150 @@
+// services/fetchScheduler.js
+// One scheduler for feed sources and social handles. Each active target has a cron schedule: its own
+// (FeedSource.schedule / SocialHandle.schedule) or else its workspace's hours from NewsFetchSchedule / SocialFetchSchedule.
+// Every minute it (re)computes each target's nextFetchAt and enqueues one "news-fetch" / "social-fetch" job
+// per workspace for the targets that are due. A due target is claimed by moving its nextFetchAt forward with a conditional update,
+// so with several server instances only one of them enqueues it.
+const FeedSource = require('../models/FeedSource');
+const SocialHandle = require('../models/SocialHandle');
+const NewsFetchSchedule = require('../models/NewsFetchSchedule');
+const SocialFetchSchedule = require('../models/SocialFetchSchedule');
+const { enqueue } = require('./jobQueue');
+const { activeWorkspaceIds } = require('./workspaces');
+const { nextCronTime, isValidTimezone, validateCronSchedule } = require('../utils/cron');
+
+const CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+// Timezone of the workspace schedule hours and of targets whose schedule names none
+const SCHEDULER_TIMEZONE = isValidTimezone(process.env.SCHEDULER_TIMEZONE)
+  ? process.env.SCHEDULER_TIMEZONE
+  : Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+let checking = false;
+
+/**
+ * Cron expression for a 24-boolean hour schedule ("0 8,12,18 * * *"), or null if no hour is ticked.
+ * @param {boolean[]} scheduleHours
+ * @returns {string|null}
+ */
+function hoursToCron(scheduleHours) {
+  const hours = (scheduleHours || []).map((on, hour) => (on ? hour : null)).filter(hour => hour !== null);
+  return hours.length > 0 ? `0 ${hours.join(',')} * * *` : null;
+}
+
+/**
+ * The schedule a target runs on: its own cron, else its workspace's default.
+ * @param {Object} target - FeedSource / SocialHandle
+ * @param {string|null} defaultCron
+ * @returns {{ cron: string, timezone: string, custom: boolean }|null} null = not scheduled
+ */
+function effectiveSchedule(target, defaultCron) {
+  const own = target.schedule && target.schedule.cron;
+  const cron = own || defaultCron;
+  if (!cron) return null;
+  return { cron, timezone: (own && target.schedule.timezone) || SCHEDULER_TIMEZONE, custom: !!own };
+}
+
+/**
+ * Normalize a schedule from a request body. No cron means no own schedule (follow the workspace hours).
+ * An empty timezone is left unset so the target follows SCHEDULER_TIMEZONE.
+ * @param {{ cron?: string, timezone?: string }|null} schedule
+ * @returns {{ cron: string, timezone?: string }|null}
+ */
+function normalizeSchedule(schedule) {
+  const cron = schedule && typeof schedule.cron === 'string' ? schedule.cron.trim().replace(/\s+/g, ' ') : '';
+  if (!cron) return null;
+  const timezone = typeof schedule.timezone === 'string' ? schedule.timezone.trim() : '';
+  return timezone ? { cron, timezone } : { cron };
+}
+
+/**
+ * @param {{ cron: string, timezone?: string }} schedule - normalizeSchedule() result
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSchedule(schedule) {
+  return validateCronSchedule(schedule.cron, schedule.timezone || SCHEDULER_TIMEZONE);
+}
+
+// Next run of a target's schedule after `now`; null if it has none (or its cron cannot be parsed)
+function nextFetchTime(Model, target, schedule, now) {
+  if (!schedule) return null;
+  try {
+    return nextCronTime(schedule.cron, schedule.timezone, now);
+  } catch (error) {
+    console.error(`[FetchScheduler] ${Model.modelName} ${target._id}: invalid schedule "${schedule.cron}": ${error.message}`);
+    return null;
+  }
+}
+
+// Update nextFetchAt for a workspace's changed schedules and claim the targets that are due; returns the claimed ids
+async function claimDueTargets(Model, defaultCron, now, workspaceId) {
+  const targets = await Model.find({ workspace: workspaceId, isActive: true }).select('schedule nextFetchAt scheduleKey').lean();
+  const claimed = [];
+  for (const target of targets) {
+    const schedule = effectiveSchedule(target, defaultCron);
+    const key = schedule ? `${schedule.cron}|${schedule.timezone}` : null;
+    if (key !== (target.scheduleKey || null)) {
+      // New target or changed schedule: first run at the next matching time
+      await Model.updateOne(
+        { _id: target._id, scheduleKey: target.scheduleKey || null },
+        { $set: { scheduleKey: key, nextFetchAt: nextFetchTime(Model, target, schedule, now) } }
+      );
+      continue;
+    }
+    if (!schedule || !target.nextFetchAt || target.nextFetchAt > now) continue;
+    // A target missed while the server was down runs once, then continues from now
+    const { modifiedCount } = await Model.updateOne(
+      { _id: target._id, nextFetchAt: target.nextFetchAt },
+      { $set: { nextFetchAt: nextFetchTime(Model, target, schedule, now) } }
+    );
+    if (modifiedCount === 1) claimed.push(String(target._id));
+  }
+  return claimed;
+}
+
+async function checkAndRun() {
+  if (checking) {
+    return;
+  }
+  checking = true;
+  try {
+    const now = new Date();
+    for (const workspaceId of await activeWorkspaceIds()) {
+      const [newsSchedule, socialSchedule] = await Promise.all([
+        NewsFetchSchedule.getSchedule(workspaceId),
+        SocialFetchSchedule.getSchedule(workspaceId)
+      ]);
+
+      const sourceIds = await claimDueTargets(FeedSource, hoursToCron(newsSchedule.scheduleHours), now, workspaceId);
+      if (sourceIds.length > 0) {
+        const job = await enqueue('news-fetch', { workspaceId, sourceIds }, { trigger: 'schedule' });
+        console.log(`[FetchScheduler] ${sourceIds.length} feed source(s) due in workspace ${workspaceId}, queued as job ${job._id}`);
+      }
+
+      const handleIds = await claimDueTargets(SocialHandle, hoursToCron(socialSchedule.scheduleHours), now, workspaceId);
+      if (handleIds.length > 0) {
+        const job = await enqueue('social-fetch', { workspaceId, handleIds }, { trigger: 'schedule' });
+        console.log(`[FetchScheduler] ${handleIds.length} social handle(s) due in workspace ${workspaceId}, queued as job ${job._id}`);
+      }
+    }
+  } catch (err) {
+    console.error('[FetchScheduler] Error:', err.message);
+  } finally {
+    checking = false;
+  }
+}
+
+function start() {
+  console.log(`[FetchScheduler] Scheduler started (checking every minute, default timezone ${SCHEDULER_TIMEZONE})`);
+  setInterval(checkAndRun, CHECK_INTERVAL_MS);
+  setTimeout(checkAndRun, 30 * 1000);
+}
+
+module.exports = {
+  start,
+  checkAndRun,
+  hoursToCron,
+  effectiveSchedule,
+  normalizeSchedule,
+  validateSchedule,
+  SCHEDULER_TIMEZONE
+};
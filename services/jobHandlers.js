@@ -0,0 +1,170 @@
+// services/jobHandlers.js
+// Background job types (run by services/jobQueue.js); every payload carries the workspaceId the job works in.
+// Exclusive types run one job at a time per workspace; the topic types share one lock (both rewrite topics):
+//   news-fetch         active FeedSources: payload.sourceIds (schedule) or all (admin)   exclusive
+//   user-news-fetch    a user's sources (首頁「獲取新聞」)
+//   social-fetch       active social handles: payload.handleIds (schedule) or all (社交媒體 refresh)   exclusive
+//   topic-process      group recent news items into topics, or the processing stages of a pipeline run   exclusive (topics)
+//   topic-maintenance  merge / split topics                                exclusive (topics)
+//   article-generate   run the writer graph for a WriterJob
+const WriterJob = require('../models/WriterJob');
+const Job = require('../models/Job');
+const NewsItem = require('../models/NewsItem');
+const Category = require('../models/Category');
+const NewsFetchSchedule = require('../models/NewsFetchSchedule');
+const SocialFetchSchedule = require('../models/SocialFetchSchedule');
+const { registerHandler } = require('./jobQueue');
+const { fetchNewsForUser, fetchNewsFromAllActiveSources, parseTimeframe } = require('./newsFetcher');
+const { fetchFeedsForAllHandles } = require('./socialFeedFetcher');
+const { categorizeAndGroup, clusterAndCategorizeIncremental } = require('./topicGrouper');
+const { runTopicMaintenance } = require('./topicMaintenance');
+const { runArticleGraph } = require('./agenticWriter');
+const { isAutoProcessEnabled, runFetchStage, runProcessingStages, abandonPipelineRun } = require('./newsPipeline');
+const { initializeModel: ensureEmbeddingReady } = require('./embedding');
+const { recordRun } = require('./runLog');
+
+// WriterJobs left pending / running this long without a queued or running job are failed at startup
+const ORPHANED_WRITER_JOB_AGE_MS = 2 * 60 * 1000;
+
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+async function processTopics({ workspaceId, timeframe = '24h', mode = 'incremental' }, { signal } = {}) {
+  const newsItems = await NewsItem.find({ workspace: workspaceId, publishedAt: { $gte: parseTimeframe(timeframe) } });
+  if (newsItems.length === 0) {
+    throw permanentError('No news items found. Fetch news first.');
+  }
+  // Fetch categories from Category model (per workspace, admin-managed)
+  const categoryDocs = await Category.find({ workspace: workspaceId, isActive: true }).sort({ sortOrder: 1 });
+  let categories = categoryDocs.map(c => c.name);
+  if (categories.length === 0) {
+    categories = ['general']; // Fallback if no categories defined
+  }
+  if (mode === 'incremental') {
+    const { createdTopics, updatedTopics } = await clusterAndCategorizeIncremental(newsItems, workspaceId, categories, { signal });
+    return { mode, topicIds: createdTopics.map(t => t._id), updatedTopicIds: updatedTopics.map(t => t._id) };
+  }
+  const topics = await categorizeAndGroup(newsItems, workspaceId, categories, { signal });
+  return { mode, topicIds: topics.map(t => t._id), updatedTopicIds: [] };
+}
+
+/**
+ * Register every job type with the queue. Call once at startup, before startWorker.
+ * Fetch and topic processing runs are also recorded as RunLogs (services/runLog.js).
+ */
+function registerJobHandlers() {
+  // A scheduled fetch with auto-processing on becomes the first stage of a pipeline run (services/newsPipeline.js)
+  registerHandler('news-fetch', ({ workspaceId, sourceIds }, { job, signal }) => recordRun({
+    kind: 'news-fetch',
+    job,
+    params: sourceIds ? { sourceIds } : {}
+  }, async (outcomes) => {
+    const fetch = () => fetchNewsFromAllActiveSources({ workspaceId, sourceIds, outcomes, signal });
+    const result = job.trigger === 'schedule' && await isAutoProcessEnabled(workspaceId)
+      ? await runFetchStage(job, fetch)
+      : await fetch();
+    if (job.trigger === 'schedule') {
+      await NewsFetchSchedule.updateOne({ workspace: workspaceId }, { $set: { lastRunAt: new Date() } });
+    }
+    return result;
+  }), {
+    exclusive: true,
+    onGiveUp: (job, message) => abandonPipelineRun({ fetchJobId: job._id }, message)
+  });
+
+  registerHandler('user-news-fetch', ({ workspaceId, userId, timeframe, useAllSources }, { job }) => recordRun({
+    kind: 'news-fetch',
+    job,
+    userId,
+    params: { timeframe, useAllSources: !!useAllSources },
+    summarize: ({ count }) => ({ count })
+  }, async (outcomes) => {
+    await ensureEmbeddingReady();
+    const savedItems = await fetchNewsForUser(userId, timeframe, useAllSources, { workspaceId, outcomes });
+    return { count: savedItems.length, itemIds: savedItems.map(item => item._id) };
+  }));
+
+  registerHandler('social-fetch', ({ workspaceId, handleIds }, { job, signal }) => recordRun({
+    kind: 'social-fetch',
+    job,
+    params: handleIds ? { handleIds } : {}
+  }, async (outcomes) => {
+    const results = await fetchFeedsForAllHandles({ workspaceId, handleIds, outcomes, signal });
+    if (job.trigger === 'schedule') {
+      await SocialFetchSchedule.updateOne({ workspace: workspaceId }, { $set: { lastRunAt: new Date() } });
+    }
+    return results;
+  }), { exclusive: true });
+
+  registerHandler('topic-process', (payload, { job, signal }) => recordRun({
+    kind: 'topic-process',
+    job,
+    userId: payload.userId,
+    params: payload.pipelineRunId
+      ? { pipelineRunId: payload.pipelineRunId }
+      : { timeframe: payload.timeframe || '24h', mode: payload.mode || 'incremental' }
+  }, () => (
+    payload.pipelineRunId ? runProcessingStages(payload.pipelineRunId, { signal }) : processTopics(payload, { signal })
+  )), {
+    exclusive: 'topics',
+    onGiveUp: async (job, message) => {
+      if (job.payload.pipelineRunId) await abandonPipelineRun({ _id: job.payload.pipelineRunId }, message);
+    }
+  });
+
+  registerHandler('topic-maintenance', (payload) => (
+    runTopicMaintenance({ ...payload.options, workspaceId: payload.workspaceId })
+  ), { exclusive: 'topics' });
+
+  // runArticleGraph records its own failures on the WriterJob; those are not retried here (the admin can retry)
+  registerHandler('article-generate', async ({ writerJobId }, { signal }) => {
+    await runArticleGraph(writerJobId, { signal });
+    const writerJob = await WriterJob.findById(writerJobId).select('status error articleId');
+    if (!writerJob) throw permanentError('Writer job not found');
+    if (writerJob.status === 'failed') throw permanentError(writerJob.error || 'Article generation failed');
+    return { writerJobId, articleId: writerJob.articleId };
+  }, {
+    onGiveUp: async (job, message) => {
+      await WriterJob.updateOne(
+        { _id: job.payload.writerJobId, status: { $in: ['pending', 'running'] } },
+        { $set: { status: 'failed', error: message } }
+      );
+    }
+  });
+}
+
+/**
+ * Fail WriterJobs stuck in pending / running with no queued or running job behind them
+ * (generation started in-process before the job queue existed, then the server restarted).
+ * @returns {Promise<number>} WriterJobs failed
+ */
+async function failOrphanedWriterJobs() {
+  const stale = await WriterJob.find({
+    status: { $in: ['pending', 'running'] },
+    updatedAt: { $lt: new Date(Date.now() - ORPHANED_WRITER_JOB_AGE_MS) }
+  }).select('_id').lean();
+  if (stale.length === 0) return 0;
+  const staleIds = stale.map(w => w._id.toString());
+  const live = await Job.find({
+    type: 'article-generate',
+    status: { $in: ['queued', 'running'] },
+    'payload.writerJobId': { $in: staleIds }
+  }).select('payload').lean();
+  const liveIds = new Set(live.map(j => String(j.payload.writerJobId)));
+  const orphaned = staleIds.filter(id => !liveIds.has(id));
+  if (orphaned.length === 0) return 0;
+  await WriterJob.updateMany(
+    { _id: { $in: orphaned }, status: { $in: ['pending', 'running'] } },
+    { $set: { status: 'failed', error: 'Interrupted by a server restart' } }
+  );
+  console.log(`♻️ [Jobs] Failed ${orphaned.length} writer job(s) interrupted by a restart`);
+  return orphaned.length;
+}
+
+module.exports = {
+  registerJobHandlers,
+  failOrphanedWriterJobs
+};
@@ -0,0 +1,442 @@
+// services/jobQueue.js
+// Durable background jobs stored in MongoDB (models/Job.js), so work survives restarts and several server instances
+// can share one queue. A worker claims a due job atomically and holds a lease on it, renewed by heartbeats; when a
+// worker dies its lease expires and another worker queues the job again (or fails it after maxAttempts).
+// Failed attempts are retried with exponential backoff. Cancelling a running job aborts its handler's signal.
+// Handlers are registered per job type (services/jobHandlers.js); a handler returns a small result summary.
+
+const os = require('os');
+const Job = require('../models/Job');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_MS, 10) || 60 * 1000;
+const JOB_HEARTBEAT_MS = parseInt(process.env.JOB_HEARTBEAT_MS, 10) || 15 * 1000;
+const JOB_POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+const JOB_RETRY_BASE_MS = parseInt(process.env.JOB_RETRY_BASE_MS, 10) || 30 * 1000;
+// JOB_WORKER_ENABLED=false: this instance only enqueues (API-only), other instances run the jobs
+const JOB_WORKER_ENABLED = process.env.JOB_WORKER_ENABLED !== 'false';
+// How long a request that started a job waits for it before answering 202 with the job id
+const JOB_REQUEST_WAIT_MS = parseInt(process.env.JOB_REQUEST_WAIT_MS, 10) || 10 * 60 * 1000;
+// Longest retry delay and the poll interval of waitForJob
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+const WAIT_POLL_MS = 1000;
+// Expired leases recovered per poll
+const RECOVERY_BATCH = 50;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map(); // type -> { run, lock, onGiveUp }
+const active = new Map(); // job id -> { job, controller, heartbeatTimer, leaseLost }
+let pollTimer = null;
+let ticking = false;
+let stopping = false;
+
+/**
+ * Register the handler for a job type. `run(payload, { job, signal })` returns the job's result summary;
+ * throw an error with `permanent = true` to fail without retrying.
+ * @param {string} type
+ * @param {Function} run
+ * @param {Object} [options] - { exclusive: true for at most one job of this type per workspace running across all
+ *   workers, or a lock name shared by several types so at most one job of any of them runs per workspace,
+ *   onGiveUp(job, message): called when the job ends failed or cancelled }
+ */
+function registerHandler(type, run, options = {}) {
+  const lock = typeof options.exclusive === 'string' ? options.exclusive : (options.exclusive ? type : null);
+  handlers.set(type, { run, lock, onGiveUp: options.onGiveUp || null });
+}
+
+/**
+ * Add a job to the queue. With a dedupeKey, an existing job with the same key is returned instead of a new one.
+ * @param {string} type
+ * @param {Object} [payload]
+ * @param {Object} [options] - { trigger, dedupeKey, maxAttempts, runAt, createdBy }
+ * @returns {Promise<Object>} Job doc
+ */
+async function enqueue(type, payload = {}, options = {}) {
+  const doc = {
+    type,
+    payload,
+    trigger: options.trigger || 'user',
+    maxAttempts: options.maxAttempts || JOB_MAX_ATTEMPTS,
+    runAt: options.runAt || new Date(),
+    createdBy: options.createdBy || null
+  };
+  if (options.dedupeKey) doc.dedupeKey = options.dedupeKey;
+  let job;
+  try {
+    job = await Job.create(doc);
+  } catch (error) {
+    if (error.code === 11000 && options.dedupeKey) {
+      const existing = await Job.findOne({ dedupeKey: options.dedupeKey });
+      if (existing) return existing;
+    }
+    throw error;
+  }
+  if (pollTimer) setImmediate(tick);
+  return job;
+}
+
+// Exponential backoff from JOB_RETRY_BASE_MS, capped
+function retryDelayMs(attempts) {
+  return Math.min(JOB_RETRY_BASE_MS * Math.pow(2, Math.max(0, attempts - 1)), MAX_RETRY_DELAY_MS);
+}
+
+// Abort reason of a cancelled job; handlers that stop on their signal throw it (cancelled = true)
+function cancelledError() {
+  const error = new Error('Cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+function truncateError(message) {
+  const text = String(message || 'Unknown error');
+  return text.length > 500 ? text.slice(0, 497) + '…' : text;
+}
+
+async function notifyGiveUp(job, message) {
+  const handler = handlers.get(job.type);
+  if (!handler || !handler.onGiveUp) return;
+  try {
+    await handler.onGiveUp(job, message);
+  } catch (error) {
+    console.error(`[Jobs] onGiveUp for ${job.type} ${job._id} failed:`, error.message);
+  }
+}
+
+// Lock taken by a running job of an exclusive type, one per lock name and workspace (null for other types)
+function lockKeyFor(job) {
+  const { lock } = handlers.get(job.type);
+  return lock ? `${lock}:${job.payload?.workspaceId ?? ''}` : null;
+}
+
+// Job types sharing the lock of this type
+function typesSharingLock(type) {
+  const { lock } = handlers.get(type);
+  return [...handlers].filter(([, handler]) => handler.lock === lock).map(([other]) => other);
+}
+
+// Claim the oldest due job of a type this worker handles. An exclusive job takes its lock in the same update that
+// claims it (unique lockKey index on running jobs); if another worker holds the lock, jobs behind it are skipped.
+async function claimNext() {
+  const types = [...handlers.keys()];
+  if (types.length === 0) return null;
+  const now = new Date();
+  const locked = [];
+  for (;;) {
+    const query = { status: 'queued', runAt: { $lte: now }, type: { $in: types } };
+    if (locked.length > 0) query.$nor = locked;
+    const candidate = await Job.findOne(query).sort({ runAt: 1 }).select('type payload');
+    if (!candidate) return null;
+    try {
+      const job = await Job.findOneAndUpdate(
+        { _id: candidate._id, status: 'queued' },
+        {
+          $set: {
+            status: 'running',
+            lockKey: lockKeyFor(candidate),
+            leaseOwner: WORKER_ID,
+            leaseExpiresAt: new Date(now.getTime() + JOB_LEASE_MS),
+            heartbeatAt: now,
+            startedAt: now,
+            cancelRequested: false
+          },
+          $inc: { attempts: 1 }
+        },
+        { returnDocument: 'after' }
+      );
+      // null: another worker claimed it first; look again
+      if (job) return job;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Lock taken by a running job: skip the jobs waiting for the same lock
+      locked.push({
+        type: { $in: typesSharingLock(candidate.type) },
+        'payload.workspaceId': candidate.payload?.workspaceId ?? null
+      });
+    }
+  }
+}
+
+// Renew the lease; a job cancelled by an admin (or whose lease another worker took over) has its signal aborted
+async function heartbeat(entry) {
+  try {
+    const now = new Date();
+    const job = await Job.findOneAndUpdate(
+      { _id: entry.job._id, status: 'running', leaseOwner: WORKER_ID },
+      { $set: { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + JOB_LEASE_MS) } },
+      { returnDocument: 'after', projection: { cancelRequested: 1 } }
+    );
+    if (!job) {
+      entry.leaseLost = true;
+      console.warn(`⚠️ [Jobs] Lost the lease on ${entry.job.type} ${entry.job._id}; stopping it`);
+      entry.controller.abort(new Error('Lease lost'));
+      return;
+    }
+    if (job.cancelRequested && !entry.controller.signal.aborted) {
+      console.log(`🛑 [Jobs] Cancelling ${entry.job.type} ${entry.job._id}`);
+      entry.controller.abort(cancelledError());
+    }
+  } catch (error) {
+    console.error(`[Jobs] Heartbeat for ${entry.job._id} failed:`, error.message);
+  }
+}
+
+// Record the outcome of an attempt: completed, cancelled, queued again with backoff, or failed
+async function finishJob(entry, result, error) {
+  const { job } = entry;
+  const owned = { _id: job._id, status: 'running', leaseOwner: WORKER_ID };
+  const current = entry.leaseLost ? null : await Job.findOne(owned).select('cancelRequested');
+  if (!current) {
+    console.warn(`⚠️ [Jobs] ${job.type} ${job._id} finished after its lease was lost; outcome not recorded`);
+    return;
+  }
+  const now = new Date();
+  const release = { leaseOwner: null, leaseExpiresAt: null };
+  if (current.cancelRequested) {
+    await Job.updateOne(owned, { $set: { ...release, status: 'cancelled', finishedAt: now, lastError: 'Cancelled' } });
+    console.log(`🛑 [Jobs] ${job.type} ${job._id} cancelled`);
+    await notifyGiveUp(job, 'Cancelled');
+    return;
+  }
+  if (!error) {
+    await Job.updateOne(owned, { $set: { ...release, status: 'completed', finishedAt: now, result: result ?? null, lastError: null } });
+    console.log(`✅ [Jobs] ${job.type} ${job._id} completed`);
+    return;
+  }
+  const message = truncateError(error.message);
+  if (!error.permanent && job.attempts < job.maxAttempts) {
+    const delay = retryDelayMs(job.attempts);
+    await Job.updateOne(owned, { $set: { ...release, status: 'queued', runAt: new Date(now.getTime() + delay), lastError: message } });
+    console.warn(`🔁 [Jobs] ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}): ${message}; retry in ${Math.round(delay / 1000)}s`);
+    return;
+  }
+  await Job.updateOne(owned, { $set: { ...release, status: 'failed', finishedAt: now, lastError: message } });
+  console.error(`❌ [Jobs] ${job.type} ${job._id} failed after ${job.attempts} attempt(s): ${message}`);
+  await notifyGiveUp(job, message);
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const entry = { job, controller: new AbortController(), heartbeatTimer: null, leaseLost: false };
+  active.set(job._id.toString(), entry);
+  entry.heartbeatTimer = setInterval(() => heartbeat(entry), JOB_HEARTBEAT_MS);
+  console.log(`🧵 [Jobs] ${job.type} ${job._id} started (attempt ${job.attempts}/${job.maxAttempts}, trigger: ${job.trigger})`);
+
+  let result;
+  let error = null;
+  try {
+    result = await handler.run(job.payload || {}, { job, signal: entry.controller.signal });
+  } catch (err) {
+    error = err;
+  } finally {
+    clearInterval(entry.heartbeatTimer);
+  }
+  try {
+    if (!stopping) await finishJob(entry, result, error);
+  } finally {
+    active.delete(job._id.toString());
+    if (pollTimer) setImmediate(tick);
+  }
+}
+
+// Running jobs whose lease expired (their worker crashed or was killed): queue them again, or give up
+async function recoverExpiredLeases() {
+  const now = new Date();
+  const expired = await Job.find({ status: 'running', leaseExpiresAt: { $lt: now } }).limit(RECOVERY_BATCH);
+  for (const job of expired) {
+    const giveUp = job.cancelRequested || job.attempts >= job.maxAttempts;
+    const status = job.cancelRequested ? 'cancelled' : (giveUp ? 'failed' : 'queued');
+    const message = job.cancelRequested ? 'Cancelled' : `Worker ${job.leaseOwner} stopped responding (lease expired)`;
+    const update = giveUp
+      ? { status, finishedAt: now, lastError: message }
+      : { status, runAt: new Date(now.getTime() + retryDelayMs(job.attempts)), lastError: message };
+    // Matching the old lease means no heartbeat renewed it and no other worker recovered it meanwhile
+    const { modifiedCount } = await Job.updateOne(
+      { _id: job._id, status: 'running', leaseExpiresAt: job.leaseExpiresAt },
+      { $set: { ...update, leaseOwner: null, leaseExpiresAt: null } }
+    );
+    if (modifiedCount === 0) continue;
+    console.warn(`♻️ [Jobs] Recovered ${job.type} ${job._id} from ${job.leaseOwner}: ${status}`);
+    if (giveUp) await notifyGiveUp(job, message);
+  }
+}
+
+async function tick() {
+  if (ticking || stopping) return;
+  ticking = true;
+  try {
+    await recoverExpiredLeases();
+    while (active.size < JOB_CONCURRENCY && !stopping) {
+      const job = await claimNext();
+      if (!job) break;
+      runJob(job).catch(error => console.error(`[Jobs] ${job.type} ${job._id}:`, error.message));
+    }
+  } catch (error) {
+    console.error('[Jobs] Poll failed:', error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Start polling for jobs (unless JOB_WORKER_ENABLED=false). Register handlers first.
+ */
+function startWorker() {
+  if (!JOB_WORKER_ENABLED) {
+    console.log('[Jobs] Worker disabled (JOB_WORKER_ENABLED=false); jobs run on other instances');
+    return;
+  }
+  if (pollTimer) return;
+  stopping = false;
+  pollTimer = setInterval(tick, JOB_POLL_INTERVAL_MS);
+  console.log(`[Jobs] Worker ${WORKER_ID} started (${JOB_CONCURRENCY} at a time, types: ${[...handlers.keys()].join(', ')})`);
+  setImmediate(tick);
+}
+
+/**
+ * Stop claiming jobs and hand this worker's running jobs back to the queue (for a graceful shutdown).
+ * The attempt they were on is not counted.
+ */
+async function stopWorker() {
+  stopping = true;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+  const entries = [...active.values()];
+  for (const entry of entries) {
+    clearInterval(entry.heartbeatTimer);
+    entry.controller.abort(new Error('Worker stopping'));
+    await Job.updateOne(
+      { _id: entry.job._id, status: 'running', leaseOwner: WORKER_ID },
+      { $set: { status: 'queued', runAt: new Date(), leaseOwner: null, leaseExpiresAt: null }, $inc: { attempts: -1 } }
+    ).catch(error => console.error(`[Jobs] Could not requeue ${entry.job._id}:`, error.message));
+  }
+  if (entries.length > 0) console.log(`[Jobs] Worker stopped; ${entries.length} running job(s) queued again`);
+}
+
+/**
+ * Cancel a job: a queued job is cancelled at once, a running one has cancelRequested set and its handler's signal
+ * aborted at the next heartbeat (immediately when it runs in this process).
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} The job (unchanged if it had already finished), or null if not found
+ */
+async function cancelJob(jobId) {
+  const queued = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'cancelled', finishedAt: new Date(), lastError: 'Cancelled' } },
+    { returnDocument: 'after' }
+  );
+  if (queued) {
+    await notifyGiveUp(queued, 'Cancelled');
+    return queued;
+  }
+  const running = await Job.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { returnDocument: 'after' }
+  );
+  if (running) {
+    const local = active.get(String(jobId));
+    if (local) local.controller.abort(cancelledError());
+    return running;
+  }
+  return Job.findById(jobId);
+}
+
+/**
+ * Queue a failed or cancelled job again, with a fresh set of attempts.
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} The re-queued job, or null if it is not failed / cancelled
+ */
+async function retryJob(jobId) {
+  const job = await Job.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+    { $set: { status: 'queued', attempts: 0, runAt: new Date(), finishedAt: null, cancelRequested: false, result: null } },
+    { returnDocument: 'after' }
+  );
+  if (job && pollTimer) setImmediate(tick);
+  return job;
+}
+
+/**
+ * Dedupe key part for a scheduled run: start of the `intervalMs` slot containing `date` (ISO string).
+ * Every instance computes the same key for the same slot, so only one of them enqueues the run.
+ * @param {Date} date
+ * @param {number} intervalMs
+ * @returns {string}
+ */
+function scheduleSlotKey(date, intervalMs) {
+  return new Date(Math.floor(date.getTime() / intervalMs) * intervalMs).toISOString();
+}
+
+/**
+ * Poll a job until it finishes or `timeoutMs` passes (for routes that answer with the job's result).
+ * @param {string} jobId
+ * @param {number} [timeoutMs] - default JOB_REQUEST_WAIT_MS
+ * @returns {Promise<Object|null>} Latest job doc (check status: it may still be queued / running)
+ */
+async function waitForJob(jobId, timeoutMs = JOB_REQUEST_WAIT_MS) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const job = await Job.findById(jobId);
+    if (!job || FINISHED_STATUSES.includes(job.status) || Date.now() >= deadline) return job;
+    await new Promise(resolve => setTimeout(resolve, Math.min(WAIT_POLL_MS, Math.max(0, deadline - Date.now()))));
+  }
+}
+
+/**
+ * Queued or running job of a type, if any (to refuse starting a second one).
+ * @param {string} type
+ * @param {Object} [filter] - Extra conditions, e.g. on the payload
+ * @returns {Promise<Object|null>}
+ */
+async function findActiveJob(type, filter = {}) {
+  return Job.findOne({ ...filter, type, status: { $in: ['queued', 'running'] } }).sort({ createdAt: -1 });
+}
+
+/**
+ * Recent jobs for the admin panel, newest first, with counts per status and this worker's state.
+ * @param {Object} [filter] - { workspaceId (payload.workspaceId), status, type, limit }
+ * @returns {Promise<{ jobs: Array, counts: Object, worker: Object }>}
+ */
+async function listJobs(filter = {}) {
+  const scope = filter.workspaceId ? { 'payload.workspaceId': filter.workspaceId } : {};
+  const query = { ...scope };
+  if (filter.status) query.status = filter.status;
+  if (filter.type) query.type = filter.type;
+  const limit = Math.min(Math.max(parseInt(filter.limit, 10) || 50, 1), 200);
+  const [jobs, grouped] = await Promise.all([
+    Job.find(query).sort({ createdAt: -1 }).limit(limit).lean(),
+    Job.aggregate([{ $match: scope }, { $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+  const counts = Object.fromEntries(Job.schema.path('status').enumValues.map(status => [status, 0]));
+  grouped.forEach(({ _id, count }) => { counts[_id] = count; });
+  return {
+    jobs,
+    counts,
+    worker: {
+      id: WORKER_ID,
+      enabled: JOB_WORKER_ENABLED,
+      running: !!pollTimer,
+      concurrency: JOB_CONCURRENCY,
+      activeJobs: [...active.keys()]
+    }
+  };
+}
+
+module.exports = {
+  registerHandler,
+  enqueue,
+  startWorker,
+  stopWorker,
+  cancelJob,
+  retryJob,
+  waitForJob,
+  findActiveJob,
+  listJobs,
+  scheduleSlotKey,
+  FINISHED_STATUSES
+};
@@ -123,9 +123,10 @@ async function categorizeTopic(topicMetadata, categories) {
 /**
  * Generate topic metadata (title, summary, tags) from a cluster of news items
  * @param {Array} newsItems - Array of news items in the cluster
+ * @param {Object} [options] - { language: publication language code for title/summary (e.g. 'zh', 'en') }
  * @returns {Promise<Object>} - { title, summary, tags }
  */
-async function generateTopicMetadata(newsItems) {
+async function generateTopicMetadata(newsItems, options = {}) {
   const provider = getProvider();
   const fallback = getFallbackProvider();
 
@@ -134,15 +135,15 @@ async function generateTopicMetadata(newsItems) {
       const available = await provider.isAvailable();
       if (!available) {
         console.log(`⚠️  ${provider.name} not available, using mock provider`);
-        return await fallback.generateTopicMetadata(newsItems);
+        return await fallback.generateTopicMetadata(newsItems, options);
       }
     }
 
-    return await provider.generateTopicMetadata(newsItems);
+    return await provider.generateTopicMetadata(newsItems, options);
   } catch (error) {
     console.error(`❌ Error with ${provider.name} provider:`, error.message);
     console.log(`↩️  Falling back to mock provider`);
-    return await fallback.generateTopicMetadata(newsItems);
+    return await fallback.generateTopicMetadata(newsItems, options);
   }
 }
 
@@ -1,5 +1,6 @@
 // services/llm/providers/mock.js
 // Simple keyword-based categorization and grouping for testing without an LLM
+const { getItemLanguage } = require('../../../utils/language');
 
 /**
  * Categorize news using keyword matching
@@ -221,19 +222,23 @@ async function categorizeTopic(topicMetadata, categories) {
 
 /**
  * Generate topic metadata from a cluster of news items (NEW)
+ * Prefers the latest item in the publication language for the title; when the cluster mixes languages,
+ * the summary ends with the reporting outlets from each language.
  * @param {Array} newsItems - Array of news items in the cluster
+ * @param {Object} [options] - { language: publication language code, default 'zh' }
  * @returns {Promise<Object>} - { title, summary, tags }
  */
-async function generateTopicMetadata(newsItems) {
+async function generateTopicMetadata(newsItems, options = {}) {
   if (!newsItems || newsItems.length === 0) {
     throw new Error('No news items provided');
   }
+  const language = options.language || 'zh';
 
-  // Use the most recent item's title as the topic title
+  // Use the most recent item's title as the topic title, preferring items in the publication language
   const sortedItems = [...newsItems].sort(
     (a, b) => new Date(b.publishedAt) - new Date(a.publishedAt)
   );
-  const primaryItem = sortedItems[0];
+  const primaryItem = sortedItems.find(item => getItemLanguage(item) === language) || sortedItems[0];
 
   // Generate title from the primary item
   const title = primaryItem.title.length > 80
@@ -241,7 +246,21 @@ async function generateTopicMetadata(newsItems) {
     : primaryItem.title;
 
   // Generate summary from the primary item's description or title
-  const summary = primaryItem.description || primaryItem.title;
+  let summary = primaryItem.description || primaryItem.title;
+
+  // Cross-lingual cluster: cite outlets from every language
+  const outletsByLanguage = new Map();
+  for (const item of sortedItems) {
+    const itemLanguage = getItemLanguage(item);
+    const outlet = item.source && item.source.name;
+    if (itemLanguage === 'und' || !outlet) continue;
+    if (!outletsByLanguage.has(itemLanguage)) outletsByLanguage.set(itemLanguage, new Set());
+    outletsByLanguage.get(itemLanguage).add(outlet);
+  }
+  if (outletsByLanguage.size > 1) {
+    const outlets = [...outletsByLanguage.values()].flatMap(set => [...set]);
+    summary += language === 'zh' ? `（來源：${outlets.join('、')}）` : ` (Sources: ${outlets.join(', ')})`;
+  }
 
   // Extract tags using the existing mock tag extraction
   const tags = extractMockTags(newsItems, 'general');
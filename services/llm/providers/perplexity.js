@@ -1,6 +1,7 @@
 // services/llm/providers/perplexity.js
 // Perplexity AI API provider
 const axios = require('axios');
+const { getItemLanguage, LANGUAGE_NAMES } = require('../../../utils/language');
 
 const PERPLEXITY_API_KEY = process.env.PERPLEXITY_API_KEY;
 const PERPLEXITY_MODEL = process.env.PERPLEXITY_MODEL || 'sonar';
@@ -141,32 +142,53 @@ Based on the topic's content, return only the most appropriate category name.`;
 
 /**
  * Generate topic metadata from a cluster of news items using Perplexity (NEW)
+ * Title and summary are written in the publication language; when the cluster mixes languages
+ * (e.g. zh + en outlets), the summary cites outlets from each language by name.
  * @param {Array} newsItems - Array of news items in the cluster
+ * @param {Object} [options] - { language: publication language code, default 'zh' }
  * @returns {Promise<Object>} - { title, summary, tags }
  */
-async function generateTopicMetadata(newsItems) {
+async function generateTopicMetadata(newsItems, options = {}) {
   if (!newsItems || newsItems.length === 0) {
     throw new Error('No news items provided');
   }
 
-  const systemPrompt = 'You are a news analysis assistant. Generate topic metadata in Traditional Chinese (繁體中文). Return valid JSON only, no explanations.';
+  const language = LANGUAGE_NAMES[options.language] ? options.language : 'zh';
+  const languageName = LANGUAGE_NAMES[language];
+  const systemPrompt = `You are a news analysis assistant. Generate topic metadata in ${languageName}. Return valid JSON only, no explanations.`;
 
   const newsList = newsItems
-    .map((item, idx) => `${idx + 1}. ${item.title}\n   ${item.description || 'No description'}`)
+    .map((item, idx) => {
+      const sourceName = (item.source && item.source.name) || 'unknown';
+      return `${idx + 1}. [${sourceName}, ${getItemLanguage(item)}] ${item.title}\n   ${item.description || 'No description'}`;
+    })
     .join('\n');
 
+  const itemLanguages = new Set(newsItems.map(getItemLanguage).filter(lang => lang !== 'und'));
+  const citationRule = itemLanguages.size > 1
+    ? `\nSOURCES: These items come from outlets writing in different languages (${[...itemLanguages].join(', ')}). The summary MUST cite the reporting outlets by name, including at least one outlet from EACH language (keep outlet names as published, e.g. "據 BBC 及明報報道").\n`
+    : '';
+
+  const template = language === 'zh'
+    ? `{
+  "title": "主題標題（簡潔，最多60字）",
+  "summary": "1-2句摘要說明這個主題的核心內容",
+  "tags": ["標籤1", "標籤2", "標籤3", "標籤4", "標籤5"]
+}`
+    : `{
+  "title": "Topic title (concise, at most 60 characters)",
+  "summary": "1-2 sentence summary of the core of this topic",
+  "tags": ["tag1", "tag2", "tag3", "tag4", "tag5"]
+}`;
+
   const prompt = `Generate a unified topic title, summary, and tags for these related news items:
 
 ${newsList}
 
-IMPORTANT: All output MUST be in Traditional Chinese (繁體中文). Translate if necessary.
-
+IMPORTANT: All output MUST be in ${languageName}. Translate if necessary.
+${citationRule}
 Return a JSON object:
-{
-  "title": "主題標題（簡潔，最多60字）",
-  "summary": "1-2句摘要說明這個主題的核心內容",
-  "tags": ["標籤1", "標籤2", "標籤3", "標籤4", "標籤5"]
-}
+${template}
 
 TAG RULES (STRICT):
 - Each tag MUST be a SHORT NOUN only
@@ -1,4 +1,5 @@
 // services/newsFetcher.js
+const crypto = require('crypto');
 const Parser = require('rss-parser');
 const axios = require('axios');
 const cheerio = require('cheerio');
@@ -6,7 +7,29 @@ const { subHours, subDays } = require('date-fns');
 const NewsItem = require('../models/NewsItem');
 const FeedSource = require('../models/FeedSource');
 const { findUserByIdOrName } = require('../utils/userHelper');
+const { getItemLanguage } = require('../utils/language');
 const { generateEmbeddings, getNewsEmbeddingText, isAvailable: isEmbeddingAvailable, getDiagnostics, initializeModel: ensureEmbeddingReady } = require('./embedding');
+const { addItems: addToVectorIndex } = require('./vectorIndex');
+const { markNearDuplicates } = require('./duplicateDetector');
+const { extractArticle } = require('../utils/extractArticle');
+const { urlDedupeKey, findCanonicalUrl } = require('../utils/canonicalUrl');
+const { scrapeWithRecipe, hasRecipe } = require('./webScraper');
+const { fetchApiFeed, hasApiConfig } = require('./apiFeedFetcher');
+const { fetchSitemapFeed } = require('./sitemapFetcher');
+const { isDue, nextHealth, logTransition, recordHealth } = require('./sourceHealth');
+const { runFetchJobs, hostOf } = require('./fetchQueue');
+const { skippedOutcome } = require('./runLog');
+
+// Full-text extraction for RSS / sitemap sources with extractFullText enabled
+const ARTICLE_EXTRACTION_MAX_LENGTH = parseInt(process.env.ARTICLE_EXTRACTION_MAX_LENGTH, 10) || 20000;
+const ARTICLE_EXTRACTION_TIMEOUT_MS = parseInt(process.env.ARTICLE_EXTRACTION_TIMEOUT_MS, 10) || 15000;
+// Fetch metrics kept per FeedSource (oldest dropped first)
+const FEED_FETCH_HISTORY_LIMIT = parseInt(process.env.FEED_FETCH_HISTORY_LIMIT, 10) || 50;
+
+const FEED_REQUEST_HEADERS = {
+  'User-Agent': 'rss-parser',
+  Accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8'
+};
 
 const parser = new Parser({
   timeout: 10000,
@@ -30,9 +53,44 @@ function parseTimeframe(timeframe) {
   }
 }
 
-// Fetch RSS feed. Throws on fetch error so callers can distinguish failure from empty feed.
-async function fetchRSSFeed(url, sourceName, priority) {
-  const feed = await parser.parseURL(url);
+/**
+ * Download a feed document. With stored validators (etag / lastModified) the request is conditional,
+ * and an unchanged feed answers 304 with no body.
+ * @returns {Promise<{ status: number, body: string|null, etag: string|null, lastModified: string|null }>}
+ */
+async function downloadFeed(url, validators = {}) {
+  const headers = { ...FEED_REQUEST_HEADERS };
+  if (validators.etag) headers['If-None-Match'] = validators.etag;
+  if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+  const response = await axios.get(url, {
+    timeout: 10000,
+    maxRedirects: 5,
+    responseType: 'text',
+    headers,
+    validateStatus: (status) => (status >= 200 && status < 300) || status === 304
+  });
+  return {
+    status: response.status,
+    body: response.status === 304 ? null : response.data,
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null
+  };
+}
+
+// Identifier of the newest entry (by date; first entry for undated feeds)
+function newestItemGuid(feed) {
+  let newest = null;
+  for (const item of feed.items) {
+    if (!newest || (item.pubDate && new Date(item.pubDate) > new Date(newest.pubDate || 0))) newest = item;
+  }
+  return newest ? (newest.guid || newest.id || newest.link || null) : null;
+}
+
+// Feed entries without a date (publishedAt is the fetch time): the date of the extracted article replaces it
+const undatedFeedItems = new WeakSet();
+
+// Map parsed feed entries to news items
+function buildRSSItems(feed, url, sourceName, priority) {
   const items = [];
   for (const item of feed.items) {
     try {
@@ -55,6 +113,7 @@ async function fetchRSSFeed(url, sourceName, priority) {
         }
       };
       items.push(newsItem);
+      if (!item.pubDate) undatedFeedItems.add(newsItem);
     } catch (err) {
       console.error(`Error processing RSS item: ${err.message}`);
     }
@@ -62,6 +121,113 @@ async function fetchRSSFeed(url, sourceName, priority) {
   return items;
 }
 
+// Fetch RSS feed. Throws on fetch error so callers can distinguish failure from empty feed.
+// Full text is extracted afterwards by the caller (extractFullTextForNewItems), outside this fetch
+async function fetchRSSFeed(url, sourceName, priority) {
+  const { body } = await downloadFeed(url);
+  const feed = await parser.parseString(body);
+  return buildRSSItems(feed, url, sourceName, priority);
+}
+
+/**
+ * Fetch an RSS FeedSource, skipping unchanged feeds: a 304 answer to the conditional request,
+ * or a body identical to the last one (content hash).
+ * @param {Object} source - FeedSource doc
+ * @param {Object} [options] - { force: ignore stored state and always parse }
+ * @returns {Promise<{ items: Array, httpStatus: number, unchanged: boolean, fetchState: Object }>}
+ */
+async function fetchRSSSource(source, sourceName, priority, options = {}) {
+  const previous = options.force ? {} : (source.fetchState || {});
+  const response = await downloadFeed(source.url, previous);
+  if (response.status === 304) {
+    return { items: [], httpStatus: 304, unchanged: true, fetchState: {} };
+  }
+
+  const fetchState = {
+    etag: response.etag || undefined,
+    lastModified: response.lastModified || undefined,
+    contentHash: crypto.createHash('sha1').update(response.body || '').digest('hex')
+  };
+  if (fetchState.contentHash === previous.contentHash) {
+    return { items: [], httpStatus: response.status, unchanged: true, fetchState };
+  }
+
+  let feed;
+  try {
+    feed = await parser.parseString(response.body);
+  } catch (error) {
+    error.httpStatus = response.status;
+    throw error;
+  }
+  // Recorded for the fetch history only: an unchanged newest entry does not mean edited or back-dated entries are
+  // unchanged, so only a 304 or an identical body skips the feed
+  fetchState.lastItemGuid = newestItemGuid(feed) || undefined;
+
+  const items = buildRSSItems(feed, source.url, sourceName, priority);
+  return { items, httpStatus: response.status, unchanged: false, fetchState };
+}
+
+/**
+ * Follow the links of new items from sources with extractFullText and replace the feed snippet with the article body,
+ * byline, published time and lead image. Items already in the workspace are skipped (they were extracted when first
+ * seen). Called once the feed fetches are done: every article page is its own fetch-queue job on the article's host,
+ * so that publisher's limits apply, rather than running inside the feed's job.
+ * A canonical URL declared by the page replaces the item's URL, so AMP / mobile links dedupe on save.
+ * On failure the item keeps its snippet and records extraction.status = 'failed'.
+ * @param {Array<{ source: Object, items: Array }>} fetched - Items (mutated) per source ({ name, url, extractFullText, maxContentLength })
+ * @param {string} workspaceId - The workspace whose items count as already known
+ * @param {Object} [options] - { signal }: pages not fetched yet when it aborts are skipped
+ */
+async function extractFullTextForNewItems(fetched, workspaceId, { signal } = {}) {
+  const linked = fetched
+    .filter(({ source }) => source.extractFullText)
+    .flatMap(({ source, items }) => items.filter(item => item.url).map(item => ({ source, item })));
+  if (linked.length === 0) return;
+  const keys = [...new Set(linked.map(({ item }) => urlDedupeKey(item.url)))];
+  const known = new Set(
+    (await NewsItem.find({ workspace: workspaceId, urlKey: { $in: keys } }).select('urlKey').lean()).map(doc => doc.urlKey)
+  );
+  const queue = linked.filter(({ item }) => !known.has(urlDedupeKey(item.url)));
+  if (queue.length === 0) return;
+
+  // Extraction is best effort: a page that fails keeps the snippet instead of being retried
+  const outcomes = await runFetchJobs(queue.map(({ source, item }) => ({
+    label: item.url,
+    host: hostOf(item.url),
+    run: () => extractArticle(item.url, {
+      timeout: ARTICLE_EXTRACTION_TIMEOUT_MS,
+      maxLength: source.maxContentLength || ARTICLE_EXTRACTION_MAX_LENGTH
+    })
+  })), { name: 'article extraction', retries: 0, signal });
+
+  const counts = new Map(); // source -> { extracted, total }
+  queue.forEach(({ source, item }, i) => {
+    const count = counts.get(source) || { extracted: 0, total: 0 };
+    counts.set(source, count);
+    count.total++;
+    const { value: article, error } = outcomes[i];
+    const snippet = item.description || '';
+    if (error || article.content.length <= snippet.length) {
+      const message = error ? error.message : 'No article body found';
+      item.extraction = { status: 'failed', extractedAt: new Date(), error: message.substring(0, 200) };
+      return;
+    }
+    item.content = article.content;
+    if (article.canonicalUrl) item.url = article.canonicalUrl;
+    if (!item.metadata.author && article.byline) item.metadata.author = article.byline;
+    if (!item.metadata.imageUrl && article.imageUrl) item.metadata.imageUrl = article.imageUrl;
+    if (article.publishedAt) {
+      item.metadata.publishedTime = article.publishedAt;
+      if (undatedFeedItems.has(item)) item.publishedAt = article.publishedAt;
+    }
+    item.extraction = { status: 'extracted', extractedAt: new Date(), length: article.content.length };
+    count.extracted++;
+  });
+  for (const [source, { extracted, total }] of counts) {
+    console.log(`   📄 ${source.name || source.url}: full text extracted for ${extracted}/${total} new items`);
+  }
+}
+
 // Fetch from web URL (scraping). Throws on fetch error.
 async function fetchWebPage(url, sourceName, priority) {
   const response = await axios.get(url, {
@@ -79,7 +245,7 @@ async function fetchWebPage(url, sourceName, priority) {
     title: title.trim(),
     description: description.trim(),
     content: content.substring(0, 5000).trim(),
-    url: url,
+    url: findCanonicalUrl($, url) || url,
     source: {
       type: 'web',
       name: sourceName,
@@ -93,9 +259,56 @@ async function fetchWebPage(url, sourceName, priority) {
   };
 }
 
-// Fetch news for user within timeframe
-// useAllSources: when true, ignore user preferences and use all active FeedSources from DB
-async function fetchNewsForUser(userId, timeframe = '24h', useAllSources = false) {
+// Fetch a website source: one item per listed article when it has a scrape recipe, else the page itself
+async function fetchWebsiteSource(source, sourceName, priority) {
+  if (hasRecipe(source)) {
+    const { items, pagesFetched, warnings } = await scrapeWithRecipe(source.url, source.scrapeRecipe, { sourceName, priority });
+    if (warnings.length > 0) {
+      console.log(`   ⚠️ ${sourceName}: ${warnings.length} scrape warnings (${pagesFetched} pages), e.g. ${warnings[0]}`);
+    }
+    return items;
+  }
+  const item = await fetchWebPage(source.url, sourceName, priority);
+  return item ? [item] : [];
+}
+
+// Fetch an API (JSON) source through its apiConfig mapping
+async function fetchApiSource(source, sourceName, priority) {
+  if (!hasApiConfig(source)) {
+    throw new Error('API source has no apiConfig');
+  }
+  const { items, pagesFetched, warnings } = await fetchApiFeed(source.url, source.apiConfig, { sourceName, priority });
+  if (warnings.length > 0) {
+    console.log(`   ⚠️ ${sourceName}: ${warnings.length} API mapping warnings (${pagesFetched} pages), e.g. ${warnings[0]}`);
+  }
+  return items;
+}
+
+// Fetch a news sitemap source (follows sitemap indexes); with extractFullText, the caller extracts new items' bodies
+async function fetchSitemapSource(source, sourceName, priority) {
+  const { items, sitemapsFetched, warnings } = await fetchSitemapFeed(source.url, { sourceName, priority });
+  if (warnings.length > 0) {
+    console.log(`   ⚠️ ${sourceName}: ${warnings.length} sitemap warnings (${sitemapsFetched} sitemaps), e.g. ${warnings[0]}`);
+  }
+  return items;
+}
+
+const FETCHABLE_TYPES = ['rss', 'website', 'scraper', 'api', 'sitemap'];
+
+// Fetch a user / workspace source's items by type (no conditional GET); sources without a URL yield nothing
+async function fetchSourceItems(source, sourceName, priority) {
+  if (!source.url) return [];
+  if (source.type === 'rss') return fetchRSSFeed(source.url, sourceName, priority);
+  if (source.type === 'website' || source.type === 'scraper') return fetchWebsiteSource(source, sourceName, priority);
+  if (source.type === 'api') return fetchApiSource(source, sourceName, priority);
+  if (source.type === 'sitemap') return fetchSitemapSource(source, sourceName, priority);
+  throw new Error(`Unsupported source type: ${source.type}`);
+}
+
+// Fetch news for user within timeframe, into the workspace options.workspaceId
+// useAllSources: when true, ignore user preferences and use the workspace's active FeedSources
+// options.outcomes: array that receives each source's RunLog outcome (see services/runLog.js)
+async function fetchNewsForUser(userId, timeframe = '24h', useAllSources = false, options = {}) {
   const user = await findUserByIdOrName(userId);
   if (!user) {
     throw new Error('User not found');
@@ -107,68 +320,116 @@ async function fetchNewsForUser(userId, timeframe = '24h', useAllSources = false
   let sources = [];
   let fromUserPrefs = false;
   if (useAllSources) {
-    sources = (await FeedSource.find({ isActive: true })).map(s => ({
+    sources = (await FeedSource.find({ workspace: options.workspaceId, isActive: true })).map(s => ({
       type: s.type,
       url: s.url,
       name: s.name,
-      priority: 5
+      priority: 5,
+      extractFullText: s.extractFullText,
+      maxContentLength: s.maxContentLength,
+      scrapeRecipe: s.scrapeRecipe,
+      apiConfig: s.apiConfig,
+      _id: s._id,
+      health: s.health
     }));
   } else {
     sources = user.preferences?.sources || [];
     fromUserPrefs = sources.length > 0;
     if (sources.length === 0) {
-      const globalSources = await FeedSource.find({ isActive: true });
+      const globalSources = await FeedSource.find({ workspace: options.workspaceId, isActive: true });
       sources = globalSources.map(s => ({
         type: s.type,
         url: s.url,
         name: s.name,
-        priority: 5
+        priority: 5,
+        extractFullText: s.extractFullText,
+        maxContentLength: s.maxContentLength,
+        scrapeRecipe: s.scrapeRecipe,
+        apiConfig: s.apiConfig,
+        _id: s._id,
+        health: s.health
       }));
     }
   }
 
-  const totalSources = sources.length;
+  // Global sources in backoff or auto-paused wait for their next attempt time
+  const dueSources = sources.filter(source => !source._id || isDue(source));
+  const skippedCount = sources.length - dueSources.length;
+  const totalSources = dueSources.length;
   let successCount = 0;
   let failedCount = 0;
   const failedSources = [];
+  const runOutcomes = options.outcomes || [];
+  const userSourceOutcome = (source, fields) => ({
+    targetType: source._id ? 'FeedSource' : 'UserSource',
+    targetId: source._id || null,
+    name: source.name || source.url,
+    url: source.url,
+    ...fields
+  });
+  for (const source of sources) {
+    if (!dueSources.includes(source)) runOutcomes.push(skippedOutcome('FeedSource', source, source.name || source.url));
+  }
 
-  // Sort by priority (higher priority first)
-  const sortedSources = [...sources].sort((a, b) => (b.priority || 5) - (a.priority || 5));
+  const supportedSources = [];
+  for (const source of dueSources) {
+    if (source.url && !FETCHABLE_TYPES.includes(source.type)) {
+      failedCount++;
+      failedSources.push(`${source.name || source.url} (unsupported type: ${source.type})`);
+      runOutcomes.push(userSourceOutcome(source, { status: 'failed', error: `Unsupported type: ${source.type}` }));
+    } else {
+      supportedSources.push(source);
+    }
+  }
 
-  for (const source of sortedSources) {
-    const sourceName = source.name || source.url;
-    try {
-      let items = [];
-      if (source.type === 'rss' && source.url) {
-        items = await fetchRSSFeed(source.url, sourceName, source.priority || 5);
-      } else if ((source.type === 'website' || source.type === 'scraper') && source.url) {
-        const item = await fetchWebPage(source.url, sourceName, source.priority || 5);
-        if (item) items = [item];
-      } else if (source.url) {
-        failedCount++;
-        failedSources.push(`${sourceName} (unsupported type: ${source.type})`);
-        continue;
-      }
+  // Sort by priority (higher priority first); the queue starts jobs in this order and runs them in parallel
+  const sortedSources = supportedSources.sort((a, b) => (b.priority || 5) - (a.priority || 5));
+  const outcomes = await runFetchJobs(sortedSources.map(source => ({
+    label: source.name || source.url,
+    host: hostOf(source.url),
+    run: () => fetchSourceItems(source, source.name || source.url, source.priority || 5)
+  })), { name: 'user sources' });
+  const fetched = []; // { source, items } for full-text extraction
 
-      items = items.filter(item => item.publishedAt >= sinceDate);
-      allItems.push(...items);
-      successCount++;
-    } catch (error) {
+  for (let i = 0; i < sortedSources.length; i++) {
+    const source = sortedSources[i];
+    const sourceName = source.name || source.url;
+    const { value: items, error, durationMs } = outcomes[i];
+    if (error) {
       failedCount++;
       failedSources.push(sourceName);
+      runOutcomes.push(userSourceOutcome(source, {
+        status: 'failed',
+        httpStatus: error.response?.status || error.httpStatus || null,
+        durationMs,
+        error: error.message.substring(0, 300)
+      }));
+      if (source._id) await recordHealth(FeedSource, source, error, sourceName);
+      continue;
     }
+    const recentItems = items.filter(item => item.publishedAt >= sinceDate);
+    allItems.push(...recentItems);
+    fetched.push({ source, items: recentItems });
+    runOutcomes.push(userSourceOutcome(source, { status: 'success', durationMs, itemCount: recentItems.length }));
+    successCount++;
+    if (source._id) await recordHealth(FeedSource, source, null, sourceName);
   }
 
   console.log(`📡 Fetched from ${totalSources} sources: ${successCount} succeeded, ${failedCount} failed (${fromUserPrefs ? 'user-configured' : 'global FeedSource DB'})`);
+  if (skippedCount > 0) {
+    console.log(`   ⏳ ${skippedCount} sources skipped (backoff / auto-paused)`);
+  }
   if (failedSources.length > 0) {
     console.log(`   Failed: ${failedSources.join(', ')}`);
   }
+
+  await extractFullTextForNewItems(fetched, options.workspaceId);
   
-  // Remove duplicates by URL
+  // Remove duplicates by URL (and undated entries whose extracted article turned out older than the timeframe)
   const uniqueItems = [];
   const seenUrls = new Set();
   
-  for (const item of allItems) {
+  for (const item of allItems.filter(item => item.publishedAt >= sinceDate)) {
     if (!seenUrls.has(item.url)) {
       seenUrls.add(item.url);
       uniqueItems.push(item);
@@ -176,72 +437,7 @@ async function fetchNewsForUser(userId, timeframe = '24h', useAllSources = false
   }
   
   // Save to database with embeddings
-  const savedItems = [];
-  const newItems = []; // Track items that need embeddings
-  
-  // First pass: save items without embeddings
-  for (const item of uniqueItems) {
-    try {
-      const existing = await NewsItem.findOne({ url: item.url });
-      if (!existing) {
-        const newsItem = await NewsItem.create(item);
-        savedItems.push(newsItem);
-        newItems.push(newsItem);
-      } else {
-        savedItems.push(existing);
-        // Add existing items without embeddings to the list
-        if (!existing.embedding || existing.embedding.length === 0) {
-          newItems.push(existing);
-        }
-      }
-    } catch (error) {
-      console.error(`Error saving news item: ${error.message}`);
-    }
-  }
-  
-  // Second pass: generate embeddings for new items (batched for throughput)
-  if (newItems.length > 0) {
-    const embeddingAvailable = await isEmbeddingAvailable();
-    if (embeddingAvailable) {
-      const toEmbed = [];
-      for (const item of newItems) {
-        try {
-          toEmbed.push({ item, text: getNewsEmbeddingText(item) });
-        } catch (error) {
-          console.error(`   ⚠️ Skipping embedding for "${(item.title || '').substring(0, 50)}...": ${error.message}`);
-        }
-      }
-      if (toEmbed.length > 0) {
-        console.log(`🧠 Generating embeddings for ${toEmbed.length} news items (batch)...`);
-        const texts = toEmbed.map(({ text }) => text);
-        const embeddings = await generateEmbeddings(texts);
-        await Promise.all(
-          toEmbed.map(({ item }, i) => {
-            item.embedding = embeddings[i];
-            return item.save();
-          })
-        );
-        console.log(`   ✅ Embeddings generated for ${toEmbed.length} items`);
-      }
-      if (toEmbed.length < newItems.length) {
-        console.log(`   ⚠️ ${newItems.length - toEmbed.length} items skipped (no valid text)`);
-      }
-    } else {
-      // Get detailed diagnostic information
-      const diagnostics = getDiagnostics();
-      console.log(`   ⚠️ Embedding service not available, skipping embedding generation`);
-      
-      if (diagnostics.status !== 'available') {
-        console.log(`   Status: ${diagnostics.status}`);
-        if (diagnostics.error) {
-          console.log(`   Error: ${diagnostics.error}`);
-        }
-        if (diagnostics.suggestedFix) {
-          console.log(`   Fix: ${diagnostics.suggestedFix}`);
-        }
-      }
-    }
-  }
+  const { savedItems } = await saveAndEmbedNewsItems(uniqueItems, options.workspaceId);
   
   return savedItems;
 }
@@ -251,124 +447,364 @@ function resolveFeedType(type) {
   return type === 'scraper' ? 'website' : type;
 }
 
-// Fetch from a single FeedSource doc and return items (no save)
-async function fetchFromFeedSource(source) {
+/**
+ * Fetch from a single FeedSource doc (no save). RSS feeds are fetched conditionally (see fetchRSSSource).
+ * @param {Object} source - FeedSource doc
+ * @param {Object} [options] - { force }
+ * @returns {Promise<{ items: Array, httpStatus: number|null, unchanged: boolean, fetchState: Object|null }>}
+ */
+async function fetchFromFeedSource(source, options = {}) {
   const type = resolveFeedType(source.type);
   const name = source.name || source.url;
   const priority = 5;
-  let items = [];
   if (type === 'rss' && source.url) {
-    items = await fetchRSSFeed(source.url, name, priority);
-  } else if ((type === 'website' || type === 'scraper') && source.url) {
-    const item = await fetchWebPage(source.url, name, priority);
-    if (item) items = [item];
+    return fetchRSSSource(source, name, priority, options);
   }
-  return items;
+  let items = [];
+  if ((type === 'website' || type === 'scraper') && source.url) {
+    items = await fetchWebsiteSource(source, name, priority);
+  } else if (type === 'api' && source.url) {
+    items = await fetchApiSource(source, name, priority);
+  } else if (type === 'sitemap' && source.url) {
+    items = await fetchSitemapSource(source, name, priority);
+  }
+  return { items, httpStatus: 200, unchanged: false, fetchState: null };
+}
+
+// Items whose URL is not in the workspace yet
+async function countNewItems(items, workspaceId) {
+  const keys = [...new Set(items.map(item => item.url).filter(Boolean).map(urlDedupeKey))];
+  if (keys.length === 0) return 0;
+  const known = await NewsItem.countDocuments({ workspace: workspaceId, urlKey: { $in: keys } });
+  return keys.length - known;
 }
 
-// Save items to DB and generate embeddings; returns saved items
-async function saveAndEmbedNewsItems(uniqueItems) {
+// Fetch queue job for a FeedSource (the network part only, so retries never record twice)
+function feedSourceJob(source, options = {}) {
+  return {
+    label: source.name || source.url,
+    host: hostOf(source.url),
+    run: () => fetchFromFeedSource(source, options)
+  };
+}
+
+/**
+ * Record the outcome of a FeedSource fetch: a fetchHistory entry (HTTP status, duration, item counts, error),
+ * the latest status in fetchState, lastFetched on success, and the source's health (backoff / auto-pause / recovery).
+ * The new validators are returned, not stored: save them with saveFeedValidators once the items are saved.
+ * @param {Object} source - FeedSource doc
+ * @param {Object|null} result - From fetchFromFeedSource (null on failure)
+ * @param {Error|null} fetchError
+ * @param {number} durationMs - Time spent fetching (all attempts, excluding queue wait)
+ * @returns {Promise<{ items: Array, unchanged: boolean, error: Error|null, entry: Object, validators: Object|null }>}
+ *   entry = the fetchHistory entry
+ */
+async function recordFeedSourceFetch(source, result, fetchError, durationMs) {
+  const fetchedAt = new Date();
+  const entry = {
+    fetchedAt,
+    httpStatus: fetchError ? (fetchError.response?.status || fetchError.httpStatus || null) : result.httpStatus,
+    durationMs,
+    itemCount: result ? result.items.length : 0,
+    newItemCount: 0,
+    notModified: !!(result && result.unchanged),
+    error: fetchError ? fetchError.message.substring(0, 300) : undefined
+  };
+
+  const health = nextHealth(source.health, fetchError, fetchedAt);
+  logTransition(source.name || source.url, source.health, health);
+  const set = {
+    'fetchState.lastCheckedAt': fetchedAt,
+    'fetchState.lastHttpStatus': entry.httpStatus,
+    health
+  };
+  const update = {
+    $set: set,
+    $push: { fetchHistory: { $each: [entry], $slice: -FEED_FETCH_HISTORY_LIMIT } }
+  };
+  if (fetchError) {
+    set['fetchState.lastError'] = entry.error;
+  } else {
+    set.lastFetched = fetchedAt;
+    update.$unset = { 'fetchState.lastError': 1 };
+    try {
+      entry.newItemCount = await countNewItems(result.items, source.workspace);
+    } catch (error) {
+      console.error(`   ⚠️ Could not count new items for ${source.name || source.url}: ${error.message}`);
+    }
+  }
+
+  try {
+    await FeedSource.updateOne({ _id: source._id }, update);
+  } catch (error) {
+    console.error(`   ⚠️ Failed to record fetch state for ${source.name || source.url}: ${error.message}`);
+  }
+  return {
+    items: result ? result.items : [],
+    unchanged: entry.notModified,
+    error: fetchError,
+    entry,
+    validators: result ? result.fetchState : null
+  };
+}
+
+/**
+ * Store the validators of a successful fetch (etag, lastModified, contentHash, lastItemGuid). Call it only after the
+ * fetched items are all saved: if saving fails for any of them (or the worker dies) the retried job must download and parse the feed
+ * again, not take it as unchanged and lose those items.
+ * @param {Object} source - FeedSource doc
+ * @param {Object|null} validators - From recordFeedSourceFetch
+ */
+async function saveFeedValidators(source, validators) {
+  const set = {};
+  const unset = {};
+  for (const [key, value] of Object.entries(validators || {})) {
+    if (value === undefined) unset[`fetchState.${key}`] = 1;
+    else set[`fetchState.${key}`] = value;
+  }
+  if (Object.keys(set).length === 0 && Object.keys(unset).length === 0) return;
+  try {
+    await FeedSource.updateOne({ _id: source._id }, { $set: set, $unset: unset });
+  } catch (error) {
+    console.error(`   ⚠️ Failed to save feed validators for ${source.name || source.url}: ${error.message}`);
+  }
+}
+
+// RunLog outcome of a FeedSource fetch, from its fetchHistory entry
+function feedSourceOutcome(source, entry) {
+  return {
+    targetType: 'FeedSource',
+    targetId: source._id,
+    name: source.name || source.url,
+    url: source.url,
+    status: entry.error ? 'failed' : (entry.notModified ? 'unchanged' : 'success'),
+    httpStatus: entry.httpStatus,
+    durationMs: entry.durationMs,
+    itemCount: entry.itemCount,
+    newItemCount: entry.newItemCount,
+    error: entry.error || null
+  };
+}
+
+/**
+ * Fetch one FeedSource through the fetch queue (per-host limits, timeout, retries) and record the outcome.
+ * Never throws; a failed fetch returns { error }.
+ * @returns {Promise<{ items: Array, unchanged: boolean, error: Error|null, entry: Object, validators: Object|null }>}
+ */
+async function fetchAndRecordFeedSource(source, options = {}) {
+  const [outcome] = await runFetchJobs([feedSourceJob(source, options)], { name: source.name || source.url });
+  return recordFeedSourceFetch(source, outcome.value || null, outcome.error, outcome.durationMs);
+}
+
+/**
+ * Generate and save embeddings for news items (and add them to the local vector index).
+ * @param {Array} items - NewsItem documents without an embedding
+ * @returns {Promise<{ available: boolean, embedded: number }>} available = false when the embedding service is down
+ */
+async function embedNewsItems(items) {
+  const embeddingAvailable = await isEmbeddingAvailable();
+  if (embeddingAvailable) {
+    const toEmbed = [];
+    for (const item of items) {
+      try {
+        toEmbed.push({ item, text: getNewsEmbeddingText(item) });
+      } catch (error) {
+        console.error(`   ⚠️ Skipping embedding for "${(item.title || '').substring(0, 50)}...": ${error.message}`);
+      }
+    }
+    if (toEmbed.length > 0) {
+      console.log(`🧠 Generating embeddings for ${toEmbed.length} news items (batch)...`);
+      const texts = toEmbed.map(({ text }) => text);
+      const embeddings = await generateEmbeddings(texts);
+      await Promise.all(
+        toEmbed.map(({ item }, i) => {
+          item.embedding = embeddings[i];
+          return item.save();
+        })
+      );
+      console.log(`   ✅ Embeddings generated for ${toEmbed.length} items`);
+      // Keep the local ANN index current (no-op unless it is in use)
+      try {
+        addToVectorIndex(toEmbed.map(({ item }) => item));
+      } catch (error) {
+        console.error(`   ⚠️ Failed to update local vector index: ${error.message}`);
+      }
+    }
+    if (toEmbed.length < items.length) {
+      console.log(`   ⚠️ ${items.length - toEmbed.length} items skipped (no valid text)`);
+    }
+    return { available: true, embedded: toEmbed.length };
+  } else {
+    // Get detailed diagnostic information
+    const diagnostics = getDiagnostics();
+    console.log(`   ⚠️ Embedding service not available, skipping embedding generation`);
+    
+    if (diagnostics.status !== 'available') {
+      console.log(`   Status: ${diagnostics.status}`);
+      if (diagnostics.error) {
+        console.log(`   Error: ${diagnostics.error}`);
+      }
+      if (diagnostics.suggestedFix) {
+        console.log(`   Fix: ${diagnostics.suggestedFix}`);
+      }
+    }
+    return { available: false, embedded: 0 };
+  }
+}
+
+// Save items to a workspace and generate embeddings; returns { savedItems, failedCount } (items that could not be saved).
+// Items are matched on urlKey (see utils/canonicalUrl.js), so tracking / AMP / mobile variants find the existing item;
+// the item keeps the URL it was first fetched from.
+async function saveAndEmbedNewsItems(uniqueItems, workspaceId) {
   const savedItems = [];
-  const newItems = [];
+  let failedCount = 0;
+  const newItems = []; // Track items that need embeddings
+  const createdItems = [];
+  const seenKeys = new Set();
   for (const item of uniqueItems) {
     try {
-      const existing = await NewsItem.findOne({ url: item.url });
+      const urlKey = urlDedupeKey(item.url);
+      if (seenKeys.has(urlKey)) continue;
+      seenKeys.add(urlKey);
+      const existing = await NewsItem.findOne({ workspace: workspaceId, urlKey });
       if (!existing) {
-        const newsItem = await NewsItem.create(item);
+        const newsItem = await NewsItem.create({ ...item, workspace: workspaceId, urlKey, language: getItemLanguage(item) });
         savedItems.push(newsItem);
         newItems.push(newsItem);
+        createdItems.push(newsItem);
       } else {
+        if (!existing.language) {
+          // Backfill items saved before language detection existed
+          existing.language = getItemLanguage(existing);
+          await existing.save();
+        }
         savedItems.push(existing);
         if (!existing.embedding || existing.embedding.length === 0) {
           newItems.push(existing);
         }
       }
     } catch (error) {
+      failedCount++;
       console.error(`Error saving news item: ${error.message}`);
     }
   }
+  // Mark syndicated copies (oldest first, so the earliest report becomes the original)
+  if (createdItems.length > 0) {
+    createdItems.sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+    await markNearDuplicates(createdItems);
+  }
   if (newItems.length > 0) {
-    const embeddingAvailable = await isEmbeddingAvailable();
-    if (embeddingAvailable) {
-      const toEmbed = [];
-      for (const item of newItems) {
-        try {
-          toEmbed.push({ item, text: getNewsEmbeddingText(item) });
-        } catch (error) {
-          console.error(`   ⚠️ Skipping embedding for "${(item.title || '').substring(0, 50)}...": ${error.message}`);
-        }
-      }
-      if (toEmbed.length > 0) {
-        console.log(`🧠 Generating embeddings for ${toEmbed.length} news items (batch)...`);
-        const texts = toEmbed.map(({ text }) => text);
-        const embeddings = await generateEmbeddings(texts);
-        await Promise.all(
-          toEmbed.map(({ item }, i) => {
-            item.embedding = embeddings[i];
-            return item.save();
-          })
-        );
-        console.log(`   ✅ Embeddings generated for ${toEmbed.length} items`);
-      }
-    }
+    await embedNewsItems(newItems);
   }
-  return savedItems;
+  return { savedItems, failedCount };
 }
 
-// Fetch from all active global feed sources (for scheduler / admin). Updates each source's lastFetched.
-async function fetchNewsFromAllActiveSources() {
+// Fetch from the active feed sources of workspace options.workspaceId (for scheduler / admin), or only
+// options.sourceIds (the sources whose schedule is due). Updates each source's lastFetched.
+// Sources in backoff or auto-paused are skipped until their next attempt (probe) time.
+// options.outcomes: array that receives each source's RunLog outcome (see services/runLog.js)
+// options.signal: the job's AbortSignal; once aborted, no further fetch starts and the run stops between sources
+// (throwing its reason) before anything more is recorded or saved
+async function fetchNewsFromAllActiveSources(options = {}) {
   await ensureEmbeddingReady();
-  const sources = await FeedSource.find({ isActive: true });
+  const query = { workspace: options.workspaceId, isActive: true };
+  if (options.sourceIds) query._id = { $in: options.sourceIds };
+  const activeSources = await FeedSource.find(query);
+  const sources = activeSources.filter(source => isDue(source));
+  const skippedCount = activeSources.length - sources.length;
+  const runOutcomes = options.outcomes || [];
+  for (const source of activeSources) {
+    if (!sources.includes(source)) runOutcomes.push(skippedOutcome('FeedSource', source, source.name || source.url));
+  }
   const allItems = [];
   let successCount = 0;
   let failedCount = 0;
+  let unchangedCount = 0;
   const failedSources = [];
+  const fetchedSources = []; // [source, validators] to store once the items are saved
+  const fetched = []; // { source, items } for full-text extraction
 
-  for (const source of sources) {
+  // All sources fetch in parallel through the shared queue; outcomes are recorded one by one afterwards
+  const { signal } = options;
+  const outcomes = await runFetchJobs(sources.map(source => feedSourceJob(source)), { name: 'feed sources', signal });
+  for (let i = 0; i < sources.length; i++) {
+    signal?.throwIfAborted();
+    const source = sources[i];
     const sourceName = source.name || source.url;
-    try {
-      const items = await fetchFromFeedSource(source);
-      allItems.push(...items);
-      await FeedSource.findByIdAndUpdate(source._id, { lastFetched: new Date() });
-      successCount++;
-    } catch (error) {
+    const outcome = outcomes[i];
+    const { items, unchanged, error, entry, validators } = await recordFeedSourceFetch(source, outcome.value || null, outcome.error, outcome.durationMs);
+    runOutcomes.push(feedSourceOutcome(source, entry));
+    if (error) {
       failedCount++;
       failedSources.push(sourceName);
+      continue;
     }
+    allItems.push(...items);
+    fetched.push({ source, items });
+    fetchedSources.push([source, validators]);
+    successCount++;
+    if (unchanged) unchangedCount++;
   }
 
-  console.log(`📡 Fetched from ${sources.length} sources: ${successCount} succeeded, ${failedCount} failed`);
+  console.log(`📡 Fetched from ${sources.length} sources: ${successCount} succeeded (${unchangedCount} unchanged), ${failedCount} failed`);
+  if (skippedCount > 0) {
+    console.log(`   ⏳ ${skippedCount} sources skipped (backoff / auto-paused)`);
+  }
   if (failedSources.length > 0) {
     console.log(`   Failed: ${failedSources.join(', ')}`);
   }
 
+  signal?.throwIfAborted();
+  await extractFullTextForNewItems(fetched, options.workspaceId, { signal });
+  signal?.throwIfAborted();
   const seenUrls = new Set();
   const uniqueItems = allItems.filter((item) => {
     if (seenUrls.has(item.url)) return false;
     seenUrls.add(item.url);
     return true;
   });
-  const savedItems = await saveAndEmbedNewsItems(uniqueItems);
+  const { savedItems, failedCount: saveFailedCount } = await saveAndEmbedNewsItems(uniqueItems, options.workspaceId);
+  if (saveFailedCount > 0) {
+    console.log(`   ⚠️ ${saveFailedCount} items could not be saved; feed validators not stored, so the next fetch parses every feed again`);
+  } else {
+    for (const [source, validators] of fetchedSources) {
+      await saveFeedValidators(source, validators);
+    }
+  }
   return {
     count: savedItems.length,
     sourcesProcessed: sources.length,
     successCount,
+    unchangedCount,
     failedCount,
+    skippedCount,
     failedSources
   };
 }
 
-// Fetch from a single feed source by id (for admin "fetch this source" button). Updates source's lastFetched.
-async function fetchNewsFromSource(sourceId) {
+// Fetch from a single feed source by id (for admin "fetch this source" button). Records fetch state/history.
+// Runs regardless of backoff, so it doubles as a manual probe for a paused source.
+// options: { workspaceId } - the source must belong to it; { force } - download and parse even if the feed looks
+// unchanged; { outcomes } - array for the RunLog outcome
+async function fetchNewsFromSource(sourceId, options = {}) {
   await ensureEmbeddingReady();
-  const source = await FeedSource.findById(sourceId);
+  const source = await FeedSource.findOne({ _id: sourceId, workspace: options.workspaceId });
   if (!source) {
     throw new Error('Source not found');
   }
-  const items = await fetchFromFeedSource(source);
-  await FeedSource.findByIdAndUpdate(sourceId, { lastFetched: new Date() });
-  const savedItems = await saveAndEmbedNewsItems(items);
-  return { count: savedItems.length };
+  const { items, unchanged, error, entry, validators } = await fetchAndRecordFeedSource(source, options);
+  if (options.outcomes) options.outcomes.push(feedSourceOutcome(source, entry));
+  if (error) {
+    throw error;
+  }
+  await extractFullTextForNewItems([{ source, items }], source.workspace);
+  const { savedItems, failedCount } = await saveAndEmbedNewsItems(items, source.workspace);
+  if (failedCount > 0) {
+    console.log(`   ⚠️ ${failedCount} items from ${source.name || source.url} could not be saved; feed validators not stored`);
+  } else {
+    await saveFeedValidators(source, validators);
+  }
+  return { count: savedItems.length, unchanged };
 }
 
 module.exports = {
@@ -376,5 +812,7 @@ module.exports = {
   fetchRSSFeed,
   parseTimeframe,
   fetchNewsFromAllActiveSources,
-  fetchNewsFromSource
+  fetchNewsFromSource,
+  embedNewsItems,
+  FEED_FETCH_HISTORY_LIMIT
 };
@@ -0,0 +1,228 @@
+// services/newsPipeline.js
+// Post-fetch processing pipeline. With NewsFetchSchedule.autoProcess on, a scheduled news-fetch job records its fetch
+// as the first stage of a PipelineRun, then queues a topic-process job for the rest: embed → cluster → categorize → rank.
+// The later stages run as topic-process so they never overlap a manual 處理新聞 (topic-process is exclusive).
+const PipelineRun = require('../models/PipelineRun');
+const NewsItem = require('../models/NewsItem');
+const NewsFetchSchedule = require('../models/NewsFetchSchedule');
+const { enqueue } = require('./jobQueue');
+const { embedNewsItems, parseTimeframe } = require('./newsFetcher');
+const { assignAndClusterIncremental, createTopicsFromClusters, getActiveCategories } = require('./topicGrouper');
+const { refreshDiscussionScores } = require('./rankingService');
+
+// News items published within this window are embedded and clustered
+const PIPELINE_TIMEFRAME = process.env.PIPELINE_TIMEFRAME || '24h';
+const PROCESSING_STAGES = ['embed', 'cluster', 'categorize', 'rank'];
+
+function cancelledError() {
+  const error = new Error('Cancelled');
+  error.cancelled = true;
+  return error;
+}
+
+/**
+ * Run one stage of a run, recording status, timing and counts on the PipelineRun.
+ * @param {Object} run - PipelineRun document
+ * @param {string} name - Stage name
+ * @param {Function} work - async () => { counts, skipped?: reason, ...values passed back to the caller }
+ * @returns {Promise<Object>} What work returned
+ */
+async function runStage(run, name, work) {
+  const stage = run.stages.find(s => s.name === name);
+  stage.set({ status: 'running', startedAt: new Date(), finishedAt: null, durationMs: null, counts: {}, error: null });
+  await run.save();
+  try {
+    const outcome = await work();
+    stage.set({ status: outcome.skipped ? 'skipped' : 'completed', counts: outcome.counts || {}, error: outcome.skipped || null });
+    return outcome;
+  } catch (error) {
+    stage.set({ status: 'failed', error: error.message });
+    throw error;
+  } finally {
+    stage.finishedAt = new Date();
+    stage.durationMs = stage.finishedAt - stage.startedAt;
+    await run.save();
+  }
+}
+
+// End a run; stages that never ran are marked skipped
+async function finishRun(run, status, error = null) {
+  for (const stage of run.stages) {
+    if (stage.status === 'pending' || stage.status === 'running') stage.status = 'skipped';
+  }
+  run.set({ status, error, finishedAt: new Date() });
+  run.durationMs = run.finishedAt - run.startedAt;
+  await run.save();
+  const icon = status === 'completed' ? '✅' : status === 'cancelled' ? '🛑' : '❌';
+  console.log(`${icon} [Pipeline] Run ${run._id} ${status} in ${(run.durationMs / 1000).toFixed(1)}s${error ? `: ${error}` : ''}`);
+}
+
+/**
+ * Whether a workspace's scheduled fetches should run the processing pipeline (Admin → 新聞來源 → 抓取後自動處理).
+ * @param {ObjectId} workspaceId
+ * @returns {Promise<boolean>}
+ */
+async function isAutoProcessEnabled(workspaceId) {
+  const schedule = await NewsFetchSchedule.getSchedule(workspaceId);
+  return !!schedule.autoProcess;
+}
+
+/**
+ * Fetch stage: run the fetch as the first stage of a new PipelineRun, then queue the processing stages.
+ * A retried fetch job starts its run over.
+ * @param {Object} job - The news-fetch job
+ * @param {Function} fetch - async () => fetchNewsFromAllActiveSources() result
+ * @returns {Promise<Object>} The fetch result, plus pipelineRunId
+ */
+async function runFetchStage(job, fetch) {
+  let run = await PipelineRun.findOne({ fetchJobId: job._id });
+  if (run) {
+    run.set({ status: 'running', error: null, startedAt: new Date(), finishedAt: null, durationMs: null, processJobId: null });
+    run.stages = run.stages.map(stage => ({ name: stage.name }));
+  } else {
+    run = new PipelineRun({
+      workspace: job.payload.workspaceId,
+      fetchJobId: job._id,
+      trigger: job.trigger,
+      timeframe: PIPELINE_TIMEFRAME
+    });
+  }
+  console.log(`🔁 [Pipeline] Run ${run._id} started by ${job.type} ${job._id}`);
+
+  let outcome;
+  try {
+    outcome = await runStage(run, 'fetch', async () => {
+      const result = await fetch();
+      return {
+        result,
+        counts: {
+          sources: result.sourcesProcessed,
+          succeeded: result.successCount,
+          unchanged: result.unchangedCount,
+          failed: result.failedCount,
+          skipped: result.skippedCount,
+          items: result.count
+        }
+      };
+    });
+    const processJob = await enqueue('topic-process', {
+      workspaceId: run.workspace,
+      pipelineRunId: String(run._id)
+    }, { trigger: 'pipeline', maxAttempts: 1 });
+    run.processJobId = processJob._id;
+    await run.save();
+  } catch (error) {
+    await finishRun(run, error.cancelled ? 'cancelled' : 'failed', error.message);
+    throw error;
+  }
+  return { ...outcome.result, pipelineRunId: run._id };
+}
+
+/**
+ * Processing stages of a run (the topic-process job queued by runFetchStage): embed items still missing an embedding,
+ * attach / cluster unassigned items, title and categorize the new clusters, and re-score the topics that changed.
+ * Stops between stages (and between topics and clusters within them) when the job is cancelled. A retried job runs
+ * these stages again.
+ * @param {string} pipelineRunId
+ * @param {Object} [options] - { signal } from the job
+ * @returns {Promise<{ pipelineRunId, mode: string, topicIds: Array, updatedTopicIds: Array }>}
+ */
+async function runProcessingStages(pipelineRunId, { signal } = {}) {
+  const run = await PipelineRun.findById(pipelineRunId);
+  if (!run) {
+    throw new Error('Pipeline run not found');
+  }
+  run.set({ status: 'running', error: null, finishedAt: null, durationMs: null });
+  for (const stage of run.stages) {
+    if (PROCESSING_STAGES.includes(stage.name)) stage.set({ status: 'pending', startedAt: null, finishedAt: null, durationMs: null, counts: {}, error: null });
+  }
+  const since = parseTimeframe(run.timeframe);
+  const checkCancelled = () => {
+    if (signal && signal.aborted) throw cancelledError();
+  };
+
+  try {
+    await runStage(run, 'embed', async () => {
+      const pending = await NewsItem.find({
+        workspace: run.workspace,
+        publishedAt: { $gte: since },
+        topicId: null,
+        $or: [{ embedding: { $exists: false } }, { embedding: { $size: 0 } }]
+      });
+      if (pending.length === 0) {
+        return { counts: { pending: 0, embedded: 0 } };
+      }
+      const { available, embedded } = await embedNewsItems(pending);
+      const counts = { pending: pending.length, embedded };
+      return available ? { counts } : { counts, skipped: 'Embedding service not available' };
+    });
+    checkCancelled();
+
+    const { updatedTopics, clusters } = await runStage(run, 'cluster', async () => {
+      const newsItems = await NewsItem.find({ workspace: run.workspace, publishedAt: { $gte: since } });
+      const result = await assignAndClusterIncremental(newsItems, run.workspace, { signal });
+      return {
+        ...result,
+        counts: {
+          items: newsItems.length,
+          newItems: result.newItemCount,
+          attached: result.attachedCount,
+          updatedTopics: result.updatedTopics.length,
+          clusters: result.clusters.length
+        }
+      };
+    });
+    checkCancelled();
+
+    const { createdTopics } = await runStage(run, 'categorize', async () => {
+      if (clusters.length === 0) {
+        return { createdTopics: [], counts: { clusters: 0, createdTopics: 0 }, skipped: 'No new clusters' };
+      }
+      const topics = await createTopicsFromClusters(clusters, await getActiveCategories(run.workspace), run.workspace, { signal });
+      return {
+        createdTopics: topics,
+        counts: { clusters: clusters.length, createdTopics: topics.length, failed: clusters.length - topics.length }
+      };
+    });
+    checkCancelled();
+
+    const topicIds = [...createdTopics, ...updatedTopics].map(topic => topic._id);
+    await runStage(run, 'rank', async () => {
+      if (topicIds.length === 0) {
+        return { counts: { topics: 0 }, skipped: 'No topics changed' };
+      }
+      return { counts: { topics: await refreshDiscussionScores(topicIds) } };
+    });
+
+    await finishRun(run, 'completed');
+    return {
+      pipelineRunId: run._id,
+      mode: 'incremental',
+      topicIds: createdTopics.map(topic => topic._id),
+      updatedTopicIds: updatedTopics.map(topic => topic._id)
+    };
+  } catch (error) {
+    await finishRun(run, error.cancelled ? 'cancelled' : 'failed', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Close a run whose job gave up (failed or cancelled) without finishing it, e.g. cancelled while still queued.
+ * @param {Object} filter - { _id } or { fetchJobId }
+ * @param {string} message - Job error, 'Cancelled' for a cancelled job
+ */
+async function abandonPipelineRun(filter, message) {
+  const run = await PipelineRun.findOne({ ...filter, status: 'running' });
+  if (run) {
+    await finishRun(run, message === 'Cancelled' ? 'cancelled' : 'failed', message);
+  }
+}
+
+module.exports = {
+  isAutoProcessEnabled,
+  runFetchStage,
+  runProcessingStages,
+  abandonPipelineRun,
+  PIPELINE_TIMEFRAME
+};
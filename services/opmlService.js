@@ -0,0 +1,181 @@
+// services/opmlService.js
+// OPML import/export for global FeedSources (admin) and per-user preference sources.
+// Imports report each outline as created, duplicate (URL already present, or repeated in the file) or invalid.
+
+const FeedSource = require('../models/FeedSource');
+const { parseOpml, buildOpml } = require('../utils/opml');
+
+// Outline types accepted as feeds ('' = untyped, as many readers export)
+const FEED_OUTLINE_TYPES = ['', 'rss', 'atom'];
+
+// Comparable form of a feed URL (http/https only, fragment dropped); null if unusable
+function normalizeFeedUrl(url) {
+  try {
+    const parsed = new URL(String(url || '').trim());
+    if (!/^https?:$/.test(parsed.protocol)) return null;
+    parsed.hash = '';
+    return parsed.href;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Split parsed outlines into new feeds, duplicates and invalid entries.
+ * @param {Array} outlines - From parseOpml
+ * @param {Iterable<string>} existingUrls - URLs already present (any form; normalized here)
+ * @returns {{ accepted: Array, duplicates: Array, invalid: Array }}
+ */
+function classifyOutlines(outlines, existingUrls) {
+  const known = new Set();
+  for (const url of existingUrls) {
+    const normalized = normalizeFeedUrl(url);
+    if (normalized) known.add(normalized);
+  }
+  const seenInFile = new Set();
+  const accepted = [];
+  const duplicates = [];
+  const invalid = [];
+
+  for (const outline of outlines) {
+    const entry = { title: outline.title, url: outline.xmlUrl };
+    if (!outline.xmlUrl) {
+      invalid.push({ ...entry, reason: 'missing xmlUrl' });
+      continue;
+    }
+    if (!FEED_OUTLINE_TYPES.includes(outline.type)) {
+      invalid.push({ ...entry, reason: `unsupported outline type "${outline.type}"` });
+      continue;
+    }
+    const url = normalizeFeedUrl(outline.xmlUrl);
+    if (!url) {
+      invalid.push({ ...entry, reason: 'xmlUrl is not an http(s) URL' });
+      continue;
+    }
+    if (known.has(url)) {
+      duplicates.push({ ...entry, reason: 'already exists' });
+      continue;
+    }
+    if (seenInFile.has(url)) {
+      duplicates.push({ ...entry, reason: 'repeated in file' });
+      continue;
+    }
+    seenInFile.add(url);
+    accepted.push({
+      title: outline.title || new URL(url).hostname,
+      url,
+      htmlUrl: outline.htmlUrl,
+      category: outline.category
+    });
+  }
+  return { accepted, duplicates, invalid };
+}
+
+function toReport(created, duplicates, invalid, dryRun) {
+  return {
+    dryRun: !!dryRun,
+    counts: { created: created.length, duplicates: duplicates.length, invalid: invalid.length },
+    created,
+    duplicates,
+    invalid
+  };
+}
+
+/**
+ * Import an OPML file as RSS FeedSources of a workspace (the folder name becomes the remark).
+ * @param {string} xml
+ * @param {Object} options - { workspaceId, dryRun: report only, create nothing }
+ * @returns {Promise<Object>} { dryRun, counts, created, duplicates, invalid }
+ * @throws {Error} If the document is not OPML
+ */
+async function importFeedSourcesFromOpml(xml, options = {}) {
+  const { outlines } = parseOpml(xml);
+  const existing = await FeedSource.find({ workspace: options.workspaceId }).select('url').lean();
+  const { accepted, duplicates, invalid } = classifyOutlines(outlines, existing.map(s => s.url));
+
+  const created = [];
+  for (const feed of accepted) {
+    if (options.dryRun) {
+      created.push({ title: feed.title, url: feed.url });
+      continue;
+    }
+    try {
+      const source = await FeedSource.create({
+        workspace: options.workspaceId,
+        name: feed.title,
+        type: 'rss',
+        url: feed.url,
+        remark: feed.category || 'OPML 匯入',
+        isActive: true
+      });
+      created.push({ _id: source._id, title: feed.title, url: feed.url });
+    } catch (error) {
+      invalid.push({ title: feed.title, url: feed.url, reason: error.message });
+    }
+  }
+  if (!options.dryRun) {
+    console.log(`📥 OPML import: ${created.length} sources created, ${duplicates.length} duplicates, ${invalid.length} invalid`);
+  }
+  return toReport(created, duplicates, invalid, options.dryRun);
+}
+
+/**
+ * Export a workspace's RSS FeedSources as OPML (grouped by remark).
+ * @param {Object} options - { workspaceId, includeInactive }
+ * @returns {Promise<string>}
+ */
+async function exportFeedSourcesToOpml(options = {}) {
+  const filter = { workspace: options.workspaceId, type: 'rss' };
+  if (!options.includeInactive) filter.isActive = true;
+  const sources = await FeedSource.find(filter).sort({ name: 1 }).lean();
+  return buildOpml({
+    title: 'LiteNews AI feed sources',
+    outlines: sources.map(s => ({ title: s.name, xmlUrl: s.url, category: s.remark || '' }))
+  });
+}
+
+/**
+ * Import an OPML file into a user's preference sources (type 'rss', default priority).
+ * @param {Object} user - User doc (saved unless dryRun)
+ * @param {string} xml
+ * @param {Object} [options] - { dryRun }
+ * @returns {Promise<Object>} { dryRun, counts, created, duplicates, invalid }
+ */
+async function importUserSourcesFromOpml(user, xml, options = {}) {
+  const { outlines } = parseOpml(xml);
+  const current = user.preferences?.sources || [];
+  const { accepted, duplicates, invalid } = classifyOutlines(outlines, current.map(s => s.url).filter(Boolean));
+  const created = accepted.map(feed => ({ title: feed.title, url: feed.url }));
+
+  if (!options.dryRun && accepted.length > 0) {
+    if (!user.preferences) user.preferences = {};
+    user.preferences.sources = [
+      ...current,
+      ...accepted.map(feed => ({ type: 'rss', url: feed.url, name: feed.title, priority: 5 }))
+    ];
+    await user.save();
+  }
+  return toReport(created, duplicates, invalid, options.dryRun);
+}
+
+/**
+ * Export a user's RSS preference sources as OPML.
+ * @param {Object} user
+ * @returns {string}
+ */
+function exportUserSourcesToOpml(user) {
+  const sources = (user.preferences?.sources || []).filter(s => s.type === 'rss' && s.url);
+  return buildOpml({
+    title: `LiteNews AI sources (${user.name || 'user'})`,
+    outlines: sources.map(s => ({ title: s.name || s.url, xmlUrl: s.url }))
+  });
+}
+
+module.exports = {
+  importFeedSourcesFromOpml,
+  exportFeedSourcesToOpml,
+  importUserSourcesFromOpml,
+  exportUserSourcesToOpml,
+  classifyOutlines,
+  normalizeFeedUrl
+};
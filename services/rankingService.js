@@ -2,11 +2,14 @@
 const Topic = require('../models/Topic');
 const User = require('../models/User');
 const { findUserByIdOrName } = require('../utils/userHelper');
+const { countDistinctReports } = require('./duplicateDetector');
 
-// Calculate discussion score based on volume and recency
-function calculateDiscussionScore(topic) {
-  const itemCount = topic.newsItems.length;
-  const ageHours = (Date.now() - topic.createdAt) / (1000 * 60 * 60);
+// Calculate discussion score based on volume and recency (the one definition of Topic.discussionScore)
+// Volume counts distinct reporting: syndicated copies of one wire story count once.
+// items: the topic's member items when newsItems is not populated; a topic not saved yet counts as brand new
+function calculateDiscussionScore(topic, items = topic.newsItems) {
+  const itemCount = countDistinctReports(items);
+  const ageHours = (Date.now() - (topic.createdAt || Date.now())) / (1000 * 60 * 60);
   const recencyFactor = Math.max(0, 1 - ageHours / 48); // Decay over 48 hours
   
   return itemCount * 10 + recencyFactor * 50;
@@ -32,9 +35,9 @@ function applyUserPreferences(topic, userId) {
   });
 }
 
-// Rank topics within a category
-async function rankTopicsByCategory(category, userId, limit = 5) {
-  const topics = await Topic.find({ category })
+// Rank a workspace's topics within a category
+async function rankTopicsByCategory(category, userId, limit = 5, workspaceId) {
+  const topics = await Topic.find({ workspace: workspaceId, category })
     .populate('newsItems')
     .sort({ createdAt: -1 });
   
@@ -60,8 +63,18 @@ async function rankTopicsByCategory(category, userId, limit = 5) {
     .slice(0, limit);
 }
 
+// Recompute the stored discussion score of topics (after new items joined them); returns how many were scored
+async function refreshDiscussionScores(topicIds) {
+  const topics = await Topic.find({ _id: { $in: topicIds } }).populate('newsItems');
+  for (const topic of topics) {
+    await Topic.updateOne({ _id: topic._id }, { $set: { discussionScore: calculateDiscussionScore(topic) } });
+  }
+  return topics.length;
+}
+
 module.exports = {
   rankTopicsByCategory,
+  refreshDiscussionScores,
   calculateDiscussionScore,
   applyUserPreferences
 };
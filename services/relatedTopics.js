@@ -0,0 +1,101 @@
+// services/relatedTopics.js
+// "More like this": nearest other topics of the same workspace by centroid embedding within a lookback window.
+
+const NewsItem = require('../models/NewsItem');
+const Topic = require('../models/Topic');
+const { cosineSimilarity, EMBEDDING_DIMENSIONS } = require('./embedding');
+const { computeCentroid } = require('./topicGrouper');
+
+// Topics active within this many days are candidates
+const RELATED_TOPICS_LOOKBACK_DAYS = parseInt(process.env.RELATED_TOPICS_LOOKBACK_DAYS, 10) || 30;
+// Candidates below this centroid similarity are not returned
+const RELATED_TOPICS_MIN_SCORE = parseFloat(process.env.RELATED_TOPICS_MIN_SCORE) || 0.5;
+
+function hasCentroid(topic) {
+  return Array.isArray(topic.centroid) && topic.centroid.length === EMBEDDING_DIMENSIONS;
+}
+
+/**
+ * Fill in centroids for topics created before centroids were persisted (mean of member embeddings)
+ * and save them, so each topic is backfilled once. Mutates the given plain topic objects.
+ */
+async function fillMissingCentroids(topics) {
+  const missing = topics.filter(t => !hasCentroid(t));
+  if (missing.length === 0) return;
+  const members = await NewsItem.find({
+    topicId: { $in: missing.map(t => t._id) },
+    embedding: { $exists: true, $ne: [] }
+  }).select('topicId embedding').lean();
+  const embeddingsByTopic = new Map();
+  for (const m of members) {
+    const key = m.topicId.toString();
+    if (!embeddingsByTopic.has(key)) embeddingsByTopic.set(key, []);
+    embeddingsByTopic.get(key).push(m.embedding);
+  }
+  for (const topic of missing) {
+    const centroid = computeCentroid(embeddingsByTopic.get(topic._id.toString()) || []);
+    if (!centroid) continue;
+    topic.centroid = centroid;
+    // timestamps: false keeps updatedAt, which dates topics without lastUpdatedAt in the lookback window
+    await Topic.updateOne({ _id: topic._id }, { $set: { centroid } }, { timestamps: false });
+  }
+}
+
+/**
+ * Find the topics closest to a topic by centroid similarity.
+ * @param {string} topicId
+ * @param {Object} [opts] - { workspaceId, lookbackDays, limit, minScore }
+ * @returns {Promise<Object|null>} - { topic, related: [{ _id, title, summary, category, tags, score, sharedTags, ... }] }, or null if the topic does not exist in the workspace
+ */
+async function findRelatedTopics(topicId, opts = {}) {
+  const lookbackDays = opts.lookbackDays ?? RELATED_TOPICS_LOOKBACK_DAYS;
+  const limit = opts.limit ?? 10;
+  const minScore = opts.minScore ?? RELATED_TOPICS_MIN_SCORE;
+
+  const topic = await Topic.findOne({ _id: topicId, workspace: opts.workspaceId }).select('+centroid').lean();
+  if (!topic) return null;
+  await fillMissingCentroids([topic]);
+  if (!hasCentroid(topic)) {
+    return { topic, related: [] };
+  }
+
+  const sinceDate = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+  const candidates = await Topic.find({
+    _id: { $ne: topic._id },
+    workspace: topic.workspace,
+    $or: [
+      { lastUpdatedAt: { $gte: sinceDate } },
+      { lastUpdatedAt: { $exists: false }, updatedAt: { $gte: sinceDate } }
+    ]
+  }).select('+centroid').lean();
+  await fillMissingCentroids(candidates);
+
+  const topicTags = new Set(topic.tags || []);
+  const related = candidates
+    .filter(hasCentroid)
+    .map(candidate => ({ candidate, score: cosineSimilarity(topic.centroid, candidate.centroid) }))
+    .filter(({ score }) => score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ candidate, score }) => ({
+      _id: candidate._id,
+      title: candidate.title,
+      summary: candidate.summary,
+      category: candidate.category,
+      tags: candidate.tags || [],
+      newsItems: candidate.newsItems || [],
+      finalScore: candidate.finalScore,
+      firstSeenAt: candidate.firstSeenAt,
+      lastUpdatedAt: candidate.lastUpdatedAt || candidate.updatedAt,
+      score,
+      sharedTags: (candidate.tags || []).filter(tag => topicTags.has(tag))
+    }));
+
+  return { topic, related };
+}
+
+module.exports = {
+  findRelatedTopics,
+  RELATED_TOPICS_LOOKBACK_DAYS,
+  RELATED_TOPICS_MIN_SCORE
+};
@@ -0,0 +1,130 @@
+// services/runLog.js
+// Run history: every news fetch, social fetch and topic processing run (scheduled or manual) is saved as a RunLog
+// with its trigger, timing, the outcome for each source / handle and errors, so admins can trace why a source
+// stopped producing news. Logging failures are reported but never fail the run itself.
+const RunLog = require('../models/RunLog');
+const Job = require('../models/Job');
+
+// Runs without a job (single-source admin fetches) still running after this long at startup are closed as interrupted
+const ORPHANED_RUN_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Outcome for a source / handle a run did not fetch because it is in backoff or auto-paused.
+ * @param {string} targetType - 'FeedSource' | 'SocialHandle'
+ * @param {Object} target - The source / handle document
+ * @param {string} name
+ * @returns {Object} RunLog outcome
+ */
+function skippedOutcome(targetType, target, name) {
+  const health = target.health || {};
+  const until = health.nextAttemptAt ? ` until ${new Date(health.nextAttemptAt).toISOString()}` : '';
+  return {
+    targetType,
+    targetId: target._id,
+    name,
+    url: target.url,
+    status: 'skipped',
+    itemCount: 0,
+    error: `${health.status === 'paused' ? 'Auto-paused' : 'Backoff'}${until}${health.lastError ? `: ${health.lastError}` : ''}`
+  };
+}
+
+async function finishRunLog(log, status, outcomes, summary, error = null) {
+  if (!log) return;
+  const finishedAt = new Date();
+  try {
+    await RunLog.updateOne({ _id: log._id }, {
+      $set: {
+        status,
+        finishedAt,
+        durationMs: finishedAt - log.startedAt,
+        summary,
+        outcomes,
+        failedCount: outcomes.filter(o => o.status === 'failed').length,
+        error
+      }
+    });
+  } catch (saveError) {
+    console.error(`⚠️ [RunLog] Failed to save ${log.kind} run ${log._id}: ${saveError.message}`);
+  }
+}
+
+/**
+ * Run `work` and record it as a RunLog. `work` receives an array to push per-source / per-handle outcomes into;
+ * whatever it returns is returned, and saved as the run's summary (through details.summarize if given). A run that throws is saved as failed
+ * (cancelled for a cancelled job) with the outcomes collected so far, then the error is rethrown.
+ * @param {Object} details
+ * @param {string} details.kind - 'news-fetch' | 'social-fetch' | 'topic-process'
+ * @param {string} [details.trigger] - 'schedule' | 'admin' | 'user' | 'pipeline'
+ * @param {Object} [details.job] - The background job running it
+ * @param {string} [details.workspaceId] - Workspace the run belongs to (default: the job payload's workspaceId)
+ * @param {string} [details.userId] - Who started a manual run
+ * @param {Object} [details.params] - What the run was asked to do
+ * @param {Function} [details.summarize] - result => summary to save, e.g. to leave out long id lists
+ * @param {Function} work - async (outcomes) => result
+ * @returns {Promise<*>} What work returned
+ */
+async function recordRun({ kind, trigger, job = null, workspaceId = null, userId = null, params = {}, summarize }, work) {
+  const outcomes = [];
+  let log = null;
+  try {
+    if (job) {
+      // An earlier attempt of this job whose worker died never closed its log
+      await RunLog.updateMany(
+        { jobId: job._id, status: 'running' },
+        { $set: { status: 'failed', finishedAt: new Date(), error: 'Interrupted (worker stopped responding)' } }
+      );
+    }
+    log = await RunLog.create({
+      workspace: workspaceId || (job && job.payload && job.payload.workspaceId) || null,
+      kind,
+      trigger: trigger || (job && job.trigger) || 'user',
+      jobId: job ? job._id : null,
+      attempt: job ? job.attempts : 1,
+      userId: userId || (job && job.createdBy ? String(job.createdBy) : null),
+      params
+    });
+  } catch (error) {
+    console.error(`⚠️ [RunLog] Could not record ${kind} run: ${error.message}`);
+  }
+
+  let result;
+  try {
+    result = await work(outcomes);
+  } catch (error) {
+    await finishRunLog(log, error.cancelled ? 'cancelled' : 'failed', outcomes, null, error.message);
+    throw error;
+  }
+  await finishRunLog(log, 'completed', outcomes, summarize ? summarize(result) : result);
+  return result;
+}
+
+/**
+ * Close runs left "running" by a server restart: their job is no longer running that attempt
+ * (or, without a job, they started more than an hour ago). Call once at startup.
+ * @returns {Promise<number>} Runs closed
+ */
+async function closeInterruptedRuns() {
+  const running = await RunLog.find({ status: 'running' }).select('jobId attempt startedAt').lean();
+  if (running.length === 0) return 0;
+  const jobIds = running.filter(r => r.jobId).map(r => r.jobId);
+  const live = await Job.find({ _id: { $in: jobIds }, status: 'running' }).select('attempts').lean();
+  const liveAttempts = new Map(live.map(j => [String(j._id), j.attempts]));
+  const cutoff = Date.now() - ORPHANED_RUN_AGE_MS;
+  const interrupted = running.filter(r => (r.jobId
+    ? liveAttempts.get(String(r.jobId)) !== r.attempt
+    : new Date(r.startedAt).getTime() < cutoff));
+  if (interrupted.length === 0) return 0;
+  await RunLog.updateMany(
+    { _id: { $in: interrupted.map(r => r._id) }, status: 'running' },
+    { $set: { status: 'failed', finishedAt: new Date(), error: 'Interrupted by a server restart' } }
+  );
+  console.log(`♻️ [RunLog] Closed ${interrupted.length} run(s) interrupted by a restart`);
+  return interrupted.length;
+}
+
+module.exports = {
+  recordRun,
+  skippedOutcome,
+  closeInterruptedRuns
+};
@@ -0,0 +1,362 @@
+// services/searchService.js
+// Hybrid search over NewsItems and Topics: BM25 keyword ranking + embedding similarity, fused by weighted
+// reciprocal rank fusion. Falls back to keyword-only when the embedding model is not available.
+
+const NewsItem = require('../models/NewsItem');
+const Topic = require('../models/Topic');
+const { generateQueryEmbedding, cosineSimilarity, EMBEDDING_DIMENSIONS } = require('./embedding');
+const { parseTimeframe } = require('./newsFetcher');
+
+// Most recent matching items / topics scored per query; older matches are reported as truncated
+const SEARCH_MAX_CANDIDATES = parseInt(process.env.SEARCH_MAX_CANDIDATES, 10) || 3000;
+// Weight of the vector ranking in fusion (0 = keyword only, 1 = vector only)
+const SEARCH_VECTOR_WEIGHT = process.env.SEARCH_VECTOR_WEIGHT !== undefined && process.env.SEARCH_VECTOR_WEIGHT !== ''
+  ? Math.min(1, Math.max(0, parseFloat(process.env.SEARCH_VECTOR_WEIGHT)))
+  : 0.5;
+// Reciprocal rank fusion constant: higher flattens the advantage of top ranks
+const SEARCH_RRF_K = parseInt(process.env.SEARCH_RRF_K, 10) || 60;
+// Vector hits below this cosine similarity are not considered matches
+const SEARCH_MIN_SIMILARITY = parseFloat(process.env.SEARCH_MIN_SIMILARITY) || 0.3;
+// Stored vectors read per cursor batch when scoring candidates against the query
+const VECTOR_SCORE_BATCH_SIZE = 200;
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const VALID_TIMEFRAMES = ['24h', '7d', '30d'];
+const VALID_PLATFORMS = ['rss', 'web', 'api', 'sitemap', 'x', 'instagram'];
+const VALID_TYPES = ['all', 'items', 'topics'];
+
+// Han, Hiragana, Katakana, Hangul: no spaces between words, so index character bigrams
+const CJK_RUN = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]+/gu;
+
+/**
+ * Split text into search terms: lowercase word tokens for spaced scripts, character bigrams for CJK.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (!text) return [];
+  const normalized = String(text).normalize('NFKC').toLowerCase();
+  const tokens = [];
+  for (const word of normalized.match(/[\p{L}\p{N}]+/gu) || []) {
+    const cjkRuns = word.match(CJK_RUN);
+    if (!cjkRuns) {
+      tokens.push(word);
+      continue;
+    }
+    for (const run of cjkRuns) {
+      if (run.length === 1) tokens.push(run);
+      for (let i = 0; i < run.length - 1; i++) tokens.push(run.slice(i, i + 2));
+    }
+    const rest = word.replace(CJK_RUN, ' ').trim();
+    if (rest) tokens.push(...rest.split(/\s+/));
+  }
+  return tokens;
+}
+
+/**
+ * Okapi BM25 score of each document for the query terms.
+ * @param {string[]} queryTerms
+ * @param {string[][]} docs - Tokenized documents
+ * @returns {number[]} - Score per document (0 when no term matches)
+ */
+function bm25Scores(queryTerms, docs) {
+  const terms = [...new Set(queryTerms)];
+  const n = docs.length;
+  if (n === 0 || terms.length === 0) return docs.map(() => 0);
+  const avgLength = docs.reduce((sum, d) => sum + d.length, 0) / n || 1;
+
+  const termFreqs = docs.map((doc) => {
+    const tf = new Map();
+    for (const token of doc) tf.set(token, (tf.get(token) || 0) + 1);
+    return tf;
+  });
+  const idf = new Map();
+  for (const term of terms) {
+    const df = termFreqs.reduce((count, tf) => count + (tf.has(term) ? 1 : 0), 0);
+    idf.set(term, Math.log(1 + (n - df + 0.5) / (df + 0.5)));
+  }
+
+  return termFreqs.map((tf, i) => {
+    let score = 0;
+    for (const term of terms) {
+      const f = tf.get(term);
+      if (!f) continue;
+      score += idf.get(term) * (f * (BM25_K1 + 1)) / (f + BM25_K1 * (1 - BM25_B + BM25_B * docs[i].length / avgLength));
+    }
+    return score;
+  });
+}
+
+/**
+ * Weighted reciprocal rank fusion of a keyword ranking and a vector ranking.
+ * @param {Array<string>} keywordRanked - Ids best first
+ * @param {Array<string>} vectorRanked - Ids best first
+ * @param {number} vectorWeight - 0..1
+ * @returns {Map<string, number>} - Fused score per id
+ */
+function fuseRankings(keywordRanked, vectorRanked, vectorWeight = SEARCH_VECTOR_WEIGHT) {
+  const fused = new Map();
+  const add = (ids, weight) => ids.forEach((id, rank) => {
+    fused.set(id, (fused.get(id) || 0) + weight / (SEARCH_RRF_K + rank + 1));
+  });
+  add(keywordRanked, 1 - vectorWeight);
+  add(vectorRanked, vectorWeight);
+  return fused;
+}
+
+/**
+ * Cosine similarity of each document's stored vector to the query. Vectors are streamed in batches and
+ * dropped once scored, so candidate lists never hold them.
+ * @param {mongoose.Model} Model
+ * @param {Array} ids - Candidate _ids
+ * @param {string} path - Vector field ('embedding' or 'centroid')
+ * @param {Array<number>|null} queryVector
+ * @returns {Promise<Map<string, number>|null>} - Score per id (ids without a usable vector are absent); null without a query vector
+ */
+async function vectorScoresFor(Model, ids, path, queryVector) {
+  if (!queryVector) return null;
+  const scores = new Map();
+  if (ids.length === 0) return scores;
+  const cursor = Model.find({ _id: { $in: ids } })
+    .select({ [path]: 1 })
+    .lean()
+    .batchSize(VECTOR_SCORE_BATCH_SIZE)
+    .cursor();
+  for await (const doc of cursor) {
+    const vector = doc[path];
+    if (vector && vector.length === queryVector.length) {
+      scores.set(doc._id.toString(), cosineSimilarity(queryVector, vector));
+    }
+  }
+  return scores;
+}
+
+/**
+ * Rank candidates by keyword and vector score and fuse.
+ * @param {Array} candidates - Documents with _id
+ * @param {Function} textOf - doc -> searchable text
+ * @param {Map<string, number>|null} vectorScores - From vectorScoresFor; null ranks by keyword only
+ * @param {string[]} queryTerms
+ * @param {number} limit
+ * @returns {Array<{ doc, score, keywordScore, vectorScore }>}
+ */
+function rankHybrid(candidates, textOf, vectorScores, queryTerms, limit) {
+  const keywordScores = bm25Scores(queryTerms, candidates.map(doc => tokenize(textOf(doc))));
+  const vectorScoreOf = doc => (vectorScores && vectorScores.has(doc._id.toString()) ? vectorScores.get(doc._id.toString()) : null);
+
+  // Each ranking contributes its own top list; fusion rewards documents near the top of both
+  const depth = Math.max(limit * 5, 50);
+  const byScore = (scoreOf) => candidates
+    .map((doc, i) => ({ id: doc._id.toString(), score: scoreOf(doc, i) }))
+    .filter(entry => entry.score !== null && entry.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, depth)
+    .map(entry => entry.id);
+  const keywordRanked = byScore((doc, i) => keywordScores[i]);
+  const vectorRanked = vectorScores
+    ? byScore((doc) => {
+      const s = vectorScoreOf(doc);
+      return s !== null && s >= SEARCH_MIN_SIMILARITY ? s : null;
+    })
+    : [];
+  const fused = fuseRankings(keywordRanked, vectorRanked, vectorScores ? SEARCH_VECTOR_WEIGHT : 0);
+
+  const indexById = new Map(candidates.map((doc, i) => [doc._id.toString(), i]));
+  return [...fused.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([id, score]) => {
+      const i = indexById.get(id);
+      return {
+        doc: candidates[i],
+        score,
+        keywordScore: keywordScores[i],
+        vectorScore: vectorScoreOf(candidates[i])
+      };
+    });
+}
+
+/**
+ * Most recent `SEARCH_MAX_CANDIDATES` documents of a query, plus whether older matches were left out.
+ * @param {mongoose.Query} query - Filtered and sorted, without a limit
+ * @returns {Promise<{ candidates: Array, truncated: boolean }>}
+ */
+async function loadCandidates(query) {
+  const docs = await query.limit(SEARCH_MAX_CANDIDATES + 1).lean();
+  const truncated = docs.length > SEARCH_MAX_CANDIDATES;
+  return { candidates: truncated ? docs.slice(0, SEARCH_MAX_CANDIDATES) : docs, truncated };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Comma-separated query value -> trimmed non-empty list. */
+function parseList(value) {
+  if (!value) return [];
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+/**
+ * Validate and normalize search parameters from a query string.
+ * @returns {{ error?: string, params?: Object }}
+ */
+function parseSearchParams(query) {
+  const q = (query.q || '').toString().trim();
+  if (!q) return { error: 'Query parameter q is required' };
+  if (q.length > 500) return { error: 'Query is too long (max 500 characters)' };
+
+  const timeframe = query.timeframe || '7d';
+  if (!VALID_TIMEFRAMES.includes(timeframe)) {
+    return { error: `Invalid timeframe. Use one of: ${VALID_TIMEFRAMES.join(', ')}` };
+  }
+  const platforms = parseList(query.platform).map(p => p.toLowerCase());
+  const badPlatform = platforms.find(p => !VALID_PLATFORMS.includes(p));
+  if (badPlatform) {
+    return { error: `Invalid platform "${badPlatform}". Use: ${VALID_PLATFORMS.join(', ')}` };
+  }
+  const type = (query.type || 'all').toLowerCase();
+  if (!VALID_TYPES.includes(type)) {
+    return { error: `Invalid type. Use one of: ${VALID_TYPES.join(', ')}` };
+  }
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20));
+
+  return {
+    params: {
+      q,
+      timeframe,
+      sources: parseList(query.source),
+      platforms,
+      category: query.category ? String(query.category).trim() : null,
+      type,
+      limit
+    }
+  };
+}
+
+/** Mongo filter for a workspace's NewsItems matching source / platform / timeframe (category handled by caller). */
+function buildItemFilter({ workspaceId, sources, platforms }, sinceDate) {
+  const filter = { workspace: workspaceId, publishedAt: { $gte: sinceDate } };
+  if (sources.length > 0) {
+    filter['source.name'] = { $in: sources.map(name => new RegExp(`^${escapeRegex(name)}$`, 'i')) };
+  }
+  if (platforms.length > 0) {
+    filter['source.type'] = { $in: platforms };
+  }
+  return filter;
+}
+
+/** Query embedding, or null when the embedding model is unavailable (search degrades to keyword-only). */
+async function embedQuery(q) {
+  try {
+    const vector = await generateQueryEmbedding(q);
+    return vector && vector.length === EMBEDDING_DIMENSIONS ? vector : null;
+  } catch (error) {
+    console.warn(`⚠️ Search: query embedding unavailable, using keyword ranking only (${error.message})`);
+    return null;
+  }
+}
+
+function newsItemText(item) {
+  const tags = (item.metadata && item.metadata.tags) || [];
+  // Title counted twice: headline terms matter more than body terms
+  return [item.title, item.title, item.description, tags.join(' ')].filter(Boolean).join(' ');
+}
+
+function topicText(topic) {
+  return [topic.title, topic.title, topic.summary, (topic.tags || []).join(' ')].filter(Boolean).join(' ');
+}
+
+async function searchNewsItems(params, sinceDate, queryTerms, queryVector) {
+  const filter = buildItemFilter(params, sinceDate);
+  if (params.category) {
+    const topicsInCategory = await Topic.find({ workspace: params.workspaceId, category: params.category }).select('_id');
+    filter.topicId = { $in: topicsInCategory.map(t => t._id) };
+  }
+  // Text fields only; embeddings are read separately when scoring against the query vector
+  const { candidates, truncated } = await loadCandidates(
+    NewsItem.find(filter).select('-embedding').sort({ publishedAt: -1 })
+  );
+  const vectorScores = await vectorScoresFor(NewsItem, candidates.map(item => item._id), 'embedding', queryVector);
+
+  const results = rankHybrid(candidates, newsItemText, vectorScores, queryTerms, params.limit)
+    .map(({ doc, score, keywordScore, vectorScore }) => ({ ...doc, score, keywordScore, vectorScore }));
+  return { results, truncated };
+}
+
+async function searchTopics(params, sinceDate, queryTerms, queryVector) {
+  const filter = {
+    workspace: params.workspaceId,
+    $or: [
+      { lastUpdatedAt: { $gte: sinceDate } },
+      { lastUpdatedAt: { $exists: false }, updatedAt: { $gte: sinceDate } }
+    ]
+  };
+  if (params.category) filter.category = params.category;
+  // Source / platform filters apply through member items
+  if (params.sources.length > 0 || params.platforms.length > 0) {
+    const topicIds = await NewsItem.distinct('topicId', {
+      ...buildItemFilter(params, sinceDate),
+      topicId: { $exists: true }
+    });
+    filter._id = { $in: topicIds };
+  }
+  const { candidates, truncated } = await loadCandidates(
+    Topic.find(filter).sort({ lastUpdatedAt: -1, updatedAt: -1 })
+  );
+  const vectorScores = await vectorScoresFor(Topic, candidates.map(topic => topic._id), 'centroid', queryVector);
+
+  const results = rankHybrid(candidates, topicText, vectorScores, queryTerms, params.limit)
+    .map(({ doc, score, keywordScore, vectorScore }) => ({
+      _id: doc._id,
+      title: doc.title,
+      summary: doc.summary,
+      category: doc.category,
+      tags: doc.tags,
+      finalScore: doc.finalScore,
+      newsItems: doc.newsItems || [],
+      firstSeenAt: doc.firstSeenAt,
+      lastUpdatedAt: doc.lastUpdatedAt || doc.updatedAt,
+      score,
+      keywordScore,
+      vectorScore
+    }));
+  return { results, truncated };
+}
+
+/**
+ * Hybrid search over a workspace's news items and topics.
+ * @param {Object} params - From parseSearchParams, plus workspaceId
+ * @returns {Promise<{ query, mode, items, topics, truncated, candidateLimit }>} - mode is 'hybrid' or 'keyword'
+ *   (no query embedding); truncated.items / truncated.topics are true when matches older than the newest
+ *   candidateLimit were not scored
+ */
+async function search(params) {
+  const sinceDate = parseTimeframe(params.timeframe);
+  const queryTerms = tokenize(params.q);
+  const queryVector = await embedQuery(params.q);
+
+  const none = { results: [], truncated: false };
+  const [items, topics] = await Promise.all([
+    params.type === 'topics' ? none : searchNewsItems(params, sinceDate, queryTerms, queryVector),
+    params.type === 'items' ? none : searchTopics(params, sinceDate, queryTerms, queryVector)
+  ]);
+
+  return {
+    query: params.q,
+    mode: queryVector ? 'hybrid' : 'keyword',
+    items: items.results,
+    topics: topics.results,
+    truncated: { items: items.truncated, topics: topics.truncated },
+    candidateLimit: SEARCH_MAX_CANDIDATES
+  };
+}
+
+module.exports = {
+  search,
+  parseSearchParams,
+  tokenize,
+  bm25Scores,
+  fuseRankings
+};
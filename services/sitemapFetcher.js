@@ -0,0 +1,140 @@
+// services/sitemapFetcher.js
+// "sitemap" FeedSources: Google News sitemaps (<news:news> entries) for outlets that publish no RSS.
+// A sitemap index is followed to its most recently modified child sitemaps.
+
+const zlib = require('zlib');
+const axios = require('axios');
+const { parseSitemap } = require('../utils/sitemap');
+
+// Child sitemaps followed per index (newest lastmod first) and nesting depth for index-of-indexes
+const SITEMAP_MAX_CHILD_SITEMAPS = parseInt(process.env.SITEMAP_MAX_CHILD_SITEMAPS, 10) || 3;
+const SITEMAP_MAX_DEPTH = 2;
+// Items kept per fetch (newest first); news sitemaps list at most 1000 URLs from the last two days
+const SITEMAP_MAX_ITEMS = parseInt(process.env.SITEMAP_MAX_ITEMS, 10) || 500;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; LiteNewsBot/1.0)';
+
+// Download a sitemap as text; .xml.gz files served without Content-Encoding are gunzipped here
+async function downloadSitemap(url) {
+  const response = await axios.get(url, {
+    timeout: 15000,
+    maxRedirects: 5,
+    maxContentLength: 20 * 1024 * 1024,
+    responseType: 'arraybuffer',
+    headers: { 'User-Agent': USER_AGENT, Accept: 'application/xml, text/xml;q=0.9, */*;q=0.8' }
+  });
+  const buffer = Buffer.from(response.data);
+  const gzipped = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+  return (gzipped ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+}
+
+// "zh-tw" / "zh-Hant" -> "zh" (NewsItem.language holds ISO 639-1 codes)
+function baseLanguage(code) {
+  const base = String(code || '').trim().toLowerCase().split(/[-_]/)[0];
+  return /^[a-z]{2,3}$/.test(base) ? base : null;
+}
+
+function entryTime(entry) {
+  const date = entry.publishedAt || entry.lastmod;
+  return date ? date.getTime() : 0;
+}
+
+/**
+ * Map news sitemap entries to items (source.url is the configured sitemap, not the child it came from).
+ * Entries without <news:title> (plain sitemaps list every page of a site) are skipped and counted in a warning.
+ * @returns {{ items: Array, warnings: Array<string> }}
+ */
+function mapSitemapItems(entries, sitemapUrl, sourceUrl, sourceName, priority) {
+  const items = [];
+  let untitled = 0;
+  for (const entry of entries) {
+    if (!entry.title) {
+      untitled++;
+      continue;
+    }
+    items.push({
+      title: entry.title.substring(0, 500),
+      description: '',
+      content: '',
+      url: entry.loc,
+      source: {
+        type: 'sitemap',
+        name: sourceName,
+        url: sourceUrl,
+        priority
+      },
+      publishedAt: entry.publishedAt || entry.lastmod || new Date(),
+      ...(baseLanguage(entry.language) ? { language: baseLanguage(entry.language) } : {}),
+      metadata: {
+        imageUrl: entry.imageUrl || '',
+        tags: entry.keywords
+      }
+    });
+  }
+  const warnings = untitled > 0 ? [`${sitemapUrl}: ${untitled} entries without <news:title> skipped (not a news sitemap?)`] : [];
+  return { items, warnings };
+}
+
+/**
+ * Fetch a news sitemap (or sitemap index) and return its items, newest first.
+ * Throws if the top-level sitemap cannot be fetched or parsed; failing child sitemaps become warnings.
+ * @param {string} url - Sitemap or sitemap index URL
+ * @param {Object} [options] - { sourceName, priority }
+ * @returns {Promise<{ items: Array, sitemapsFetched: number, warnings: Array<string> }>}
+ */
+async function fetchSitemapFeed(url, options = {}) {
+  const sourceName = options.sourceName || url;
+  const priority = options.priority || 5;
+  const items = [];
+  const warnings = [];
+  const seenUrls = new Set();
+  const visited = new Set();
+  let sitemapsFetched = 0;
+
+  const visit = async (sitemapUrl, depth) => {
+    if (visited.has(sitemapUrl)) return;
+    visited.add(sitemapUrl);
+    const { type, entries } = parseSitemap(await downloadSitemap(sitemapUrl));
+    sitemapsFetched++;
+
+    if (type === 'urlset') {
+      const page = mapSitemapItems(entries, sitemapUrl, url, sourceName, priority);
+      warnings.push(...page.warnings);
+      for (const item of page.items) {
+        if (seenUrls.has(item.url)) continue;
+        seenUrls.add(item.url);
+        items.push(item);
+      }
+      return;
+    }
+
+    if (depth >= SITEMAP_MAX_DEPTH) {
+      warnings.push(`${sitemapUrl}: nested sitemap index not followed (depth limit ${SITEMAP_MAX_DEPTH})`);
+      return;
+    }
+    const children = [...entries].sort((a, b) => entryTime(b) - entryTime(a)).slice(0, SITEMAP_MAX_CHILD_SITEMAPS);
+    if (entries.length > children.length) {
+      warnings.push(`${sitemapUrl}: following the ${children.length} newest of ${entries.length} child sitemaps`);
+    }
+    for (const child of children) {
+      try {
+        await visit(child.loc, depth + 1);
+      } catch (error) {
+        warnings.push(`${child.loc}: ${error.message}`);
+      }
+    }
+  };
+
+  await visit(url, 0);
+  items.sort((a, b) => b.publishedAt - a.publishedAt);
+  if (items.length > SITEMAP_MAX_ITEMS) {
+    warnings.push(`Kept the ${SITEMAP_MAX_ITEMS} newest of ${items.length} entries`);
+    items.length = SITEMAP_MAX_ITEMS;
+  }
+  return { items, sitemapsFetched, warnings };
+}
+
+module.exports = {
+  fetchSitemapFeed,
+  mapSitemapItems
+};
@@ -6,39 +6,149 @@ const { fetchXFeed } = require('./x');
 const { fetchInstagramFeed } = require('./instagram');
 const { fetchThreadsFeed } = require('./threads');
 const { fetchFacebookFeed } = require('./facebook');
+const { isDue, recordHealth } = require('../sourceHealth');
+const { runFetchJobs } = require('../fetchQueue');
+const { skippedOutcome } = require('../runLog');
+
+// All platforms are fetched through the SociaVault API, so its limits apply across handles
+const SOCIAVAULT_HOST = 'api.sociavault.com';
+const SOCIAVAULT_CONCURRENCY = parseInt(process.env.SOCIAVAULT_CONCURRENCY, 10) || 2;
+const SOCIAVAULT_MIN_INTERVAL_MS = parseInt(process.env.SOCIAVAULT_MIN_INTERVAL_MS, 10) || 1000;
+
+function handleLabel(handle) {
+  return `${handle.handle} (${handle.platform})`;
+}
+
+// RunLog outcome of a handle fetch (posts saved as itemCount)
+function handleOutcome(handle, fetchOutcome, postsSaved, error) {
+  return {
+    targetType: 'SocialHandle',
+    targetId: handle._id,
+    name: handle.displayName || handleLabel(handle),
+    status: error ? 'failed' : 'success',
+    httpStatus: error ? (error.response?.status || error.httpStatus || null) : null,
+    durationMs: fetchOutcome.durationMs,
+    itemCount: postsSaved,
+    error: error ? error.message.substring(0, 300) : null
+  };
+}
+
+// Fetch a handle's latest posts from its platform (network only)
+async function fetchPlatformFeed(handle) {
+  if (handle.platform === 'youtube') {
+    return fetchYouTubeFeed(handle.handle, 20);
+  } else if (handle.platform === 'x') {
+    return fetchXFeed(handle.handle, 20);
+  } else if (handle.platform === 'instagram') {
+    return fetchInstagramFeed(handle.handle, 20);
+  } else if (handle.platform === 'threads') {
+    return fetchThreadsFeed(handle.handle, 20);
+  } else if (handle.platform === 'facebook') {
+    return fetchFacebookFeed(handle.handle, 20);
+  }
+  throw new Error(`Unsupported platform: ${handle.platform}`);
+}
+
+// Fetch queue job for a handle. The platform fetchers already retry transient errors, so the queue retries once at most.
+function handleJob(handle) {
+  return {
+    label: handleLabel(handle),
+    host: SOCIAVAULT_HOST,
+    hostLimit: SOCIAVAULT_CONCURRENCY,
+    minIntervalMs: SOCIAVAULT_MIN_INTERVAL_MS,
+    retries: 1,
+    run: () => fetchPlatformFeed(handle)
+  };
+}
+
+/**
+ * Upsert fetched posts into the handle's workspace (deduplicated by platform + externalId).
+ * @returns {Promise<number>} Posts saved
+ */
+async function savePosts(handle, posts) {
+  let postsSaved = 0;
+  for (const postData of posts) {
+    try {
+      await SocialPost.findOneAndUpdate(
+        {
+          workspace: handle.workspace,
+          platform: postData.platform,
+          externalId: postData.externalId
+        },
+        {
+          $set: {
+            workspace: handle.workspace,
+            platform: postData.platform,
+            handleId: handle._id,
+            handle: handle.handle,
+            content: postData.content,
+            title: postData.title,
+            description: postData.description,
+            url: postData.url,
+            publishedAt: postData.publishedAt,
+            author: postData.author,
+            engagement: {
+              likes: postData.engagement.likes || 0,
+              reposts: postData.engagement.reposts || 0,
+              replies: postData.engagement.replies || 0,
+              views: postData.engagement.views || 0,
+              comments: postData.engagement.comments || 0,
+              score: postData.engagement.score || 0
+            },
+            metadata: postData.metadata
+          }
+        },
+        {
+          upsert: true,
+          new: true
+        }
+      );
+      postsSaved++;
+    } catch (postError) {
+      console.error(`Error saving post ${postData.externalId}:`, postError.message);
+    }
+  }
+  return postsSaved;
+}
 
 /**
- * Fetch feeds for all active social handles
- * Only fetches handles where isActive === true
+ * Fetch feeds for all active social handles of a workspace
+ * Only fetches handles where isActive === true; handles in backoff or auto-paused wait for their next attempt time.
+ * Handles are fetched in parallel through the shared fetch queue (SOCIAVAULT_CONCURRENCY at a time).
+ * @param {Object} options
+ * @param {string} options.workspaceId
+ * @param {string[]} [options.handleIds] - Only these handles (the ones whose schedule is due)
+ * @param {Object[]} [options.outcomes] - Receives each handle's RunLog outcome (see services/runLog.js)
+ * @param {AbortSignal} [options.signal] - The job's signal: once aborted, no further fetch starts and the run stops
+ *   between handles (throwing its reason)
  */
-async function fetchFeedsForAllHandles() {
-  const handles = await SocialHandle.find({ isActive: true });
+async function fetchFeedsForAllHandles(options = {}) {
+  const query = { workspace: options.workspaceId, isActive: true };
+  if (options.handleIds) query._id = { $in: options.handleIds };
+  const activeHandles = await SocialHandle.find(query);
+  const handles = activeHandles.filter(handle => isDue(handle));
   const results = {
     total: handles.length,
     success: 0,
     failed: 0,
+    skipped: activeHandles.length - handles.length,
     postsFetched: 0,
     errors: []
   };
-  
-  for (const handle of handles) {
+  const runOutcomes = options.outcomes || [];
+  for (const handle of activeHandles) {
+    if (!handles.includes(handle)) runOutcomes.push(skippedOutcome('SocialHandle', handle, handle.displayName || handleLabel(handle)));
+  }
+
+  const { signal } = options;
+  const outcomes = await runFetchJobs(handles.map(handleJob), { name: 'social handles', signal });
+  for (let i = 0; i < handles.length; i++) {
+    signal?.throwIfAborted();
+    const handle = handles[i];
     try {
-      let feedData;
-      
-      if (handle.platform === 'youtube') {
-        feedData = await fetchYouTubeFeed(handle.handle, 20);
-      } else if (handle.platform === 'x') {
-        feedData = await fetchXFeed(handle.handle, 20);
-      } else if (handle.platform === 'instagram') {
-        feedData = await fetchInstagramFeed(handle.handle, 20);
-      } else if (handle.platform === 'threads') {
-        feedData = await fetchThreadsFeed(handle.handle, 20);
-      } else if (handle.platform === 'facebook') {
-        feedData = await fetchFacebookFeed(handle.handle, 20);
-      } else {
-        throw new Error(`Unsupported platform: ${handle.platform}`);
-      }
-      
+      if (outcomes[i].error) throw outcomes[i].error;
+      const feedData = outcomes[i].value;
+
       // Update handle metadata if available (only if not already set)
       // displayName should only be updated by admin, so we only set it if empty
       if (feedData.displayName && !handle.displayName) {
@@ -50,51 +160,12 @@ async function fetchFeedsForAllHandles() {
       }
       handle.lastFetchedAt = new Date();
       await handle.save();
-      
-      // Upsert posts (prevent duplicates by platform + externalId)
-      let postsSaved = 0;
-      for (const postData of feedData.posts) {
-        try {
-          await SocialPost.findOneAndUpdate(
-            {
-              platform: postData.platform,
-              externalId: postData.externalId
-            },
-            {
-              $set: {
-                platform: postData.platform,
-                handleId: handle._id,
-                handle: handle.handle,
-                content: postData.content,
-                title: postData.title,
-                description: postData.description,
-                url: postData.url,
-                publishedAt: postData.publishedAt,
-                author: postData.author,
-                engagement: {
-              likes: postData.engagement.likes || 0,
-              reposts: postData.engagement.reposts || 0,
-              replies: postData.engagement.replies || 0,
-              views: postData.engagement.views || 0,
-              comments: postData.engagement.comments || 0,
-              score: postData.engagement.score || 0
-            },
-                metadata: postData.metadata
-              }
-            },
-            {
-              upsert: true,
-              new: true
-            }
-          );
-          postsSaved++;
-        } catch (postError) {
-          console.error(`Error saving post ${postData.externalId}:`, postError.message);
-        }
-      }
-      
+
+      const postsSaved = await savePosts(handle, feedData.posts);
       results.success++;
       results.postsFetched += postsSaved;
+      runOutcomes.push(handleOutcome(handle, outcomes[i], postsSaved, null));
+      await recordHealth(SocialHandle, handle, null, handleLabel(handle));
     } catch (error) {
       results.failed++;
       results.errors.push({
@@ -103,17 +174,24 @@ async function fetchFeedsForAllHandles() {
         error: error.message
       });
       console.error(`Error fetching feed for ${handle.handle} (${handle.platform}):`, error.message);
+      runOutcomes.push(handleOutcome(handle, outcomes[i], 0, error));
+      await recordHealth(SocialHandle, handle, error, handleLabel(handle));
     }
   }
+  if (results.skipped > 0) {
+    console.log(`   ⏳ ${results.skipped} social handles skipped (backoff / auto-paused)`);
+  }
   
   return results;
 }
 
 /**
- * Fetch feed for a specific handle
+ * Fetch feed for a specific handle (ignores backoff, so it doubles as a manual probe; the outcome updates health)
+ * @param {string} handleId
+ * @param {Object} options - { workspaceId }: the handle must belong to it; { outcomes }: array for the handle's RunLog outcome
  */
-async function fetchFeedForHandle(handleId) {
-  const handle = await SocialHandle.findById(handleId);
+async function fetchFeedForHandle(handleId, options = {}) {
+  const handle = await SocialHandle.findOne({ _id: handleId, workspace: options.workspaceId });
   if (!handle) {
     throw new Error('Social handle not found');
   }
@@ -122,21 +200,14 @@ async function fetchFeedForHandle(handleId) {
     throw new Error('Social handle is not active');
   }
   
-  let feedData;
-  
-  if (handle.platform === 'youtube') {
-    feedData = await fetchYouTubeFeed(handle.handle, 20);
-  } else if (handle.platform === 'x') {
-    feedData = await fetchXFeed(handle.handle, 20);
-  } else if (handle.platform === 'instagram') {
-    feedData = await fetchInstagramFeed(handle.handle, 20);
-  } else if (handle.platform === 'threads') {
-    feedData = await fetchThreadsFeed(handle.handle, 20);
-  } else if (handle.platform === 'facebook') {
-    feedData = await fetchFacebookFeed(handle.handle, 20);
-  } else {
-    throw new Error(`Unsupported platform: ${handle.platform}`);
+  const [outcome] = await runFetchJobs([handleJob(handle)], { name: handleLabel(handle) });
+  if (outcome.error) {
+    if (options.outcomes) options.outcomes.push(handleOutcome(handle, outcome, 0, outcome.error));
+    await recordHealth(SocialHandle, handle, outcome.error, handleLabel(handle));
+    throw outcome.error;
   }
+  const feedData = outcome.value;
+  await recordHealth(SocialHandle, handle, null, handleLabel(handle));
   
   // Update handle metadata (only if not already set - displayName should only be updated by admin)
   // Only update avatarUrl if not already set to preserve admin-set values
@@ -146,47 +217,8 @@ async function fetchFeedForHandle(handleId) {
   handle.lastFetchedAt = new Date();
   await handle.save();
   
-  // Upsert posts
-  let postsSaved = 0;
-  for (const postData of feedData.posts) {
-    try {
-      await SocialPost.findOneAndUpdate(
-        {
-          platform: postData.platform,
-          externalId: postData.externalId
-        },
-          {
-            $set: {
-              platform: postData.platform,
-              handleId: handle._id,
-              handle: handle.handle,
-              content: postData.content,
-              title: postData.title,
-              description: postData.description,
-              url: postData.url,
-              publishedAt: postData.publishedAt,
-              author: postData.author,
-              engagement: {
-              likes: postData.engagement.likes || 0,
-              reposts: postData.engagement.reposts || 0,
-              replies: postData.engagement.replies || 0,
-              views: postData.engagement.views || 0,
-              comments: postData.engagement.comments || 0,
-              score: postData.engagement.score || 0
-            },
-              metadata: postData.metadata
-            }
-          },
-        {
-          upsert: true,
-          new: true
-        }
-      );
-      postsSaved++;
-    } catch (postError) {
-      console.error(`Error saving post ${postData.externalId}:`, postError.message);
-    }
-  }
+  const postsSaved = await savePosts(handle, feedData.posts);
+  if (options.outcomes) options.outcomes.push(handleOutcome(handle, outcome, postsSaved, null));
   
   return {
     handle: handle,
@@ -0,0 +1,105 @@
+// services/sourceHealth.js
+// Per-source health for FeedSources and SocialHandles: consecutive failures, exponential backoff,
+// auto-pause after repeated failures and automatic recovery when a later probe succeeds.
+//
+// health.status: 'healthy' | 'backoff' (failing, retried after nextAttemptAt) | 'paused' (auto-paused,
+// probed every SOURCE_PROBE_INTERVAL_HOURS). Paused sources keep isActive; that flag stays under admin control.
+
+const BACKOFF_BASE_MINUTES = parseFloat(process.env.SOURCE_BACKOFF_BASE_MINUTES) || 30;
+const BACKOFF_MAX_HOURS = parseFloat(process.env.SOURCE_BACKOFF_MAX_HOURS) || 24;
+const AUTO_PAUSE_FAILURES = parseInt(process.env.SOURCE_AUTO_PAUSE_FAILURES, 10) || 6;
+const PROBE_INTERVAL_HOURS = parseFloat(process.env.SOURCE_PROBE_INTERVAL_HOURS) || 24;
+
+/**
+ * Delay before the next attempt after `failures` consecutive failures: base * 2^(failures - 1), capped.
+ * @param {number} failures
+ * @returns {number} milliseconds
+ */
+function backoffDelayMs(failures) {
+  const minutes = BACKOFF_BASE_MINUTES * Math.pow(2, Math.max(failures - 1, 0));
+  return Math.min(minutes * 60 * 1000, BACKOFF_MAX_HOURS * 60 * 60 * 1000);
+}
+
+/**
+ * Whether a scheduled fetch should try this source now (healthy, or its backoff / probe time has come).
+ * @param {Object} doc - FeedSource or SocialHandle
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isDue(doc, now = new Date()) {
+  const health = doc && doc.health;
+  if (!health || !health.nextAttemptAt) return true;
+  return new Date(health.nextAttemptAt) <= now;
+}
+
+/**
+ * Health after a fetch attempt.
+ * @param {Object} previous - Current health (may be empty)
+ * @param {Error|null} error - null on success
+ * @param {Date} [now]
+ * @returns {Object} New health subdocument
+ */
+function nextHealth(previous, error, now = new Date()) {
+  const prev = previous || {};
+  if (!error) {
+    return {
+      status: 'healthy',
+      consecutiveFailures: 0,
+      lastSuccessAt: now,
+      lastFailureAt: prev.lastFailureAt,
+      lastError: undefined,
+      nextAttemptAt: undefined,
+      pausedAt: undefined
+    };
+  }
+  const failures = (prev.consecutiveFailures || 0) + 1;
+  const paused = failures >= AUTO_PAUSE_FAILURES;
+  return {
+    status: paused ? 'paused' : 'backoff',
+    consecutiveFailures: failures,
+    lastSuccessAt: prev.lastSuccessAt,
+    lastFailureAt: now,
+    lastError: String(error.message || error).substring(0, 300),
+    nextAttemptAt: new Date(now.getTime() + (paused ? PROBE_INTERVAL_HOURS * 60 * 60 * 1000 : backoffDelayMs(failures))),
+    pausedAt: paused ? (prev.status === 'paused' && prev.pausedAt ? prev.pausedAt : now) : undefined
+  };
+}
+
+// Log pause / recovery transitions (routine failures are logged by the fetchers)
+function logTransition(label, previous, next) {
+  const wasStatus = (previous && previous.status) || 'healthy';
+  if (next.status === 'paused' && wasStatus !== 'paused') {
+    console.log(`   ⏸️ ${label} auto-paused after ${next.consecutiveFailures} consecutive failures (probing every ${PROBE_INTERVAL_HOURS}h)`);
+  } else if (next.status === 'healthy' && wasStatus !== 'healthy') {
+    console.log(`   ✅ ${label} recovered after ${previous.consecutiveFailures || 0} failures`);
+  }
+}
+
+/**
+ * Compute, log and save the health of a source after a fetch attempt. Never throws.
+ * @param {mongoose.Model} Model - FeedSource or SocialHandle
+ * @param {Object} doc - The source document (its health is updated in place too)
+ * @param {Error|null} error
+ * @param {string} label - Name for logs
+ * @returns {Promise<Object>} New health
+ */
+async function recordHealth(Model, doc, error, label) {
+  const health = nextHealth(doc.health, error);
+  logTransition(label, doc.health, health);
+  try {
+    await Model.updateOne({ _id: doc._id }, { $set: { health } });
+    doc.health = health;
+  } catch (saveError) {
+    console.error(`   ⚠️ Failed to save health for ${label}: ${saveError.message}`);
+  }
+  return health;
+}
+
+module.exports = {
+  isDue,
+  nextHealth,
+  logTransition,
+  recordHealth,
+  backoffDelayMs,
+  AUTO_PAUSE_FAILURES
+};
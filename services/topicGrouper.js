@@ -6,6 +6,10 @@ const NewsItem = require('../models/NewsItem');
 const Topic = require('../models/Topic');
 const Category = require('../models/Category');
 const { cosineSimilarity, EMBEDDING_DIMENSIONS } = require('./embedding');
+const { buildTimelineEntries } = require('./topicTimeline');
+const { getItemLanguage } = require('../utils/language');
+const vectorIndex = require('./vectorIndex');
+const { calculateDiscussionScore } = require('./rankingService');
 
 // Clustering configuration (link threshold for connected-components)
 // Higher = only clearly same-story pairs link (fewer, tighter clusters). Lower = more links, risk of one giant cluster.
@@ -14,7 +18,28 @@ const MIN_CLUSTER_SIZE = parseInt(process.env.MIN_CLUSTER_SIZE) || 1;
 const MAX_CLUSTER_SIZE = parseInt(process.env.MAX_CLUSTER_SIZE) || 20;
 const CANDIDATE_LIMIT = parseInt(process.env.CLUSTERING_CANDIDATE_LIMIT, 10) || 50; // per-item similar candidates when building graph
 const NUM_CANDIDATES_MULTIPLIER = 20; // numCandidates = min(200, limit * this)
+// Atlas and local index: the search widens (doubling) until enough hits pass the unclustered (and, locally, the
+// workspace) filter, up to this many (also the Atlas numCandidates maximum)
+const SEARCH_MAX_CANDIDATES = 10000;
 const CLUSTERING_METHOD = (process.env.CLUSTERING_METHOD || 'connected_components').toLowerCase();
+// findSimilarItems backend: auto (Atlas, then local HNSW index) | atlas | local | manual
+const { VECTOR_SEARCH_BACKEND } = vectorIndex;
+// Set false after the first $vectorSearch failure so later calls go straight to the local index
+let atlasVectorSearchAvailable = true;
+// hdbscan / agglomerative: build the similarity graph down to this floor so density and linkage, not one cut, decide
+const GRAPH_FLOOR = parseFloat(process.env.CLUSTERING_GRAPH_FLOOR) || 0.5;
+// hdbscan: smallest group that counts as a story, and neighbours used for core distance
+const HDBSCAN_MIN_CLUSTER_SIZE = parseInt(process.env.CLUSTERING_HDBSCAN_MIN_CLUSTER_SIZE, 10) || 2;
+const HDBSCAN_MIN_SAMPLES = parseInt(process.env.CLUSTERING_HDBSCAN_MIN_SAMPLES, 10) || 2;
+// Cross-lingual mode: pairs in different languages (e.g. zh vs en) link at their own, usually lower, threshold,
+// because multilingual embeddings score translations of the same story lower than same-language rewrites
+const CROSS_LINGUAL_ENABLED = process.env.CLUSTERING_CROSS_LINGUAL === 'true';
+const CROSS_LINGUAL_THRESHOLD = parseFloat(process.env.CLUSTERING_CROSS_LINGUAL_THRESHOLD) || 0.6;
+// Language of generated topic titles/summaries (sources in other languages are still cited)
+const TOPIC_PUBLICATION_LANGUAGE = (process.env.TOPIC_PUBLICATION_LANGUAGE || 'zh').toLowerCase();
+// Incremental processing: attach new items to recent topics whose centroid is close enough; cluster the rest.
+const TOPIC_PROCESS_MODE = (process.env.TOPIC_PROCESS_MODE || 'incremental').toLowerCase();
+const INCREMENTAL_LOOKBACK_HOURS = parseInt(process.env.INCREMENTAL_TOPIC_LOOKBACK_HOURS, 10) || 72;
 
 /** Env key suffix for method-specific overrides (e.g. CONNECTED_COMPONENTS, GREEDY_AVERAGE). */
 function methodEnvKey(method, suffix) {
@@ -34,9 +59,15 @@ function getMethodCandidateLimit() {
   return v !== undefined && v !== '' ? parseInt(v, 10) : CANDIDATE_LIMIT;
 }
 
-// Helper function to fetch active categories from Category model
-async function getActiveCategories() {
-  const categoryDocs = await Category.find({ isActive: true }).sort({ sortOrder: 1 });
+/** Resolve centroid-assignment threshold: INCREMENTAL_ASSIGN_THRESHOLD else the method threshold. */
+function getAssignThreshold() {
+  const v = process.env.INCREMENTAL_ASSIGN_THRESHOLD;
+  return v !== undefined && v !== '' ? parseFloat(v) : getMethodThreshold();
+}
+
+// Helper function to fetch a workspace's active categories from Category model
+async function getActiveCategories(workspaceId) {
+  const categoryDocs = await Category.find({ workspace: workspaceId, isActive: true }).sort({ sortOrder: 1 });
   const categories = categoryDocs.map(c => c.name);
   return categories.length > 0 ? categories : ['general'];
 }
@@ -72,55 +103,137 @@ function createUnionFind() {
 }
 
 /**
- * Find similar news items using MongoDB Atlas Vector Search
- * @param {Object} newsItem - The news item to find similar items for
+ * Find similar news items (of the same workspace) using MongoDB Atlas Vector Search, or the local vector index
+ * when Atlas is unavailable (VECTOR_SEARCH_BACKEND picks the backend explicitly)
+ * @param {Object} newsItem - The news item to find similar items for (must have its workspace)
  * @param {number} limit - Maximum number of similar items to return
+ * @param {number} [minScore] - Minimum similarity (default CLUSTERING_THRESHOLD)
  * @returns {Promise<Array>} - Array of similar news items with scores
  */
-async function findSimilarItems(newsItem, limit = 10) {
+async function findSimilarItems(newsItem, limit = 10, minScore = SIMILARITY_THRESHOLD) {
   if (!newsItem.embedding || newsItem.embedding.length === 0) {
     return [];
   }
+  // Every search is scoped to one workspace; without it the filters below would match other workspaces' items
+  if (!newsItem.workspace) {
+    throw new Error(`findSimilarItems: news item ${newsItem._id} has no workspace`);
+  }
+
+  if (VECTOR_SEARCH_BACKEND === 'manual') {
+    return findSimilarItemsManual(newsItem, limit, minScore);
+  }
+  if (VECTOR_SEARCH_BACKEND === 'local' || !atlasVectorSearchAvailable) {
+    return findSimilarItemsLocalOrManual(newsItem, limit, minScore);
+  }
 
-  const numCandidates = Math.min(200, limit * NUM_CANDIDATES_MULTIPLIER);
   try {
-    // MongoDB Atlas Vector Search aggregation
-    const results = await NewsItem.aggregate([
+    return await findSimilarItemsAtlas(newsItem, limit, minScore);
+  } catch (error) {
+    // An index from before workspaces has no filter fields: treat Atlas as unavailable until it is recreated
+    const missingFilterFields = /indexed as filter/i.test(error.message);
+    if (missingFilterFields) {
+      console.log('   ⚠️ Vector search index lacks the workspace filter field; recreate it with npm run drop-vector-index && npm run setup-vector-index');
+    }
+    // Fall back to the local index if Atlas Vector Search is not available (remembered for later calls)
+    if (missingFilterFields || error.message.includes('$vectorSearch') || error.codeName === 'InvalidPipelineOperator') {
+      if (VECTOR_SEARCH_BACKEND === 'atlas') {
+        console.log('   ⚠️ Atlas Vector Search not available, using manual clustering');
+        return findSimilarItemsManual(newsItem, limit, minScore);
+      }
+      console.log('   ⚠️ Atlas Vector Search not available, switching to local vector index');
+      atlasVectorSearchAvailable = false;
+      return findSimilarItemsLocalOrManual(newsItem, limit, minScore);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Atlas Vector Search, pre-filtered on the workspace (a filter field of the index, see scripts/setup-vector-index.js)
+ * so other workspaces' items never take the nearest slots. Clustered items are dropped afterwards, as in the local
+ * search, widening the search until `limit` unclustered hits are found, the hits fall below minScore, or it runs out.
+ * @param {Object} newsItem
+ * @param {number} limit
+ * @param {number} minScore
+ * @returns {Promise<Array>}
+ */
+async function findSimilarItemsAtlas(newsItem, limit, minScore) {
+  const selfId = newsItem._id ? newsItem._id.toString() : null;
+  for (let k = limit + 1; ; k = Math.min(k * 2, SEARCH_MAX_CANDIDATES)) {
+    const hits = await NewsItem.aggregate([
       {
         $vectorSearch: {
           index: 'news_embedding_index',
           path: 'embedding',
           queryVector: newsItem.embedding,
-          numCandidates,
-          limit: limit + 1 // +1 to exclude self
-        }
-      },
-      {
-        $match: {
-          _id: { $ne: newsItem._id },
-          topicId: { $exists: false } // Only unclustered items
+          numCandidates: Math.min(SEARCH_MAX_CANDIDATES, Math.max(k, Math.min(200, k * NUM_CANDIDATES_MULTIPLIER))),
+          limit: k,
+          filter: { workspace: newsItem.workspace }
         }
       },
       {
         $addFields: {
           score: { $meta: 'vectorSearchScore' }
         }
-      },
-      {
-        $match: {
-          score: { $gte: SIMILARITY_THRESHOLD }
-        }
       }
     ]);
+    const matches = hits.filter(hit => hit._id.toString() !== selfId && !hit.topicId && hit.score >= minScore);
+    // Hits are best first: once the last one is below minScore (or fewer than k came back) wider searches add nothing
+    const exhausted = hits.length < k || hits[hits.length - 1].score < minScore || k >= SEARCH_MAX_CANDIDATES;
+    if (matches.length >= limit || exhausted) return matches.slice(0, limit);
+  }
+}
 
-    return results;
-  } catch (error) {
-    // Fallback to manual similarity calculation if Atlas Vector Search not available
-    if (error.message.includes('$vectorSearch') || error.codeName === 'InvalidPipelineOperator') {
-      console.log('   ⚠️ Atlas Vector Search not available, using manual clustering');
-      return findSimilarItemsManual(newsItem, limit);
+/**
+ * Similarity search on the local HNSW index (see services/vectorIndex).
+ * Same contract as the Atlas path: unclustered items of the same workspace only. The index holds every workspace,
+ * so the search is widened until `limit` hits pass that filter, the hits fall below minScore, or the index runs out.
+ * @param {Object} newsItem - The news item to find similar items for
+ * @param {number} limit - Maximum number of similar items to return
+ * @param {number} [minScore] - Minimum similarity (default CLUSTERING_THRESHOLD)
+ * @returns {Promise<Array>} - Array of similar news items with scores
+ */
+async function findSimilarItemsLocal(newsItem, limit = 10, minScore = SIMILARITY_THRESHOLD) {
+  if (!newsItem.embedding || newsItem.embedding.length === 0) {
+    return [];
+  }
+
+  const selfId = newsItem._id ? newsItem._id.toString() : null;
+  const queryVector = Array.from(newsItem.embedding);
+  const checked = new Set();
+  const matches = [];
+  for (let k = Math.min(200, limit * NUM_CANDIDATES_MULTIPLIER) + 1; ; k *= 2) {
+    const hits = await vectorIndex.search(queryVector, k);
+    const fresh = hits.filter(hit => hit.id !== selfId && hit.score >= minScore && !checked.has(hit.id));
+    fresh.forEach(hit => checked.add(hit.id));
+    if (fresh.length > 0) {
+      const docs = await NewsItem.find({
+        _id: { $in: fresh.map(hit => hit.id) },
+        workspace: newsItem.workspace,
+        topicId: { $exists: false } // Only unclustered items
+      }).lean();
+      const docById = new Map(docs.map(doc => [doc._id.toString(), doc]));
+      for (const hit of fresh) {
+        if (docById.has(hit.id)) matches.push({ ...docById.get(hit.id), score: hit.score });
+      }
     }
-    throw error;
+    // Hits are best first: once the last one is below minScore (or fewer than k came back) wider searches add nothing
+    const exhausted = hits.length < k || hits[hits.length - 1].score < minScore || k >= SEARCH_MAX_CANDIDATES;
+    if (matches.length >= limit || exhausted) break;
+  }
+
+  return matches
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/** Local index, or the brute-force scan if the index cannot be loaded. */
+async function findSimilarItemsLocalOrManual(newsItem, limit, minScore) {
+  try {
+    return await findSimilarItemsLocal(newsItem, limit, minScore);
+  } catch (error) {
+    console.error(`   ⚠️ Local vector index unavailable (${error.message}), using manual clustering`);
+    return findSimilarItemsManual(newsItem, limit, minScore);
   }
 }
 
@@ -128,9 +241,10 @@ async function findSimilarItems(newsItem, limit = 10) {
  * Manual similarity search fallback (for non-Atlas deployments)
  * @param {Object} newsItem - The news item to find similar items for
  * @param {number} limit - Maximum number of similar items to return
+ * @param {number} [minScore] - Minimum similarity (default CLUSTERING_THRESHOLD)
  * @returns {Promise<Array>} - Array of similar news items with scores
  */
-async function findSimilarItemsManual(newsItem, limit = 10) {
+async function findSimilarItemsManual(newsItem, limit = 10, minScore = SIMILARITY_THRESHOLD) {
   if (!newsItem.embedding || newsItem.embedding.length === 0) {
     return [];
   }
@@ -138,6 +252,7 @@ async function findSimilarItemsManual(newsItem, limit = 10) {
   // Get all unclustered items with embeddings
   const candidates = await NewsItem.find({
     _id: { $ne: newsItem._id },
+    workspace: newsItem.workspace,
     topicId: { $exists: false },
     embedding: { $exists: true, $ne: [] }
   }).lean();
@@ -148,13 +263,105 @@ async function findSimilarItemsManual(newsItem, limit = 10) {
       ...candidate,
       score: cosineSimilarity(newsItem.embedding, candidate.embedding)
     }))
-    .filter(item => item.score >= SIMILARITY_THRESHOLD)
+    .filter(item => item.score >= minScore)
     .sort((a, b) => b.score - a.score)
     .slice(0, limit);
 
   return scored;
 }
 
+/**
+ * Build in-memory top-k similar items per item (from the same batch).
+ * Returns a function getSimilarItems(item, limit, minScore = threshold) that resolves to [{ _id, score, embedding, ... }, ...].
+ * Pass a lower `floor` to precompute weaker links too (for methods that query below the threshold).
+ */
+function buildInMemorySimilarity(itemsWithEmbeddings, threshold, candidateLimit, floor = threshold) {
+  const dims = EMBEDDING_DIMENSIONS;
+  const buildFloor = Math.min(threshold, floor);
+  const topKPerId = new Map();
+
+  for (let i = 0; i < itemsWithEmbeddings.length; i++) {
+    const item = itemsWithEmbeddings[i];
+    if (!item.embedding || item.embedding.length !== dims) {
+      topKPerId.set(item._id.toString(), []);
+      continue;
+    }
+    const scored = [];
+    for (let j = 0; j < itemsWithEmbeddings.length; j++) {
+      if (i === j) continue;
+      const other = itemsWithEmbeddings[j];
+      if (!other.embedding || other.embedding.length !== dims) continue;
+      const score = cosineSimilarity(item.embedding, other.embedding);
+      if (score >= buildFloor) {
+        scored.push({ ...other, score });
+      }
+    }
+    scored.sort((a, b) => b.score - a.score);
+    topKPerId.set(item._id.toString(), scored.slice(0, candidateLimit));
+    if ((i + 1) % 100 === 0) {
+      console.log(`   Precomputed similarity for ${i + 1}/${itemsWithEmbeddings.length} items`);
+    }
+  }
+
+  return function getSimilarItems(item, limit, minScore = threshold) {
+    const list = (topKPerId.get(item._id.toString()) || []).filter(s => s.score >= minScore);
+    return Promise.resolve(list.slice(0, limit));
+  };
+}
+
+/** Cosine similarity of two items' embeddings (default pairSimilarity for clustering methods). */
+function embeddingSimilarity(a, b) {
+  return cosineSimilarity(a.embedding, b.embedding);
+}
+
+/**
+ * Score offset for different-language pairs that maps CLUSTERING_CROSS_LINGUAL_THRESHOLD onto `threshold`
+ * (0 when cross-lingual mode is off).
+ * @param {number} threshold - Same-language threshold
+ * @returns {number}
+ */
+function getCrossLingualOffset(threshold) {
+  return CROSS_LINGUAL_ENABLED ? threshold - CROSS_LINGUAL_THRESHOLD : 0;
+}
+
+/**
+ * Cross-lingual scoring for clustering options: similarities of pairs in different known languages are shifted
+ * by `offset`, so every method applies its usual threshold while zh-en pairs effectively use the cross-lingual one.
+ * Wraps getSimilarItems (queries deep enough for the lower cut) and sets pairSimilarity for methods that
+ * compare members directly. Returns options unchanged when the offset is 0.
+ * @param {Object} options - Clustering options ({ threshold, getSimilarItems, ... })
+ * @param {number} [offset] - Defaults to getCrossLingualOffset(options.threshold)
+ * @returns {Object} - Options
+ */
+function withCrossLingualScoring(options, offset = getCrossLingualOffset(options.threshold)) {
+  if (!offset) return options;
+  const baseFind = options.getSimilarItems || findSimilarItems;
+  const languageById = new Map();
+  const languageOf = (item) => {
+    const key = item._id.toString();
+    if (!languageById.has(key)) languageById.set(key, getItemLanguage(item));
+    return languageById.get(key);
+  };
+  const adjust = (a, b, score) => {
+    const la = languageOf(a);
+    const lb = languageOf(b);
+    return la !== 'und' && lb !== 'und' && la !== lb ? Math.min(1, score + offset) : score;
+  };
+
+  return {
+    ...options,
+    crossLingualOffset: offset,
+    pairSimilarity: (a, b) => adjust(a, b, embeddingSimilarity(a, b)),
+    getSimilarItems: async (item, limit, minScore = options.threshold) => {
+      const raw = await baseFind(item, limit, Math.min(minScore, minScore - offset));
+      return raw
+        .map(similar => ({ ...similar, score: adjust(item, similar, similar.score) }))
+        .filter(similar => similar.score >= minScore)
+        .sort((a, b) => b.score - a.score);
+    }
+  };
+}
+
 /**
  * Shared post-process: apply MIN/MAX cluster size and date ordering.
  * @param {Array} rawClusters - Array of { items, itemIds } (may have any size)
@@ -257,6 +464,7 @@ async function clusterByConnectedComponents(itemsWithEmbeddings, options) {
 async function clusterByGreedyAverage(itemsWithEmbeddings, options) {
   const { threshold, candidateLimit, getSimilarItems } = options;
   const findSimilar = getSimilarItems || findSimilarItems;
+  const pairSimilarity = options.pairSimilarity || embeddingSimilarity;
   const clusteredIds = new Set();
   const sortedItems = [...itemsWithEmbeddings].sort(
     (a, b) => new Date(b.publishedAt) - new Date(a.publishedAt)
@@ -276,7 +484,7 @@ async function clusterByGreedyAverage(itemsWithEmbeddings, options) {
       let sumSim = 0;
       for (const member of clusterItems) {
         if (!member.embedding || member.embedding.length === 0) continue;
-        sumSim += cosineSimilarity(similar.embedding, member.embedding);
+        sumSim += pairSimilarity(similar, member);
       }
       const avgSim = clusterItems.length > 0 ? sumSim / clusterItems.length : 0;
       if (avgSim >= threshold) {
@@ -309,6 +517,7 @@ async function clusterByGreedyAverage(itemsWithEmbeddings, options) {
 async function clusterByGreedyMin(itemsWithEmbeddings, options) {
   const { threshold, candidateLimit, getSimilarItems } = options;
   const findSimilar = getSimilarItems || findSimilarItems;
+  const pairSimilarity = options.pairSimilarity || embeddingSimilarity;
   const clusteredIds = new Set();
   const sortedItems = [...itemsWithEmbeddings].sort(
     (a, b) => new Date(b.publishedAt) - new Date(a.publishedAt)
@@ -328,7 +537,7 @@ async function clusterByGreedyMin(itemsWithEmbeddings, options) {
       let minSim = 1;
       for (const member of clusterItems) {
         if (!member.embedding || member.embedding.length === 0) continue;
-        const sim = cosineSimilarity(similar.embedding, member.embedding);
+        const sim = pairSimilarity(similar, member);
         if (sim < minSim) minSim = sim;
       }
       if (minSim >= threshold) {
@@ -413,19 +622,329 @@ async function clusterByMutualK(itemsWithEmbeddings, options) {
   return rawClusters;
 }
 
+/**
+ * Build a symmetric in-batch similarity graph from per-item similar candidates.
+ * @param {Array} itemsWithEmbeddings - Items with valid embeddings
+ * @param {Function} findSimilar - (item, limit, minScore) => Promise<Array<{ _id, score }>>
+ * @param {number} candidateLimit - Per-item candidates
+ * @param {number} floor - Minimum similarity for an edge
+ * @param {string} label - Method name for progress logs
+ * @returns {Promise<{ neighbors: Array<Map<number, number>> }>} - neighbors[i] maps j -> similarity
+ */
+async function buildSimilarityGraph(itemsWithEmbeddings, findSimilar, candidateLimit, floor, label) {
+  const indexById = new Map(itemsWithEmbeddings.map((item, i) => [item._id.toString(), i]));
+  const neighbors = itemsWithEmbeddings.map(() => new Map());
+  for (let i = 0; i < itemsWithEmbeddings.length; i++) {
+    const similarItems = await findSimilar(itemsWithEmbeddings[i], candidateLimit, floor);
+    for (const similar of similarItems) {
+      const j = indexById.get(similar._id.toString());
+      if (j === undefined || j === i || similar.score < floor) continue;
+      const score = Math.max(similar.score, neighbors[i].get(j) || -Infinity);
+      neighbors[i].set(j, score);
+      neighbors[j].set(i, score);
+    }
+    if ((i + 1) % 10 === 0 || i + 1 === itemsWithEmbeddings.length) {
+      console.log(`   Processed ${i + 1}/${itemsWithEmbeddings.length} items (${label})`);
+    }
+  }
+  return { neighbors };
+}
+
+/** Minimal binary max-heap keyed by `score` (used for agglomerative merges). */
+function createMaxHeap() {
+  const data = [];
+  const swap = (i, j) => { const t = data[i]; data[i] = data[j]; data[j] = t; };
+  return {
+    size: () => data.length,
+    push(entry) {
+      data.push(entry);
+      let i = data.length - 1;
+      while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (data[p].score >= data[i].score) break;
+        swap(i, p);
+        i = p;
+      }
+    },
+    pop() {
+      const top = data[0];
+      const last = data.pop();
+      if (data.length > 0) {
+        data[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let m = i;
+          if (l < data.length && data[l].score > data[m].score) m = l;
+          if (r < data.length && data[r].score > data[m].score) m = r;
+          if (m === i) break;
+          swap(i, m);
+          i = m;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+/**
+ * Cluster by average-linkage agglomeration: repeatedly merge the two linked clusters with the highest
+ * average pairwise similarity (exact, over all member pairs) until it drops below threshold.
+ * Only clusters connected in the similarity graph (edges >= CLUSTERING_GRAPH_FLOOR) are merge candidates.
+ * @param {Array} itemsWithEmbeddings - Items with valid embeddings
+ * @param {Object} options - { threshold, minClusterSize, maxClusterSize, candidateLimit, graphFloor }
+ * @returns {Promise<Array>} - Raw clusters
+ */
+async function clusterByAgglomerative(itemsWithEmbeddings, options) {
+  const { threshold, candidateLimit, maxClusterSize } = options;
+  const findSimilar = options.getSimilarItems || findSimilarItems;
+  const pairSimilarity = options.pairSimilarity || embeddingSimilarity;
+  const floor = Math.min(options.graphFloor ?? GRAPH_FLOOR, threshold);
+  const { neighbors } = await buildSimilarityGraph(itemsWithEmbeddings, findSimilar, candidateLimit, floor, 'agglomerative');
+
+  const pairCache = new Map();
+  const sim = (i, j) => {
+    const key = i < j ? `${i}:${j}` : `${j}:${i}`;
+    if (!pairCache.has(key)) {
+      pairCache.set(key, neighbors[i].has(j)
+        ? neighbors[i].get(j)
+        : pairSimilarity(itemsWithEmbeddings[i], itemsWithEmbeddings[j]));
+    }
+    return pairCache.get(key);
+  };
+  const averageLinkage = (a, b) => {
+    let sum = 0;
+    for (const i of a) for (const j of b) sum += sim(i, j);
+    return sum / (a.length * b.length);
+  };
+
+  // Cluster id = index of its first member; version bumps invalidate stale heap entries
+  const members = new Map();
+  const version = new Map();
+  const links = new Map();
+  itemsWithEmbeddings.forEach((_, i) => {
+    members.set(i, [i]);
+    version.set(i, 0);
+    links.set(i, new Set(neighbors[i].keys()));
+  });
+
+  const heap = createMaxHeap();
+  for (let i = 0; i < neighbors.length; i++) {
+    for (const [j, score] of neighbors[i]) {
+      if (i < j && score >= threshold) heap.push({ score, a: i, b: j, va: 0, vb: 0 });
+    }
+  }
+
+  let merges = 0;
+  while (heap.size() > 0) {
+    const { score, a, b, va, vb } = heap.pop();
+    if (score < threshold) break;
+    if (!members.has(a) || !members.has(b) || version.get(a) !== va || version.get(b) !== vb) continue;
+    const merged = members.get(a).concat(members.get(b));
+    if (merged.length > maxClusterSize) continue;
+
+    members.set(a, merged);
+    members.delete(b);
+    version.set(a, version.get(a) + 1);
+    const linked = new Set([...links.get(a), ...links.get(b)]);
+    linked.delete(a);
+    linked.delete(b);
+    links.set(a, linked);
+    links.delete(b);
+    merges++;
+
+    for (const other of linked) {
+      const otherLinks = links.get(other);
+      if (!otherLinks) continue;
+      otherLinks.delete(b);
+      otherLinks.add(a);
+      const otherMembers = members.get(other);
+      if (merged.length + otherMembers.length > maxClusterSize) continue;
+      const avg = averageLinkage(merged, otherMembers);
+      if (avg >= threshold) {
+        heap.push({ score: avg, a, b: other, va: version.get(a), vb: version.get(other) });
+      }
+    }
+  }
+  console.log(`   Agglomerative: ${merges} merges (average linkage >= ${threshold})`);
+
+  const rawClusters = [];
+  for (const idxList of members.values()) {
+    const items = idxList.map(i => itemsWithEmbeddings[i]);
+    rawClusters.push({ items, itemIds: items.map(item => item._id) });
+  }
+  return rawClusters;
+}
+
+/**
+ * Cluster HDBSCAN-style on the similarity graph (distance = 1 - similarity):
+ * mutual-reachability distances from core distances, minimum spanning forest, condensed tree,
+ * then excess-of-mass cluster selection. Dense days and quiet days get different effective cuts;
+ * items that never join a stable cluster become singletons.
+ * @param {Array} itemsWithEmbeddings - Items with valid embeddings
+ * @param {Object} options - { candidateLimit, graphFloor, hdbscanMinClusterSize, hdbscanMinSamples }
+ * @returns {Promise<Array>} - Raw clusters
+ */
+async function clusterByHdbscan(itemsWithEmbeddings, options) {
+  const { candidateLimit } = options;
+  const findSimilar = options.getSimilarItems || findSimilarItems;
+  const floor = Math.max(0, options.graphFloor ?? GRAPH_FLOOR);
+  const minClusterSize = Math.max(2, options.hdbscanMinClusterSize || HDBSCAN_MIN_CLUSTER_SIZE);
+  const minSamples = Math.max(1, options.hdbscanMinSamples || HDBSCAN_MIN_SAMPLES);
+  const { neighbors } = await buildSimilarityGraph(itemsWithEmbeddings, findSimilar, candidateLimit, floor, 'hdbscan');
+  const n = itemsWithEmbeddings.length;
+
+  // Core distance: distance to the minSamples-th nearest neighbour (or the farthest one available)
+  const core = neighbors.map(nb => {
+    const dists = [...nb.values()].map(s => 1 - s).sort((x, y) => x - y);
+    if (dists.length === 0) return Infinity;
+    return dists[Math.min(minSamples, dists.length) - 1];
+  });
+
+  const edges = [];
+  for (let i = 0; i < n; i++) {
+    for (const [j, score] of neighbors[i]) {
+      if (i < j) edges.push({ i, j, w: Math.max(core[i], core[j], 1 - score) });
+    }
+  }
+  edges.sort((x, y) => x.w - y.w);
+
+  // Kruskal over mutual-reachability edges -> single-linkage dendrogram (leaves 0..n-1, internal n..)
+  const left = [];
+  const right = [];
+  const height = [];
+  const size = new Array(n).fill(1);
+  const parentOf = new Array(n).fill(-1);
+  const uf = createUnionFind();
+  const nodeOfRoot = new Map();
+  for (let i = 0; i < n; i++) nodeOfRoot.set(String(i), i);
+  for (const { i, j, w } of edges) {
+    const ri = uf.find(String(i));
+    const rj = uf.find(String(j));
+    if (ri === rj) continue;
+    const a = nodeOfRoot.get(ri);
+    const b = nodeOfRoot.get(rj);
+    const node = n + left.length;
+    left.push(a);
+    right.push(b);
+    height.push(w);
+    size.push(size[a] + size[b]);
+    parentOf.push(-1);
+    parentOf[a] = node;
+    parentOf[b] = node;
+    uf.union(ri, rj);
+    nodeOfRoot.set(uf.find(ri), node);
+  }
+
+  const leavesOf = (node) => {
+    const out = [];
+    const stack = [node];
+    while (stack.length > 0) {
+      const x = stack.pop();
+      if (x < n) out.push(x);
+      else stack.push(left[x - n], right[x - n]);
+    }
+    return out;
+  };
+  const lambdaOf = (d) => (d > 1e-10 ? 1 / d : 1e10);
+
+  // Condensed tree: clusters[k] = { parent, birth, stability, children }
+  // Components appear at the graph's widest possible distance (1 - floor)
+  const clusters = [];
+  const fallOut = new Array(n).fill(-1);
+  const rootBirth = lambdaOf(1 - floor);
+  const roots = [];
+  for (let node = 0; node < size.length; node++) {
+    if (parentOf[node] === -1 && size[node] >= minClusterSize) roots.push(node);
+  }
+  for (const root of roots) {
+    clusters.push({ parent: -1, birth: rootBirth, stability: 0, children: [] });
+    const stack = [[root, clusters.length - 1]];
+    while (stack.length > 0) {
+      const [node, cid] = stack.pop();
+      const c = clusters[cid];
+      const lam = lambdaOf(height[node - n]);
+      const l = left[node - n];
+      const r = right[node - n];
+      if (size[l] >= minClusterSize && size[r] >= minClusterSize) {
+        for (const child of [l, r]) {
+          clusters.push({ parent: cid, birth: lam, stability: 0, children: [] });
+          const childId = clusters.length - 1;
+          c.children.push(childId);
+          c.stability += (lam - c.birth) * size[child];
+          stack.push([child, childId]);
+        }
+      } else {
+        const [small, big] = size[l] >= size[r] ? [r, l] : [l, r];
+        const dropped = size[big] >= minClusterSize ? [small] : [small, big];
+        for (const d of dropped) {
+          for (const p of leavesOf(d)) {
+            c.stability += lam - c.birth;
+            fallOut[p] = cid;
+          }
+        }
+        if (size[big] >= minClusterSize) stack.push([big, cid]);
+      }
+    }
+  }
+
+  // Excess-of-mass selection, bottom-up (children are always created after their parent)
+  const selected = new Array(clusters.length).fill(false);
+  const effective = new Array(clusters.length).fill(0);
+  const deselect = (cid) => {
+    for (const child of clusters[cid].children) {
+      selected[child] = false;
+      deselect(child);
+    }
+  };
+  for (let cid = clusters.length - 1; cid >= 0; cid--) {
+    const c = clusters[cid];
+    const childSum = c.children.reduce((sum, child) => sum + effective[child], 0);
+    if (c.children.length === 0 || c.stability >= childSum) {
+      selected[cid] = true;
+      effective[cid] = c.stability;
+      deselect(cid);
+    } else {
+      effective[cid] = childSum;
+    }
+  }
+
+  const byCluster = new Map();
+  const rawClusters = [];
+  for (let p = 0; p < n; p++) {
+    let cid = fallOut[p];
+    while (cid !== -1 && !selected[cid]) cid = clusters[cid].parent;
+    if (cid === -1) {
+      rawClusters.push({ items: [itemsWithEmbeddings[p]], itemIds: [itemsWithEmbeddings[p]._id] });
+      continue;
+    }
+    if (!byCluster.has(cid)) byCluster.set(cid, []);
+    byCluster.get(cid).push(itemsWithEmbeddings[p]);
+  }
+  for (const items of byCluster.values()) {
+    rawClusters.push({ items, itemIds: items.map(item => item._id) });
+  }
+  console.log(`   HDBSCAN: ${byCluster.size} clusters, ${rawClusters.length - byCluster.size} noise items (min cluster size ${minClusterSize}, min samples ${minSamples})`);
+  return rawClusters;
+}
+
 const CLUSTERING_METHODS = {
   connected_components: clusterByConnectedComponents,
   greedy_average: clusterByGreedyAverage,
   greedy_min: clusterByGreedyMin,
-  mutual_k: clusterByMutualK
+  mutual_k: clusterByMutualK,
+  agglomerative: clusterByAgglomerative,
+  hdbscan: clusterByHdbscan
 };
 
 /**
  * Cluster news items by the configured method; apply shared post-process.
  * @param {Array} newsItems - Array of news items to cluster
+ * @param {Object} [runOptions] - { signal }: checked before each similarity query (throws its reason once aborted)
  * @returns {Promise<Array>} - Array of clusters (each cluster is { items, itemIds })
  */
-async function clusterNewsItems(newsItems) {
+async function clusterNewsItems(newsItems, { signal } = {}) {
   const itemsWithEmbeddings = newsItems.filter(
     item => item.embedding && item.embedding.length === EMBEDDING_DIMENSIONS
   );
@@ -440,12 +959,21 @@ async function clusterNewsItems(newsItems) {
   console.log(`   ${itemsWithEmbeddings.length} items have embeddings`);
   const clusterStartMs = Date.now();
 
-  const options = {
+  const options = withCrossLingualScoring({
     threshold: getMethodThreshold(),
     minClusterSize: MIN_CLUSTER_SIZE,
     maxClusterSize: MAX_CLUSTER_SIZE,
-    candidateLimit: getMethodCandidateLimit()
-  };
+    candidateLimit: getMethodCandidateLimit(),
+    getSimilarItems: signal
+      ? (item, limit, minScore) => {
+        signal.throwIfAborted();
+        return findSimilarItems(item, limit, minScore);
+      }
+      : undefined
+  });
+  if (options.crossLingualOffset) {
+    console.log(`   Cross-lingual mode: pairs in different languages link at ${CROSS_LINGUAL_THRESHOLD}`);
+  }
 
   console.log(`   Building similarity graph (1 query per item, threshold=${options.threshold})...`);
   const rawClusters = await method(itemsWithEmbeddings, options);
@@ -461,11 +989,13 @@ async function clusterNewsItems(newsItems) {
  * Create topics from clusters and categorize them
  * @param {Array} clusters - Array of clusters from clusterNewsItems
  * @param {Array} categories - Available categories
+ * @param {ObjectId} workspaceId - Workspace the topics (and their items) belong to
+ * @param {Object} [options] - { signal }: checked between clusters (throws its reason once aborted)
  * @returns {Promise<Array>} - Array of created Topic documents
  */
-async function createTopicsFromClusters(clusters, categories) {
+async function createTopicsFromClusters(clusters, categories, workspaceId, { signal } = {}) {
   if (!categories || categories.length === 0) {
-    categories = await getActiveCategories();
+    categories = await getActiveCategories(workspaceId);
   }
 
   const total = clusters.length;
@@ -476,6 +1006,7 @@ async function createTopicsFromClusters(clusters, categories) {
   const logInterval = total <= 20 ? 1 : total <= 100 ? 10 : 25;
 
   for (let i = 0; i < clusters.length; i++) {
+    signal?.throwIfAborted();
     const cluster = clusters[i];
     const current = i + 1;
     if (current === 1 || current % logInterval === 0 || current === total) {
@@ -483,20 +1014,24 @@ async function createTopicsFromClusters(clusters, categories) {
     }
     try {
       // Generate topic metadata (title, summary, tags) using LLM
-      const metadata = await generateTopicMetadata(cluster.items);
+      const metadata = await generateTopicMetadata(cluster.items, { language: TOPIC_PUBLICATION_LANGUAGE });
 
       // Categorize the topic using LLM
       const category = await categorizeTopic(metadata, categories);
 
       // Create the topic
-      const topic = await Topic.create({
+      const topic = new Topic({
+        workspace: workspaceId,
         title: metadata.title,
         summary: metadata.summary,
         category: category,
         newsItems: cluster.itemIds,
         tags: metadata.tags || [],
-        discussionScore: cluster.items.length // Simple score based on cluster size
+        language: TOPIC_PUBLICATION_LANGUAGE
       });
+      topic.discussionScore = calculateDiscussionScore(topic, cluster.items);
+      applyStoryState(topic, cluster.items);
+      await topic.save();
 
       // Update news items with topicId
       await NewsItem.updateMany(
@@ -523,15 +1058,16 @@ async function createTopicsFromClusters(clusters, categories) {
 
 /**
  * Main function: Cluster news items and create categorized topics
- * @param {Array} newsItems - Array of news items to process
- * @param {string} userId - User ID (for future user-specific categorization)
+ * @param {Array} newsItems - Array of news items to process (all from one workspace)
+ * @param {ObjectId} workspaceId - Workspace of the items
  * @param {Array} categories - Available categories
+ * @param {Object} [options] - { signal } of the job, checked between items and clusters
  * @returns {Promise<Array>} - Array of created Topic documents
  */
-async function clusterAndCategorize(newsItems, userId, categories) {
+async function clusterAndCategorize(newsItems, workspaceId, categories, { signal } = {}) {
   // Fetch categories if not provided
   if (!categories || categories.length === 0) {
-    categories = await getActiveCategories();
+    categories = await getActiveCategories(workspaceId);
   }
 
   if (categories.length === 0) {
@@ -539,7 +1075,7 @@ async function clusterAndCategorize(newsItems, userId, categories) {
   }
 
   // Step 1: Cluster news items by vector similarity
-  const clusters = await clusterNewsItems(newsItems);
+  const clusters = await clusterNewsItems(newsItems, { signal });
 
   if (clusters.length === 0) {
     console.log('   ℹ️ No clusters created');
@@ -547,11 +1083,232 @@ async function clusterAndCategorize(newsItems, userId, categories) {
   }
 
   // Step 2: Create topics from clusters and categorize them
-  const topics = await createTopicsFromClusters(clusters, categories);
+  const topics = await createTopicsFromClusters(clusters, categories, workspaceId, { signal });
 
   return topics;
 }
 
+/**
+ * Mean of a list of embeddings (same dimension). Returns null when the list is empty.
+ * @param {number[][]} embeddings
+ * @returns {number[]|null}
+ */
+function computeCentroid(embeddings) {
+  const valid = embeddings.filter(e => e && e.length === EMBEDDING_DIMENSIONS);
+  if (valid.length === 0) return null;
+  const centroid = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const e of valid) {
+    for (let i = 0; i < EMBEDDING_DIMENSIONS; i++) centroid[i] += e[i];
+  }
+  for (let i = 0; i < EMBEDDING_DIMENSIONS; i++) centroid[i] /= valid.length;
+  return centroid;
+}
+
+/**
+ * Set persisted story state on a topic from its member items: centroid, timeline, first/last seen, languages.
+ * Does not save the topic.
+ * @param {Object} topic - Topic document
+ * @param {Array} items - Member news items (with embedding and publishedAt)
+ * @returns {Object} - The same topic
+ */
+function applyStoryState(topic, items) {
+  const centroid = computeCentroid(items.map(item => item.embedding));
+  if (centroid) topic.centroid = centroid;
+  const timeline = buildTimelineEntries(items);
+  topic.timeline = timeline;
+  topic.languages = [...new Set(items.map(getItemLanguage))].filter(lang => lang !== 'und');
+  if (timeline.length > 0) {
+    topic.firstSeenAt = timeline[0].publishedAt;
+    topic.lastUpdatedAt = timeline[timeline.length - 1].publishedAt;
+  }
+  return topic;
+}
+
+/**
+ * Load a workspace's recently active topics with their centroid (persisted, or rebuilt from members for older topics).
+ * @param {Date} sinceDate - Only topics whose latest member (or, for older topics, last update) is at or after this date
+ * @param {ObjectId} workspaceId
+ * @returns {Promise<Array>} - [{ topic, centroid, size, languages }]
+ */
+async function loadCandidateTopics(sinceDate, workspaceId) {
+  const topics = await Topic.find({
+    workspace: workspaceId,
+    $or: [
+      { lastUpdatedAt: { $gte: sinceDate } },
+      { lastUpdatedAt: { $exists: false }, updatedAt: { $gte: sinceDate } }
+    ]
+  }).select('+centroid');
+  if (topics.length === 0) return [];
+
+  const withoutCentroid = topics.filter(t => !t.centroid || t.centroid.length !== EMBEDDING_DIMENSIONS);
+  const members = withoutCentroid.length === 0 ? [] : await NewsItem.find({
+    topicId: { $in: withoutCentroid.map(t => t._id) },
+    embedding: { $exists: true, $ne: [] }
+  }).select('topicId embedding').lean();
+
+  const embeddingsByTopic = new Map();
+  for (const m of members) {
+    const key = m.topicId.toString();
+    if (!embeddingsByTopic.has(key)) embeddingsByTopic.set(key, []);
+    embeddingsByTopic.get(key).push(m.embedding);
+  }
+
+  const candidates = [];
+  for (const topic of topics) {
+    if (topic.centroid && topic.centroid.length === EMBEDDING_DIMENSIONS) {
+      candidates.push({ topic, centroid: [...topic.centroid], size: topic.newsItems.length || 1, languages: new Set(topic.languages || []) });
+      continue;
+    }
+    const embeddings = embeddingsByTopic.get(topic._id.toString()) || [];
+    const centroid = computeCentroid(embeddings);
+    if (!centroid) continue;
+    candidates.push({ topic, centroid, size: embeddings.length, languages: new Set(topic.languages || []) });
+  }
+  return candidates;
+}
+
+/**
+ * Assign items to the closest candidate topic when similarity to its centroid >= threshold.
+ * Centroids are updated in place (running mean) so later items see the grown topic.
+ * In cross-lingual mode an item whose language is not among a topic's member languages gets the cross-lingual offset.
+ * @param {Array} items - Unassigned items with embeddings
+ * @param {Array} candidates - From loadCandidateTopics
+ * @param {number} threshold - Minimum centroid similarity
+ * @param {number} [crossLingualOffset] - Defaults to getCrossLingualOffset(threshold)
+ * @returns {{ assignments: Map<string, { candidate, items: Array }>, unassigned: Array }}
+ */
+function assignItemsToTopics(items, candidates, threshold, crossLingualOffset = getCrossLingualOffset(threshold)) {
+  const assignments = new Map();
+  const unassigned = [];
+
+  for (const item of items) {
+    const language = getItemLanguage(item);
+    let best = null;
+    let bestScore = -Infinity;
+    for (const candidate of candidates) {
+      let score = cosineSimilarity(item.embedding, candidate.centroid);
+      const languages = candidate.languages;
+      if (crossLingualOffset && language !== 'und' && languages && languages.size > 0 && !languages.has(language)) {
+        score = Math.min(1, score + crossLingualOffset);
+      }
+      if (score > bestScore) {
+        bestScore = score;
+        best = candidate;
+      }
+    }
+    if (!best || bestScore < threshold) {
+      unassigned.push(item);
+      continue;
+    }
+
+    const key = best.topic._id.toString();
+    if (!assignments.has(key)) assignments.set(key, { candidate: best, items: [] });
+    assignments.get(key).items.push(item);
+
+    const n = best.size + 1;
+    for (let i = 0; i < best.centroid.length; i++) {
+      best.centroid[i] += (item.embedding[i] - best.centroid[i]) / n;
+    }
+    best.size = n;
+    if (best.languages && language !== 'und') best.languages.add(language);
+  }
+
+  return { assignments, unassigned };
+}
+
+/**
+ * Regenerate LLM title/summary/tags for a topic from its current members (category is kept stable)
+ * and recompute its centroid and timeline.
+ * @param {Object} topic - Topic document
+ * @returns {Promise<Object>} - Updated topic
+ */
+async function refreshTopicMetadata(topic) {
+  const items = await NewsItem.find({ _id: { $in: topic.newsItems } })
+    .sort({ publishedAt: -1 });
+  if (items.length === 0) return topic;
+
+  const metadata = await generateTopicMetadata(items, { language: TOPIC_PUBLICATION_LANGUAGE });
+  topic.title = metadata.title || topic.title;
+  topic.language = TOPIC_PUBLICATION_LANGUAGE;
+  topic.summary = metadata.summary || topic.summary;
+  topic.tags = metadata.tags || topic.tags;
+  topic.discussionScore = calculateDiscussionScore(topic, items);
+  applyStoryState(topic, items);
+  await topic.save();
+  return topic;
+}
+
+/**
+ * Incremental mode, first half: attach new (unassigned) items to recent topics by centroid similarity
+ * (refreshing the metadata of topics that gained members) and cluster the remainder.
+ * The clusters still need createTopicsFromClusters, which titles and categorizes them.
+ * @param {Array} newsItems - Items in the processing window (already-assigned items are ignored), all from one workspace
+ * @param {ObjectId} workspaceId - Workspace of the items; only its topics are candidates
+ * @param {Object} [options] - { signal }: checked between updated topics and during clustering (throws its reason)
+ * @returns {Promise<{ newItemCount: number, attachedCount: number, updatedTopics: Array, clusters: Array }>}
+ */
+async function assignAndClusterIncremental(newsItems, workspaceId, { signal } = {}) {
+  const newItems = newsItems.filter(
+    item => !item.topicId && item.embedding && item.embedding.length === EMBEDDING_DIMENSIONS
+  );
+  if (newItems.length === 0) {
+    console.log('   ℹ️ No unassigned items with embeddings, nothing to process');
+    return { newItemCount: 0, attachedCount: 0, updatedTopics: [], clusters: [] };
+  }
+
+  const sinceDate = new Date(Date.now() - INCREMENTAL_LOOKBACK_HOURS * 60 * 60 * 1000);
+  const candidates = await loadCandidateTopics(sinceDate, workspaceId);
+  const threshold = getAssignThreshold();
+  console.log(`🔗 Incremental assignment: ${newItems.length} new items vs ${candidates.length} recent topics (threshold=${threshold})`);
+
+  const { assignments, unassigned } = assignItemsToTopics(newItems, candidates, threshold);
+
+  const updatedTopics = [];
+  for (const [, { candidate, items }] of assignments) {
+    signal?.throwIfAborted();
+    const topic = candidate.topic;
+    const itemIds = items.map(item => item._id);
+    try {
+      await NewsItem.updateMany({ _id: { $in: itemIds } }, { topicId: topic._id });
+      topic.newsItems.push(...itemIds);
+      await refreshTopicMetadata(topic);
+      updatedTopics.push(topic);
+    } catch (error) {
+      console.error(`   ❌ Error updating topic "${(topic.title || '').slice(0, 50)}":`, error.message);
+    }
+  }
+  const attachedCount = newItems.length - unassigned.length;
+  console.log(`   ✅ Attached ${attachedCount} items to ${updatedTopics.length} existing topics`);
+
+  signal?.throwIfAborted();
+  const clusters = unassigned.length > 0 ? await clusterNewsItems(unassigned, { signal }) : [];
+  return { newItemCount: newItems.length, attachedCount, updatedTopics, clusters };
+}
+
+/**
+ * Incremental mode: attach new (unassigned) items to existing topics by centroid similarity,
+ * cluster the remainder into new topics, and refresh metadata only for topics that gained members.
+ * Existing topic ids are preserved, so user likes/dislikes and saved topics stay valid.
+ * @param {Array} newsItems - Items in the processing window (already-assigned items are ignored), all from one workspace
+ * @param {ObjectId} workspaceId - Workspace of the items
+ * @param {Array} categories - Available categories
+ * @param {Object} [options] - { signal } of the job, checked between topics, items and clusters
+ * @returns {Promise<{ createdTopics: Array, updatedTopics: Array }>}
+ */
+async function clusterAndCategorizeIncremental(newsItems, workspaceId, categories, { signal } = {}) {
+  if (!categories || categories.length === 0) {
+    categories = await getActiveCategories(workspaceId);
+  }
+
+  const { updatedTopics, clusters } = await assignAndClusterIncremental(newsItems, workspaceId, { signal });
+  let createdTopics = [];
+  if (clusters.length > 0) {
+    createdTopics = await createTopicsFromClusters(clusters, categories, workspaceId, { signal });
+  }
+
+  return { createdTopics, updatedTopics };
+}
+
 // Legacy function name for backward compatibility
 const categorizeAndGroup = clusterAndCategorize;
 
@@ -562,12 +1319,31 @@ module.exports = {
   createTopicsFromClusters,
   getActiveCategories,
   findSimilarItems,
+  findSimilarItemsLocal,
+  buildInMemorySimilarity,
   SIMILARITY_THRESHOLD,
   postProcessClusters,
   clusterByConnectedComponents,
   clusterByGreedyAverage,
   clusterByGreedyMin,
   clusterByMutualK,
+  clusterByAgglomerative,
+  clusterByHdbscan,
+  GRAPH_FLOOR,
+  HDBSCAN_MIN_CLUSTER_SIZE,
+  HDBSCAN_MIN_SAMPLES,
   CLUSTERING_METHODS,
-  CLUSTERING_METHOD
+  CLUSTERING_METHOD,
+  clusterAndCategorizeIncremental,
+  assignAndClusterIncremental,
+  assignItemsToTopics,
+  computeCentroid,
+  applyStoryState,
+  withCrossLingualScoring,
+  getCrossLingualOffset,
+  TOPIC_PUBLICATION_LANGUAGE,
+  refreshTopicMetadata,
+  getMethodThreshold,
+  getMethodCandidateLimit,
+  TOPIC_PROCESS_MODE
 };
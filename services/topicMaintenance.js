@@ -0,0 +1,308 @@
+// services/topicMaintenance.js
+// Topic maintenance: merge topics whose centroids are near-identical (same story from different batches)
+// and split topics whose members are not cohesive (unrelated stories chained together).
+// User feedback, 素材夾 references and writer sources always end up on the surviving topic.
+
+const NewsItem = require('../models/NewsItem');
+const Topic = require('../models/Topic');
+const User = require('../models/User');
+const Article = require('../models/Article');
+const WriterJob = require('../models/WriterJob');
+const { cosineSimilarity, EMBEDDING_DIMENSIONS } = require('./embedding');
+const {
+  CLUSTERING_METHODS,
+  postProcessClusters,
+  buildInMemorySimilarity,
+  createTopicsFromClusters,
+  refreshTopicMetadata,
+  computeCentroid,
+  getActiveCategories,
+  getMethodThreshold,
+  getMethodCandidateLimit
+} = require('./topicGrouper');
+
+// Merge two topics when their centroid similarity is at least this
+const TOPIC_MERGE_THRESHOLD = parseFloat(process.env.TOPIC_MERGE_THRESHOLD) || 0.85;
+// Split a topic when the mean member-to-centroid similarity is below this
+const TOPIC_COHESION_FLOOR = parseFloat(process.env.TOPIC_COHESION_FLOOR) || 0.6;
+// Only topics active within this window are examined
+const TOPIC_MAINTENANCE_LOOKBACK_HOURS = parseInt(process.env.TOPIC_MAINTENANCE_LOOKBACK_HOURS, 10) || 72;
+// Topics smaller than this are never split
+const TOPIC_SPLIT_MIN_SIZE = parseInt(process.env.TOPIC_SPLIT_MIN_SIZE, 10) || 3;
+// Re-clustering method used to split a topic (stricter than connected components by default)
+const TOPIC_SPLIT_METHOD = (process.env.TOPIC_SPLIT_METHOD || 'greedy_average').toLowerCase();
+
+/**
+ * Mean similarity of each member embedding to the members' centroid (1 = all identical).
+ * @param {number[][]} embeddings
+ * @returns {number|null} - null when there are no valid embeddings
+ */
+function computeCohesion(embeddings) {
+  const valid = embeddings.filter(e => e && e.length === EMBEDDING_DIMENSIONS);
+  const centroid = computeCentroid(valid);
+  if (!centroid) return null;
+  const total = valid.reduce((sum, e) => sum + cosineSimilarity(e, centroid), 0);
+  return total / valid.length;
+}
+
+/**
+ * Topic pairs whose centroid similarity >= threshold, most similar first.
+ * @param {Array} topics - [{ _id, centroid, ... }]
+ * @param {number} threshold
+ * @returns {Array} - [{ a, b, similarity }]
+ */
+function findMergeCandidates(topics, threshold) {
+  const withCentroid = topics.filter(t => t.centroid && t.centroid.length === EMBEDDING_DIMENSIONS);
+  const pairs = [];
+  for (let i = 0; i < withCentroid.length; i++) {
+    for (let j = i + 1; j < withCentroid.length; j++) {
+      const similarity = cosineSimilarity(withCentroid[i].centroid, withCentroid[j].centroid);
+      if (similarity >= threshold) {
+        pairs.push({ a: withCentroid[i], b: withCentroid[j], similarity });
+      }
+    }
+  }
+  return pairs.sort((x, y) => y.similarity - x.similarity);
+}
+
+/** Pick the surviving topic of a pair: more members wins, then the older story. */
+function pickSurvivor(a, b) {
+  const sizeA = (a.newsItems || []).length;
+  const sizeB = (b.newsItems || []).length;
+  if (sizeA !== sizeB) return sizeA > sizeB ? [a, b] : [b, a];
+  const firstA = a.firstSeenAt || a.createdAt;
+  const firstB = b.firstSeenAt || b.createdAt;
+  return new Date(firstA) <= new Date(firstB) ? [a, b] : [b, a];
+}
+
+/**
+ * Repoint every user reference from one topic to another (likes/dislikes, scores, 素材夾, archive).
+ * When the user already has a preference on the target topic, that preference is kept.
+ * @param {ObjectId} fromId - Topic being removed
+ * @param {ObjectId} toId - Surviving topic
+ * @returns {Promise<number>} - Number of users updated
+ */
+async function repointUserReferences(fromId, toId) {
+  const fromStr = fromId.toString();
+  const toStr = toId.toString();
+  const users = await User.find({
+    $or: [
+      { 'topicPreferences.likedTopics': fromId },
+      { 'topicPreferences.dislikedTopics': fromId },
+      { [`topicPreferences.topicScores.${fromStr}`]: { $exists: true } },
+      { savedTopics: fromId },
+      { archivedTopicIds: fromId }
+    ]
+  });
+
+  const replaceIn = (list) => {
+    const ids = (list || []).map(id => id.toString());
+    if (!ids.includes(fromStr)) return list;
+    const next = ids.filter(id => id !== fromStr);
+    if (!next.includes(toStr)) next.push(toStr);
+    return next;
+  };
+
+  for (const user of users) {
+    const prefs = user.topicPreferences || {};
+    const liked = (prefs.likedTopics || []).map(id => id.toString());
+    const disliked = (prefs.dislikedTopics || []).map(id => id.toString());
+    const hasTargetPreference = liked.includes(toStr) || disliked.includes(toStr);
+
+    if (hasTargetPreference) {
+      prefs.likedTopics = liked.filter(id => id !== fromStr);
+      prefs.dislikedTopics = disliked.filter(id => id !== fromStr);
+    } else {
+      prefs.likedTopics = replaceIn(prefs.likedTopics);
+      prefs.dislikedTopics = replaceIn(prefs.dislikedTopics);
+    }
+
+    if (prefs.topicScores && prefs.topicScores.has(fromStr)) {
+      if (!prefs.topicScores.has(toStr)) {
+        prefs.topicScores.set(toStr, prefs.topicScores.get(fromStr));
+      }
+      prefs.topicScores.delete(fromStr);
+    }
+
+    user.savedTopics = replaceIn(user.savedTopics);
+    user.archivedTopicIds = replaceIn(user.archivedTopicIds);
+    await user.save();
+  }
+
+  await Article.updateMany({ sourceTopicId: fromId }, { sourceTopicId: toId });
+  await WriterJob.updateMany({ topicId: fromId }, { topicId: toId });
+  return users.length;
+}
+
+/**
+ * Merge `absorbed` into `survivor`: move members, repoint references, refresh metadata, delete absorbed.
+ * @returns {Promise<Object>} - Updated survivor topic
+ */
+async function mergeTopicPair(survivor, absorbed) {
+  const absorbedItemIds = absorbed.newsItems || [];
+  await NewsItem.updateMany({ topicId: absorbed._id }, { topicId: survivor._id });
+
+  const seen = new Set(survivor.newsItems.map(id => id.toString()));
+  for (const id of absorbedItemIds) {
+    if (!seen.has(id.toString())) {
+      survivor.newsItems.push(id);
+      seen.add(id.toString());
+    }
+  }
+  const mergedTags = new Set([...(survivor.tags || []), ...(absorbed.tags || [])]);
+  survivor.tags = [...mergedTags];
+
+  await repointUserReferences(absorbed._id, survivor._id);
+  await refreshTopicMetadata(survivor);
+  await Topic.deleteOne({ _id: absorbed._id });
+  return survivor;
+}
+
+/**
+ * Split a non-cohesive topic by re-clustering its members in memory.
+ * The largest part keeps the original topic id (so references stay valid); other parts of two or more items become
+ * new topics, and single items go back to the unassigned pool for the next processing run (no LLM call).
+ * Items leave the topic only once they have landed: a part whose topic could not be created stays in it.
+ * @param {Object} topic - Topic document
+ * @param {Array} members - Lean member items with embeddings
+ * @param {Array} categories - Available categories for the new topics
+ * @returns {Promise<Array>} - Newly created topics (empty if the topic did not split or only single items left it)
+ */
+async function splitTopic(topic, members, categories) {
+  const method = CLUSTERING_METHODS[TOPIC_SPLIT_METHOD] || CLUSTERING_METHODS.greedy_average;
+  const threshold = getMethodThreshold();
+  const candidateLimit = getMethodCandidateLimit();
+  const options = {
+    threshold,
+    candidateLimit,
+    minClusterSize: 1,
+    maxClusterSize: members.length,
+    getSimilarItems: buildInMemorySimilarity(members, threshold, candidateLimit)
+  };
+  const rawClusters = await method(members, options);
+  const parts = postProcessClusters(rawClusters, members, options)
+    .sort((a, b) => b.items.length - a.items.length);
+  if (parts.length <= 1) return [];
+
+  const rest = parts.slice(1);
+  const groups = rest.filter(part => part.itemIds.length > 1);
+  const singletonIds = rest.filter(part => part.itemIds.length === 1).flatMap(part => part.itemIds);
+
+  // createTopicsFromClusters points the items of each topic it creates at that topic
+  const created = groups.length > 0 ? await createTopicsFromClusters(groups, categories, topic.workspace) : [];
+  if (singletonIds.length > 0) {
+    await NewsItem.updateMany({ _id: { $in: singletonIds }, topicId: topic._id }, { $unset: { topicId: 1 } });
+  }
+  const left = new Set([...created.flatMap(t => t.newsItems), ...singletonIds].map(id => id.toString()));
+  if (left.size === 0) return [];
+
+  topic.newsItems = topic.newsItems.filter(id => !left.has(id.toString()));
+  await topic.save();
+  await refreshTopicMetadata(topic);
+  return created;
+}
+
+/**
+ * Run one maintenance pass: merge near-duplicate topics, then split incoherent ones.
+ * @param {Object} [opts] - { workspaceId, mergeThreshold, cohesionFloor, lookbackHours, dryRun }
+ * @returns {Promise<Object>} - Report: { merged, split, examined, dryRun }
+ */
+async function runTopicMaintenance(opts = {}) {
+  const mergeThreshold = opts.mergeThreshold ?? TOPIC_MERGE_THRESHOLD;
+  const cohesionFloor = opts.cohesionFloor ?? TOPIC_COHESION_FLOOR;
+  const lookbackHours = opts.lookbackHours ?? TOPIC_MAINTENANCE_LOOKBACK_HOURS;
+  const dryRun = !!opts.dryRun;
+  const sinceDate = new Date(Date.now() - lookbackHours * 60 * 60 * 1000);
+
+  const topics = await Topic.find({
+    workspace: opts.workspaceId,
+    $or: [
+      { lastUpdatedAt: { $gte: sinceDate } },
+      { lastUpdatedAt: { $exists: false }, updatedAt: { $gte: sinceDate } }
+    ]
+  }).select('+centroid');
+  console.log(`🧹 Topic maintenance: examining ${topics.length} topics (merge>=${mergeThreshold}, cohesion<${cohesionFloor}${dryRun ? ', dry run' : ''})`);
+
+  // Members (with embeddings) for every examined topic, used for cohesion and missing centroids
+  const members = await NewsItem.find({
+    topicId: { $in: topics.map(t => t._id) },
+    embedding: { $exists: true, $ne: [] }
+  }).select('title url source publishedAt topicId embedding').lean();
+  const membersByTopic = new Map();
+  for (const m of members) {
+    const key = m.topicId.toString();
+    if (!membersByTopic.has(key)) membersByTopic.set(key, []);
+    membersByTopic.get(key).push(m);
+  }
+  for (const topic of topics) {
+    if (!topic.centroid || topic.centroid.length !== EMBEDDING_DIMENSIONS) {
+      const centroid = computeCentroid((membersByTopic.get(topic._id.toString()) || []).map(m => m.embedding));
+      if (centroid) topic.centroid = centroid;
+    }
+  }
+
+  // 1. Merge
+  const merged = [];
+  const removed = new Set();
+  for (const { a, b, similarity } of findMergeCandidates(topics, mergeThreshold)) {
+    if (removed.has(a._id.toString()) || removed.has(b._id.toString())) continue;
+    const [survivor, absorbed] = pickSurvivor(a, b);
+    merged.push({
+      survivorId: survivor._id,
+      survivorTitle: survivor.title,
+      absorbedId: absorbed._id,
+      absorbedTitle: absorbed.title,
+      similarity: Math.round(similarity * 1000) / 1000
+    });
+    removed.add(absorbed._id.toString());
+    const survivorMembers = membersByTopic.get(survivor._id.toString()) || [];
+    membersByTopic.set(survivor._id.toString(), survivorMembers.concat(membersByTopic.get(absorbed._id.toString()) || []));
+    if (!dryRun) {
+      try {
+        await mergeTopicPair(survivor, absorbed);
+      } catch (error) {
+        console.error(`   ❌ Error merging "${(absorbed.title || '').slice(0, 50)}" into "${(survivor.title || '').slice(0, 50)}":`, error.message);
+      }
+    }
+  }
+
+  // 2. Split
+  const split = [];
+  const categories = await getActiveCategories(opts.workspaceId);
+  for (const topic of topics) {
+    if (removed.has(topic._id.toString())) continue;
+    const topicMembers = membersByTopic.get(topic._id.toString()) || [];
+    if (topicMembers.length < TOPIC_SPLIT_MIN_SIZE) continue;
+    const cohesion = computeCohesion(topicMembers.map(m => m.embedding));
+    if (cohesion === null || cohesion >= cohesionFloor) continue;
+
+    const entry = {
+      topicId: topic._id,
+      title: topic.title,
+      cohesion: Math.round(cohesion * 1000) / 1000,
+      size: topicMembers.length,
+      newTopicIds: []
+    };
+    if (!dryRun) {
+      try {
+        const created = await splitTopic(topic, topicMembers, categories);
+        entry.newTopicIds = created.map(t => t._id);
+      } catch (error) {
+        console.error(`   ❌ Error splitting "${(topic.title || '').slice(0, 50)}":`, error.message);
+      }
+    }
+    split.push(entry);
+  }
+
+  console.log(`   ✅ Maintenance done: ${merged.length} merges, ${split.length} splits${dryRun ? ' (dry run, nothing written)' : ''}`);
+  return { examined: topics.length, merged, split, dryRun };
+}
+
+module.exports = {
+  runTopicMaintenance,
+  findMergeCandidates,
+  computeCohesion,
+  repointUserReferences,
+  TOPIC_MERGE_THRESHOLD,
+  TOPIC_COHESION_FLOOR
+};
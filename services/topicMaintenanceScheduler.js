@@ -0,0 +1,43 @@
+// services/topicMaintenanceScheduler.js
+// Enqueues a "topic-maintenance" job per active workspace every TOPIC_MAINTENANCE_INTERVAL_MINUTES (0 disables the job).
+// Slots are aligned to the clock and used as the job's dedupe key, so several server instances enqueue it once per slot.
+const { enqueue, scheduleSlotKey } = require('./jobQueue');
+const { activeWorkspaceIds } = require('./workspaces');
+
+const INTERVAL_MINUTES = process.env.TOPIC_MAINTENANCE_INTERVAL_MINUTES !== undefined && process.env.TOPIC_MAINTENANCE_INTERVAL_MINUTES !== ''
+  ? parseInt(process.env.TOPIC_MAINTENANCE_INTERVAL_MINUTES, 10)
+  : 60;
+const CHECK_INTERVAL_MS = 60 * 1000; // 1 minute
+let lastSlot = null;
+
+async function checkAndRun() {
+  const slot = scheduleSlotKey(new Date(), INTERVAL_MINUTES * 60 * 1000);
+  if (slot === lastSlot) {
+    return;
+  }
+  try {
+    for (const workspaceId of await activeWorkspaceIds()) {
+      const job = await enqueue('topic-maintenance', { workspaceId }, {
+        trigger: 'schedule',
+        dedupeKey: `topic-maintenance:${workspaceId}:${slot}`
+      });
+      console.log(`[TopicMaintenance] Scheduled maintenance for ${slot} (workspace ${workspaceId}) queued as job ${job._id}`);
+    }
+    lastSlot = slot;
+  } catch (err) {
+    console.error('[TopicMaintenance] Error:', err.message);
+  }
+}
+
+function start() {
+  if (!INTERVAL_MINUTES || INTERVAL_MINUTES <= 0) {
+    console.log('[TopicMaintenance] Scheduler disabled (TOPIC_MAINTENANCE_INTERVAL_MINUTES=0)');
+    return;
+  }
+  console.log(`[TopicMaintenance] Scheduler started (every ${INTERVAL_MINUTES} minutes)`);
+  // The current slot counts as run, so a restart does not trigger maintenance straight away
+  lastSlot = scheduleSlotKey(new Date(), INTERVAL_MINUTES * 60 * 1000);
+  setInterval(checkAndRun, CHECK_INTERVAL_MS);
+}
+
+module.exports = { start, checkAndRun };
@@ -0,0 +1,102 @@
+// services/topicTimeline.js
+// Story evolution for a topic: ordered member timeline, who broke it, who followed, when it went quiet.
+
+// A story with no new member for this many hours is reported as quiet
+const TOPIC_QUIET_HOURS = parseInt(process.env.TOPIC_QUIET_HOURS, 10) || 12;
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Build timeline entries (oldest first) from member news items.
+ * @param {Array} newsItems - NewsItem documents or plain objects
+ * @returns {Array} - [{ newsItem, title, url, sourceName, publishedAt }]
+ */
+function buildTimelineEntries(newsItems) {
+  return newsItems
+    .filter(item => item && item.publishedAt)
+    .map(item => ({
+      newsItem: item._id,
+      title: item.title || '',
+      url: item.url || '',
+      sourceName: (item.source && (item.source.name || item.source.url)) || 'unknown',
+      publishedAt: new Date(item.publishedAt)
+    }))
+    .sort((a, b) => a.publishedAt - b.publishedAt);
+}
+
+/**
+ * Summarize how a story developed from its timeline entries.
+ * @param {Array} entries - From buildTimelineEntries (or Topic.timeline), any order
+ * @param {Date} [now] - Reference time for the quiet check
+ * @returns {Object} - { brokenBy, sources, timeline, firstSeenAt, lastUpdatedAt, isQuiet, quietForHours }
+ */
+function summarizeTimeline(entries, now = new Date()) {
+  const ordered = [...entries]
+    .filter(e => e && e.publishedAt)
+    .sort((a, b) => new Date(a.publishedAt) - new Date(b.publishedAt));
+
+  if (ordered.length === 0) {
+    return {
+      brokenBy: null,
+      sources: [],
+      timeline: [],
+      firstSeenAt: null,
+      lastUpdatedAt: null,
+      isQuiet: true,
+      quietForHours: null
+    };
+  }
+
+  const firstAt = new Date(ordered[0].publishedAt);
+  const lastAt = new Date(ordered[ordered.length - 1].publishedAt);
+
+  const timeline = ordered.map(e => ({
+    newsItem: e.newsItem,
+    title: e.title,
+    url: e.url,
+    sourceName: e.sourceName,
+    publishedAt: e.publishedAt,
+    lagMinutes: Math.round((new Date(e.publishedAt) - firstAt) / MS_PER_MINUTE)
+  }));
+
+  // Per-source: first report time, lag behind the first outlet, number of items
+  const bySource = new Map();
+  for (const entry of timeline) {
+    const existing = bySource.get(entry.sourceName);
+    if (existing) {
+      existing.itemCount++;
+      existing.lastPublishedAt = entry.publishedAt;
+    } else {
+      bySource.set(entry.sourceName, {
+        sourceName: entry.sourceName,
+        firstPublishedAt: entry.publishedAt,
+        lastPublishedAt: entry.publishedAt,
+        lagMinutes: entry.lagMinutes,
+        itemCount: 1
+      });
+    }
+  }
+
+  const quietForHours = (now - lastAt) / (60 * MS_PER_MINUTE);
+
+  return {
+    brokenBy: {
+      sourceName: timeline[0].sourceName,
+      title: timeline[0].title,
+      url: timeline[0].url,
+      publishedAt: timeline[0].publishedAt
+    },
+    sources: [...bySource.values()],
+    timeline,
+    firstSeenAt: firstAt,
+    lastUpdatedAt: lastAt,
+    isQuiet: quietForHours >= TOPIC_QUIET_HOURS,
+    quietForHours: Math.max(0, Math.round(quietForHours * 10) / 10)
+  };
+}
+
+module.exports = {
+  buildTimelineEntries,
+  summarizeTimeline,
+  TOPIC_QUIET_HOURS
+};
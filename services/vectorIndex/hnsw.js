@@ -0,0 +1,335 @@
+// services/vectorIndex/hnsw.js
+// In-memory HNSW (hierarchical navigable small world) graph for approximate cosine nearest neighbours.
+// Vectors are L2-normalized on insert so similarity is a dot product. Removal is a tombstone:
+// removed nodes stay in the graph for navigation but are never returned.
+
+const FORMAT_VERSION = 1;
+
+/** Binary heap ordered by `better(a, b)` (true when a should be popped before b). */
+class Heap {
+  constructor(better) {
+    this.better = better;
+    this.data = [];
+  }
+
+  get size() {
+    return this.data.length;
+  }
+
+  peek() {
+    return this.data[0];
+  }
+
+  push(value) {
+    const data = this.data;
+    data.push(value);
+    let i = data.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (!this.better(data[i], data[parent])) break;
+      [data[i], data[parent]] = [data[parent], data[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const data = this.data;
+    const top = data[0];
+    const last = data.pop();
+    if (data.length > 0) {
+      data[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = 2 * i + 1;
+        const r = l + 1;
+        let best = i;
+        if (l < data.length && this.better(data[l], data[best])) best = l;
+        if (r < data.length && this.better(data[r], data[best])) best = r;
+        if (best === i) break;
+        [data[i], data[best]] = [data[best], data[i]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+function normalize(vector) {
+  const out = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < out.length; i++) out[i] /= norm;
+  }
+  return out;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+class HnswIndex {
+  /**
+   * @param {Object} options - { dims, M, efConstruction, efSearch }
+   */
+  constructor({ dims, M = 16, efConstruction = 200, efSearch = 64 }) {
+    if (!dims) throw new Error('HnswIndex requires dims');
+    this.dims = dims;
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMult = 1 / Math.log(M);
+
+    this.ids = []; // node -> external id (string)
+    this.vectors = []; // node -> Float32Array (normalized)
+    this.levels = []; // node -> top level
+    this.links = []; // node -> [level0 neighbours, level1 neighbours, ...]
+    this.deleted = new Set(); // tombstoned nodes
+    this.idToNode = new Map(); // external id -> live node
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+  }
+
+  /** Number of live (searchable) vectors. */
+  get size() {
+    return this.idToNode.size;
+  }
+
+  has(id) {
+    return this.idToNode.has(String(id));
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMult);
+  }
+
+  /** Greedy walk to the closest node on one layer (used above the insertion/query layer). */
+  greedyClosest(query, entry, level) {
+    let current = entry;
+    let currentSim = dot(query, this.vectors[current]);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const neighbor of this.links[current][level]) {
+        const sim = dot(query, this.vectors[neighbor]);
+        if (sim > currentSim) {
+          currentSim = sim;
+          current = neighbor;
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Beam search on one layer.
+   * @returns {Array<{ node: number, sim: number }>} - Up to ef closest nodes, best first
+   */
+  searchLayer(query, entryPoints, ef, level) {
+    const visited = new Set(entryPoints);
+    const candidates = new Heap((a, b) => a.sim > b.sim); // best first
+    const results = new Heap((a, b) => a.sim < b.sim); // worst first
+    for (const node of entryPoints) {
+      const entry = { node, sim: dot(query, this.vectors[node]) };
+      candidates.push(entry);
+      results.push(entry);
+    }
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.sim < results.peek().sim) break;
+      for (const neighbor of this.links[current.node][level]) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+        const sim = dot(query, this.vectors[neighbor]);
+        if (results.size < ef || sim > results.peek().sim) {
+          const entry = { node: neighbor, sim };
+          candidates.push(entry);
+          results.push(entry);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+    const out = [];
+    while (results.size > 0) out.push(results.pop());
+    return out.reverse();
+  }
+
+  /** Neighbour selection heuristic: keep a candidate only if it is closer to the base than to any kept neighbour. */
+  selectNeighbors(candidates, max) {
+    const selected = [];
+    for (const candidate of candidates) {
+      if (selected.length >= max) break;
+      const diverse = selected.every(s => dot(this.vectors[candidate.node], this.vectors[s.node]) < candidate.sim);
+      if (diverse) selected.push(candidate);
+    }
+    // Top up with the closest skipped candidates so sparse regions stay connected
+    if (selected.length < max) {
+      const kept = new Set(selected.map(s => s.node));
+      for (const candidate of candidates) {
+        if (selected.length >= max) break;
+        if (!kept.has(candidate.node)) selected.push(candidate);
+      }
+    }
+    return selected;
+  }
+
+  /** Re-prune a node's neighbour list after a back-link pushed it over capacity. */
+  pruneLinks(node, level) {
+    const max = level === 0 ? this.maxM0 : this.M;
+    const list = this.links[node][level];
+    if (list.length <= max) return;
+    const base = this.vectors[node];
+    const scored = list
+      .map(n => ({ node: n, sim: dot(base, this.vectors[n]) }))
+      .sort((a, b) => b.sim - a.sim);
+    this.links[node][level] = this.selectNeighbors(scored, max).map(s => s.node);
+  }
+
+  /**
+   * Add (or replace) a vector.
+   * @param {string} id - External id (e.g. NewsItem _id)
+   * @param {Array<number>|Float32Array} vector
+   */
+  add(id, vector) {
+    if (!vector || vector.length !== this.dims) {
+      throw new Error(`Vector dimension ${vector ? vector.length : 0} does not match index (${this.dims})`);
+    }
+    const key = String(id);
+    if (this.idToNode.has(key)) this.remove(key);
+
+    const node = this.ids.length;
+    const level = this.randomLevel();
+    const query = normalize(vector);
+    this.ids.push(key);
+    this.vectors.push(query);
+    this.levels.push(level);
+    this.links.push(Array.from({ length: level + 1 }, () => []));
+    this.idToNode.set(key, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = this.greedyClosest(query, entry, l);
+    }
+    let entryPoints = [entry];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this.searchLayer(query, entryPoints, this.efConstruction, l);
+      const max = l === 0 ? this.maxM0 : this.M;
+      const neighbors = this.selectNeighbors(found, this.M);
+      this.links[node][l] = neighbors.map(n => n.node);
+      for (const { node: neighbor } of neighbors) {
+        this.links[neighbor][l].push(node);
+        if (this.links[neighbor][l].length > max) this.pruneLinks(neighbor, l);
+      }
+      entryPoints = found.map(f => f.node);
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  /** Tombstone a vector; it stays in the graph for navigation but is never returned. */
+  remove(id) {
+    const key = String(id);
+    const node = this.idToNode.get(key);
+    if (node === undefined) return false;
+    this.idToNode.delete(key);
+    this.deleted.add(node);
+    return true;
+  }
+
+  /**
+   * Approximate k nearest neighbours by cosine similarity.
+   * @param {Array<number>|Float32Array} vector - Query vector
+   * @param {number} k - Results to return
+   * @param {number} [ef] - Beam width (>= k); defaults to max(efSearch, k)
+   * @returns {Array<{ id: string, score: number }>} - Best first
+   */
+  search(vector, k, ef) {
+    if (this.entryPoint === -1 || this.size === 0 || !vector || vector.length !== this.dims) return [];
+    const query = normalize(vector);
+    const base = Math.max(ef || this.efSearch, k);
+    // Widen the beam so tombstoned nodes do not crowd out live results
+    const beam = base + Math.min(this.deleted.size, base);
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > 0; l--) {
+      entry = this.greedyClosest(query, entry, l);
+    }
+    return this.searchLayer(query, [entry], beam, 0)
+      .filter(r => !this.deleted.has(r.node))
+      .slice(0, k)
+      .map(r => ({ id: this.ids[r.node], score: r.sim }));
+  }
+
+  /**
+   * Serialize to { meta, vectors }: meta is JSON-safe, vectors is one Float32Array of all nodes (node-major).
+   */
+  serialize() {
+    const vectors = new Float32Array(this.ids.length * this.dims);
+    this.vectors.forEach((v, node) => vectors.set(v, node * this.dims));
+    return {
+      meta: {
+        version: FORMAT_VERSION,
+        dims: this.dims,
+        M: this.M,
+        efConstruction: this.efConstruction,
+        efSearch: this.efSearch,
+        ids: this.ids,
+        levels: this.levels,
+        links: this.links,
+        deleted: [...this.deleted],
+        entryPoint: this.entryPoint,
+        maxLevel: this.maxLevel
+      },
+      vectors
+    };
+  }
+
+  /**
+   * Rebuild an index from serialize() output.
+   * @param {Object} meta
+   * @param {Float32Array} vectors
+   * @returns {HnswIndex}
+   */
+  static deserialize(meta, vectors) {
+    if (!meta || meta.version !== FORMAT_VERSION) {
+      throw new Error(`Unsupported vector index format version ${meta && meta.version}`);
+    }
+    if (vectors.length !== meta.ids.length * meta.dims) {
+      throw new Error('Vector data does not match index metadata');
+    }
+    const index = new HnswIndex({
+      dims: meta.dims,
+      M: meta.M,
+      efConstruction: meta.efConstruction,
+      efSearch: meta.efSearch
+    });
+    index.ids = meta.ids;
+    index.levels = meta.levels;
+    index.links = meta.links;
+    index.deleted = new Set(meta.deleted);
+    index.entryPoint = meta.entryPoint;
+    index.maxLevel = meta.maxLevel;
+    index.vectors = meta.ids.map((_, node) => vectors.slice(node * meta.dims, (node + 1) * meta.dims));
+    meta.ids.forEach((id, node) => {
+      if (!index.deleted.has(node)) index.idToNode.set(id, node);
+    });
+    return index;
+  }
+}
+
+module.exports = {
+  HnswIndex
+};
@@ -0,0 +1,201 @@
+// services/vectorIndex/index.js
+// Local in-process ANN index over NewsItem embeddings (HNSW), persisted under local_cache/.
+// Used by findSimilarItems when Atlas Vector Search is unavailable (self-hosted MongoDB, local dev, CI).
+
+const fs = require('fs');
+const path = require('path');
+const NewsItem = require('../../models/NewsItem');
+const { EMBEDDING_DIMENSIONS } = require('../embedding');
+const { HnswIndex } = require('./hnsw');
+
+// auto: Atlas $vectorSearch, then local index when Atlas is unavailable | atlas | local | manual (brute-force scan)
+const VECTOR_SEARCH_BACKEND = (process.env.VECTOR_SEARCH_BACKEND || 'auto').toLowerCase();
+const VECTOR_INDEX_DIR = path.resolve(process.cwd(), process.env.VECTOR_INDEX_DIR || 'local_cache/vector-index');
+const VECTOR_INDEX_M = parseInt(process.env.VECTOR_INDEX_M, 10) || 16;
+const VECTOR_INDEX_EF_CONSTRUCTION = parseInt(process.env.VECTOR_INDEX_EF_CONSTRUCTION, 10) || 200;
+const VECTOR_INDEX_EF_SEARCH = parseInt(process.env.VECTOR_INDEX_EF_SEARCH, 10) || 64;
+const SAVE_DEBOUNCE_MS = 5000;
+const BUILD_BATCH_SIZE = 500;
+
+const MODEL_KEY = (process.env.EMBEDDING_MODEL || 'MULTILINGUAL_E5_LARGE').toUpperCase();
+const META_PATH = path.join(VECTOR_INDEX_DIR, `newsitems-${MODEL_KEY}.json`);
+const VECTORS_PATH = path.join(VECTOR_INDEX_DIR, `newsitems-${MODEL_KEY}.vec`);
+
+let index = null;
+let loadPromise = null;
+let saveTimer = null;
+
+function createEmptyIndex() {
+  return new HnswIndex({
+    dims: EMBEDDING_DIMENSIONS,
+    M: VECTOR_INDEX_M,
+    efConstruction: VECTOR_INDEX_EF_CONSTRUCTION,
+    efSearch: VECTOR_INDEX_EF_SEARCH
+  });
+}
+
+function hasUsableEmbedding(item) {
+  return Array.isArray(item.embedding) && item.embedding.length === EMBEDDING_DIMENSIONS;
+}
+
+/** Read the persisted index; returns null when missing, unreadable or built for another dimension. */
+function readFromDisk() {
+  if (!fs.existsSync(META_PATH) || !fs.existsSync(VECTORS_PATH)) return null;
+  try {
+    const meta = JSON.parse(fs.readFileSync(META_PATH, 'utf8'));
+    if (meta.dims !== EMBEDDING_DIMENSIONS) {
+      console.log(`   ⚠️ Vector index on disk has ${meta.dims} dims, expected ${EMBEDDING_DIMENSIONS}; rebuilding`);
+      return null;
+    }
+    const buffer = fs.readFileSync(VECTORS_PATH);
+    // Copy out of the Buffer so the Float32Array view is 4-byte aligned
+    const vectors = new Float32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    return HnswIndex.deserialize(meta, vectors);
+  } catch (error) {
+    console.error(`   ⚠️ Could not read vector index (${error.message}); rebuilding`);
+    return null;
+  }
+}
+
+/** Write the index to disk (temp file + rename so a crash never leaves a half-written index). */
+function saveNow() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  if (!index) return;
+  const { meta, vectors } = index.serialize();
+  fs.mkdirSync(VECTOR_INDEX_DIR, { recursive: true });
+  fs.writeFileSync(`${VECTORS_PATH}.tmp`, Buffer.from(vectors.buffer, vectors.byteOffset, vectors.byteLength));
+  fs.writeFileSync(`${META_PATH}.tmp`, JSON.stringify(meta));
+  fs.renameSync(`${VECTORS_PATH}.tmp`, VECTORS_PATH);
+  fs.renameSync(`${META_PATH}.tmp`, META_PATH);
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    try {
+      saveNow();
+    } catch (error) {
+      console.error(`   ⚠️ Failed to save vector index: ${error.message}`);
+    }
+  }, SAVE_DEBOUNCE_MS);
+  if (saveTimer.unref) saveTimer.unref();
+}
+
+/** Add NewsItems with embeddings from the DB to the index, fetching embeddings in batches. */
+async function addFromDatabase(target, ids) {
+  for (let i = 0; i < ids.length; i += BUILD_BATCH_SIZE) {
+    const batch = await NewsItem.find({ _id: { $in: ids.slice(i, i + BUILD_BATCH_SIZE) } })
+      .select('_id embedding')
+      .lean();
+    for (const item of batch) {
+      if (hasUsableEmbedding(item)) target.add(item._id.toString(), item.embedding);
+    }
+    if (ids.length > BUILD_BATCH_SIZE) {
+      console.log(`   Indexed ${Math.min(i + BUILD_BATCH_SIZE, ids.length)}/${ids.length} items`);
+    }
+  }
+}
+
+/**
+ * Bring an index in line with the collection: add items it is missing, drop ids that no longer exist.
+ * @returns {Promise<{ added: number, removed: number }>}
+ */
+async function syncWithDatabase(target) {
+  const rows = await NewsItem.find({ embedding: { $exists: true, $ne: [] } }).select('_id').lean();
+  const dbIds = new Set(rows.map(r => r._id.toString()));
+  const missing = [...dbIds].filter(id => !target.has(id));
+  const stale = [...target.idToNode.keys()].filter(id => !dbIds.has(id));
+  stale.forEach(id => target.remove(id));
+  await addFromDatabase(target, missing);
+  return { added: missing.length, removed: stale.length };
+}
+
+/**
+ * Get the loaded index, loading it from disk (or building it from MongoDB) on first use.
+ * @returns {Promise<HnswIndex>}
+ */
+async function getIndex() {
+  if (index) return index;
+  if (!loadPromise) {
+    loadPromise = (async () => {
+      const started = Date.now();
+      const loaded = readFromDisk();
+      const target = loaded || createEmptyIndex();
+      console.log(loaded
+        ? `🗂️ Loaded local vector index (${loaded.size} items), syncing with database...`
+        : '🗂️ Building local vector index from NewsItem embeddings...');
+      const { added, removed } = await syncWithDatabase(target);
+      index = target;
+      console.log(`   ✅ Local vector index ready: ${index.size} items (+${added}, -${removed}) in ${Date.now() - started}ms`);
+      if (added > 0 || removed > 0 || !loaded) saveNow();
+      return index;
+    })().catch((error) => {
+      loadPromise = null;
+      throw error;
+    });
+  }
+  return loadPromise;
+}
+
+/**
+ * Rebuild the index from scratch (drops tombstones) and persist it.
+ * @returns {Promise<{ size: number }>}
+ */
+async function rebuildIndex() {
+  const rows = await NewsItem.find({ embedding: { $exists: true, $ne: [] } }).select('_id').lean();
+  const fresh = createEmptyIndex();
+  await addFromDatabase(fresh, rows.map(r => r._id.toString()));
+  index = fresh;
+  loadPromise = Promise.resolve(fresh);
+  saveNow();
+  return { size: fresh.size };
+}
+
+/**
+ * Add or update items after their embeddings are saved. No-op until the index has been loaded
+ * (the first load syncs from the database anyway), so Atlas deployments never pay for it.
+ * @param {Array} items - NewsItem documents with embedding
+ * @returns {number} - Items indexed
+ */
+function addItems(items) {
+  if (!index) return 0;
+  let added = 0;
+  for (const item of items) {
+    if (!item || !hasUsableEmbedding(item)) continue;
+    index.add(item._id.toString(), Array.from(item.embedding));
+    added++;
+  }
+  if (added > 0) scheduleSave();
+  return added;
+}
+
+/**
+ * Approximate nearest NewsItems by cosine similarity.
+ * @param {Array<number>} embedding - Query vector
+ * @param {number} k - Number of results
+ * @returns {Promise<Array<{ id: string, score: number }>>}
+ */
+async function search(embedding, k) {
+  const loaded = await getIndex();
+  return loaded.search(embedding, k, Math.max(VECTOR_INDEX_EF_SEARCH, k));
+}
+
+function isLoaded() {
+  return index !== null;
+}
+
+module.exports = {
+  getIndex,
+  rebuildIndex,
+  addItems,
+  search,
+  saveNow,
+  isLoaded,
+  VECTOR_SEARCH_BACKEND,
+  META_PATH,
+  VECTORS_PATH
+};
@@ -0,0 +1,214 @@
+// services/webScraper.js
+// Recipe-driven scraping for "website" FeedSources: one NewsItem per article listed on a section page.
+// A recipe names CSS selectors for the list entries and their fields, plus optional pagination and date format.
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { parse: parseDateWithFormat, isValid } = require('date-fns');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+// Hard limit on pages followed per fetch, whatever the recipe says
+const MAX_PAGES_LIMIT = 10;
+
+const RECIPE_FIELDS = [
+  'listSelector', 'titleSelector', 'linkSelector', 'dateSelector', 'dateAttribute',
+  'dateFormat', 'summarySelector', 'imageSelector', 'nextPageSelector'
+];
+
+/**
+ * Keep known recipe fields, trimmed; empty strings are dropped.
+ * @param {Object} recipe
+ * @returns {Object}
+ */
+function normalizeRecipe(recipe) {
+  const normalized = {};
+  if (!recipe || typeof recipe !== 'object') return normalized;
+  for (const field of RECIPE_FIELDS) {
+    if (typeof recipe[field] === 'string' && recipe[field].trim()) {
+      normalized[field] = recipe[field].trim();
+    }
+  }
+  const maxPages = parseInt(recipe.maxPages, 10);
+  if (maxPages > 0) normalized.maxPages = Math.min(maxPages, MAX_PAGES_LIMIT);
+  return normalized;
+}
+
+/**
+ * Check that a recipe is usable; returns an error message or null.
+ * @param {Object} recipe - Normalized recipe
+ * @returns {string|null}
+ */
+function validateRecipe(recipe) {
+  if (!recipe.listSelector) return 'listSelector is required';
+  const $ = cheerio.load('<div></div>');
+  for (const field of RECIPE_FIELDS) {
+    if (!field.endsWith('Selector') || !recipe[field]) continue;
+    try {
+      $(recipe[field]);
+    } catch (error) {
+      return `Invalid ${field}: ${error.message}`;
+    }
+  }
+  return null;
+}
+
+function hasRecipe(source) {
+  return !!(source && source.scrapeRecipe && source.scrapeRecipe.listSelector);
+}
+
+// Selector relative to the list entry; empty selector = the entry itself
+function pick($entry, selector) {
+  return selector ? $entry.find(selector).first() : $entry;
+}
+
+function resolveUrl(href, baseUrl) {
+  if (!href) return null;
+  try {
+    const resolved = new URL(href, baseUrl);
+    return /^https?:$/.test(resolved.protocol) ? resolved.href : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Parse a listed date: with dateFormat (date-fns tokens, e.g. "yyyy-MM-dd HH:mm" or "dd/MM/yyyy"), else as ISO / RFC text.
+ * @returns {Date|null}
+ */
+function parseListedDate(text, dateFormat) {
+  const value = (text || '').trim();
+  if (!value) return null;
+  const date = dateFormat ? parseDateWithFormat(value, dateFormat, new Date()) : new Date(value);
+  return isValid(date) ? date : null;
+}
+
+/**
+ * Extract the list entries of one page.
+ * @returns {{ items: Array, warnings: Array<string>, nextUrl: string|null }}
+ */
+function extractListedItems(html, pageUrl, recipe, sourceName, priority) {
+  const $ = cheerio.load(html);
+  const items = [];
+  const warnings = [];
+  const entries = $(recipe.listSelector);
+  if (entries.length === 0) {
+    warnings.push(`listSelector matched nothing on ${pageUrl}`);
+  }
+
+  entries.each((idx, el) => {
+    const $entry = $(el);
+    const $title = pick($entry, recipe.titleSelector);
+    const title = $title.text().replace(/\s+/g, ' ').trim();
+    // Link: linkSelector, else the title element if it is a link, else the first link in the entry
+    const $link = recipe.linkSelector
+      ? $entry.find(recipe.linkSelector).first()
+      : ($title.is('a') ? $title : $entry.find('a[href]').first());
+    const url = resolveUrl($link.attr('href') || ($entry.is('a') ? $entry.attr('href') : null), pageUrl);
+    if (!title || !url) {
+      warnings.push(`Entry ${idx + 1}: missing ${!title ? 'title' : 'link'}, skipped`);
+      return;
+    }
+
+    let publishedAt = null;
+    if (recipe.dateSelector) {
+      const $date = $entry.find(recipe.dateSelector).first();
+      const raw = recipe.dateAttribute ? $date.attr(recipe.dateAttribute) : ($date.attr('datetime') || $date.text());
+      publishedAt = parseListedDate(raw, recipe.dateFormat);
+      if (!publishedAt && raw) {
+        warnings.push(`Entry ${idx + 1}: could not parse date "${String(raw).trim().substring(0, 40)}"`);
+      }
+    }
+
+    const summary = recipe.summarySelector
+      ? $entry.find(recipe.summarySelector).first().text().replace(/\s+/g, ' ').trim()
+      : '';
+    const $image = recipe.imageSelector ? $entry.find(recipe.imageSelector).first() : $entry.find('img').first();
+    const imageUrl = resolveUrl($image.attr('src') || $image.attr('data-src'), pageUrl);
+
+    items.push({
+      title: title.substring(0, 500),
+      description: summary.substring(0, 2000),
+      content: '',
+      url,
+      source: {
+        type: 'web',
+        name: sourceName,
+        url: pageUrl,
+        priority
+      },
+      // Listings without dates: treat as just published (the fetch window filter keeps them)
+      publishedAt: publishedAt || new Date(),
+      metadata: {
+        imageUrl: imageUrl || ''
+      }
+    });
+  });
+
+  let nextUrl = null;
+  if (recipe.nextPageSelector) {
+    nextUrl = resolveUrl($(recipe.nextPageSelector).first().attr('href'), pageUrl);
+  }
+  return { items, warnings, nextUrl };
+}
+
+/**
+ * Fetch a section page (and following pages) and return one item per listed article.
+ * Throws if the first page cannot be fetched; later page failures end pagination with a warning.
+ * @param {string} url - Section / listing page URL
+ * @param {Object} recipe - Scrape recipe (see normalizeRecipe)
+ * @param {Object} [options] - { sourceName, priority }
+ * @returns {Promise<{ items: Array, pagesFetched: number, warnings: Array<string> }>}
+ */
+async function scrapeWithRecipe(url, recipe, options = {}) {
+  const normalized = normalizeRecipe(recipe);
+  const error = validateRecipe(normalized);
+  if (error) throw new Error(error);
+
+  const sourceName = options.sourceName || url;
+  const priority = options.priority || 5;
+  const maxPages = normalized.maxPages || 1;
+  const seenPages = new Set();
+  const seenUrls = new Set();
+  const items = [];
+  const warnings = [];
+  let pageUrl = url;
+  let pagesFetched = 0;
+
+  while (pageUrl && pagesFetched < maxPages && !seenPages.has(pageUrl)) {
+    seenPages.add(pageUrl);
+    let html;
+    try {
+      const response = await axios.get(pageUrl, {
+        timeout: 10000,
+        responseType: 'text',
+        headers: { 'User-Agent': USER_AGENT }
+      });
+      html = response.data;
+    } catch (fetchError) {
+      if (pagesFetched === 0) throw fetchError;
+      warnings.push(`Stopped at page ${pagesFetched + 1}: ${fetchError.message}`);
+      break;
+    }
+    pagesFetched++;
+    const page = extractListedItems(html, pageUrl, normalized, sourceName, priority);
+    warnings.push(...page.warnings);
+    for (const item of page.items) {
+      if (seenUrls.has(item.url)) continue;
+      seenUrls.add(item.url);
+      items.push(item);
+    }
+    pageUrl = page.nextUrl;
+  }
+
+  return { items, pagesFetched, warnings };
+}
+
+module.exports = {
+  scrapeWithRecipe,
+  extractListedItems,
+  normalizeRecipe,
+  validateRecipe,
+  hasRecipe,
+  parseListedDate,
+  MAX_PAGES_LIMIT
+};
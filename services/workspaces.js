@@ -0,0 +1,129 @@
+// services/workspaces.js
+// Workspace membership lookups and the startup migration from the single global newsroom to workspaces.
+const Workspace = require('../models/Workspace');
+const User = require('../models/User');
+const FeedSource = require('../models/FeedSource');
+const Category = require('../models/Category');
+const SocialHandle = require('../models/SocialHandle');
+const SocialPost = require('../models/SocialPost');
+const NewsItem = require('../models/NewsItem');
+const Topic = require('../models/Topic');
+const Article = require('../models/Article');
+const WriterJob = require('../models/WriterJob');
+const PipelineRun = require('../models/PipelineRun');
+const RunLog = require('../models/RunLog');
+const Job = require('../models/Job');
+const NewsFetchSchedule = require('../models/NewsFetchSchedule');
+const SocialFetchSchedule = require('../models/SocialFetchSchedule');
+
+// Created at startup when no workspace exists yet; it receives everything created before workspaces
+const DEFAULT_WORKSPACE_NAME = process.env.DEFAULT_WORKSPACE_NAME || 'Default';
+const SCOPED_MODELS = [FeedSource, Category, SocialHandle, SocialPost, NewsItem, Topic, Article, WriterJob, PipelineRun, RunLog];
+// Unique indexes from before workspaces (now unique per workspace)
+const LEGACY_UNIQUE_INDEXES = [[NewsItem, 'url_1'], [Category, 'name_1'], [SocialPost, 'platform_1_externalId_1']];
+
+function isGlobalAdmin(tokenUser) {
+  return (tokenUser?.role || tokenUser?.userRole) === 'ADMIN';
+}
+
+/**
+ * A user's role in a workspace. Global admins are ADMIN everywhere.
+ * @param {Object} workspace - Workspace doc
+ * @param {Object|null} user - User doc (null for the built-in admin token without a user document)
+ * @param {boolean} globalAdmin
+ * @returns {'ADMIN'|'USER'|null} null = not a member
+ */
+function workspaceRole(workspace, user, globalAdmin) {
+  if (globalAdmin) return 'ADMIN';
+  if (!user || !workspace.isActive) return null;
+  const member = workspace.members.find(m => String(m.user) === String(user._id));
+  return member ? member.role : null;
+}
+
+/**
+ * Workspaces a user can open, oldest first (all of them for global admins, inactive ones included).
+ * @param {Object|null} user - User doc
+ * @param {boolean} globalAdmin
+ * @returns {Promise<Array>} Workspace docs
+ */
+async function listUserWorkspaces(user, globalAdmin) {
+  if (globalAdmin) return Workspace.find({}).sort({ createdAt: 1 });
+  if (!user) return [];
+  return Workspace.find({ isActive: true, 'members.user': user._id }).sort({ createdAt: 1 });
+}
+
+/**
+ * Ids of all active workspaces (for schedulers and maintenance that run per workspace).
+ * @returns {Promise<ObjectId[]>}
+ */
+async function activeWorkspaceIds() {
+  const workspaces = await Workspace.find({ isActive: true }).select('_id').sort({ createdAt: 1 }).lean();
+  return workspaces.map(w => w._id);
+}
+
+async function dropLegacyIndex(Model, name) {
+  try {
+    await Model.collection.dropIndex(name);
+    console.log(`🗂️ [Workspaces] Dropped legacy index ${Model.modelName}.${name}`);
+  } catch (error) {
+    if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+  }
+}
+
+/**
+ * Startup migration: create the default workspace when there is none (every existing user becomes a member,
+ * global admins as ADMIN), then move documents created without a workspace into the oldest workspace.
+ * Idempotent; documents that already have a workspace are left alone.
+ * @returns {Promise<Object>} The workspace legacy documents were moved into
+ */
+async function ensureDefaultWorkspace() {
+  let workspace = await Workspace.findOne({}).sort({ createdAt: 1 });
+  if (!workspace) {
+    const users = await User.find({}).select('role').lean();
+    workspace = await Workspace.create({
+      name: DEFAULT_WORKSPACE_NAME,
+      description: 'Created automatically for the sources, topics and articles from before workspaces',
+      members: users.map(u => ({ user: u._id, role: u.role === 'ADMIN' ? 'ADMIN' : 'USER' }))
+    });
+    console.log(`🏢 [Workspaces] Created default workspace "${workspace.name}" with ${users.length} member(s)`);
+  }
+
+  for (const [Model, name] of LEGACY_UNIQUE_INDEXES) {
+    await dropLegacyIndex(Model, name);
+  }
+  const unscoped = { $or: [{ workspace: { $exists: false } }, { workspace: null }] };
+  for (const Model of SCOPED_MODELS) {
+    const { modifiedCount } = await Model.updateMany(unscoped, { $set: { workspace: workspace._id } });
+    if (modifiedCount > 0) {
+      console.log(`🏢 [Workspaces] Moved ${modifiedCount} ${Model.modelName} document(s) into "${workspace.name}"`);
+    }
+  }
+  // Background jobs carry their workspace in the payload
+  const { modifiedCount: jobCount } = await Job.updateMany(
+    { 'payload.workspaceId': { $exists: false } },
+    { $set: { 'payload.workspaceId': workspace._id } }
+  );
+  if (jobCount > 0) {
+    console.log(`🏢 [Workspaces] Moved ${jobCount} background job(s) into "${workspace.name}"`);
+  }
+  // The old singleton schedules become the default workspace's, unless it already has its own
+  for (const Schedule of [NewsFetchSchedule, SocialFetchSchedule]) {
+    const legacy = await Schedule.findOne(unscoped);
+    if (!legacy) continue;
+    if (await Schedule.exists({ workspace: workspace._id })) {
+      await Schedule.deleteOne({ _id: legacy._id });
+    } else {
+      await Schedule.updateOne({ _id: legacy._id }, { $set: { workspace: workspace._id } });
+    }
+  }
+  return workspace;
+}
+
+module.exports = {
+  isGlobalAdmin,
+  workspaceRole,
+  listUserWorkspaces,
+  activeWorkspaceIds,
+  ensureDefaultWorkspace,
+  DEFAULT_WORKSPACE_NAME
+};
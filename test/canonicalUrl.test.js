@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { canonicalizeUrl, urlDedupeKey, findCanonicalUrl, isTrackingParam } = require('../utils/canonicalUrl');
+
+test('canonicalizeUrl drops tracking parameters, fragment, default port and trailing slash', () => {
+  assert.equal(
+    canonicalizeUrl('HTTPS://Example.COM:443/news/1/?utm_source=x&b=2&a=1&fbclid=z#top'),
+    'https://example.com/news/1?a=1&b=2'
+  );
+  assert.equal(canonicalizeUrl('https://example.com/'), 'https://example.com/');
+});
+
+test('canonicalizeUrl keeps the host', () => {
+  assert.equal(canonicalizeUrl('https://m.example.com/a'), 'https://m.example.com/a');
+  assert.equal(canonicalizeUrl('https://example.com/a'), 'https://example.com/a');
+});
+
+test('urlDedupeKey matches www, bare and mobile hosts of one site', () => {
+  const key = urlDedupeKey('https://example.com/a');
+  assert.equal(key, 'https://example.com/a');
+  assert.equal(urlDedupeKey('https://m.example.com/a/'), key);
+  assert.equal(urlDedupeKey('https://www.example.com/a?utm_source=rss'), key);
+  assert.equal(urlDedupeKey('https://amp.example.com/amp/a'), key);
+  assert.notEqual(urlDedupeKey('https://news.example.com/a'), key);
+  // A two-label host is the site itself, not a mobile subdomain
+  assert.equal(urlDedupeKey('https://m.co/a'), 'https://m.co/a');
+  assert.equal(urlDedupeKey('mailto:desk@example.com'), 'mailto:desk@example.com');
+});
+
+test('canonicalizeUrl maps AMP pages and AMP caches to the article', () => {
+  assert.equal(canonicalizeUrl('https://www.example.com/amp/news/1'), 'https://www.example.com/news/1');
+  assert.equal(canonicalizeUrl('https://www.example.com/news/1/amp'), 'https://www.example.com/news/1');
+  assert.equal(canonicalizeUrl('https://www.example.com/news/1.amp.html'), 'https://www.example.com/news/1.html');
+  assert.equal(
+    canonicalizeUrl('https://www-example-com.cdn.ampproject.org/c/s/www.example.com/news/1?utm_medium=x'),
+    'https://www.example.com/news/1'
+  );
+  assert.equal(canonicalizeUrl('https://www.google.com/amp/s/www.example.com/news/1'), 'https://www.example.com/news/1');
+});
+
+test('canonicalizeUrl returns non-http input trimmed and unchanged', () => {
+  assert.equal(canonicalizeUrl('mailto:desk@example.com'), 'mailto:desk@example.com');
+  assert.equal(canonicalizeUrl('  not a url '), 'not a url');
+  assert.equal(canonicalizeUrl(null), '');
+});
+
+test('isTrackingParam matches known names and prefixes case-insensitively', () => {
+  assert.equal(isTrackingParam('UTM_Campaign'), true);
+  assert.equal(isTrackingParam('gclid'), true);
+  assert.equal(isTrackingParam('id'), false);
+});
+
+test('findCanonicalUrl reads rel=canonical, else og:url', () => {
+  const page = 'https://m.example.com/news/1?utm_source=rss';
+  const $ = cheerio.load('<head><link rel="canonical" href="/news/1/?ref_src=x"></head>');
+  assert.equal(findCanonicalUrl($, page), 'https://m.example.com/news/1');
+  const $og = cheerio.load('<head><meta property="og:url" content="https://www.example.com/news/1"></head>');
+  assert.equal(findCanonicalUrl($og, page), 'https://www.example.com/news/1');
+  assert.equal(findCanonicalUrl(cheerio.load('<head></head>'), page), null);
+});
+
+test('findCanonicalUrl ignores other sites and the homepage', () => {
+  const page = 'https://www.example.com/news/1';
+  assert.equal(findCanonicalUrl(cheerio.load('<link rel="canonical" href="https://wire.example.org/story">'), page), null);
+  assert.equal(findCanonicalUrl(cheerio.load('<link rel="canonical" href="https://www.example.com/">'), page), null);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextCronTime, upcomingCronTimes, validateCronSchedule } = require('../utils/cron');
+
+test('parseCron expands steps, ranges, lists and names', () => {
+  const cron = parseCron('*/15 8-18/2 * jan-mar mon,fri');
+  assert.deepEqual(cron.minutes, [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.daysOfWeek], [1, 5]);
+  assert.equal(cron.dayOfMonthAny, true);
+  assert.equal(cron.dayOfWeekAny, false);
+});
+
+test('parseCron treats 0 and 7 as Sunday and expands macros', () => {
+  assert.deepEqual([...parseCron('0 0 * * 7').daysOfWeek], [0]);
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+});
+
+test('parseCron counts day fields starting with * as unrestricted', () => {
+  const cron = parseCron('0 9 */2 * */3');
+  assert.equal(cron.dayOfMonthAny, true);
+  assert.equal(cron.dayOfWeekAny, true);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  assert.throws(() => parseCron('0 0 * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /out of range/);
+  assert.throws(() => parseCron('5-1 * * * *'), /Invalid minute range/);
+  assert.throws(() => parseCron('*/0 * * * *'), /Invalid minute step/);
+  assert.throws(() => parseCron('0 0 * foo *'), /Invalid month value/);
+});
+
+test('parseCron rejects days of month that never occur in the selected months', () => {
+  assert.throws(() => parseCron('0 0 30 2 *'), /never occurs/);
+  assert.throws(() => parseCron('0 0 31 4,6,9,11 *'), /never occurs/);
+  // With a weekday restriction the weekday alone can still match
+  assert.doesNotThrow(() => parseCron('0 0 30 2 mon'));
+  assert.doesNotThrow(() => parseCron('0 0 29 2 *'));
+});
+
+test('nextCronTime returns the first run strictly after the given time', () => {
+  const after = new Date('2026-01-01T10:00:00Z');
+  assert.equal(nextCronTime('0 * * * *', 'UTC', after).toISOString(), '2026-01-01T11:00:00.000Z');
+  assert.equal(nextCronTime('*/20 * * * *', 'UTC', new Date('2026-01-01T10:05:30Z')).toISOString(), '2026-01-01T10:20:00.000Z');
+});
+
+test('nextCronTime evaluates the expression in the given timezone', () => {
+  const next = nextCronTime('0 9 * * *', 'Asia/Taipei', new Date('2026-01-01T00:00:00Z'));
+  assert.equal(next.toISOString(), '2026-01-01T01:00:00.000Z');
+});
+
+test('nextCronTime matches either restricted day field, and only the weekday when the day field starts with *', () => {
+  // 2026-03-01 is a Sunday
+  const after = new Date('2026-03-01T00:00:00Z');
+  assert.equal(nextCronTime('0 9 1 * mon', 'UTC', after).toISOString(), '2026-03-01T09:00:00.000Z');
+  assert.equal(nextCronTime('0 9 */2 * mon', 'UTC', after).toISOString(), '2026-03-02T09:00:00.000Z');
+});
+
+test('nextCronTime skips times in a daylight-saving gap and fires twice in a repeated hour', () => {
+  // America/New_York springs forward on 2026-03-08 (02:00 -> 03:00) and falls back on 2026-11-01
+  const gap = nextCronTime('30 2 * * *', 'America/New_York', new Date('2026-03-08T00:00:00Z'));
+  assert.equal(gap.toISOString(), '2026-03-09T06:30:00.000Z');
+  const repeated = upcomingCronTimes('30 1 * * *', 'America/New_York', 2, new Date('2026-11-01T00:00:00Z'));
+  assert.deepEqual(repeated.map(d => d.toISOString()), ['2026-11-01T05:30:00.000Z', '2026-11-01T06:30:00.000Z']);
+});
+
+test('nextCronTime finds runs years ahead without walking every hour', () => {
+  const started = Date.now();
+  const next = nextCronTime('0 0 29 2 *', 'UTC', new Date('2026-03-01T00:00:00Z'));
+  assert.equal(next.toISOString(), '2028-02-29T00:00:00.000Z');
+  assert.ok(Date.now() - started < 1000);
+});
+
+test('upcomingCronTimes lists consecutive runs', () => {
+  const runs = upcomingCronTimes('0 9 * * mon-fri', 'UTC', 3, new Date('2026-03-06T12:00:00Z'));
+  assert.deepEqual(runs.map(d => d.toISOString()), [
+    '2026-03-09T09:00:00.000Z',
+    '2026-03-10T09:00:00.000Z',
+    '2026-03-11T09:00:00.000Z'
+  ]);
+});
+
+test('validateCronSchedule reports the problem or null', () => {
+  assert.equal(validateCronSchedule('*/30 7-22 * * *', 'Asia/Hong_Kong'), null);
+  assert.equal(validateCronSchedule('0 0 * * *', 'Mars/Base'), 'Unknown timezone "Mars/Base"');
+  assert.match(validateCronSchedule('0 0 30 2 *', 'UTC'), /never occurs/);
+  assert.match(validateCronSchedule('bad', 'UTC'), /5 fields/);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Short waits so retries and host spacing do not slow the suite (read when the module loads)
+process.env.FETCH_RETRY_BASE_MS = '1';
+process.env.FETCH_HOST_MIN_INTERVAL_MS = '1';
+const { runFetchJobs, getQueueStatus, hostOf, isRetryable, retryDelayMs } = require('../services/fetchQueue');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { response: { status, headers } });
+
+test('hostOf lowercases the hostname and falls back to "unknown"', () => {
+  assert.equal(hostOf('https://News.Example.com/feed.xml'), 'news.example.com');
+  assert.equal(hostOf('not a url'), 'unknown');
+});
+
+test('isRetryable accepts timeouts, network errors, 429 and 5xx only', () => {
+  assert.equal(isRetryable(Object.assign(new Error('slow'), { timedOut: true })), true);
+  assert.equal(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryable(httpError(429)), true);
+  assert.equal(isRetryable(httpError(503)), true);
+  assert.equal(isRetryable(httpError(404)), false);
+  assert.equal(isRetryable(Object.assign(new Error('gone'), { httpStatus: 410 })), false);
+  assert.equal(isRetryable(new Error('parse error')), false);
+  assert.equal(isRetryable(null), false);
+});
+
+test('retryDelayMs honours Retry-After (capped) and otherwise backs off with jitter', () => {
+  assert.equal(retryDelayMs(1, httpError(429, { 'retry-after': '3' })), 3000);
+  assert.equal(retryDelayMs(1, httpError(429, { 'retry-after': '3600' })), 60 * 1000);
+  for (let i = 0; i < 20; i++) {
+    const delay = retryDelayMs(3, httpError(503), 100);
+    assert.ok(delay >= 200 && delay <= 600, `delay ${delay} outside 200-600`);
+  }
+});
+
+test('runFetchJobs returns results in job order with attempts', async () => {
+  const results = await runFetchJobs([
+    { label: 'slow', host: 'a.example', run: async () => { await sleep(20); return 'a'; } },
+    { label: 'fast', host: 'b.example', run: async () => 'b' },
+    { label: 'broken', host: 'c.example', run: async () => { throw new Error('parse error'); } }
+  ], { name: 'order' });
+  assert.deepEqual(results.map(r => r.value), ['a', 'b', undefined]);
+  assert.equal(results[2].error.message, 'parse error');
+  assert.deepEqual(results.map(r => r.attempts), [1, 1, 1]);
+});
+
+test('runFetchJobs retries retryable failures and gives up on the rest', async () => {
+  let flaky = 0;
+  let notFound = 0;
+  const results = await runFetchJobs([
+    { label: 'flaky', host: 'a.example', run: async () => { if (++flaky < 3) throw httpError(503); return 'ok'; } },
+    { label: 'missing', host: 'b.example', run: async () => { notFound++; throw httpError(404); } }
+  ], { name: 'retry', retries: 2 });
+  assert.equal(results[0].value, 'ok');
+  assert.equal(results[0].attempts, 3);
+  assert.equal(results[1].error.message, 'HTTP 404');
+  assert.equal(notFound, 1);
+});
+
+test('runFetchJobs times out slow attempts but holds their slot until they settle', async () => {
+  let hung;
+  const [result] = await runFetchJobs([
+    { label: 'hang', host: 'a.example', run: () => (hung = sleep(100)) }
+  ], { name: 'timeout', retries: 0, timeoutMs: 20 });
+  assert.equal(result.error.timedOut, true);
+  assert.match(result.error.message, /hang timed out after 20ms/);
+  assert.equal(getQueueStatus().running, 1);
+  await hung;
+  await sleep(0);
+  assert.equal(getQueueStatus().running, 0);
+});
+
+test('runFetchJobs keeps to the per-host limit', async () => {
+  let active = 0;
+  let peak = 0;
+  const run = async () => {
+    peak = Math.max(peak, ++active);
+    await sleep(10);
+    active--;
+  };
+  const jobs = Array.from({ length: 5 }, (_, i) => ({ label: `job ${i}`, host: 'same.example', hostLimit: 1, run }));
+  await runFetchJobs(jobs, { name: 'per host' });
+  assert.equal(peak, 1);
+  assert.equal(getQueueStatus().running, 0);
+});
+
+test('runFetchJobs drops waiting jobs and stops waiting for running ones once its signal aborts', async () => {
+  const controller = new AbortController();
+  const started = [];
+  let hung;
+  const jobs = Array.from({ length: 3 }, (_, i) => ({
+    label: `job ${i}`,
+    host: 'slow.example',
+    hostLimit: 1,
+    run: () => {
+      started.push(i);
+      return (hung = sleep(50));
+    }
+  }));
+  setTimeout(() => controller.abort(new Error('Cancelled')), 10);
+  const results = await runFetchJobs(jobs, { name: 'abort', signal: controller.signal });
+  assert.deepEqual(started, [0]);
+  assert.ok(results.every(result => result.error && result.error.aborted));
+  assert.equal(results[1].attempts, 0);
+  assert.equal(getQueueStatus().waiting, 0);
+  await hung;
+  await sleep(0);
+  assert.equal(getQueueStatus().running, 0);
+});
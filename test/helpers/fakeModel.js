@@ -0,0 +1,246 @@
+// test/helpers/fakeModel.js - In-memory stand-in for a Mongoose model, for unit tests of services that query MongoDB.
+// Covers the query and update operators the services use; ids are strings.
+// installModel() puts it in the require cache so `require('../models/X')` in the service returns it.
+
+const path = require('path');
+
+let nextId = 1;
+const newId = () => `id${nextId++}`;
+
+function getPath(doc, dotted) {
+  return dotted.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, dotted, value) {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (node[key] == null || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, doc);
+  if (value === undefined) delete parent[last];
+  else parent[last] = value;
+}
+
+const same = (a, b) => (a == null && b == null) || (a != null && b != null && String(a) === String(b));
+// Array fields match a value when any element does, as in MongoDB
+const anyEqual = (value, target) => (Array.isArray(value) ? value.some(v => same(v, target)) : same(value, target));
+const isOperatorObject = v => v && typeof v === 'object' && !Array.isArray(v) && !(v instanceof Date) &&
+  Object.keys(v).length > 0 && Object.keys(v).every(k => k.startsWith('$'));
+
+function matchCondition(value, condition) {
+  if (!isOperatorObject(condition)) return anyEqual(value, condition);
+  return Object.entries(condition).every(([op, arg]) => {
+    switch (op) {
+      case '$in': return arg.some(target => anyEqual(value, target));
+      case '$nin': return !arg.some(target => anyEqual(value, target));
+      case '$ne': return !anyEqual(value, arg);
+      case '$exists': return (value !== undefined) === !!arg;
+      case '$type': return arg === 'string' ? typeof value === 'string' : true;
+      case '$lt': return value != null && value < arg;
+      case '$lte': return value != null && value <= arg;
+      case '$gt': return value != null && value > arg;
+      case '$gte': return value != null && value >= arg;
+      default: throw new Error(`fakeModel: unsupported operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+    if (key === '$nor') return !condition.some(sub => matches(doc, sub));
+    return matchCondition(getPath(doc, key), condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  const plain = Object.keys(update).every(k => !k.startsWith('$'));
+  const ops = plain ? { $set: update } : update;
+  for (const [op, fields] of Object.entries(ops)) {
+    for (const [key, value] of Object.entries(fields)) {
+      const current = getPath(doc, key);
+      if (op === '$set') setPath(doc, key, value);
+      else if (op === '$unset') setPath(doc, key, undefined);
+      else if (op === '$inc') setPath(doc, key, (current || 0) + value);
+      else if (op === '$push') setPath(doc, key, [...(current || []), ...(value && value.$each ? value.$each : [value])]);
+      else if (op === '$addToSet') {
+        const list = [...(current || [])];
+        for (const v of (value && value.$each ? value.$each : [value])) if (!list.some(x => same(x, v))) list.push(v);
+        setPath(doc, key, list);
+      } else if (op === '$pull') {
+        setPath(doc, key, (current || []).filter(v => !matchCondition(v, value)));
+      } else throw new Error(`fakeModel: unsupported update ${op}`);
+    }
+  }
+}
+
+function compareBy(sort) {
+  const keys = Object.entries(sort || {});
+  return (a, b) => {
+    for (const [key, dir] of keys) {
+      const x = getPath(a, key);
+      const y = getPath(b, key);
+      if (x == null && y == null) continue;
+      if (x == null) return -dir;
+      if (y == null) return dir;
+      if (x < y) return -dir;
+      if (x > y) return dir;
+    }
+    return 0;
+  };
+}
+
+const clone = doc => structuredClone(doc);
+
+/**
+ * @param {Object} [options] - { defaults: fields of a new document (schema defaults),
+ *   unique: [[field, ...], partialFilter?] list; a duplicate insert / update throws code 11000 }
+ */
+function createFakeModel(options = {}) {
+  const docs = [];
+  const uniques = options.unique || [];
+  const defaults = options.defaults || {};
+
+  function checkUnique(candidate) {
+    for (const [fields, partial] of uniques) {
+      if (partial && !matches(candidate, partial)) continue;
+      const clash = docs.find(doc => doc !== candidate && doc._id !== candidate._id &&
+        (!partial || matches(doc, partial)) && fields.every(f => same(getPath(doc, f), getPath(candidate, f))));
+      if (clash) throw Object.assign(new Error(`E11000 duplicate key (${fields.join(', ')})`), { code: 11000 });
+    }
+  }
+
+  // Live documents get save(); lean results are copies
+  function hydrate(doc) {
+    const copy = clone(doc);
+    Object.defineProperty(copy, 'save', {
+      enumerable: false,
+      value: async () => {
+        const stored = docs.find(d => d._id === copy._id);
+        const next = { ...clone(copy) };
+        checkUnique(next);
+        if (!stored) {
+          docs.push(next);
+          return copy;
+        }
+        Object.keys(stored).forEach(k => delete stored[k]);
+        Object.assign(stored, next);
+        return copy;
+      }
+    });
+    Object.defineProperty(copy, 'toObject', { enumerable: false, value: () => clone(copy) });
+    return copy;
+  }
+
+  function query(run) {
+    const state = { sort: null, limit: null, lean: false };
+    const q = {
+      sort(sort) { state.sort = sort; return q; },
+      limit(n) { state.limit = n; return q; },
+      select() { return q; },
+      populate() { return q; },
+      lean() { state.lean = true; return q; },
+      batchSize() { return q; },
+      then(resolve, reject) { return Promise.resolve().then(() => run(state)).then(resolve, reject); },
+      catch(reject) { return q.then(undefined, reject); }
+    };
+    return q;
+  }
+
+  const found = (filter, state) => {
+    let list = docs.filter(doc => matches(doc, filter));
+    if (state.sort) list = [...list].sort(compareBy(state.sort));
+    if (state.limit) list = list.slice(0, state.limit);
+    return list.map(doc => (state.lean ? clone(doc) : hydrate(doc)));
+  };
+
+  // `new Model(fields)` is an unsaved document; save() inserts it
+  function Model(fields = {}) {
+    return hydrate({ _id: newId(), ...clone(defaults), ...fields });
+  }
+  Object.assign(Model, {
+    docs,
+    insert(...items) {
+      return items.map((item) => {
+        const doc = { _id: newId(), ...clone(defaults), ...clone(item) };
+        checkUnique(doc);
+        docs.push(doc);
+        return doc;
+      });
+    },
+    async create(item) {
+      return hydrate(Model.insert(item)[0]);
+    },
+    find(filter) {
+      return query(state => found(filter, state));
+    },
+    findOne(filter) {
+      return query(state => found(filter, { ...state, limit: 1 })[0] || null);
+    },
+    findById(id) {
+      return Model.findOne({ _id: id });
+    },
+    exists(filter) {
+      return query(() => (docs.find(doc => matches(doc, filter)) ? { _id: docs.find(doc => matches(doc, filter))._id } : null));
+    },
+    findOneAndUpdate(filter, update, opts = {}) {
+      return query((state) => {
+        const doc = found(filter, { sort: opts.sort || state.sort, lean: true })[0];
+        if (!doc) return null;
+        const stored = docs.find(d => d._id === doc._id);
+        const next = clone(stored);
+        applyUpdate(next, update);
+        checkUnique(next);
+        Object.assign(stored, next);
+        return opts.returnDocument === 'after' || opts.new ? hydrate(stored) : hydrate(doc);
+      });
+    },
+    async updateOne(filter, update) {
+      const stored = docs.find(doc => matches(doc, filter));
+      if (!stored) return { matchedCount: 0, modifiedCount: 0 };
+      const next = clone(stored);
+      applyUpdate(next, update);
+      checkUnique(next);
+      Object.assign(stored, next);
+      return { matchedCount: 1, modifiedCount: 1 };
+    },
+    async updateMany(filter, update) {
+      const targets = docs.filter(doc => matches(doc, filter));
+      targets.forEach(doc => applyUpdate(doc, update));
+      return { matchedCount: targets.length, modifiedCount: targets.length };
+    },
+    async deleteOne(filter) {
+      const i = docs.findIndex(doc => matches(doc, filter));
+      if (i !== -1) docs.splice(i, 1);
+      return { deletedCount: i === -1 ? 0 : 1 };
+    },
+    async deleteMany(filter) {
+      const before = docs.length;
+      for (let i = docs.length - 1; i >= 0; i--) if (matches(docs[i], filter)) docs.splice(i, 1);
+      return { deletedCount: before - docs.length };
+    },
+    async countDocuments(filter) {
+      return docs.filter(doc => matches(doc, filter)).length;
+    },
+    async distinct(field, filter) {
+      const values = docs.filter(doc => matches(doc, filter)).map(doc => getPath(doc, field)).filter(v => v !== undefined);
+      return [...new Map(values.map(v => [String(v), v])).values()];
+    }
+  });
+  return Model;
+}
+
+/**
+ * Make `require` of a repo module return `exports` (call before requiring the module under test).
+ * @param {string} relativePath - From the repo root, e.g. 'models/Job'
+ * @param {*} exports
+ */
+function installModule(relativePath, exports) {
+  const file = require.resolve(path.join(__dirname, '..', '..', relativePath));
+  require.cache[file] = { id: file, filename: file, loaded: true, exports };
+  return exports;
+}
+
+module.exports = { createFakeModel, installModule, matches };
@@ -0,0 +1,224 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeModel, installModule } = require('./helpers/fakeModel');
+
+// Fast polling, room for every job in these tests (read when the module loads)
+process.env.JOB_POLL_INTERVAL_MS = '10';
+process.env.JOB_CONCURRENCY = '4';
+const Job = installModule('models/Job', createFakeModel({
+  defaults: { status: 'queued', attempts: 0, cancelRequested: false, lockKey: null },
+  unique: [
+    [['lockKey'], { status: 'running', lockKey: { $type: 'string' } }],
+    [['dedupeKey'], { dedupeKey: { $type: 'string' } }]
+  ]
+}));
+const jobQueue = require('../services/jobQueue');
+
+// The worker logs from its own timers, which can interleave with the test runner's output; keep it quiet
+mock.method(console, 'log', () => {});
+mock.method(console, 'warn', () => {});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const statusOf = id => Job.docs.find(doc => doc._id === String(id)).status;
+
+// Handlers that block until released, recording what started
+const started = [];
+const gates = new Map();
+function blockingHandler(type) {
+  return payload => new Promise((resolve) => {
+    started.push(`${type}:${payload.workspaceId}`);
+    gates.set(`${type}:${payload.workspaceId}`, resolve);
+  });
+}
+jobQueue.registerHandler('topic-process', blockingHandler('topic-process'), { exclusive: 'topics' });
+jobQueue.registerHandler('topic-maintenance', blockingHandler('topic-maintenance'), { exclusive: 'topics' });
+jobQueue.registerHandler('news-fetch', blockingHandler('news-fetch'), { exclusive: true });
+
+function reset() {
+  Job.docs.length = 0;
+  started.length = 0;
+  gates.clear();
+}
+
+async function releaseAll() {
+  for (const resolve of gates.values()) resolve({ ok: true });
+  await sleep(30);
+}
+
+test('types sharing a lock name never run together in one workspace', async () => {
+  reset();
+  const processing = await jobQueue.enqueue('topic-process', { workspaceId: 'ws1' });
+  const maintenance = await jobQueue.enqueue('topic-maintenance', { workspaceId: 'ws1' }, { runAt: new Date(Date.now() + 1) });
+  const otherWorkspace = await jobQueue.enqueue('topic-maintenance', { workspaceId: 'ws2' }, { runAt: new Date(Date.now() + 2) });
+  const fetch = await jobQueue.enqueue('news-fetch', { workspaceId: 'ws1' }, { runAt: new Date(Date.now() + 3) });
+  await sleep(5);
+  jobQueue.startWorker();
+  try {
+    await sleep(80);
+    assert.equal(statusOf(processing._id), 'running');
+    assert.equal(statusOf(maintenance._id), 'queued');
+    assert.equal(statusOf(otherWorkspace._id), 'running');
+    assert.equal(statusOf(fetch._id), 'running');
+    assert.equal(Job.docs.find(doc => doc._id === processing._id).lockKey, 'topics:ws1');
+
+    // Once the topic-process job finishes, the waiting maintenance job takes the lock
+    gates.get('topic-process:ws1')({ ok: true });
+    await sleep(80);
+    assert.equal(statusOf(processing._id), 'completed');
+    assert.equal(statusOf(maintenance._id), 'running');
+  } finally {
+    await releaseAll();
+    await jobQueue.stopWorker();
+  }
+});
+
+test('a lock held by another worker skips the waiting job but not the jobs behind it', async () => {
+  reset();
+  Job.insert({
+    type: 'topic-process', payload: { workspaceId: 'ws1' }, status: 'running', lockKey: 'topics:ws1',
+    leaseOwner: 'other-host:1', leaseExpiresAt: new Date(Date.now() + 60 * 1000), attempts: 1, maxAttempts: 3
+  });
+  const blocked = await jobQueue.enqueue('topic-maintenance', { workspaceId: 'ws1' });
+  const free = await jobQueue.enqueue('topic-maintenance', { workspaceId: 'ws2' }, { runAt: new Date(Date.now() + 1) });
+  await sleep(5);
+  jobQueue.startWorker();
+  try {
+    await sleep(80);
+    assert.equal(statusOf(blocked._id), 'queued');
+    assert.equal(statusOf(free._id), 'running');
+    assert.deepEqual(started, ['topic-maintenance:ws2']);
+  } finally {
+    await releaseAll();
+    await jobQueue.stopWorker();
+  }
+});
+
+test('due jobs are claimed oldest first with a lease; future jobs stay queued', async () => {
+  reset();
+  const later = await jobQueue.enqueue('news-fetch', { workspaceId: 'ws1' }, { runAt: new Date(Date.now() - 1000) });
+  const earlier = await jobQueue.enqueue('news-fetch', { workspaceId: 'ws2' }, { runAt: new Date(Date.now() - 2000) });
+  const future = await jobQueue.enqueue('news-fetch', { workspaceId: 'ws3' }, { runAt: new Date(Date.now() + 60 * 60 * 1000) });
+  jobQueue.startWorker();
+  try {
+    await sleep(80);
+    assert.deepEqual(started, ['news-fetch:ws2', 'news-fetch:ws1']);
+    const claimed = Job.docs.find(doc => doc._id === earlier._id);
+    assert.equal(claimed.status, 'running');
+    assert.equal(claimed.attempts, 1);
+    assert.ok(claimed.leaseOwner);
+    assert.ok(claimed.leaseExpiresAt > new Date());
+    assert.equal(statusOf(later._id), 'running');
+    assert.equal(statusOf(future._id), 'queued');
+  } finally {
+    await releaseAll();
+    await jobQueue.stopWorker();
+  }
+});
+
+test('an exclusive type runs one job per workspace at a time', async () => {
+  reset();
+  const first = await jobQueue.enqueue('news-fetch', { workspaceId: 'ws1' });
+  const second = await jobQueue.enqueue('news-fetch', { workspaceId: 'ws1' }, { runAt: new Date(Date.now() + 1) });
+  await sleep(5);
+  jobQueue.startWorker();
+  try {
+    await sleep(80);
+    assert.equal(statusOf(first._id), 'running');
+    assert.equal(statusOf(second._id), 'queued');
+    assert.equal(Job.docs.find(doc => doc._id === first._id).lockKey, 'news-fetch:ws1');
+  } finally {
+    await releaseAll();
+    await jobQueue.stopWorker();
+  }
+});
+
+let flakyError = null;
+jobQueue.registerHandler('flaky', async () => {
+  throw flakyError;
+});
+
+test('a failed attempt is queued again with backoff, then failed after maxAttempts', async () => {
+  reset();
+  flakyError = new Error('upstream down');
+  const job = await jobQueue.enqueue('flaky', { workspaceId: 'ws1' }, { maxAttempts: 2 });
+  jobQueue.startWorker();
+  try {
+    await sleep(80);
+    let doc = Job.docs.find(d => d._id === job._id);
+    assert.equal(doc.status, 'queued');
+    assert.equal(doc.attempts, 1);
+    assert.equal(doc.lastError, 'upstream down');
+    assert.equal(doc.leaseOwner, null);
+    assert.ok(doc.runAt > new Date());
+
+    doc.runAt = new Date(Date.now() - 1);
+    await sleep(80);
+    doc = Job.docs.find(d => d._id === job._id);
+    assert.equal(doc.status, 'failed');
+    assert.equal(doc.attempts, 2);
+    assert.ok(doc.finishedAt);
+  } finally {
+    await jobQueue.stopWorker();
+  }
+});
+
+test('a permanent error fails the job without retrying', async () => {
+  reset();
+  flakyError = Object.assign(new Error('bad payload'), { permanent: true });
+  const job = await jobQueue.enqueue('flaky', { workspaceId: 'ws1' }, { maxAttempts: 3 });
+  jobQueue.startWorker();
+  try {
+    await sleep(80);
+    const doc = Job.docs.find(d => d._id === job._id);
+    assert.equal(doc.status, 'failed');
+    assert.equal(doc.attempts, 1);
+  } finally {
+    await jobQueue.stopWorker();
+  }
+});
+
+test('running jobs whose lease expired are queued again, or failed once out of attempts', async () => {
+  reset();
+  const expired = new Date(Date.now() - 1000);
+  const [retried, exhausted] = Job.insert(
+    { type: 'news-fetch', payload: { workspaceId: 'ws1' }, status: 'running', lockKey: 'news-fetch:ws1', leaseOwner: 'dead-host:1', leaseExpiresAt: expired, attempts: 1, maxAttempts: 3, runAt: expired },
+    { type: 'news-fetch', payload: { workspaceId: 'ws2' }, status: 'running', lockKey: 'news-fetch:ws2', leaseOwner: 'dead-host:1', leaseExpiresAt: expired, attempts: 3, maxAttempts: 3, runAt: expired }
+  );
+  jobQueue.startWorker();
+  try {
+    await sleep(80);
+    const requeued = Job.docs.find(d => d._id === retried._id);
+    assert.equal(requeued.status, 'queued');
+    assert.equal(requeued.leaseOwner, null);
+    assert.match(requeued.lastError, /lease expired/);
+    assert.ok(requeued.runAt > new Date()); // backoff, so it is not claimed again at once
+    assert.equal(statusOf(exhausted._id), 'failed');
+    assert.deepEqual(started, []);
+  } finally {
+    await jobQueue.stopWorker();
+  }
+});
+
+test('cancelling a running job aborts its signal with a cancelled error', async () => {
+  reset();
+  let reason = null;
+  jobQueue.registerHandler('cancellable', (payload, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      reason = signal.reason;
+      reject(signal.reason);
+    });
+  }));
+  const job = await jobQueue.enqueue('cancellable', { workspaceId: 'ws1' });
+  jobQueue.startWorker();
+  try {
+    await sleep(50);
+    assert.equal(statusOf(job._id), 'running');
+    await jobQueue.cancelJob(job._id);
+    await sleep(50);
+    assert.equal(reason.cancelled, true);
+    assert.equal(statusOf(job._id), 'cancelled');
+  } finally {
+    await jobQueue.stopWorker();
+  }
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePath, query, queryFirst } = require('../utils/jsonPath');
+
+const DATA = {
+  data: {
+    items: [
+      { id: 1, title: 'First', author: { name: 'Ann' } },
+      { id: 2, title: 'Second', 'media:url': 'https://example.com/2.jpg' },
+      { id: 3, title: 'Third', author: { name: 'Bo' } }
+    ],
+    meta: { total: 3 }
+  }
+};
+
+test('parsePath splits keys, indexes, wildcards and recursive descent', () => {
+  assert.deepEqual(parsePath("$.data.items[0]['media:url']"), [
+    { type: 'key', value: 'data' },
+    { type: 'key', value: 'items' },
+    { type: 'index', value: 0 },
+    { type: 'key', value: 'media:url' }
+  ]);
+  assert.deepEqual(parsePath('data.items[*]..name'), [
+    { type: 'key', value: 'data' },
+    { type: 'key', value: 'items' },
+    { type: 'wildcard' },
+    { type: 'descend', value: 'name' }
+  ]);
+  assert.deepEqual(parsePath('$.*'), [{ type: 'wildcard' }]);
+});
+
+test('parsePath throws on malformed paths', () => {
+  assert.throws(() => parsePath(''), /Empty JSONPath/);
+  assert.throws(() => parsePath('$.data[0'), /Unclosed/);
+  assert.throws(() => parsePath('$.data[?(@.id)]'), /Unsupported selector/);
+  assert.throws(() => parsePath('$.'), /Expected a key/);
+});
+
+test('query returns every match', () => {
+  assert.deepEqual(query(DATA, '$.data.items[*].title'), ['First', 'Second', 'Third']);
+  assert.deepEqual(query(DATA, '$..name'), ['Ann', 'Bo']);
+  assert.deepEqual(query(DATA, '$.data.items[*].author.name'), ['Ann', 'Bo']);
+  assert.deepEqual(query(DATA, '$.data.meta.*'), [3]);
+  assert.deepEqual(query(DATA, '$.data.missing.key'), []);
+});
+
+test('queryFirst resolves negative indexes and quoted keys', () => {
+  assert.equal(queryFirst(DATA, '$.data.items[-1].title'), 'Third');
+  assert.equal(queryFirst(DATA, "data.items[1]['media:url']"), 'https://example.com/2.jpg');
+  assert.equal(queryFirst(DATA, '$.data.items[9].title'), undefined);
+});
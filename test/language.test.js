@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLanguage, getItemLanguage } = require('../utils/language');
+
+test('detectLanguage keeps Chinese headlines with English names as zh', () => {
+  assert.equal(detectLanguage('Apple 發布 iPhone 新機'), 'zh');
+  assert.equal(detectLanguage('台積電 TSMC 法說會'), 'zh');
+  assert.equal(detectLanguage('颱'), 'zh');
+});
+
+test('detectLanguage recognises en, ja and ko', () => {
+  assert.equal(detectLanguage('Typhoon makes landfall in Taiwan'), 'en');
+  // Kanji-heavy Japanese still has enough kana
+  assert.equal(detectLanguage('東京都知事選の投票が始まりました'), 'ja');
+  assert.equal(detectLanguage('서울 날씨 맑음'), 'ko');
+});
+
+test('detectLanguage returns und for empty or script-less text', () => {
+  assert.equal(detectLanguage(''), 'und');
+  assert.equal(detectLanguage(null), 'und');
+  assert.equal(detectLanguage(42), 'und');
+  assert.equal(detectLanguage('2026-10-19 12:00 +8%'), 'und');
+  assert.equal(detectLanguage('AI'), 'und');
+});
+
+test('getItemLanguage prefers the stored language, else detects from title and description', () => {
+  assert.equal(getItemLanguage({ language: 'en', title: '颱風來襲' }), 'en');
+  assert.equal(getItemLanguage({ title: 'Breaking', description: 'Typhoon nears the coast' }), 'en');
+  assert.equal(getItemLanguage({ title: 'NVIDIA', description: '輝達 發表 新一代 晶片' }), 'zh');
+  assert.equal(getItemLanguage({}), 'und');
+  assert.equal(getItemLanguage(null), 'und');
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { shingle, computeSignature, bandKeys, estimateSimilarity, NUM_PERMUTATIONS, NUM_BANDS } = require('../utils/minhash');
+
+const ORIGINAL = 'The central bank raised its policy rate by a quarter point on Thursday, citing persistent inflation in services and housing costs.';
+const REWRITE = 'The central bank raised its policy rate by a quarter point on Thursday, citing persistent inflation in services and rents.';
+const UNRELATED = 'Heavy rain from the typhoon flooded low-lying streets and forced schools across the island to close for a second day.';
+
+const signatureOf = text => computeSignature(shingle(text));
+
+test('shingle lowercases, strips HTML and splits into word trigrams', () => {
+  assert.deepEqual([...shingle('<p>The Quick, brown FOX!</p>')], ['the quick brown', 'quick brown fox']);
+  assert.deepEqual([...shingle('Hi there')], ['hi there']);
+  assert.equal(shingle('').size, 0);
+});
+
+test('shingle treats each CJK character as a token', () => {
+  assert.deepEqual([...shingle('台積電法說')], ['台 積 電', '積 電 法', '電 法 說']);
+});
+
+test('computeSignature is deterministic and NUM_PERMUTATIONS long', () => {
+  const a = signatureOf(ORIGINAL);
+  assert.equal(a.length, NUM_PERMUTATIONS);
+  assert.deepEqual(a, signatureOf(ORIGINAL));
+  assert.ok(a.every(v => Number.isInteger(v) && v >= 0 && v <= 0xffffffff));
+});
+
+test('estimateSimilarity is high for rewrites and low for different stories', () => {
+  assert.equal(estimateSimilarity(signatureOf(ORIGINAL), signatureOf(ORIGINAL)), 1);
+  assert.ok(estimateSimilarity(signatureOf(ORIGINAL), signatureOf(REWRITE)) > 0.6);
+  assert.ok(estimateSimilarity(signatureOf(ORIGINAL), signatureOf(UNRELATED)) < 0.1);
+});
+
+test('estimateSimilarity is 0 for missing or mismatched signatures', () => {
+  assert.equal(estimateSimilarity(null, signatureOf(ORIGINAL)), 0);
+  assert.equal(estimateSimilarity([1, 2], [1, 2, 3]), 0);
+  assert.equal(estimateSimilarity([], []), 0);
+});
+
+test('bandKeys gives NUM_BANDS keys; near duplicates share a band, different stories do not', () => {
+  const original = bandKeys(signatureOf(ORIGINAL));
+  assert.equal(original.length, NUM_BANDS);
+  assert.equal(new Set(original).size, NUM_BANDS);
+  const shared = keys => keys.filter(key => original.includes(key)).length;
+  assert.ok(shared(bandKeys(signatureOf(REWRITE))) > 0);
+  assert.equal(shared(bandKeys(signatureOf(UNRELATED))), 0);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOpml, buildOpml } = require('../utils/opml');
+
+test('parseOpml flattens folders into categories', () => {
+  const { title, outlines } = parseOpml(`<?xml version="1.0"?>
+    <opml version="2.0">
+      <head><title>My feeds</title></head>
+      <body>
+        <outline text="Tech">
+          <outline type="RSS" text="Example Tech" xmlUrl=" https://example.com/tech.xml " htmlUrl="https://example.com/tech"/>
+        </outline>
+        <outline title="Top stories" xmlUrl="https://example.com/top.xml"/>
+        <outline text="Not a feed"/>
+      </body>
+    </opml>`);
+  assert.equal(title, 'My feeds');
+  assert.deepEqual(outlines, [
+    { title: 'Example Tech', xmlUrl: 'https://example.com/tech.xml', htmlUrl: 'https://example.com/tech', type: 'rss', category: 'Tech' },
+    { title: 'Top stories', xmlUrl: 'https://example.com/top.xml', htmlUrl: '', type: '', category: '' },
+    { title: 'Not a feed', xmlUrl: '', htmlUrl: '', type: '', category: '' }
+  ]);
+});
+
+test('parseOpml rejects empty and non-OPML documents', () => {
+  assert.throws(() => parseOpml(''), /empty/);
+  assert.throws(() => parseOpml('<rss><channel/></rss>'), /Not an OPML document/);
+});
+
+test('buildOpml output parses back to the same outlines, escaped', () => {
+  const outlines = [
+    { title: 'R&D <weekly>', xmlUrl: 'https://example.com/feed?a=1&b=2', htmlUrl: 'https://example.com', category: 'Science "lab"' },
+    { title: '', xmlUrl: 'https://example.org/rss', htmlUrl: '', category: '' }
+  ];
+  const xml = buildOpml({ title: 'Export', outlines });
+  assert.match(xml, /xmlUrl="https:\/\/example\.com\/feed\?a=1&amp;b=2"/);
+  const parsed = parseOpml(xml);
+  assert.equal(parsed.title, 'Export');
+  assert.deepEqual(parsed.outlines, [
+    { title: 'https://example.org/rss', xmlUrl: 'https://example.org/rss', htmlUrl: '', type: 'rss', category: '' },
+    { title: 'R&D <weekly>', xmlUrl: 'https://example.com/feed?a=1&b=2', htmlUrl: 'https://example.com', type: 'rss', category: 'Science "lab"' }
+  ]);
+});
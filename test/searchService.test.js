@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { tokenize, bm25Scores, fuseRankings, parseSearchParams } = require('../services/searchService');
+
+test('tokenize lowercases spaced words and splits CJK runs into bigrams', () => {
+  assert.deepEqual(tokenize('Apple 發表 iPhone！'), ['apple', '發表', 'iphone']);
+  assert.deepEqual(tokenize('台積電法說會'), ['台積', '積電', '電法', '法說', '說會']);
+  assert.deepEqual(tokenize('車'), ['車']);
+  assert.deepEqual(tokenize('iPhone手機'), ['手機', 'iphone']);
+  // NFKC folds full-width letters
+  assert.deepEqual(tokenize('ＡＩ晶片'), ['晶片', 'ai']);
+  assert.deepEqual(tokenize(''), []);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('bm25Scores scores only matching documents and favours rare terms and short documents', () => {
+  const docs = [['chip', 'export', 'ban'], ['chip', 'market'], ['typhoon'], ['chip', 'export', 'ban', 'talks', 'today', 'again']];
+  const [banned, market, typhoon, longer] = bm25Scores(['ban'], docs);
+  assert.ok(banned > longer && longer > 0);
+  assert.equal(market, 0);
+  assert.equal(typhoon, 0);
+
+  // 'typhoon' is in one document, 'chip' in three
+  const scores = bm25Scores(['chip', 'typhoon'], docs);
+  assert.ok(scores[2] > scores[1]);
+  assert.deepEqual(bm25Scores(['ban', 'ban'], docs), bm25Scores(['ban'], docs));
+  assert.deepEqual(bm25Scores([], docs), [0, 0, 0, 0]);
+  assert.deepEqual(bm25Scores(['ban'], []), []);
+});
+
+test('fuseRankings adds weighted reciprocal ranks from both lists', () => {
+  const fused = fuseRankings(['a', 'b'], ['b', 'c'], 0.5);
+  assert.ok(fused.get('b') > fused.get('a'));
+  assert.ok(fused.get('a') > fused.get('c'));
+  assert.equal(fused.get('a'), 0.5 / 61);
+
+  const keywordOnly = fuseRankings(['a'], ['c'], 0);
+  assert.equal(keywordOnly.get('a'), 1 / 61);
+  assert.equal(keywordOnly.get('c'), 0);
+});
+
+test('parseSearchParams validates the query and applies defaults', () => {
+  assert.deepEqual(parseSearchParams({ q: '  ' }), { error: 'Query parameter q is required' });
+  assert.match(parseSearchParams({ q: 'x', timeframe: '1y' }).error, /Invalid timeframe/);
+  assert.match(parseSearchParams({ q: 'x', platform: 'rss,fax' }).error, /Invalid platform "fax"/);
+  const { params } = parseSearchParams({ q: ' 颱風 ', platform: 'RSS', limit: '500' });
+  assert.equal(params.q, '颱風');
+  assert.equal(params.timeframe, '7d');
+  assert.deepEqual(params.platforms, ['rss']);
+  assert.equal(params.type, 'all');
+  assert.equal(params.limit, 100);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSitemap, detectXmlFormat } = require('../utils/sitemap');
+
+test('detectXmlFormat sniffs the root element past the declaration and comments', () => {
+  assert.equal(detectXmlFormat('<?xml version="1.0"?>\n<!-- generated --><rss version="2.0"/>'), 'rss');
+  assert.equal(detectXmlFormat('<feed xmlns="http://www.w3.org/2005/Atom"/>'), 'atom');
+  assert.equal(detectXmlFormat('<rdf:RDF/>'), 'rdf');
+  assert.equal(detectXmlFormat('<urlset/>'), 'urlset');
+  assert.equal(detectXmlFormat('<sitemapindex/>'), 'sitemapindex');
+  assert.equal(detectXmlFormat('<html></html>'), null);
+  assert.equal(detectXmlFormat(''), null);
+});
+
+test('parseSitemap reads Google News and image tags', () => {
+  const { type, entries } = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+    <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+            xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"
+            xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+      <url>
+        <loc>https://example.com/news/1</loc>
+        <lastmod>2026-02-26T04:00:00Z</lastmod>
+        <news:news>
+          <news:publication><news:name>Example Daily</news:name><news:language>zh-tw</news:language></news:publication>
+          <news:publication_date>2026-02-26T03:00:00+08:00</news:publication_date>
+          <news:title>總預算三讀通過</news:title>
+          <news:keywords>budget, legislature ,</news:keywords>
+        </news:news>
+        <image:image><image:loc>https://example.com/img/1.jpg</image:loc></image:image>
+      </url>
+      <url><loc>https://example.com/about</loc><lastmod>not a date</lastmod></url>
+      <url><lastmod>2026-02-26</lastmod></url>
+    </urlset>`);
+  assert.equal(type, 'urlset');
+  assert.equal(entries.length, 2);
+  assert.deepEqual(entries[0], {
+    loc: 'https://example.com/news/1',
+    lastmod: new Date('2026-02-26T04:00:00Z'),
+    title: '總預算三讀通過',
+    publishedAt: new Date('2026-02-25T19:00:00Z'),
+    keywords: ['budget', 'legislature'],
+    language: 'zh-tw',
+    publicationName: 'Example Daily',
+    imageUrl: 'https://example.com/img/1.jpg'
+  });
+  assert.equal(entries[1].title, null);
+  assert.equal(entries[1].lastmod, null);
+});
+
+test('parseSitemap lists child sitemaps of an index', () => {
+  const { type, entries } = parseSitemap(`<sitemapindex>
+      <sitemap><loc>https://example.com/news-1.xml</loc><lastmod>2026-02-26</lastmod></sitemap>
+      <sitemap><loc>https://example.com/news-2.xml.gz</loc></sitemap>
+    </sitemapindex>`);
+  assert.equal(type, 'sitemapindex');
+  assert.deepEqual(entries.map(e => e.loc), ['https://example.com/news-1.xml', 'https://example.com/news-2.xml.gz']);
+});
+
+test('parseSitemap rejects feeds and other documents', () => {
+  assert.throws(() => parseSitemap('<rss version="2.0"><channel/></rss>'), /Not a sitemap/);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isDue, nextHealth, backoffDelayMs, AUTO_PAUSE_FAILURES } = require('../services/sourceHealth');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+test('backoffDelayMs doubles per failure up to the cap', () => {
+  assert.equal(backoffDelayMs(1), 30 * MINUTE);
+  assert.equal(backoffDelayMs(2), 60 * MINUTE);
+  assert.equal(backoffDelayMs(3), 120 * MINUTE);
+  assert.equal(backoffDelayMs(20), 24 * HOUR);
+});
+
+test('nextHealth backs off after a failure and auto-pauses after AUTO_PAUSE_FAILURES', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  let health = nextHealth(undefined, new Error('HTTP 503'), now);
+  assert.equal(health.status, 'backoff');
+  assert.equal(health.consecutiveFailures, 1);
+  assert.equal(health.lastError, 'HTTP 503');
+  assert.equal(health.nextAttemptAt.getTime(), now.getTime() + 30 * MINUTE);
+
+  for (let i = 1; i < AUTO_PAUSE_FAILURES; i++) health = nextHealth(health, new Error('HTTP 503'), now);
+  assert.equal(health.status, 'paused');
+  assert.equal(health.consecutiveFailures, AUTO_PAUSE_FAILURES);
+  assert.equal(health.pausedAt, now);
+  assert.equal(health.nextAttemptAt.getTime(), now.getTime() + 24 * HOUR);
+
+  // A failed probe keeps the original pause time
+  const later = new Date(now.getTime() + 24 * HOUR);
+  const probed = nextHealth(health, new Error('HTTP 503'), later);
+  assert.equal(probed.status, 'paused');
+  assert.equal(probed.pausedAt, now);
+});
+
+test('nextHealth returns to healthy on success and keeps the last failure time', () => {
+  const failedAt = new Date('2026-03-01T00:00:00Z');
+  const now = new Date('2026-03-02T00:00:00Z');
+  const failing = nextHealth(undefined, new Error('timeout'), failedAt);
+  const health = nextHealth(failing, null, now);
+  assert.deepEqual(health, {
+    status: 'healthy',
+    consecutiveFailures: 0,
+    lastSuccessAt: now,
+    lastFailureAt: failedAt,
+    lastError: undefined,
+    nextAttemptAt: undefined,
+    pausedAt: undefined
+  });
+});
+
+test('nextHealth truncates long error messages', () => {
+  const health = nextHealth(undefined, new Error('x'.repeat(1000)));
+  assert.equal(health.lastError.length, 300);
+});
+
+test('isDue is true without health or once nextAttemptAt has passed', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  assert.equal(isDue({}, now), true);
+  assert.equal(isDue({ health: { status: 'healthy' } }, now), true);
+  assert.equal(isDue({ health: { nextAttemptAt: new Date('2026-03-01T11:59:00Z') } }, now), true);
+  assert.equal(isDue({ health: { nextAttemptAt: new Date('2026-03-01T12:01:00Z') } }, now), false);
+});
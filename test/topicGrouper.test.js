@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeModel, installModule } = require('./helpers/fakeModel');
+
+process.env.LLM_MODE = 'mock';
+const NewsItem = installModule('models/NewsItem', createFakeModel());
+installModule('models/Topic', createFakeModel());
+installModule('models/Category', createFakeModel());
+const { findSimilarItems } = require('../services/topicGrouper');
+
+// Atlas hits as $vectorSearch returns them: best first, the workspace filter already applied
+function atlasHits(count, { clusteredEvery = 0, topScore = 0.99 } = {}) {
+  return Array.from({ length: count }, (_, i) => ({
+    _id: `hit${i}`,
+    score: topScore - i * 0.001,
+    ...(clusteredEvery && i % clusteredEvery === 0 ? { topicId: 'topic1' } : {})
+  }));
+}
+
+test('findSimilarItems requires the news item\'s workspace', async () => {
+  await assert.rejects(findSimilarItems({ _id: 'a', embedding: [1, 0] }, 5), /has no workspace/);
+});
+
+test('findSimilarItems filters $vectorSearch on the workspace only and drops clustered hits and the item itself', async () => {
+  const pipelines = [];
+  NewsItem.aggregate = async (pipeline) => {
+    pipelines.push(pipeline);
+    return [{ _id: 'self', score: 1 }, ...atlasHits(pipeline[0].$vectorSearch.limit - 1, { clusteredEvery: 2 })];
+  };
+  const results = await findSimilarItems({ _id: 'self', workspace: 'ws1', embedding: [1, 0] }, 5, 0.5);
+
+  assert.deepEqual(pipelines[0][0].$vectorSearch.filter, { workspace: 'ws1' });
+  assert.equal(results.length, 5);
+  assert.ok(results.every(hit => !hit.topicId && hit._id !== 'self'));
+  // Half the hits were clustered, so the first search (limit + 1) came up short and was widened
+  assert.equal(pipelines.length, 2);
+  assert.equal(pipelines[1][0].$vectorSearch.limit, 12);
+  assert.ok(pipelines[1][0].$vectorSearch.numCandidates >= 12);
+});
+
+test('findSimilarItems stops widening once the hits fall below minScore', async () => {
+  let calls = 0;
+  NewsItem.aggregate = async (pipeline) => {
+    calls++;
+    const hits = atlasHits(pipeline[0].$vectorSearch.limit, { clusteredEvery: 1 });
+    hits[hits.length - 1].score = 0.1;
+    return hits;
+  };
+  const results = await findSimilarItems({ _id: 'self', workspace: 'ws1', embedding: [1, 0] }, 5, 0.5);
+  assert.deepEqual(results, []);
+  assert.equal(calls, 1);
+});
+
+const { assignItemsToTopics } = require('../services/topicGrouper');
+
+// Candidate topic as loadCandidateTopics builds it
+const candidate = (id, centroid, languages = []) => ({ topic: { _id: id }, centroid: [...centroid], size: 1, languages: new Set(languages) });
+const item = (id, embedding, language = 'en') => ({ _id: id, embedding, language });
+
+test('assignItemsToTopics attaches an item to the closest topic above the threshold', () => {
+  const a = candidate('a', [1, 0]);
+  const b = candidate('b', [0, 1]);
+  const { assignments, unassigned } = assignItemsToTopics(
+    [item('near-b', [0.1, 1]), item('between', [1, 1])],
+    [a, b],
+    0.9,
+    0
+  );
+  assert.deepEqual([...assignments.keys()], ['b']);
+  assert.deepEqual(assignments.get('b').items.map(i => i._id), ['near-b']);
+  assert.deepEqual(unassigned.map(i => i._id), ['between']);
+});
+
+test('assignItemsToTopics moves the centroid as items join, so later items see the grown topic', () => {
+  const topic = candidate('t', [1, 0]);
+  // cos([0.6, 0.8], [1, 0]) = 0.6, below 0.7; after [0.8, 0.6] joins, the centroid is [0.9, 0.3] and it scores 0.82
+  const { assignments, unassigned } = assignItemsToTopics(
+    [item('first', [0.8, 0.6]), item('second', [0.6, 0.8])],
+    [topic],
+    0.7,
+    0
+  );
+  assert.deepEqual(unassigned, []);
+  assert.deepEqual(assignments.get('t').items.map(i => i._id), ['first', 'second']);
+  assert.equal(topic.size, 3);
+  assert.ok(Math.abs(topic.centroid[0] - (1 + 0.8 + 0.6) / 3) < 1e-9);
+});
+
+test('assignItemsToTopics gives items in a language new to the topic the cross-lingual offset', () => {
+  // cos([0.65, 0.76], [1, 0]) is about 0.65
+  const embedding = [0.65, Math.sqrt(1 - 0.65 * 0.65)];
+  const withOffset = assignItemsToTopics([item('en', embedding, 'en')], [candidate('zh-topic', [1, 0], ['zh'])], 0.7, 0.1);
+  assert.equal(withOffset.unassigned.length, 0);
+  const sameLanguage = assignItemsToTopics([item('zh', embedding, 'zh')], [candidate('zh-topic', [1, 0], ['zh'])], 0.7, 0.1);
+  assert.equal(sameLanguage.unassigned.length, 1);
+  const noOffset = assignItemsToTopics([item('en', embedding, 'en')], [candidate('zh-topic', [1, 0], ['zh'])], 0.7, 0);
+  assert.equal(noOffset.unassigned.length, 1);
+});
+
+const {
+  CLUSTERING_METHODS,
+  clusterByHdbscan,
+  clusterByAgglomerative,
+  postProcessClusters
+} = require('../services/topicGrouper');
+
+// Items a, b, c, ... (a newest) and clustering options whose similarities come from `pairs` ({ 'a-b': 0.9 }, others 0)
+function similarityGraph(ids, pairs, overrides = {}) {
+  const items = ids.map((id, i) => ({ _id: id, embedding: [1], publishedAt: new Date(Date.UTC(2026, 0, 1, 12 - i)) }));
+  const sim = (x, y) => pairs[`${x}-${y}`] ?? pairs[`${y}-${x}`] ?? 0;
+  const options = {
+    threshold: 0.7,
+    candidateLimit: 10,
+    minClusterSize: 1,
+    maxClusterSize: 10,
+    pairSimilarity: (x, y) => sim(x._id, y._id),
+    ...overrides
+  };
+  options.getSimilarItems = async (item, limit, minScore = options.threshold) => items
+    .filter(other => other !== item)
+    .map(other => ({ ...other, score: sim(item._id, other._id) }))
+    .filter(other => other.score >= minScore)
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit);
+  return { items, options };
+}
+
+const groupsOf = clusters => clusters.map(c => c.itemIds.slice().sort().join('')).sort();
+
+test('threshold methods differ on a star: average linkage admits c, min linkage does not', async () => {
+  const { items, options } = similarityGraph(['a', 'b', 'c'], { 'a-b': 0.9, 'a-c': 0.8, 'b-c': 0.6 });
+  assert.deepEqual(groupsOf(await CLUSTERING_METHODS.connected_components(items, options)), ['abc']);
+  assert.deepEqual(groupsOf(await CLUSTERING_METHODS.greedy_average(items, options)), ['abc']);
+  assert.deepEqual(groupsOf(await CLUSTERING_METHODS.greedy_min(items, options)), ['ab', 'c']);
+});
+
+test('mutual_k links only pairs that are in each other\'s top k', async () => {
+  const { items, options } = similarityGraph(['a', 'b', 'c'], { 'a-b': 0.9, 'b-c': 0.8 }, { candidateLimit: 1 });
+  assert.deepEqual(groupsOf(await CLUSTERING_METHODS.mutual_k(items, options)), ['ab', 'c']);
+  assert.deepEqual(groupsOf(await CLUSTERING_METHODS.connected_components(items, options)), ['abc']);
+});
+
+test('clusterByAgglomerative stops once the average linkage drops below the threshold', async () => {
+  // A chain: a-b and b-c are close, but {a, b} to c averages (0.85 + 0.3) / 2, below 0.7
+  const { items, options } = similarityGraph(['a', 'b', 'c'], { 'a-b': 0.9, 'b-c': 0.85, 'a-c': 0.3 });
+  assert.deepEqual(groupsOf(await clusterByAgglomerative(items, options)), ['ab', 'c']);
+
+  const tight = similarityGraph(['a', 'b', 'c'], { 'a-b': 0.9, 'b-c': 0.85, 'a-c': 0.8 });
+  assert.deepEqual(groupsOf(await clusterByAgglomerative(tight.items, tight.options)), ['abc']);
+  assert.deepEqual(groupsOf(await clusterByAgglomerative(tight.items, { ...tight.options, maxClusterSize: 2 })), ['ab', 'c']);
+});
+
+test('clusterByHdbscan finds dense groups at different similarity levels and leaves isolated items as noise', async () => {
+  const pairs = { 'a-d': 0.35 };
+  for (const [x, y] of [['a', 'b'], ['a', 'c'], ['b', 'c']]) pairs[`${x}-${y}`] = 0.95;
+  // A looser group, far from the first: a 0.7 threshold would scatter it, HDBSCAN keeps it whole
+  for (const [x, y] of [['d', 'e'], ['d', 'f'], ['e', 'f']]) pairs[`${x}-${y}`] = 0.6;
+  const { items, options } = similarityGraph(['a', 'b', 'c', 'd', 'e', 'f', 'g'], pairs, {
+    graphFloor: 0.3,
+    hdbscanMinClusterSize: 2,
+    hdbscanMinSamples: 1
+  });
+  assert.deepEqual(groupsOf(await clusterByHdbscan(items, options)), ['abc', 'def', 'g']);
+});
+
+test('postProcessClusters keeps the newest maxClusterSize items and returns the rest as singletons', () => {
+  const { items } = similarityGraph(['a', 'b', 'c', 'd'], {});
+  const [a, b, c, d] = items;
+  const clusters = postProcessClusters(
+    [{ items: [c, a, b], itemIds: ['c', 'a', 'b'] }, { items: [d], itemIds: ['d'] }],
+    items,
+    { minClusterSize: 2, maxClusterSize: 2 }
+  );
+  assert.deepEqual(clusters.map(cluster => cluster.itemIds), [['a', 'b'], ['c'], ['d']]);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeModel, installModule } = require('./helpers/fakeModel');
+
+process.env.LLM_MODE = 'mock';
+const NewsItem = installModule('models/NewsItem', createFakeModel());
+const Topic = installModule('models/Topic', createFakeModel());
+const User = installModule('models/User', createFakeModel());
+const Article = installModule('models/Article', createFakeModel());
+const WriterJob = installModule('models/WriterJob', createFakeModel());
+installModule('models/Category', createFakeModel());
+const { EMBEDDING_DIMENSIONS } = require('../services/embedding');
+const { runTopicMaintenance } = require('../services/topicMaintenance');
+
+mock.method(console, 'log', () => {});
+
+// Full-size embedding whose leading components are `lead` (the rest zero)
+const vec = (...lead) => Object.assign(new Array(EMBEDDING_DIMENSIONS).fill(0), lead);
+
+function reset() {
+  for (const model of [NewsItem, Topic, User, Article, WriterJob]) model.docs.length = 0;
+}
+
+// A topic in ws1 with one member per embedding
+function topicWith(title, centroid, embeddings) {
+  const [topic] = Topic.insert({ workspace: 'ws1', title, centroid, newsItems: [], lastUpdatedAt: new Date(), createdAt: new Date() });
+  for (const [i, embedding] of embeddings.entries()) {
+    const [item] = NewsItem.insert({
+      workspace: 'ws1',
+      topicId: topic._id,
+      title: `${title} ${i}`,
+      url: `https://example.com/${topic._id}/${i}`,
+      source: 'Example',
+      publishedAt: new Date(),
+      embedding
+    });
+    topic.newsItems.push(item._id);
+  }
+  return topic;
+}
+
+const topicOf = id => NewsItem.docs.find(item => item._id === id).topicId;
+
+test('runTopicMaintenance merges near-identical topics into the larger one and moves its references', async () => {
+  reset();
+  const big = topicWith('big', vec(1, 0), [vec(1, 0), vec(1, 0.02)]);
+  const small = topicWith('small', vec(0.99, 0.1), [vec(0.99, 0.1)]);
+  const other = topicWith('other', vec(0, 1), [vec(0, 1)]);
+  const [fan] = User.insert({
+    topicPreferences: { likedTopics: [small._id], dislikedTopics: [], topicScores: new Map([[small._id, 80]]) },
+    savedTopics: [small._id],
+    archivedTopicIds: []
+  });
+  const [critic] = User.insert({
+    topicPreferences: { likedTopics: [big._id], dislikedTopics: [small._id], topicScores: new Map() },
+    savedTopics: [],
+    archivedTopicIds: []
+  });
+  const [article] = Article.insert({ sourceTopicId: small._id });
+
+  const report = await runTopicMaintenance({ workspaceId: 'ws1' });
+
+  assert.deepEqual(report.merged.map(m => [m.survivorId, m.absorbedId]), [[big._id, small._id]]);
+  assert.deepEqual(report.split, []);
+  assert.deepEqual(Topic.docs.map(t => t._id).sort(), [big._id, other._id].sort());
+  assert.equal(Topic.docs.find(t => t._id === big._id).newsItems.length, 3);
+  assert.ok(NewsItem.docs.filter(item => item.topicId !== other._id).every(item => item.topicId === big._id));
+
+  const fanAfter = User.docs.find(u => u._id === fan._id);
+  assert.deepEqual(fanAfter.topicPreferences.likedTopics, [big._id]);
+  assert.deepEqual([...fanAfter.topicPreferences.topicScores], [[big._id, 80]]);
+  assert.deepEqual(fanAfter.savedTopics, [big._id]);
+  // A preference already held on the survivor wins over the absorbed topic's
+  const criticAfter = User.docs.find(u => u._id === critic._id);
+  assert.deepEqual(criticAfter.topicPreferences.likedTopics, [big._id]);
+  assert.deepEqual(criticAfter.topicPreferences.dislikedTopics, []);
+  assert.equal(Article.docs.find(a => a._id === article._id).sourceTopicId, big._id);
+});
+
+test('runTopicMaintenance splits an incoherent topic: the largest part stays, pairs become topics, singles are released', async () => {
+  reset();
+  const mixed = topicWith('mixed', null, [
+    vec(1, 0.05), vec(1, 0), vec(1, -0.05),
+    vec(0, 1), vec(0.05, 1),
+    vec(0, 0, 1)
+  ]);
+  const [x1, x2, x3, y1, y2, z] = mixed.newsItems;
+
+  const report = await runTopicMaintenance({ workspaceId: 'ws1', cohesionFloor: 0.9 });
+
+  assert.equal(report.split.length, 1);
+  assert.equal(report.split[0].size, 6);
+  const [created] = report.split[0].newTopicIds;
+  assert.equal(report.split[0].newTopicIds.length, 1);
+  assert.deepEqual(Topic.docs.find(t => t._id === mixed._id).newsItems, [x1, x2, x3]);
+  assert.deepEqual([...Topic.docs.find(t => t._id === created).newsItems].sort(), [y1, y2].sort());
+  assert.deepEqual([x1, x2, x3, y1, y2].map(topicOf), [mixed._id, mixed._id, mixed._id, created, created]);
+  assert.equal(topicOf(z), undefined);
+});
+
+test('runTopicMaintenance with dryRun reports merges and splits without writing', async () => {
+  reset();
+  topicWith('big', vec(1, 0), [vec(1, 0), vec(1, 0.02)]);
+  topicWith('small', vec(0.99, 0.1), [vec(0.99, 0.1)]);
+  topicWith('mixed', vec(0, 1), [vec(0, 1), vec(0, 1, 0.05), vec(0, 0, 0, 1)]);
+  const before = structuredClone({ topics: Topic.docs, items: NewsItem.docs });
+
+  const report = await runTopicMaintenance({ workspaceId: 'ws1', cohesionFloor: 0.9, dryRun: true });
+
+  assert.equal(report.merged.length, 1);
+  assert.equal(report.split.length, 1);
+  assert.deepEqual(report.split[0].newTopicIds, []);
+  assert.deepEqual({ topics: Topic.docs, items: NewsItem.docs }, before);
+});
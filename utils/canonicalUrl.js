@@ -0,0 +1,133 @@
+// utils/canonicalUrl.js - Canonical form of article URLs, and the dedupe key under which tracking / AMP / mobile
+// variants of a story match one NewsItem
+
+// Query parameters that only identify the click, never the page (utm_*, itm_* by prefix); extend with URL_TRACKING_PARAMS
+const TRACKING_PARAM_PREFIXES = ['utm_', 'itm_'];
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid', 'mc_cid', 'mc_eid',
+  '_ga', '_gl', 'ocid', 'cmpid', 'spm', 'ref_src', 'ref_url', 'share', 'amp', 'outputtype',
+  ...String(process.env.URL_TRACKING_PARAMS || '').split(',').map(p => p.trim().toLowerCase()).filter(Boolean)
+]);
+// Host prefixes ignored when comparing sites (www.example.com, m.example.com and example.com are one site)
+const SITE_PREFIXES = /^(www|m|mobile|amp|wap)\./;
+
+function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.has(key) || TRACKING_PARAM_PREFIXES.some(prefix => key.startsWith(prefix));
+}
+
+// Google AMP cache / viewer URLs wrap the publisher URL: https://www-example-com.cdn.ampproject.org/c/s/www.example.com/a
+function unwrapAmpCache(parsed) {
+  const cached = parsed.hostname.endsWith('.cdn.ampproject.org') && parsed.pathname.match(/^\/[a-z]\/(s\/)?(.+)$/);
+  const viewer = /(^|\.)google\.[a-z.]+$/.test(parsed.hostname) && parsed.pathname.match(/^\/amp\/(s\/)?(.+)$/);
+  const match = cached || viewer;
+  if (!match) return parsed;
+  try {
+    return new URL(`${match[1] ? 'https' : 'http'}://${match[2]}${parsed.search}`);
+  } catch (_) {
+    return parsed;
+  }
+}
+
+// AMP page paths back to the article: /amp/news/1, /news/1/amp, /news/1.amp.html, /news/1.amp
+function stripAmpPath(pathname) {
+  return pathname
+    .replace(/^\/amp(?=\/)/i, '')
+    .replace(/\/amp\/?$/i, '')
+    .replace(/\.amp(\.html?)$/i, '$1')
+    .replace(/\.amp$/i, '');
+}
+
+/**
+ * Canonical form of an article URL: lowercase host, no default port, fragment, tracking parameters or
+ * trailing slash, AMP cache / AMP page variants mapped to the article, and the remaining query parameters
+ * sorted. The host is kept (a mobile host is not guessed into a desktop one, which may not exist).
+ * Inputs that are not http(s) URLs are returned trimmed and unchanged.
+ * @param {string} url
+ * @returns {string}
+ */
+function canonicalizeUrl(url) {
+  const input = String(url || '').trim();
+  let parsed;
+  try {
+    parsed = new URL(input);
+  } catch (_) {
+    return input;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return input;
+
+  parsed = unwrapAmpCache(parsed);
+  parsed.hash = '';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/\.$/, '');
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  parsed.search = new URLSearchParams(params).toString();
+
+  let pathname = stripAmpPath(parsed.pathname) || '/';
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '') || '/';
+  parsed.pathname = pathname;
+  return parsed.href;
+}
+
+// Host without a www / mobile prefix ("m.co" stays as is: two labels are the site itself)
+function siteHost(hostname) {
+  const host = hostname.toLowerCase();
+  return host.split('.').length > 2 ? host.replace(SITE_PREFIXES, '') : host;
+}
+
+// Site of a URL, for "same site" checks
+function siteOf(url) {
+  try {
+    return siteHost(new URL(url).hostname);
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Dedupe key of an article URL: its canonical form with the host reduced to the site, so
+ * https://m.example.com/a, https://www.example.com/a/?utm_source=x and https://example.com/a share one key.
+ * Only for comparing; the link shown to users stays the fetched (or page-declared canonical) URL.
+ * @param {string} url
+ * @returns {string}
+ */
+function urlDedupeKey(url) {
+  const canonical = canonicalizeUrl(url);
+  let parsed;
+  try {
+    parsed = new URL(canonical);
+  } catch (_) {
+    return canonical;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return canonical;
+  parsed.hostname = siteHost(parsed.hostname);
+  return parsed.href;
+}
+
+/**
+ * Canonical URL declared by a fetched page (<link rel="canonical">, else og:url), canonicalized.
+ * Declarations pointing at another site (syndicated copies) or at the homepage (a common CMS misconfiguration)
+ * are ignored, so they cannot merge distinct stories.
+ * @param {Function} $ - cheerio root of the page
+ * @param {string} pageUrl - URL the page was fetched from
+ * @returns {string|null}
+ */
+function findCanonicalUrl($, pageUrl) {
+  const declared = $('link[rel~="canonical"]').first().attr('href') ||
+    $('meta[property="og:url"]').first().attr('content');
+  if (!declared) return null;
+  let resolved;
+  try {
+    resolved = new URL(declared.trim(), pageUrl);
+  } catch (_) {
+    return null;
+  }
+  const page = canonicalizeUrl(pageUrl);
+  if (!/^https?:$/.test(resolved.protocol) || siteOf(resolved.href) !== siteOf(page)) return null;
+  if (resolved.pathname === '/' && new URL(page).pathname !== '/') return null;
+  return canonicalizeUrl(resolved.href);
+}
+
+module.exports = { canonicalizeUrl, urlDedupeKey, findCanonicalUrl, isTrackingParam };
@@ -0,0 +1,123 @@
+// utils/clusteringMetrics.js - External clustering metrics against gold labels (ARI, V-measure, purity)
+
+function comb2(n) {
+  return (n * (n - 1)) / 2;
+}
+
+/**
+ * Build a contingency table between gold labels and predicted cluster labels.
+ * @param {Array} goldLabels - Gold story id per item
+ * @param {Array} predLabels - Predicted cluster id per item (same order)
+ * @returns {{ table: Map<string, Map<string, number>>, goldSizes: Map, predSizes: Map, n: number }}
+ */
+function contingency(goldLabels, predLabels) {
+  if (goldLabels.length !== predLabels.length) {
+    throw new Error('Gold and predicted label arrays must have the same length');
+  }
+  const table = new Map();
+  const goldSizes = new Map();
+  const predSizes = new Map();
+  for (let i = 0; i < goldLabels.length; i++) {
+    const g = String(goldLabels[i]);
+    const p = String(predLabels[i]);
+    if (!table.has(g)) table.set(g, new Map());
+    const row = table.get(g);
+    row.set(p, (row.get(p) || 0) + 1);
+    goldSizes.set(g, (goldSizes.get(g) || 0) + 1);
+    predSizes.set(p, (predSizes.get(p) || 0) + 1);
+  }
+  return { table, goldSizes, predSizes, n: goldLabels.length };
+}
+
+/**
+ * Adjusted Rand index (1 = identical partitions, ~0 = random, can be negative).
+ */
+function adjustedRandIndex(goldLabels, predLabels) {
+  const { table, goldSizes, predSizes, n } = contingency(goldLabels, predLabels);
+  if (n < 2) return 1;
+  let sumCells = 0;
+  for (const row of table.values()) {
+    for (const count of row.values()) sumCells += comb2(count);
+  }
+  let sumGold = 0;
+  for (const size of goldSizes.values()) sumGold += comb2(size);
+  let sumPred = 0;
+  for (const size of predSizes.values()) sumPred += comb2(size);
+  const expected = (sumGold * sumPred) / comb2(n);
+  const max = (sumGold + sumPred) / 2;
+  if (max === expected) return 1;
+  return (sumCells - expected) / (max - expected);
+}
+
+function entropy(sizes, n) {
+  let h = 0;
+  for (const size of sizes.values()) {
+    if (size === 0) continue;
+    const p = size / n;
+    h -= p * Math.log(p);
+  }
+  return h;
+}
+
+/**
+ * Homogeneity, completeness and V-measure (harmonic mean of the two).
+ * @returns {{ homogeneity: number, completeness: number, vMeasure: number }}
+ */
+function vMeasure(goldLabels, predLabels) {
+  const { table, goldSizes, predSizes, n } = contingency(goldLabels, predLabels);
+  if (n === 0) return { homogeneity: 1, completeness: 1, vMeasure: 1 };
+
+  const hGold = entropy(goldSizes, n);
+  const hPred = entropy(predSizes, n);
+  // Conditional entropies H(gold|pred) and H(pred|gold)
+  let hGoldGivenPred = 0;
+  let hPredGivenGold = 0;
+  for (const [g, row] of table) {
+    for (const [p, count] of row) {
+      const joint = count / n;
+      hGoldGivenPred -= joint * Math.log(count / predSizes.get(p));
+      hPredGivenGold -= joint * Math.log(count / goldSizes.get(g));
+    }
+  }
+  const homogeneity = hGold === 0 ? 1 : 1 - hGoldGivenPred / hGold;
+  const completeness = hPred === 0 ? 1 : 1 - hPredGivenGold / hPred;
+  const v = homogeneity + completeness === 0 ? 0 : (2 * homogeneity * completeness) / (homogeneity + completeness);
+  return { homogeneity, completeness, vMeasure: v };
+}
+
+/**
+ * Purity: fraction of items that belong to the majority gold story of their predicted cluster.
+ */
+function purity(goldLabels, predLabels) {
+  const { table, n } = contingency(predLabels, goldLabels);
+  if (n === 0) return 1;
+  let correct = 0;
+  for (const row of table.values()) {
+    correct += Math.max(...row.values());
+  }
+  return correct / n;
+}
+
+/**
+ * All metrics at once.
+ * @returns {{ ari: number, vMeasure: number, homogeneity: number, completeness: number, purity: number, clusters: number, stories: number }}
+ */
+function evaluateClustering(goldLabels, predLabels) {
+  const v = vMeasure(goldLabels, predLabels);
+  return {
+    ari: adjustedRandIndex(goldLabels, predLabels),
+    vMeasure: v.vMeasure,
+    homogeneity: v.homogeneity,
+    completeness: v.completeness,
+    purity: purity(goldLabels, predLabels),
+    clusters: new Set(predLabels.map(String)).size,
+    stories: new Set(goldLabels.map(String)).size
+  };
+}
+
+module.exports = {
+  adjustedRandIndex,
+  vMeasure,
+  purity,
+  evaluateClustering
+};
@@ -0,0 +1,206 @@
+// utils/cron.js - 5-field cron expressions (minute hour day-of-month month day-of-week) evaluated in an IANA timezone
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *'
+};
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+// Longest month lengths (February in a leap year), to reject day/month combinations that never occur
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+const MINUTE_MS = 60 * 1000;
+// Search horizon for the next run; covers the leap-year wait of "0 0 29 2 *"
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * MINUTE_MS;
+
+const formatters = new Map();
+
+function parseValue(token, field) {
+  const lower = token.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  if (named !== -1) return named + (field.name === 'month' ? 1 : 0);
+  if (!/^\d+$/.test(token)) throw new Error(`Invalid ${field.name} value "${token}"`);
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+// One field ("*/15", "1-5", "mon,wed,fri", "8-18/2") -> sorted values
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (stepText !== undefined && (!/^\d+$/.test(stepText) || step < 1)) {
+      throw new Error(`Invalid ${field.name} step "${stepText}"`);
+    }
+    let from;
+    let to;
+    if (range === '*') {
+      from = field.min;
+      to = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      from = parseValue(a, field);
+      to = parseValue(b, field);
+      if (from > to) throw new Error(`Invalid ${field.name} range "${range}"`);
+    } else {
+      from = parseValue(range, field);
+      to = stepText === undefined ? from : field.max;
+    }
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a cron expression: 5 fields (minute hour day-of-month month day-of-week) with *, lists, ranges, steps and
+ * jan-dec / sun-sat names (0 and 7 are Sunday), or a macro (@hourly, @daily, @weekly, @monthly, @yearly).
+ * As in standard cron, when both day fields are restricted a day matching either one runs.
+ * @param {string} expression
+ * @returns {{ minutes: number[], hours: Set<number>, daysOfMonth: Set<number>, months: Set<number>,
+ *   daysOfWeek: Set<number>, dayOfMonthAny: boolean, dayOfWeekAny: boolean }}
+ * @throws {Error} If the expression is malformed
+ */
+function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const expanded = MACROS[text.toLowerCase()] || text;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // As in vixie cron, a day field starting with "*" ("*", "*/2") counts as unrestricted
+  const dayOfMonthAny = parts[2].startsWith('*');
+  const dayOfWeekAny = parts[4].startsWith('*');
+  if (!dayOfMonthAny && dayOfWeekAny && !months.some(m => daysOfMonth[0] <= MONTH_DAYS[m - 1])) {
+    throw new Error('Day of month never occurs in the selected months');
+  }
+  return {
+    minutes,
+    hours: new Set(hours),
+    daysOfMonth: new Set(daysOfMonth),
+    months: new Set(months),
+    daysOfWeek: new Set(daysOfWeek.map(d => d % 7)),
+    dayOfMonthAny,
+    dayOfWeekAny
+  };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in `timezone`
+function zonedParts(time, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  const parts = {};
+  for (const { type, value } of formatters.get(timezone).formatToParts(new Date(time))) parts[type] = value;
+  return {
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+function dayMatches(cron, p) {
+  if (!cron.months.has(p.month)) return false;
+  const byMonthDay = cron.daysOfMonth.has(p.day);
+  const byWeekday = cron.daysOfWeek.has(p.weekday);
+  if (cron.dayOfMonthAny && cron.dayOfWeekAny) return true;
+  if (cron.dayOfMonthAny) return byWeekday;
+  if (cron.dayOfWeekAny) return byMonthDay;
+  return byMonthDay || byWeekday;
+}
+
+/**
+ * First time strictly after `after` (to the minute) at which the expression fires in `timezone`.
+ * Walks forward on the real clock, hour by hour through matching days (so DST gaps are skipped and repeated
+ * hours can fire twice) and to the last hour of days that do not match.
+ * @param {string|Object} expression - Cron text or parseCron() result
+ * @param {string} timezone - IANA name, e.g. "Asia/Taipei"
+ * @param {Date} [after] - default now
+ * @returns {Date|null} null if it never fires within five years
+ */
+function nextCronTime(expression, timezone, after = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  const end = time + MAX_SEARCH_MS;
+  while (time < end) {
+    const p = zonedParts(time, timezone);
+    if (!dayMatches(cron, p)) {
+      // Jump to 23:00; a DST change on the way lands it an hour earlier or at midnight, never past the next day
+      time += (Math.max(1, 23 - p.hour) * 60 - p.minute) * MINUTE_MS;
+      continue;
+    }
+    if (cron.hours.has(p.hour)) {
+      const minute = cron.minutes.find(m => m >= p.minute);
+      if (minute !== undefined) return new Date(time + (minute - p.minute) * MINUTE_MS);
+    }
+    time += (60 - p.minute) * MINUTE_MS;
+  }
+  return null;
+}
+
+/**
+ * Check a schedule for saving: a valid cron expression that fires, and a valid IANA timezone.
+ * @param {string} expression
+ * @param {string} timezone
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCronSchedule(expression, timezone) {
+  if (!isValidTimezone(timezone)) return `Unknown timezone "${timezone}"`;
+  try {
+    return nextCronTime(expression, timezone) ? null : 'Cron expression never fires';
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Next `count` run times, for previews.
+ * @returns {Date[]}
+ */
+function upcomingCronTimes(expression, timezone, count = 5, after = new Date()) {
+  const cron = parseCron(expression);
+  const times = [];
+  let from = after;
+  while (times.length < count) {
+    const next = nextCronTime(cron, timezone, from);
+    if (!next) break;
+    times.push(next);
+    from = next;
+  }
+  return times;
+}
+
+module.exports = { parseCron, nextCronTime, upcomingCronTimes, validateCronSchedule, isValidTimezone };
@@ -0,0 +1,181 @@
+// utils/extractArticle.js - Readability-style main-text extraction from an article page
+const axios = require('axios');
+const cheerio = require('cheerio');
+const { findCanonicalUrl } = require('./canonicalUrl');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; LiteNewsBot/1.0)';
+
+// Elements that never hold article text
+const STRIP_SELECTORS = 'script, style, noscript, iframe, svg, form, nav, header, footer, aside, button, figure figcaption, [role="navigation"], [role="complementary"], [aria-hidden="true"]';
+// Class/id hints, as in Readability
+const POSITIVE_HINT = /article|body|content|entry|main|page|post|story|text|blog|內文|正文/i;
+const NEGATIVE_HINT = /comment|meta|footer|footnote|sidebar|sponsor|share|social|related|promo|advert|\bad-|banner|breadcrumb|menu|nav|newsletter|subscribe|popup|tags|widget|recommend/i;
+// Paragraphs shorter than this are usually captions, bylines or UI text
+const MIN_PARAGRAPH_LENGTH = 25;
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function absoluteUrl(src, baseUrl) {
+  if (!src) return null;
+  try {
+    return new URL(src, baseUrl).href;
+  } catch (_) {
+    return null;
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/** NewsArticle / Article objects from JSON-LD blocks (handles @graph and arrays). */
+function readJsonLdArticles($) {
+  const articles = [];
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (Array.isArray(node)) return node.forEach(visit);
+    const types = [].concat(node['@type'] || []);
+    if (types.some(t => /Article|Posting|Report/i.test(t))) articles.push(node);
+    if (node['@graph']) visit(node['@graph']);
+  };
+  $('script[type="application/ld+json"]').each((_, el) => {
+    try {
+      visit(JSON.parse($(el).contents().text()));
+    } catch (_) {
+      // Malformed JSON-LD is common; ignore it
+    }
+  });
+  return articles;
+}
+
+function jsonLdAuthor(article) {
+  const authors = [].concat(article.author || []);
+  const names = authors.map(a => (typeof a === 'string' ? a : a && a.name)).filter(Boolean);
+  return names.length > 0 ? names.join(', ') : null;
+}
+
+function jsonLdImage(article) {
+  const image = [].concat(article.image || [])[0];
+  return typeof image === 'string' ? image : image && image.url;
+}
+
+/**
+ * Score block containers by the paragraphs they hold and return the best one's paragraphs.
+ * Each <p> adds its length (plus a bonus per comma) to its parent and half to its grandparent.
+ */
+function findMainParagraphs($) {
+  const scores = new Map();
+  const addScore = (el, points) => {
+    if (!el) return;
+    if (!scores.has(el)) {
+      const hint = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+      let base = 0;
+      if (POSITIVE_HINT.test(hint)) base += 25;
+      if (NEGATIVE_HINT.test(hint)) base -= 25;
+      if (el.name === 'article') base += 30;
+      scores.set(el, base);
+    }
+    scores.set(el, scores.get(el) + points);
+  };
+
+  $('p').each((_, p) => {
+    const text = cleanText($(p).text());
+    if (text.length < MIN_PARAGRAPH_LENGTH) return;
+    const points = 1 + Math.min(text.length / 100, 3) + (text.match(/[,，、]/g) || []).length;
+    const parent = p.parent && p.parent.type === 'tag' ? p.parent : null;
+    const grandparent = parent && parent.parent && parent.parent.type === 'tag' ? parent.parent : null;
+    addScore(parent, points);
+    addScore(grandparent, points / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    // Penalize link-heavy containers (navigation lists, "read more" blocks)
+    const text = cleanText($(el).text());
+    const linkText = cleanText($(el).find('a').text());
+    const linkDensity = text.length > 0 ? linkText.length / text.length : 1;
+    const adjusted = score * (1 - linkDensity);
+    if (adjusted > bestScore) {
+      best = el;
+      bestScore = adjusted;
+    }
+  }
+  if (!best) return [];
+
+  return $(best).find('p')
+    .map((_, p) => cleanText($(p).text()))
+    .get()
+    .filter(text => text.length >= MIN_PARAGRAPH_LENGTH);
+}
+
+/**
+ * Extract the main article from HTML.
+ * @param {string} html
+ * @param {string} url - Page URL (for resolving the image and canonical URLs)
+ * @returns {{ content: string, byline: string|null, publishedAt: Date|null, imageUrl: string|null, canonicalUrl: string|null }}
+ */
+function extractArticleFromHtml(html, url) {
+  const $ = cheerio.load(html);
+  const getMeta = (property) => {
+    const content = $(`meta[property="${property}"], meta[name="${property}"]`).attr('content');
+    return (content && content.trim()) || null;
+  };
+  const jsonLd = readJsonLdArticles($)[0] || {};
+  const canonicalUrl = findCanonicalUrl($, url);
+
+  const byline = getMeta('author') || getMeta('article:author') || jsonLdAuthor(jsonLd) ||
+    cleanText($('[rel="author"], [itemprop="author"], .byline, .author').first().text()) || null;
+  const publishedAt = parseDate(getMeta('article:published_time')) ||
+    parseDate(jsonLd.datePublished) ||
+    parseDate($('[itemprop="datePublished"]').attr('content') || $('[itemprop="datePublished"]').attr('datetime')) ||
+    parseDate($('time[datetime]').first().attr('datetime'));
+
+  $(STRIP_SELECTORS).remove();
+  let paragraphs = findMainParagraphs($);
+  // Some sites ship the full body only in JSON-LD (client-rendered pages)
+  const ldBody = cleanText(jsonLd.articleBody);
+  if (ldBody.length > paragraphs.join(' ').length) {
+    paragraphs = [ldBody];
+  }
+
+  const leadImage = getMeta('og:image') || getMeta('twitter:image') || jsonLdImage(jsonLd) ||
+    $('article img, main img').first().attr('src');
+
+  return {
+    content: paragraphs.join('\n\n'),
+    byline: byline ? byline.slice(0, 200) : null,
+    publishedAt,
+    imageUrl: absoluteUrl(leadImage, url),
+    canonicalUrl
+  };
+}
+
+/**
+ * Fetch an article page and extract its main text, byline, published time, lead image and declared canonical URL.
+ * @param {string} url - Article URL
+ * @param {Object} [options] - { timeout (ms), maxLength (chars of content kept) }
+ * @returns {Promise<{ content: string, byline: string|null, publishedAt: Date|null, imageUrl: string|null, canonicalUrl: string|null }>}
+ */
+async function extractArticle(url, options = {}) {
+  const res = await axios.get(url, {
+    timeout: options.timeout || 15000,
+    maxRedirects: 5,
+    maxContentLength: 5 * 1024 * 1024,
+    responseType: 'text',
+    headers: { 'User-Agent': DEFAULT_USER_AGENT },
+    validateStatus: (status) => status >= 200 && status < 400
+  });
+  // Resolve against the final URL after redirects (AMP and mobile pages often redirect)
+  const article = extractArticleFromHtml(res.data, res.request?.res?.responseUrl || url);
+  if (options.maxLength && article.content.length > options.maxLength) {
+    article.content = article.content.slice(0, options.maxLength);
+  }
+  return article;
+}
+
+module.exports = { extractArticle, extractArticleFromHtml };
@@ -1,12 +1,14 @@
 // utils/extractUrlMeta.js - Fetch URL HTML and extract Open Graph / meta for preview
 const axios = require('axios');
 const cheerio = require('cheerio');
+const { canonicalizeUrl, findCanonicalUrl } = require('./canonicalUrl');
 
 const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; LiteNewsBot/1.0)';
 
 /**
  * @param {string} url - Full URL to fetch
- * @returns {Promise<{ title: string, description: string, image: string|null, siteName: string|null }>}
+ * @returns {Promise<{ title: string, description: string, image: string|null, siteName: string|null, canonicalUrl: string }>}
+ *   canonicalUrl: the page's declared canonical URL (rel=canonical / og:url), else the canonicalized fetched URL
  */
 async function extractUrlMeta(url) {
   const normalized = normalizeUrl(url);
@@ -19,6 +21,7 @@ async function extractUrlMeta(url) {
   });
   const html = res.data;
   const $ = cheerio.load(html);
+  const finalUrl = res.request?.res?.responseUrl || normalized;
 
   const getMeta = (property) => {
     const el = $(`meta[property="${property}"], meta[name="${property}"]`);
@@ -42,7 +45,8 @@ async function extractUrlMeta(url) {
     title: title.slice(0, 500),
     description: description.slice(0, 2000),
     image: image || null,
-    siteName: siteName ? siteName.slice(0, 200) : null
+    siteName: siteName ? siteName.slice(0, 200) : null,
+    canonicalUrl: findCanonicalUrl($, finalUrl) || canonicalizeUrl(finalUrl)
   };
 }
 
@@ -0,0 +1,34 @@
+// utils/jobResponse.js - Answer a request whose work ran as a background job (services/jobQueue.js)
+
+/**
+ * Send the response for a job that has not completed: 202 with its id while it is still queued or running
+ * (the request waited JOB_REQUEST_WAIT_MS), 409 if it was cancelled, 500 with its last error if it failed.
+ * @param {Object} res - Express response
+ * @param {Object|null} job - Job doc from waitForJob
+ * @returns {boolean} true if a response was sent; completed jobs are left to the caller
+ */
+function sendUnfinishedJob(res, job) {
+  if (!job) {
+    res.status(500).json({ status: 'error', message: 'Background job not found' });
+    return true;
+  }
+  if (job.status === 'completed') {
+    return false;
+  }
+  if (job.status === 'queued' || job.status === 'running') {
+    res.status(202).json({
+      status: 'success',
+      message: 'Still running as a background job',
+      data: { jobId: job._id, jobStatus: job.status }
+    });
+    return true;
+  }
+  res.status(job.status === 'cancelled' ? 409 : 500).json({
+    status: 'error',
+    message: job.lastError || `Background job ${job.status}`,
+    data: { jobId: job._id, jobStatus: job.status }
+  });
+  return true;
+}
+
+module.exports = { sendUnfinishedJob };
@@ -0,0 +1,103 @@
+// utils/jsonPath.js - Minimal JSONPath for API feed mappings
+// Supports: $ (root, optional), .key, ['key'], [n] (negative = from end), [*] / .* (wildcard), ..key (recursive descent)
+
+/**
+ * Split a path into steps: { type: 'key'|'index'|'wildcard'|'descend', value }.
+ * Throws on malformed paths so configuration errors surface when the source is saved.
+ * @param {string} path
+ * @returns {Array<Object>}
+ */
+function parsePath(path) {
+  const input = String(path || '').trim();
+  if (!input) throw new Error('Empty JSONPath');
+  let i = input.startsWith('$') ? 1 : 0;
+  const steps = [];
+  // Paths without $ may start with a bare key ("data.items")
+  if (i === 0 && /^[A-Za-z_]/.test(input)) {
+    const match = input.match(/^[^.[]+/);
+    steps.push({ type: 'key', value: match[0] });
+    i = match[0].length;
+  }
+  while (i < input.length) {
+    if (input.startsWith('..', i)) {
+      const match = input.slice(i + 2).match(/^[^.[]+/);
+      if (!match) throw new Error(`Expected a key after ".." at ${i} in "${input}"`);
+      steps.push({ type: 'descend', value: match[0] });
+      i += 2 + match[0].length;
+    } else if (input[i] === '.') {
+      const match = input.slice(i + 1).match(/^[^.[]+/);
+      if (!match) throw new Error(`Expected a key after "." at ${i} in "${input}"`);
+      steps.push(match[0] === '*' ? { type: 'wildcard' } : { type: 'key', value: match[0] });
+      i += 1 + match[0].length;
+    } else if (input[i] === '[') {
+      const end = input.indexOf(']', i);
+      if (end === -1) throw new Error(`Unclosed "[" at ${i} in "${input}"`);
+      const inner = input.slice(i + 1, end).trim();
+      if (inner === '*') {
+        steps.push({ type: 'wildcard' });
+      } else if (/^-?\d+$/.test(inner)) {
+        steps.push({ type: 'index', value: parseInt(inner, 10) });
+      } else if (/^(['"]).*\1$/.test(inner)) {
+        steps.push({ type: 'key', value: inner.slice(1, -1) });
+      } else {
+        throw new Error(`Unsupported selector "[${inner}]" in "${input}"`);
+      }
+      i = end + 1;
+    } else {
+      throw new Error(`Unexpected "${input[i]}" at ${i} in "${input}"`);
+    }
+  }
+  return steps;
+}
+
+function descend(node, key, out) {
+  if (Array.isArray(node)) {
+    node.forEach(child => descend(child, key, out));
+  } else if (node && typeof node === 'object') {
+    if (Object.prototype.hasOwnProperty.call(node, key)) out.push(node[key]);
+    Object.values(node).forEach(child => descend(child, key, out));
+  }
+}
+
+/**
+ * All values matching a path.
+ * @param {*} data
+ * @param {string} path
+ * @returns {Array}
+ */
+function query(data, path) {
+  let current = [data];
+  for (const step of parsePath(path)) {
+    const next = [];
+    for (const node of current) {
+      if (node === null || node === undefined) continue;
+      if (step.type === 'key') {
+        if (typeof node === 'object' && Object.prototype.hasOwnProperty.call(node, step.value)) next.push(node[step.value]);
+      } else if (step.type === 'index') {
+        if (Array.isArray(node)) {
+          const value = node[step.value < 0 ? node.length + step.value : step.value];
+          if (value !== undefined) next.push(value);
+        }
+      } else if (step.type === 'wildcard') {
+        if (Array.isArray(node)) next.push(...node);
+        else if (typeof node === 'object') next.push(...Object.values(node));
+      } else if (step.type === 'descend') {
+        descend(node, step.value, next);
+      }
+    }
+    current = next;
+  }
+  return current;
+}
+
+/**
+ * First value matching a path, or undefined.
+ * @param {*} data
+ * @param {string} path
+ * @returns {*}
+ */
+function queryFirst(data, path) {
+  return query(data, path)[0];
+}
+
+module.exports = { parsePath, query, queryFirst };
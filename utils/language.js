@@ -0,0 +1,62 @@
+// utils/language.js - Script-based language detection for news text (zh / en, plus ja / ko), no external model
+
+// ISO 639-1 codes we detect; 'und' = undetermined (too little text, or only digits/symbols)
+const SUPPORTED_LANGUAGES = ['zh', 'en', 'ja', 'ko'];
+
+// Human-readable names used in LLM prompts
+const LANGUAGE_NAMES = {
+  zh: 'Traditional Chinese (繁體中文)',
+  en: 'English',
+  ja: 'Japanese (日本語)',
+  ko: 'Korean (한국어)'
+};
+
+const HAN = /[㐀-䶿一-鿿豈-﫿]/g;
+const KANA = /[぀-ヿ]/g;
+const HANGUL = /[가-힯]/g;
+const LATIN_WORD = /[a-zA-ZÀ-ɏ]{2,}/g;
+
+function count(text, pattern) {
+  const matches = text.match(pattern);
+  return matches ? matches.length : 0;
+}
+
+/**
+ * Detect the dominant language of a text by script.
+ * A Chinese headline with a few English names ("Apple 發布 iPhone 新機") is still zh: each Han character
+ * is weighed against a whole Latin word.
+ * @param {string} text
+ * @returns {string} - 'zh' | 'en' | 'ja' | 'ko' | 'und'
+ */
+function detectLanguage(text) {
+  if (!text || typeof text !== 'string') return 'und';
+  const han = count(text, HAN);
+  const kana = count(text, KANA);
+  const hangul = count(text, HANGUL);
+  const latinWords = count(text, LATIN_WORD);
+
+  if (kana >= 2 && kana * 5 >= han) return 'ja';
+  if (hangul >= 2 && hangul >= han && hangul >= latinWords) return 'ko';
+  if (han >= 2 && han >= latinWords) return 'zh';
+  if (latinWords >= 2) return 'en';
+  if (han > 0) return 'zh';
+  return 'und';
+}
+
+/**
+ * Language of a news item: the stored value, else detected from title + description.
+ * @param {Object} item - NewsItem (document or plain object)
+ * @returns {string}
+ */
+function getItemLanguage(item) {
+  if (!item) return 'und';
+  if (item.language) return item.language;
+  return detectLanguage([item.title, item.description].filter(Boolean).join(' '));
+}
+
+module.exports = {
+  detectLanguage,
+  getItemLanguage,
+  SUPPORTED_LANGUAGES,
+  LANGUAGE_NAMES
+};
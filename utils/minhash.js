@@ -0,0 +1,121 @@
+// utils/minhash.js - Shingling + MinHash signatures with LSH banding for near-duplicate text detection
+
+// 128 hash functions split into 32 bands of 4 rows: pairs above ~0.6 Jaccard almost always share a band
+const NUM_PERMUTATIONS = 128;
+const NUM_BANDS = 32;
+const ROWS_PER_BAND = NUM_PERMUTATIONS / NUM_BANDS;
+// Tokens per shingle (a Latin word or a single Han/Kana/Hangul character is one token)
+const SHINGLE_SIZE = 3;
+
+const TOKEN = /[a-z0-9À-ɏ]+|[㐀-䶿一-鿿豈-﫿぀-ヿ가-힯]/g;
+
+// Deterministic per-permutation seeds so signatures stay comparable across processes and restarts
+const SEEDS = (() => {
+  const seeds = new Uint32Array(NUM_PERMUTATIONS);
+  let state = 0x9e3779b9;
+  for (let i = 0; i < NUM_PERMUTATIONS; i++) {
+    state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+    seeds[i] = state;
+  }
+  return seeds;
+})();
+
+// FNV-1a 32-bit string hash
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// murmur3 finalizer: cheap, well-mixed 32-bit permutation
+function mix32(x) {
+  x ^= x >>> 16;
+  x = Math.imul(x, 0x85ebca6b);
+  x ^= x >>> 13;
+  x = Math.imul(x, 0xc2b2ae35);
+  x ^= x >>> 16;
+  return x >>> 0;
+}
+
+/**
+ * Normalize text and split it into overlapping token shingles (HTML, punctuation and case are ignored).
+ * @param {string} text
+ * @param {number} [size] - Tokens per shingle
+ * @returns {Set<string>}
+ */
+function shingle(text, size = SHINGLE_SIZE) {
+  const tokens = String(text || '')
+    .replace(/<[^>]*>/g, ' ')
+    .toLowerCase()
+    .match(TOKEN) || [];
+  const shingles = new Set();
+  if (tokens.length < size) {
+    if (tokens.length > 0) shingles.add(tokens.join(' '));
+    return shingles;
+  }
+  for (let i = 0; i <= tokens.length - size; i++) {
+    shingles.add(tokens.slice(i, i + size).join(' '));
+  }
+  return shingles;
+}
+
+/**
+ * MinHash signature of a shingle set.
+ * @param {Set<string>|Array<string>} shingles
+ * @returns {Array<number>} - NUM_PERMUTATIONS unsigned 32-bit values
+ */
+function computeSignature(shingles) {
+  const signature = new Array(NUM_PERMUTATIONS).fill(0xffffffff);
+  for (const s of shingles) {
+    const base = hashString(s);
+    for (let i = 0; i < NUM_PERMUTATIONS; i++) {
+      const value = mix32(base ^ SEEDS[i]);
+      if (value < signature[i]) signature[i] = value;
+    }
+  }
+  return signature;
+}
+
+/**
+ * LSH band keys ("band:hash"); two signatures sharing any key are candidate duplicates.
+ * @param {Array<number>} signature
+ * @returns {Array<string>}
+ */
+function bandKeys(signature) {
+  const keys = [];
+  for (let b = 0; b < NUM_BANDS; b++) {
+    let hash = 0x811c9dc5;
+    for (let r = 0; r < ROWS_PER_BAND; r++) {
+      hash = Math.imul(hash ^ signature[b * ROWS_PER_BAND + r], 0x01000193);
+    }
+    keys.push(`${b}:${(hash >>> 0).toString(36)}`);
+  }
+  return keys;
+}
+
+/**
+ * Estimated Jaccard similarity of the underlying shingle sets.
+ * @param {Array<number>} a
+ * @param {Array<number>} b
+ * @returns {number} - 0..1
+ */
+function estimateSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal++;
+  }
+  return equal / a.length;
+}
+
+module.exports = {
+  shingle,
+  computeSignature,
+  bandKeys,
+  estimateSimilarity,
+  NUM_PERMUTATIONS,
+  NUM_BANDS
+};
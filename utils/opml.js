@@ -0,0 +1,100 @@
+// utils/opml.js - Read and write OPML subscription lists
+const cheerio = require('cheerio');
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Parse OPML into a flat list of outlines. Folder outlines (no xmlUrl) contribute their title as the
+ * entries' category; outlines that are neither folders nor feeds are returned with xmlUrl '' so callers
+ * can report them as invalid.
+ * @param {string} xml
+ * @returns {{ title: string, outlines: Array<{ title: string, xmlUrl: string, htmlUrl: string, type: string, category: string }> }}
+ * @throws {Error} If the document is not OPML
+ */
+function parseOpml(xml) {
+  if (typeof xml !== 'string' || !xml.trim()) {
+    throw new Error('OPML document is empty');
+  }
+  const $ = cheerio.load(xml, { xmlMode: true });
+  if ($('opml').length === 0 || $('opml > body').length === 0) {
+    throw new Error('Not an OPML document (missing <opml><body>)');
+  }
+
+  const outlines = [];
+  const visit = (el, category) => {
+    const $el = $(el);
+    const title = ($el.attr('title') || $el.attr('text') || '').trim();
+    const xmlUrl = ($el.attr('xmlUrl') || $el.attr('xmlurl') || '').trim();
+    const children = $el.children('outline');
+    if (!xmlUrl && children.length > 0) {
+      children.each((_, child) => visit(child, title || category));
+      return;
+    }
+    outlines.push({
+      title,
+      xmlUrl,
+      htmlUrl: ($el.attr('htmlUrl') || $el.attr('htmlurl') || '').trim(),
+      type: ($el.attr('type') || '').trim().toLowerCase(),
+      category: category || ''
+    });
+  };
+  $('opml > body').children('outline').each((_, el) => visit(el, ''));
+
+  return { title: $('opml > head > title').first().text().trim(), outlines };
+}
+
+/**
+ * Build an OPML 2.0 document.
+ * @param {Object} options - { title, outlines: [{ title, xmlUrl, htmlUrl, category }] }; outlines with a category are grouped in folders
+ * @returns {string}
+ */
+function buildOpml({ title, outlines }) {
+  const feedLine = (outline, indent) => {
+    const attrs = [
+      `type="rss"`,
+      `text="${escapeXml(outline.title || outline.xmlUrl)}"`,
+      `title="${escapeXml(outline.title || outline.xmlUrl)}"`,
+      `xmlUrl="${escapeXml(outline.xmlUrl)}"`
+    ];
+    if (outline.htmlUrl) attrs.push(`htmlUrl="${escapeXml(outline.htmlUrl)}"`);
+    return `${indent}<outline ${attrs.join(' ')}/>`;
+  };
+
+  const lines = [];
+  const folders = new Map();
+  for (const outline of outlines) {
+    if (!outline.category) {
+      lines.push(feedLine(outline, '    '));
+      continue;
+    }
+    if (!folders.has(outline.category)) folders.set(outline.category, []);
+    folders.get(outline.category).push(outline);
+  }
+  for (const [category, entries] of folders) {
+    lines.push(`    <outline text="${escapeXml(category)}" title="${escapeXml(category)}">`);
+    entries.forEach(outline => lines.push(feedLine(outline, '      ')));
+    lines.push('    </outline>');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title || 'LiteNews AI sources')}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...lines,
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+}
+
+module.exports = { parseOpml, buildOpml };
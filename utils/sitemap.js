@@ -0,0 +1,71 @@
+// utils/sitemap.js - Parse XML sitemaps (urlset and sitemapindex, including Google News sitemap tags)
+const cheerio = require('cheerio');
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value.trim());
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Sniff the root element of an XML document.
+ * @param {string} body
+ * @returns {'rss'|'atom'|'rdf'|'urlset'|'sitemapindex'|null}
+ */
+function detectXmlFormat(body) {
+  const head = String(body || '').slice(0, 4000).replace(/<\?xml[^>]*\?>/, '').replace(/<!--[\s\S]*?-->/g, '').trimStart();
+  const match = head.match(/<([A-Za-z][\w:.-]*)/);
+  if (!match) return null;
+  const root = match[1].toLowerCase();
+  if (root === 'rss') return 'rss';
+  if (root === 'feed') return 'atom';
+  if (root === 'rdf:rdf') return 'rdf';
+  if (root === 'urlset') return 'urlset';
+  if (root === 'sitemapindex') return 'sitemapindex';
+  return null;
+}
+
+// Children of a namespaced element by local name (cheerio keeps the "news:" / "image:" prefix in tag names)
+function childrenNamed($, $parent, localName) {
+  return $parent.children().filter((_, child) => child.name === localName || child.name.endsWith(`:${localName}`));
+}
+
+/**
+ * Parse a sitemap. urlset entries carry loc and lastmod; Google News entries (<news:news>) add title,
+ * publishedAt, keywords, language and publication name; <image:image> adds imageUrl.
+ * sitemapindex entries are child sitemaps (loc, lastmod).
+ * @param {string} xml
+ * @returns {{ type: 'urlset'|'sitemapindex', entries: Array<{ loc: string, lastmod: Date|null, title: string|null,
+ *   publishedAt: Date|null, keywords: Array<string>, language: string|null, publicationName: string|null, imageUrl: string|null }> }}
+ * @throws {Error} If the document is not a sitemap
+ */
+function parseSitemap(xml) {
+  const type = detectXmlFormat(xml);
+  if (type !== 'urlset' && type !== 'sitemapindex') {
+    throw new Error('Not a sitemap (expected <urlset> or <sitemapindex>)');
+  }
+  const $ = cheerio.load(xml, { xmlMode: true });
+  const entries = [];
+  $(type === 'urlset' ? 'urlset > url' : 'sitemapindex > sitemap').each((_, el) => {
+    const $el = $(el);
+    const loc = $el.children('loc').first().text().trim();
+    if (!loc) return;
+    const $news = childrenNamed($, $el, 'news').first();
+    const newsField = ($parent, name) => childrenNamed($, $parent, name).first().text().trim();
+    const $publication = childrenNamed($, $news, 'publication').first();
+    const keywords = newsField($news, 'keywords');
+    entries.push({
+      loc,
+      lastmod: parseDate($el.children('lastmod').first().text()),
+      title: newsField($news, 'title') || null,
+      publishedAt: parseDate(newsField($news, 'publication_date')),
+      keywords: keywords ? keywords.split(',').map(k => k.trim()).filter(Boolean) : [],
+      language: newsField($publication, 'language') || null,
+      publicationName: newsField($publication, 'name') || null,
+      imageUrl: newsField(childrenNamed($, $el, 'image').first(), 'loc') || null
+    });
+  });
+  return { type, entries };
+}
+
+module.exports = { parseSitemap, detectXmlFormat };